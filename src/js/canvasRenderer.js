@@ -0,0 +1,326 @@
+/**
+ * canvasRenderer.js
+ * Draws the entities of a World onto a single full-viewport 2D canvas.
+ *
+ * Alternative to DomRenderer for large populations: instead of two divs and
+ * an inline SVG per entity (plus a style.transform write per entity per
+ * frame), every frame is one clearRect and one drawImage per entity.
+ *
+ * Sprites:
+ *  - The cached SVG markup from iconLoader.js is rasterised once per
+ *    (icon, colour) into an offscreen canvas, with the drop shadow baked in.
+ *  - Hit colouring is the CSS hue-rotate matrix applied to the icon colour
+ *    (see colorUtils.hueRotateHex), rounded to CANVAS_HUE_STEP degrees so
+ *    only a bounded set of tinted sprites is ever created.
+ *  - Sprites are rasterised at ICON_SIZE and scaled to each icon's
+ *    icons.json `size` when drawn.
+ *  - Ageing desaturates the colour the same way (colorUtils.saturateHex),
+ *    stepped by AGE_VISUAL_STEP.
+ *
+ * Animations mirror the DOM/CSS ones:
+ *  - spawn        — spring scale-in over APPEAR_DURATION, fade-in over 250 ms.
+ *  - 'hit'        — 350 ms scale-punch to 1.5×.
+ *  - 'transform'  — collapse for 300 ms, swap sprite, scale back in.
+ *  - 'die'        — light-red tint; after KILL_FADE_MS of simulation time the
+ *                   icon cross-fades to dark grayscale and 12 % opacity.
+ *
+ * The logo letters stay DOM-rendered by LogoController (ten nodes with
+ * debug labels) and sit above the canvas.
+ */
+
+import { loadIcon }  from './iconLoader.js';
+import { DEFAULTS }  from './constants.js';
+import { hueRotateHex, saturateHex, grayscaleHex } from '../utils/colorUtils.js';
+
+/** Rasterised sprite resolution relative to ICON_SIZE (room for the 1.5× hit punch). */
+const SPRITE_SCALE   = 2;
+/** Transparent margin (px, at icon scale) around each sprite for the baked shadow. */
+const SPRITE_PADDING = 8;
+/** Hit scale-punch duration and peak (matches the entity-hit keyframes). */
+const HIT_MS         = 350;
+const HIT_PEAK       = 1.5;
+/** Collapse phase of a species change before the sprite is swapped. */
+const TRANSFORM_MS   = 300;
+/** Fade-in duration of the appear animation. */
+const FADE_IN_MS     = 250;
+/** Duration and final opacity of the dark-grayscale death fade. */
+const DEATH_FADE_MS  = 2600;
+const DEATH_OPACITY  = 0.12;
+/** Colour of a fully faded corpse: KILL_FADE_COLOR through grayscale + brightness(0.2). */
+const DEAD_COLOR     = grayscaleHex(DEFAULTS.KILL_FADE_COLOR, 0.2);
+
+/**
+ * Spring-style ease that overshoots slightly — approximates the CSS
+ * cubic-bezier(0.34, 1.56, 0.64, 1) used for the DOM appear transition.
+ *
+ * @param {number} t  0–1
+ * @returns {number}
+ */
+function easeOutBack(t) {
+  const c1 = 1.70158;
+  const u  = t - 1;
+  return 1 + (c1 + 1) * u * u * u + c1 * u * u;
+}
+
+/**
+ * Scale of the hit punch `t` ms after the hit (1 when idle).
+ *
+ * @param {number} t
+ * @returns {number}
+ */
+function hitScale(t) {
+  if (t < 0 || t >= HIT_MS) return 1;
+  const k = t / HIT_MS;
+  return k < 0.35
+    ? 1 + (HIT_PEAK - 1) * (k / 0.35)
+    : HIT_PEAK - (HIT_PEAK - 1) * ((k - 0.35) / 0.65);
+}
+
+/**
+ * Rasterised icon sprites keyed by icon name and colour.  Each sprite is an
+ * offscreen canvas holding the SVG drawn in that colour with its drop shadow.
+ */
+class SpriteCache {
+  /** @type {Map<string, HTMLCanvasElement|null>} */ #sprites = new Map();
+
+  /**
+   * Sprite for an icon in a colour, or null while it is still rasterising
+   * (the first call starts the work).
+   *
+   * @param {string} name
+   * @param {string} color
+   * @returns {HTMLCanvasElement|null}
+   */
+  get(name, color) {
+    const key = `${name}|${color}`;
+    if (!this.#sprites.has(key)) {
+      this.#sprites.set(key, null);
+      this.#rasterise(name, color)
+        .then(sprite => this.#sprites.set(key, sprite))
+        .catch(err => console.warn(`[CanvasRenderer] Could not rasterise "${name}":`, err));
+    }
+    return this.#sprites.get(key);
+  }
+
+  /** Drop every sprite (e.g. after a devicePixelRatio change). */
+  clear() {
+    this.#sprites.clear();
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} color
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async #rasterise(name, color) {
+    // The icons paint with currentColor — pin it on the root element
+    const svg = (await loadIcon(name))
+      .replace('<svg', `<svg width="${DEFAULTS.ICON_SIZE}" height="${DEFAULTS.ICON_SIZE}" color="${color}"`);
+
+    const img = new Image();
+    img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    await img.decode();
+
+    const res    = SPRITE_SCALE * (window.devicePixelRatio || 1);
+    const size   = DEFAULTS.ICON_SIZE + SPRITE_PADDING * 2;
+    const sprite = document.createElement('canvas');
+    sprite.width  = Math.ceil(size * res);
+    sprite.height = Math.ceil(size * res);
+
+    const ctx = sprite.getContext('2d');
+    ctx.scale(res, res);
+    // Same shadow as the DOM icons: drop-shadow(0 1px 6px rgba(0,0,0,0.35))
+    ctx.shadowColor   = 'rgba(0,0,0,0.35)';
+    // (shadow parameters ignore the transform, so scale them to device px)
+    ctx.shadowBlur    = 6 * res;
+    ctx.shadowOffsetY = 1 * res;
+    ctx.drawImage(img, SPRITE_PADDING, SPRITE_PADDING, DEFAULTS.ICON_SIZE, DEFAULTS.ICON_SIZE);
+    return sprite;
+  }
+}
+
+/** Per-entity animation state (wall-clock ms from performance.now()). */
+class SpriteView {
+  /** Icon currently drawn (lags entityKey while a transform collapses). */
+  /** @type {string} */       key;
+  /** @type {string} */       color;
+  /** @type {number} */       bornAt;
+  /** @type {number} */       hitAt       = -Infinity;
+  /** @type {number|null} */  transformAt = null;
+
+  /**
+   * @param {import('./entity.js').Entity} entity
+   * @param {number} now
+   */
+  constructor(entity, now) {
+    this.key    = entity.entityKey;
+    this.color  = entity.color;
+    this.bornAt = now;
+  }
+}
+
+export class CanvasRenderer {
+  /** @type {import('./world.js').World} */                    #world;
+  /** @type {HTMLCanvasElement} */                             #canvas;
+  /** @type {CanvasRenderingContext2D} */                      #ctx;
+  /** @type {SpriteCache} */                                   #sprites = new SpriteCache();
+  /** @type {Map<import('./entity.js').Entity, SpriteView>} */ #views   = new Map();
+  /** @type {number} */                                        #dpr     = 0;
+  /** @type {Array<() => void>} */                             #unsubscribe = [];
+
+  /**
+   * @param {HTMLElement} container  The canvas is inserted as its first child,
+   *                                 beneath the logo letters.
+   * @param {import('./world.js').World} world
+   */
+  constructor(container, world) {
+    this.#world  = world;
+    this.#canvas = document.createElement('canvas');
+    this.#canvas.className = 'evolution-canvas';
+    this.#ctx    = this.#canvas.getContext('2d');
+    container.prepend(this.#canvas);
+
+    this.#unsubscribe = [
+      world.on('hit', ({ entity }) => {
+        const view = this.#views.get(entity);
+        if (view) view.hitAt = performance.now();
+      }),
+      world.on('transform', ({ entity }) => {
+        const view = this.#views.get(entity);
+        if (view && view.transformAt === null) view.transformAt = performance.now();
+      }),
+      world.on('remove', ({ entity }) => this.#views.delete(entity)),
+    ];
+  }
+
+  /**
+   * Redraw the whole world — call once per animation frame, after the
+   * physics steps for that frame.
+   */
+  render() {
+    const world = this.#world;
+    const ctx   = this.#ctx;
+    const now   = performance.now();
+
+    this.#fitCanvas();
+    ctx.setTransform(this.#dpr, 0, 0, this.#dpr, 0, 0);
+    ctx.clearRect(0, 0, world.width, world.height);
+
+    const live = new Set(world.entities);
+    for (const entity of this.#views.keys()) {
+      if (!live.has(entity)) this.#views.delete(entity);
+    }
+
+    for (const entity of world.entities) {
+      let view = this.#views.get(entity);
+      if (!view) {
+        view = new SpriteView(entity, now);
+        this.#views.set(entity, view);
+      }
+      this.#draw(entity, view, now);
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  /** Stop listening to the world and remove the canvas. */
+  destroy() {
+    this.#unsubscribe.forEach(fn => fn());
+    this.#unsubscribe = [];
+    this.#views.clear();
+    this.#sprites.clear();
+    this.#canvas.remove();
+  }
+
+  // ── Private ────────────────────────────────────────────────
+
+  /** Match the backing store to the world size and device pixel ratio. */
+  #fitCanvas() {
+    const dpr    = window.devicePixelRatio || 1;
+    const width  = Math.round(this.#world.width  * dpr);
+    const height = Math.round(this.#world.height * dpr);
+    if (dpr !== this.#dpr) {
+      // Sprites were rasterised for the old ratio
+      if (this.#dpr) this.#sprites.clear();
+      this.#dpr = dpr;
+    }
+    if (this.#canvas.width  !== width)  this.#canvas.width  = width;
+    if (this.#canvas.height !== height) this.#canvas.height = height;
+  }
+
+  /**
+   * @param {import('./entity.js').Entity} entity
+   * @param {SpriteView} view
+   * @param {number} now
+   */
+  #draw(entity, view, now) {
+    let scale   = 1;
+    let opacity = 1;
+
+    if (entity.dying) {
+      // Slow death runs on simulation time, like the world's removal timer
+      const fade = Math.max(0, Math.min(1,
+        (this.#world.time - entity.diedAt - DEFAULTS.KILL_FADE_MS) / DEATH_FADE_MS));
+      const k = fade * fade; // ease-in
+      opacity = 1 - (1 - DEATH_OPACITY) * k;
+      this.#blit(view.key, DEFAULTS.KILL_FADE_COLOR, entity, 1, opacity * (1 - k));
+      if (k > 0) this.#blit(view.key, DEAD_COLOR, entity, 1, opacity * k);
+      return;
+    }
+
+    // Species change: collapse, then swap the sprite and scale back in
+    if (view.transformAt !== null) {
+      const t = now - view.transformAt;
+      if (t < TRANSFORM_MS) {
+        scale = Math.max(0, 1 - easeOutBack(t / DEFAULTS.APPEAR_DURATION));
+      } else {
+        view.key         = entity.entityKey;
+        view.color       = entity.color;
+        view.transformAt = null;
+        view.bornAt      = now;
+      }
+    }
+
+    if (view.transformAt === null) {
+      const age = now - view.bornAt;
+      if (age < DEFAULTS.APPEAR_DURATION) scale = easeOutBack(age / DEFAULTS.APPEAR_DURATION);
+      opacity = Math.min(1, age / FADE_IN_MS);
+      scale  *= hitScale(now - view.hitAt);
+    }
+
+    const step  = DEFAULTS.CANVAS_HUE_STEP;
+    const hue   = Math.round(entity.hue / step) * step;
+    let   color = hue % 360 ? hueRotateHex(view.color, hue) : view.color;
+
+    // Ageing — desaturate in AGE_VISUAL_STEP increments (bounded sprite set)
+    const ageStep = DEFAULTS.AGE_VISUAL_STEP;
+    const age     = Math.floor(entity.ageFraction(this.#world.time) / ageStep) * ageStep;
+    if (age > 0) color = saturateHex(color, 1 - DEFAULTS.AGE_DESATURATION * age);
+
+    this.#blit(view.key, color, entity, scale, opacity);
+  }
+
+  /**
+   * Draw one sprite centred on the entity, rotated and scaled (on top of
+   * the entity's own size relative to ICON_SIZE).
+   *
+   * @param {string} key
+   * @param {string} color
+   * @param {import('./entity.js').Entity} entity
+   * @param {number} scale
+   * @param {number} opacity
+   */
+  #blit(key, color, entity, scale, opacity) {
+    const sprite = this.#sprites.get(key, color);
+    if (!sprite || scale <= 0 || opacity <= 0) return;
+
+    const ctx  = this.#ctx;
+    const half = (DEFAULTS.ICON_SIZE / 2 + SPRITE_PADDING) * scale * entity.size / DEFAULTS.ICON_SIZE;
+    const a    = entity.rotation * Math.PI / 180;
+    const cos  = Math.cos(a) * this.#dpr;
+    const sin  = Math.sin(a) * this.#dpr;
+
+    ctx.globalAlpha = opacity;
+    ctx.setTransform(cos, sin, -sin, cos, entity.x * this.#dpr, entity.y * this.#dpr);
+    ctx.drawImage(sprite, -half, -half, half * 2, half * 2);
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * clock.js
+ * SimulationClock — turns real frame time into fixed simulation steps.
+ * Pure logic — no DOM, no timers: the host calls tick() once per animation
+ * frame and runs the steps it is handed.
+ *
+ * Real elapsed time, times the time scale, goes into an accumulator; every
+ * whole PHYSICS_STEP_MS in it is one step and the remainder carries over to
+ * the next frame, so the simulation keeps the same pace on 60 Hz, 144 Hz or
+ * throttled displays.  Frame gaps longer than MAX_FRAME_MS (a background
+ * tab, a debugger pause) are clamped, not replayed.
+ *
+ * Catch-up: time the page was away (hidden or closed) can be queued with
+ * catchUp(), at most CATCH_UP_MAX_MS of it.  Until it has been made up,
+ * frames run coarse CATCH_UP_STEP_MS steps instead of their own — as many
+ * as fit in CATCH_UP_FRAME_MS of real time, so the page stays responsive.
+ */
+
+import { DEFAULTS } from './constants.js';
+
+export class SimulationClock {
+  /** Simulation ms per real ms. */
+  /** @type {number} */ #timeScale   = DEFAULTS.TIME_SCALE;
+  /** Simulation ms not yet stepped — less than one step between frames. */
+  /** @type {number} */ #accumulator = 0;
+  /** Simulation ms still to be fast-forwarded. */
+  /** @type {number} */ #catchUpLeft = 0;
+  /** Real-time source for the catch-up budget. */
+  /** @type {() => number} */ #now;
+
+  /**
+   * @param {{ now?: () => number }} [opts]
+   *   now — current real time in ms (default performance.now)
+   */
+  constructor({ now = () => performance.now() } = {}) {
+    this.#now = now;
+  }
+
+  /**
+   * Set the simulation speed relative to real time.
+   *
+   * @param {number} scale  clamped to the TIME_SCALES range
+   */
+  setTimeScale(scale) {
+    const scales = DEFAULTS.TIME_SCALES;
+    if (!Number.isFinite(scale)) return;
+    this.#timeScale = Math.min(scales.at(-1), Math.max(scales[0], scale));
+  }
+  get timeScale() { return this.#timeScale; }
+
+  /** True while missed time is still being fast-forwarded. */
+  get catchingUp() { return this.#catchUpLeft > 0; }
+
+  /**
+   * Queue missed real time for fast-forwarding, capped at CATCH_UP_MAX_MS.
+   *
+   * @param {number} awayMs
+   * @returns {number}  the real ms that will be made up
+   */
+  catchUp(awayMs) {
+    if (!(awayMs > 0)) return 0;
+    const missed = Math.min(awayMs, DEFAULTS.CATCH_UP_MAX_MS);
+    this.#catchUpLeft += missed * this.#timeScale;
+    return missed;
+  }
+
+  /** Drop whatever catch-up is still queued. */
+  cancelCatchUp() {
+    this.#catchUpLeft = 0;
+  }
+
+  /**
+   * Account for one frame and run the steps now due — catch-up steps
+   * instead while any are queued.
+   *
+   * @param {number} elapsedMs  real ms since the last frame
+   * @param {(stepMs: number) => void} step  runs one simulation step
+   * @returns {number}  steps run
+   */
+  tick(elapsedMs, step) {
+    if (this.#catchUpLeft > 0) return this.#runCatchUp(step);
+
+    const stepMs = DEFAULTS.PHYSICS_STEP_MS;
+    this.#accumulator += Math.min(elapsedMs, DEFAULTS.MAX_FRAME_MS) * this.#timeScale;
+
+    let steps = 0;
+    while (this.#accumulator >= stepMs) {
+      step(stepMs);
+      this.#accumulator -= stepMs;
+      steps++;
+    }
+    return steps;
+  }
+
+  // ── Private ────────────────────────────────────────────────
+
+  /**
+   * Spend up to CATCH_UP_FRAME_MS of real time on coarse catch-up steps.
+   *
+   * @param {(stepMs: number) => void} step
+   * @returns {number}  steps run
+   */
+  #runCatchUp(step) {
+    const until = this.#now() + DEFAULTS.CATCH_UP_FRAME_MS;
+    let steps = 0;
+    while (this.#catchUpLeft > 0 && this.#now() < until) {
+      const stepMs = Math.min(DEFAULTS.CATCH_UP_STEP_MS, this.#catchUpLeft);
+      step(stepMs);
+      this.#catchUpLeft -= stepMs;
+      steps++;
+    }
+    return steps;
+  }
+}
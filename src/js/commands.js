@@ -0,0 +1,261 @@
+/**
+ * commands.js
+ * CommandPalette — global keyboard shortcuts and a searchable list of
+ * every action (Ctrl+K / ⌘K).
+ *
+ * Controllers describe their actions as Commands (see commands() on
+ * EvolutionController, GuideController, SettingsController and
+ * ReplayController); main.js hands the palette one source function per
+ * controller, which is asked again whenever the list is needed, so titles
+ * and availability are always current.
+ *
+ * Shortcuts:
+ *  - A command with a key in DEFAULTS.SHORTCUTS runs on it anywhere on the
+ *    page — except while typing in a field, and while a modal dialog (the
+ *    settings modal or the palette) is open, whose controls keep their
+ *    keys.
+ *  - Ctrl+K / ⌘K opens the palette from anywhere, the settings modal
+ *    included; closing it puts focus back where it was.
+ *
+ * Palette: typing filters the commands with fuzzy matching (see
+ * utils/fuzzy.js); ↑ / ↓ choose, Enter or a click runs, Escape or a click
+ * outside closes.
+ */
+
+import { DEFAULTS }    from './constants.js';
+import { fuzzyFilter } from '../utils/fuzzy.js';
+
+/**
+ * @typedef {object} Command
+ * @property {string} id          unique, e.g. 'evolution.pause' — also its
+ *                                DEFAULTS.SHORTCUTS key
+ * @property {string} title       what the palette lists, e.g. "pause"
+ * @property {boolean} [disabled] listed but greyed out; the shortcut does nothing
+ * @property {() => void} run
+ */
+
+/**
+ * The shortcut a key event stands for, as written in DEFAULTS.SHORTCUTS.
+ *
+ * @param {KeyboardEvent} e
+ * @returns {string}
+ */
+function keyOf(e) {
+  if (/^[a-z]$/i.test(e.key)) return e.shiftKey ? `Shift+${e.key.toUpperCase()}` : e.key.toLowerCase();
+  return e.key;
+}
+
+/**
+ * How a shortcut is shown in the palette ("Shift+R" → "⇧R").
+ *
+ * @param {string} key
+ * @returns {string}
+ */
+function formatKey(key) {
+  return key.replace('Shift+', '⇧').toUpperCase();
+}
+
+/**
+ * True for elements that take typing.
+ *
+ * @param {Element|null} el
+ * @returns {boolean}
+ */
+function isEditable(el) {
+  return el instanceof HTMLElement
+    && (el.isContentEditable || el.matches('input, textarea, select'));
+}
+
+export class CommandPalette {
+  /** @type {Array<() => Command[]>} */ #sources = [];
+  /** @type {HTMLElement|null} */       #overlay = null;
+  /** @type {HTMLInputElement|null} */  #input   = null;
+  /** @type {HTMLElement|null} */       #list    = null;
+  /** @type {boolean} */                #open    = false;
+  /** Commands listed right now, best match first. */
+  /** @type {Command[]} */              #shown   = [];
+  /** Index into #shown of the highlighted command. */
+  /** @type {number} */                 #active  = 0;
+  /** Where focus was before the palette opened. */
+  /** @type {HTMLElement|null} */       #returnFocus = null;
+
+  /**
+   * Add a source of commands, asked whenever the list or a shortcut is
+   * looked up.
+   *
+   * @param {() => Command[]} source
+   */
+  addSource(source) {
+    this.#sources.push(source);
+  }
+
+  /** Bind the palette markup and the global key handler.  Must be called after DOM is ready. */
+  init() {
+    this.#overlay = document.getElementById('paletteOverlay');
+    this.#input   = /** @type {HTMLInputElement|null} */ (document.getElementById('paletteInput'));
+    this.#list    = document.getElementById('paletteList');
+
+    document.addEventListener('keydown', (e) => this.#onGlobalKey(e));
+
+    if (!this.#overlay || !this.#input || !this.#list) return;
+    this.#input.addEventListener('input', () => this.#filter());
+    this.#input.addEventListener('keydown', (e) => this.#onPaletteKey(e));
+    this.#overlay.addEventListener('click', (e) => {
+      // Clicks in the palette are not outside clicks for the guide panel
+      e.stopPropagation();
+      if (e.target === this.#overlay) this.close();
+    });
+  }
+
+  /** Every command from every source, in source order. */
+  get commands() {
+    return this.#sources.flatMap((source) => source());
+  }
+
+  get isOpen() { return this.#open; }
+
+  open() {
+    if (this.#open || !this.#overlay || !this.#input) return;
+    this.#open        = true;
+    this.#returnFocus = /** @type {HTMLElement|null} */ (document.activeElement);
+    this.#overlay.classList.add('palette-visible');
+    this.#overlay.setAttribute('aria-hidden', 'false');
+    this.#input.value = '';
+    this.#filter();
+    this.#input.focus();
+  }
+
+  close() {
+    if (!this.#open) return;
+    this.#open = false;
+    this.#overlay.classList.remove('palette-visible');
+    this.#overlay.setAttribute('aria-hidden', 'true');
+    this.#returnFocus?.focus();
+    this.#returnFocus = null;
+    // Nothing to go back to (the page itself had focus): don't leave it in
+    // the hidden field, where it would swallow the shortcuts
+    if (this.#overlay.contains(document.activeElement)) this.#input.blur();
+  }
+
+  // ── Private ─────────────────────────────────────────────────
+
+  /** @param {KeyboardEvent} e */
+  #onGlobalKey(e) {
+    if (e.defaultPrevented) return;
+
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+      e.preventDefault();
+      this.#open ? this.close() : this.open();
+      return;
+    }
+
+    if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+    if (isEditable(document.activeElement)) return;
+    if (document.querySelector('[aria-modal="true"][aria-hidden="false"]')) return;
+
+    const key     = keyOf(e);
+    const command = this.commands.find((c) => DEFAULTS.SHORTCUTS[c.id] === key);
+    if (!command) return;
+    e.preventDefault();
+    if (!command.disabled) command.run();
+  }
+
+  /** @param {KeyboardEvent} e */
+  #onPaletteKey(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        e.preventDefault();
+        const n = this.#shown.length;
+        if (n) this.#highlight((this.#active + (e.key === 'ArrowDown' ? 1 : n - 1)) % n);
+        break;
+      }
+      case 'Enter':
+        e.preventDefault();
+        this.#run(this.#shown[this.#active]);
+        break;
+      case 'Escape':
+        // The palette may sit above the settings modal, which closes on Escape too
+        e.preventDefault();
+        e.stopPropagation();
+        this.close();
+        break;
+      case 'Tab':
+        // Focus stays in the palette while it is open
+        e.preventDefault();
+        break;
+    }
+  }
+
+  /** Rebuild the list for the current query. */
+  #filter() {
+    const matches = fuzzyFilter(this.#input.value, this.commands, (c) => c.title);
+    this.#shown = matches.map((m) => m.item);
+
+    this.#list.replaceChildren(...matches.map(({ item, indices }, i) => {
+      const row = document.createElement('li');
+      row.className = 'palette__item';
+      row.id        = `palette-item-${i}`;
+      row.setAttribute('role', 'option');
+      row.setAttribute('aria-disabled', String(Boolean(item.disabled)));
+
+      // Title with the matched characters marked
+      const title = document.createElement('span');
+      title.className = 'palette__title';
+      const marked = new Set(indices);
+      [...item.title].forEach((ch, j) => {
+        if (marked.has(j)) {
+          const mark = document.createElement('mark');
+          mark.textContent = ch;
+          title.appendChild(mark);
+        } else {
+          title.append(ch);
+        }
+      });
+      row.appendChild(title);
+
+      const shortcut = DEFAULTS.SHORTCUTS[item.id];
+      if (shortcut) {
+        const key = document.createElement('kbd');
+        key.className   = 'palette__key';
+        key.textContent = formatKey(shortcut);
+        row.appendChild(key);
+      }
+
+      row.addEventListener('pointermove', () => this.#highlight(i));
+      row.addEventListener('click', () => this.#run(item));
+      return row;
+    }));
+
+    if (!matches.length) {
+      const empty = document.createElement('li');
+      empty.className   = 'palette__empty';
+      empty.textContent = 'no matching command';
+      this.#list.appendChild(empty);
+    }
+    this.#highlight(0);
+  }
+
+  /** @param {number} index */
+  #highlight(index) {
+    this.#active = index;
+    this.#list.querySelectorAll('.palette__item').forEach((row, i) => {
+      row.setAttribute('aria-selected', String(i === index));
+      if (i === index) row.scrollIntoView?.({ block: 'nearest' });
+    });
+    if (this.#shown.length) this.#input.setAttribute('aria-activedescendant', `palette-item-${index}`);
+    else this.#input.removeAttribute('aria-activedescendant');
+  }
+
+  /**
+   * Close the palette, then run a command — after focus is back where it
+   * was, so a command that moves focus (opening the settings) keeps it.
+   *
+   * @param {Command|undefined} command
+   */
+  #run(command) {
+    if (!command || command.disabled) return;
+    this.close();
+    command.run();
+  }
+}
@@ -14,6 +14,84 @@ export const DEFAULTS = {
   /** Clockwise rotation off by default */
   GRADIENT_ROTATION:   true,
 
+  // ── Simulation clock ───────────────────────────────────────
+  /** Fixed physics step in ms — the loop always advances in steps of this size */
+  PHYSICS_STEP_MS:     1000 / 60,
+  /** Longest real frame gap (ms) fed to the accumulator; anything longer
+   *  (background tab, debugger pause) is dropped instead of replayed */
+  MAX_FRAME_MS:          250,
+  /** Simulation speed relative to real time (separate from movement speed) */
+  TIME_SCALE:              1,
+  /** Time scales offered by the settings slider, slowest first */
+  TIME_SCALES:           [0.25, 0.5, 1, 2, 4, 8],
+
+  // ── Catch-up (time away from a hidden or closed tab) ───────
+  /** Fast-forward the missed time on return — on by default */
+  CATCH_UP:              true,
+  /** Longest stretch of missed real time that is simulated (30 min) */
+  CATCH_UP_MAX_MS:     1_800_000,
+  /** Coarser physics step used while catching up — approximate but cheap */
+  CATCH_UP_STEP_MS:      100,
+  /** Real ms per frame spent catching up, so the page stays responsive */
+  CATCH_UP_FRAME_MS:       8,
+
+  // ── Record and replay ──────────────────────────────────────
+  /** Longest recording in simulation ms (1 h); recording stops there */
+  RECORDING_MAX_MS:    3_600_000,
+  /** Replay speeds offered by the guide, slowest first */
+  REPLAY_SPEEDS:       [0.25, 0.5, 1, 2, 4, 8, 16],
+  /** Real ms per frame spent on replay steps (seeking, fast playback) */
+  REPLAY_FRAME_MS:         8,
+
+  // ── Pointer interaction ────────────────────────────────────
+  /** Extra px around an icon that still counts as touching it (finger-friendly) */
+  POINTER_PICK_SLOP:       8,
+  /** Pointer travel (px) that turns a press on an icon into a drag rather than a click */
+  POINTER_DRAG_SLOP:       4,
+  /** Real ms of pointer movement averaged into the fling (release) velocity */
+  POINTER_FLING_WINDOW_MS: 100,
+  /** Fastest fling in px/s */
+  POINTER_FLING_MAX_SPEED: 600,
+  /** Force field reach in px around the cursor */
+  POINTER_FIELD_RADIUS:    140,
+  /** Force field acceleration (px/s²) at the cursor, fading to 0 at the radius */
+  POINTER_FIELD_ACCEL:     400,
+
+  // ── Keyboard shortcuts ─────────────────────────────────────
+  /** Shortcut per command id (see commands.js): a KeyboardEvent.key, with
+   *  "Shift+" for shifted letters — best avoided, since holding Shift also
+   *  switches on the force field (pointer.js).  Ctrl+K / ⌘K opens the
+   *  command palette. */
+  SHORTCUTS: {
+    'evolution.pause':              'p',
+    'evolution.step':               '.',
+    'evolution.spawn.cell':         'c',
+    'evolution.spawn.bug':          'b',
+    'evolution.spawn.virus-filled': 'v',
+    'evolution.restart':            'r',
+    'guide.toggle':                 'g',
+    'settings.toggle':              's',
+    'settings.hitCounts':           'h',
+    'settings.slower':              '[',
+    'settings.faster':              ']',
+  },
+
+  // ── Spawn brush ────────────────────────────────────────────
+  /** Icons placed per brush stamp, as offered in the guide */
+  BRUSH_DENSITIES:       [1, 3, 6],
+  /** Drag distance (px) between two brush stamps */
+  BRUSH_SPACING:          32,
+  /** Radius (px) the icons of one stamp scatter over */
+  BRUSH_SCATTER:          20,
+
+  // ── Entity inspector ───────────────────────────────────────
+  /** Species changes an entity remembers for the inspector (the latest are kept) */
+  ENTITY_HISTORY_MAX:      8,
+  /** Gap (px) between an inspected icon's edge and the inspector popover */
+  INSPECTOR_OFFSET:       14,
+  /** ms between refreshes of the inspector's figures (it moves every frame) */
+  INSPECTOR_REFRESH_MS:  200,
+
   // ── Icon evolution ─────────────────────────────────────────
   /** Min ms before the first / next icon spawns */
   SPAWN_DELAY_MIN:     3_000,
@@ -22,27 +100,44 @@ export const DEFAULTS = {
 
   /** Final rendered icon size in px */
   ICON_SIZE:              24,
-  /** Half of ICON_SIZE — used for edge/collision math */
-  ICON_HALF:              12,
 
   /** Movement speed slider default (1–10) */
   MOVE_SPEED:              5,
-  /** Base px-per-frame at MOVE_SPEED */
-  BASE_SPEED:             0.8,
+  /** Base speed in px/s at MOVE_SPEED */
+  BASE_SPEED:              48,
   /** Hard cap: max speed = BASE_SPEED × this factor */
   MAX_SPEED_FACTOR:        2.5,
 
   /** ms for dot → full-icon grow animation */
   APPEAR_DURATION:       600,
 
-  /** Probability per frame of a random velocity "kick" (chaotic drift) */
-  DRIFT_CHANCE:           0.02,
-  /** Max |Δv| applied on each drift kick */
-  DRIFT_MAGNITUDE:        0.25,
+  // ── Page notice ────────────────────────────────────────────
+  /** How long a notice (e.g. "save could not be restored") stays up, in ms */
+  NOTICE_DURATION_MS:  12_000,
+
+  // ── Share link ─────────────────────────────────────────────
+  /** How long the "copy link" button reads "link copied", in ms */
+  COPY_FEEDBACK_MS:     2_000,
+
+  // ── Rendering ──────────────────────────────────────────────
+  /** Entity renderer: 'dom' (one node per entity) or 'canvas' (single 2D canvas) */
+  RENDERER:              'dom',
+  /** Canvas renderer: hue shifts are rounded to this many degrees so only a
+   *  bounded number of tinted sprites is ever rasterised per icon */
+  CANVAS_HUE_STEP:         15,
+
+  /** Average random velocity "kicks" per second (chaotic drift) */
+  DRIFT_RATE:             1.2,
+  /** Max |Δv| in px/s applied on each drift kick */
+  DRIFT_MAGNITUDE:         15,
 
   // ── Collisions ─────────────────────────────────────────────
-  /** Distance between centres (px) at which two entities collide (= ICON_SIZE) */
-  COLLISION_DIAMETER:     24,
+  /** Mass of icons without a `mass` in icons.json (size defaults to ICON_SIZE);
+   *  two entities collide when their centres are within the sum of their radii */
+  DEFAULT_MASS:           1,
+  /** Broad-phase grid cell size (px) — about the largest collision distance
+   *  queried (largest icon size; entity half + letter half) */
+  BROADPHASE_CELL_SIZE:   30,
 
   // ── Hit colour shift ───────────────────────────────────────
   /** Minimum hue-rotate degrees added to an entity's filter on each collision */
@@ -56,6 +151,43 @@ export const DEFAULTS = {
   /** Max number of bug entities alive simultaneously */
   BUG_MAX_COUNT:           2,
 
+  // ── Ageing ─────────────────────────────────────────────────
+  /** Saturation lost by the end of life (0.7 → an old icon is at saturate(0.3)) */
+  AGE_DESATURATION:       0.7,
+  /** Ageing visuals update in steps of this fraction of the lifespan */
+  AGE_VISUAL_STEP:        0.05,
+
+  // ── Population history (guide chart) ───────────────────────
+  /** Simulation ms between population samples at the start of a run */
+  HISTORY_SAMPLE_MS:      1_000,
+  /** Samples kept before pairs are averaged and the interval doubles */
+  HISTORY_MAX_SAMPLES:    600,
+
+  // ── Event log (guide timeline) ─────────────────────────────
+  /** Entries kept before the oldest is overwritten */
+  EVENT_LOG_LIMIT:        500,
+
+  // ── Genetics (see genome.js) ───────────────────────────────
+  /** Chance that each gene drifts when a genome is inherited */
+  MUTATION_CHANCE:        0.35,
+  /** Speed multiplier range and max drift per mutation */
+  GENE_SPEED_MIN:         0.5,
+  GENE_SPEED_MAX:         2,
+  GENE_SPEED_STEP:        0.1,
+  /** Size multiplier range and max drift per mutation */
+  GENE_SIZE_MIN:          0.7,
+  GENE_SIZE_MAX:          1.4,
+  GENE_SIZE_STEP:         0.06,
+  /** Highest chance to resist a harmful rule, and max drift per mutation */
+  GENE_RESISTANCE_MAX:    0.8,
+  GENE_RESISTANCE_STEP:   0.05,
+  /** Max drift (degrees) of the inherited hue offset per mutation */
+  GENE_HUE_STEP:          20,
+
+  // ── Reproduction ───────────────────────────────────────────
+  /** Living-entity count at which division stops and timed spawns pause */
+  CARRYING_CAPACITY:      80,
+
   // ── Virus kill ─────────────────────────────────────────────
   /** Probability that a virus contact kills the target (else it survives unaffected) */
   VIRUS_KILL_CHANCE:       0.9,
@@ -73,23 +205,25 @@ export const DEFAULTS = {
   LOGO_LETTER_HALF:           18,
   /** Centre-to-centre spacing between adjacent letter slots (px) */
   LOGO_LETTER_GAP:            32,
-  /** Word base velocity in px/frame (slow / heavy feel) */
-  LOGO_WORD_BASE_SPEED:     0.08,
+  /** Word base velocity in px/s (slow / heavy feel) */
+  LOGO_WORD_BASE_SPEED:      4.8,
   /** Min bump count before ejection threshold can be reached */
   LOGO_BUMP_THRESHOLD_MIN:   1000,
   /** Max bump count before ejection threshold */
   LOGO_BUMP_THRESHOLD_MAX:  1200,
-  /** Spring constant pulling an ejected letter back toward its slot */
-  LOGO_SPRING_K:            0.04,
-  /** Per-frame velocity damping on ejected letters (0–1) */
-  LOGO_SPRING_DAMPING:      0.88,
+  /** Spring constant (1/s²) pulling an ejected letter back toward its slot */
+  LOGO_SPRING_K:             144,
+  /** Exponential velocity drag (1/s) on ejected letters — v *= e^(−drag·dt) */
+  LOGO_SPRING_DRAG:         7.67,
   /** Distance (px) from slot centre at which a letter re-attaches */
   LOGO_REATTACH_RADIUS:       20,
-  /** Collision diameter for entity-vs-letter: entity half (12) + letter half (18) */
-  LOGO_COLLISION_DIAMETER:    30,
-  /** Max speed cap for an ejected letter in px/frame */
-  LOGO_EJECT_MAX_SPEED:      3.5,
-  /** Initial speed impulse applied to a letter on ejection */
-  LOGO_EJECT_IMPULSE:        2.2,
+  /** Max speed cap for an ejected letter in px/s */
+  LOGO_EJECT_MAX_SPEED:      210,
+  /** Initial speed impulse (px/s) applied to a letter on ejection */
+  LOGO_EJECT_IMPULSE:        132,
+  /** Space (px) kept on each side when the word is shrunk to fit a narrow world */
+  LOGO_FIT_MARGIN:            12,
+  /** Smallest letter scale the word shrinks to on very narrow screens */
+  LOGO_MIN_SCALE:            0.4,
 
 };
@@ -0,0 +1,308 @@
+/**
+ * domRenderer.js
+ * Mirrors the entities of a World as absolutely-positioned DOM nodes.
+ *
+ * The simulation itself never touches the DOM (see world.js).  Each frame
+ * EvolutionController calls render(), which creates a view for every new
+ * entity, writes positions and hue filters, and drops views whose entity
+ * has left the world.  One-off visual effects are driven by world events:
+ *  - 'hit'       — brief scale-punch flash.
+ *  - 'transform' — collapse, swap SVG, re-expand as the new form.
+ *  - 'die'       — light-red tint; the dark-grayscale fade follows after
+ *                  KILL_FADE_MS of simulation time.
+ *
+ * Ageing is shown continuously: icons lose up to AGE_DESATURATION of their
+ * saturation over their lifespan (in AGE_VISUAL_STEP increments).
+ *
+ * DOM structure:
+ *  <div class="icon-entity">          ← position + rotation via JS transform
+ *    <div class="icon-entity__body">  ← scale animation via CSS transition
+ *      <svg>…</svg>                   ← injected SVG, sized by CSS
+ *    </div>
+ *  </div>
+ *
+ * Separating the position element from the scale element avoids any
+ * conflict between JS-driven transform updates and CSS transitions.
+ */
+
+import { loadIcon }  from './iconLoader.js';
+import { DEFAULTS }  from './constants.js';
+
+/**
+ * CSS filter for an entity's hue (hits + hue gene) and an age desaturation.
+ *
+ * @param {number} hueShift    degrees
+ * @param {number} saturation  1 = young, lower = older
+ * @returns {string}
+ */
+function entityFilter(hueShift, saturation) {
+  if (!hueShift && saturation >= 1) return '';
+  const hue = hueShift ? `hue-rotate(${hueShift}deg) ` : '';
+  const sat = saturation < 1 ? `saturate(${saturation}) ` : '';
+  return `${hue}${sat}drop-shadow(0 1px 6px rgba(0,0,0,0.35))`;
+}
+
+/**
+ * Saturation shown for an entity's age, quantised to AGE_VISUAL_STEP so the
+ * filter only changes a handful of times per lifetime.
+ *
+ * @param {import('./entity.js').Entity} entity
+ * @param {number} time  simulation time (ms)
+ * @returns {number}
+ */
+function ageSaturation(entity, time) {
+  const step = DEFAULTS.AGE_VISUAL_STEP;
+  const age  = Math.floor(entity.ageFraction(time) / step) * step;
+  return +(1 - DEFAULTS.AGE_DESATURATION * age).toFixed(3);
+}
+
+/** DOM view of a single Entity. */
+class EntityView {
+  /** @type {import('./entity.js').Entity} */ entity;
+
+  /** @type {HTMLElement|null} */ el     = null;
+  /** @type {HTMLElement|null} */ bodyEl = null;
+
+  /** Hue shift and saturation last written to the filter, to skip redundant style writes. */
+  /** @type {number} */  #shownHue     = 0;
+  /** @type {number} */  #shownSat     = 1;
+  /** Size (px) last written to --entity-size. */
+  /** @type {number} */  #shownSize    = 0;
+  /** @type {boolean} */ #transforming = false;
+  /** @type {boolean} */ #fading       = false;
+
+  /** @param {import('./entity.js').Entity} entity */
+  constructor(entity) {
+    this.entity = entity;
+  }
+
+  /**
+   * Build the DOM element, fetch the SVG, attach to container.
+   * Triggers the dot → icon appear animation after mount.
+   *
+   * @param {HTMLElement} container
+   * @param {number} time  current simulation time (ms)
+   */
+  async mount(container, time) {
+    // Outer div: physics position handle
+    this.el = document.createElement('div');
+    this.el.className = 'icon-entity';
+
+    // Inner div: CSS scale transition target
+    this.bodyEl = document.createElement('div');
+    this.bodyEl.className = 'icon-entity__body';
+    this.bodyEl.dataset.state = 'spawning';
+
+    // Inject SVG — the entity may have changed species while loading, so
+    // keep fetching until the markup matches its current icon
+    try {
+      let key;
+      do {
+        key = this.entity.entityKey;
+        this.bodyEl.innerHTML = await loadIcon(key);
+      } while (key !== this.entity.entityKey);
+    } catch (err) {
+      console.warn(`[DomRenderer] Could not load icon "${this.entity.entityKey}":`, err);
+      return;
+    }
+
+    // Removed before the SVG arrived — nothing to show
+    if (!this.bodyEl) return;
+
+    this.el.appendChild(this.bodyEl);
+    container.appendChild(this.el);
+
+    // Set initial colour, any hue and age already accumulated, and position
+    this.el.style.color = this.entity.dying ? DEFAULTS.KILL_FADE_COLOR : this.entity.color;
+    this.sync(time);
+
+    // Two rAF ticks ensure the browser has painted the spawning state
+    // before adding the 'alive' class, guaranteeing the CSS transition fires.
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        if (this.bodyEl) this.bodyEl.dataset.state = 'alive';
+      });
+    });
+  }
+
+  /**
+   * Write position, rotation, size, hue and age to the DOM.
+   * Using transform keeps this on the compositor thread (no layout).
+   * Offset by half the size so (x, y) is the icon's centre point.
+   * rotate() is applied after translate so it spins the icon around
+   * its own centre, independent of its screen position.
+   *
+   * @param {number} time  current simulation time (ms)
+   */
+  sync(time) {
+    if (!this.el || !this.bodyEl) return;
+    const { x, y, rotation, size, hue, dying } = this.entity;
+    const h = size / 2;
+    this.el.style.transform = `translate(${x - h}px, ${y - h}px) rotate(${rotation}deg)`;
+
+    // Size only changes on a species change
+    if (size !== this.#shownSize) {
+      this.#shownSize = size;
+      this.el.style.setProperty('--entity-size', `${size}px`);
+    }
+    if (dying) return;
+
+    const saturation = ageSaturation(this.entity, time);
+    if (hue !== this.#shownHue || saturation !== this.#shownSat) {
+      this.#shownHue = hue;
+      this.#shownSat = saturation;
+      this.bodyEl.style.filter = entityFilter(hue, saturation);
+    }
+  }
+
+  /** Brief scale-punch animation signalling an impact. */
+  flash() {
+    if (!this.bodyEl || this.entity.dying) return;
+    // Flash animation — class removed after its duration
+    this.bodyEl.classList.remove('icon-entity__body--hit'); // reset if mid-anim
+    void this.bodyEl.offsetWidth;                            // force reflow
+    this.bodyEl.classList.add('icon-entity__body--hit');
+    setTimeout(() => this.bodyEl?.classList.remove('icon-entity__body--hit'), 350);
+  }
+
+  /**
+   * Animate a species change: collapse the current icon, swap the SVG while
+   * it is small, then expand the new form with the standard appear animation.
+   */
+  async transform() {
+    // Not on screen yet (or already animating) — mount() / the running
+    // animation will pick up the current icon
+    if (!this.el?.isConnected || this.#transforming) return;
+    this.#transforming = true;
+
+    try {
+      // Pre-fetch the new SVG (likely cached) before touching the DOM
+      let key = this.entity.entityKey;
+      let svg = await loadIcon(key);
+      if (!this.bodyEl || this.entity.dying) return;
+
+      // Collapse current icon — CSS transition: scale 0.6s spring
+      this.bodyEl.dataset.state = 'spawning';
+
+      // Wait ~300 ms — at this point the entity is visibly shrinking.
+      // Swap the SVG content while it's small and hard to see.
+      await new Promise(r => setTimeout(r, 300));
+      if (!this.bodyEl || this.entity.dying) return;
+
+      // Species changed again meanwhile — show the latest one
+      if (key !== this.entity.entityKey) {
+        key = this.entity.entityKey;
+        svg = await loadIcon(key);
+        if (!this.bodyEl || this.entity.dying) return;
+      }
+
+      this.bodyEl.innerHTML = svg;
+      this.el.style.color = this.entity.color;
+      // clear the old form's hue-rotate (keep hits taken while collapsing);
+      // the new form starts young, so the next sync() resets its age
+      this.#shownHue = this.entity.hue;
+      this.#shownSat = 1;
+      this.bodyEl.style.filter = entityFilter(this.entity.hue, 1);
+
+      // Two rAF ticks guarantee the 'spawning' state was painted
+      // before switching to 'alive', so the expand transition fires.
+      requestAnimationFrame(() => {
+        requestAnimationFrame(() => {
+          if (this.bodyEl) this.bodyEl.dataset.state = 'alive';
+        });
+      });
+    } catch (err) {
+      console.warn('[DomRenderer] transform failed:', err);
+      if (this.bodyEl) this.bodyEl.dataset.state = 'alive';
+    } finally {
+      this.#transforming = false;
+    }
+  }
+
+  /** Phase 1 of the slow death: light-red tint, hit filter cleared. */
+  die() {
+    if (!this.el || !this.bodyEl) return;
+    this.el.style.color = DEFAULTS.KILL_FADE_COLOR;
+    this.bodyEl.style.filter = '';
+    this.bodyEl.classList.remove('icon-entity__body--hit');
+  }
+
+  /** Phase 2 of the slow death: dark-grayscale fade (CSS class). */
+  fade() {
+    if (this.#fading || !this.bodyEl) return;
+    this.#fading = true;
+    this.bodyEl.classList.add('icon-entity__body--dying');
+  }
+
+  /** Remove this view from the DOM. */
+  destroy() {
+    this.el?.remove();
+    this.el     = null;
+    this.bodyEl = null;
+  }
+}
+
+export class DomRenderer {
+  /** @type {HTMLElement} */                                   #container;
+  /** @type {import('./world.js').World} */                    #world;
+  /** @type {Map<import('./entity.js').Entity, EntityView>} */ #views = new Map();
+  /** @type {Array<() => void>} */                             #unsubscribe = [];
+
+  /**
+   * @param {HTMLElement} container  All entity DOM nodes are appended here.
+   * @param {import('./world.js').World} world
+   */
+  constructor(container, world) {
+    this.#container = container;
+    this.#world     = world;
+
+    this.#unsubscribe = [
+      world.on('hit',       ({ entity }) => this.#views.get(entity)?.flash()),
+      world.on('transform', ({ entity }) => this.#views.get(entity)?.transform()),
+      world.on('die',       ({ entity }) => this.#views.get(entity)?.die()),
+      world.on('remove',    ({ entity }) => this.#drop(entity)),
+    ];
+  }
+
+  /**
+   * Bring the DOM in line with the world — call once per animation frame,
+   * after the physics steps for that frame.
+   */
+  render() {
+    const world = this.#world;
+    const live  = new Set(world.entities);
+
+    // Views whose entity left the world without a 'remove' event (clear / restore)
+    for (const entity of this.#views.keys()) {
+      if (!live.has(entity)) this.#drop(entity);
+    }
+
+    for (const entity of world.entities) {
+      let view = this.#views.get(entity);
+      if (!view) {
+        view = new EntityView(entity);
+        this.#views.set(entity, view);
+        view.mount(this.#container, world.time);
+        continue;
+      }
+      view.sync(world.time);
+      if (entity.dying && world.time - entity.diedAt >= DEFAULTS.KILL_FADE_MS) view.fade();
+    }
+  }
+
+  /** Stop listening to the world and remove every view from the DOM. */
+  destroy() {
+    this.#unsubscribe.forEach(fn => fn());
+    this.#unsubscribe = [];
+    for (const view of this.#views.values()) view.destroy();
+    this.#views.clear();
+  }
+
+  // ── Private ────────────────────────────────────────────────
+
+  /** @param {import('./entity.js').Entity} entity */
+  #drop(entity) {
+    this.#views.get(entity)?.destroy();
+    this.#views.delete(entity);
+  }
+}
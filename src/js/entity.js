@@ -1,32 +1,58 @@
 /**
  * entity.js
- * A single icon living on screen — owns its own physics state and DOM node.
+ * A single icon living in the simulation — owns its physics and species
+ * state only.  No DOM: a renderer (see domRenderer.js) mirrors each Entity
+ * on screen, so the same class runs headless in Node.
  *
  * Physics model:
- *  - Constant velocity with small random "drift kicks" each frame for
- *    organic, chaotic-feeling motion (not perfectly straight lines).
+ *  - Velocities are in px/s and advanced by a fixed timestep (dt, seconds)
+ *    so motion is identical on every display refresh rate.
+ *  - Constant velocity with small random "drift kicks" (DRIFT_RATE per
+ *    second) for organic, chaotic-feeling motion (not perfectly straight lines).
  *  - Edge detection: velocity component is reflected (±abs) on contact,
- *    ensuring the bounce always sends the icon back into the viewport.
+ *    ensuring the bounce always sends the icon back into the world bounds.
  *  - Rotation: each entity spawns with a fixed random orientation (0–360°).
  *
- * Collision response (handled by EvolutionController):
- *  - onHit()       — colour-shifts the icon via hue-rotate filter + flash anim.
- *  - infectWith()  — async; collapses the icon, swaps SVG, re-expands as new form.
- *  - die()         — slow death: light-red flash → dark-grayscale fade → destroy.
+ * Collision response (driven by World):
+ *  - onHit()       — shifts the accumulated hue by a random step and counts
+ *                    the collision toward the next division.
+ *  - infectWith()  — switches species immediately; the renderer animates it.
+ *  - die()         — starts the slow death; World removes the entity once
+ *                    KILL_DEATH_DURATION of simulation time has passed.
  *
- * DOM structure:
- *  <div class="icon-entity">          ← position + rotation via JS transform
- *    <div class="icon-entity__body">  ← scale animation via CSS transition
- *      <svg>…</svg>                   ← injected SVG, sized by CSS
- *    </div>
- *  </div>
+ * Ageing: World stamps bornAt and a lifespan rolled from the icon type's
+ * `lifespan` range in icons.json; once the lifespan has elapsed the entity
+ * dies of old age through the same die() sequence.
  *
- * Separating the position element from the scale element avoids any
- * conflict between JS-driven transform updates and CSS transitions.
+ * Genetics: `genome` holds the heritable traits (see genome.js).  The speed
+ * gene scales movement here; World applies the size gene to `size`/`mass`
+ * and the resistance gene to rule outcomes; renderers add the hue gene.
+ *
+ * History (for the inspector): lifetime collisions, the species changes it
+ * went through and its lineage — the parent it divided from, its
+ * generation and its daughters.  World fills these in and saves them.
+ *
+ * Pinning: a pinned entity stays where it is — update() leaves it alone
+ * and World makes it an immovable obstacle in collisions.  Its velocity is
+ * kept for when it is let go.
+ *
+ * All randomness comes from the injected Random so a seeded run is
+ * reproducible.
  */
 
-import { loadIcon }  from './iconLoader.js';
-import { DEFAULTS }  from './constants.js';
+import { DEFAULTS }      from './constants.js';
+import { defaultGenome } from './genome.js';
+
+/**
+ * @typedef {object} SpeciesChange
+ * @property {number} time            simulation ms
+ * @property {string} from            icon before
+ * @property {string} into            icon after
+ * @property {'transform'|'cure'} outcome
+ * @property {boolean} fallback       a rule's `otherwise` (a mutation)
+ * @property {string|null} by         icon of the entity that did it, null
+ *                                    when cured from the inspector
+ */
 
 export class Entity {
   // ── Physics ──────────────────────────────────────────────
@@ -36,10 +62,25 @@ export class Entity {
   /** @type {number} */ vy;
   /** Fixed spawn orientation in degrees (0–360) */
   /** @type {number} */ rotation;
+  /** Drawn size and collision diameter in px — from icons.json `size`. */
+  /** @type {number} */ size = DEFAULTS.ICON_SIZE;
+  /** Collision weight — from icons.json `mass`. */
+  /** @type {number} */ mass = DEFAULTS.DEFAULT_MASS;
+  /** Held by the pointer — World moves it, update() leaves it alone. */
+  /** @type {boolean} */ held = false;
+  /** Pinned in place from the inspector (see the module comment). */
+  /** @type {boolean} */ pinned = false;
+
+  // ── Genetics ─────────────────────────────────────────────
+  /** Heritable traits — replaced (never mutated in place) by World. */
+  /** @type {import('./genome.js').Genome} */ genome = defaultGenome();
 
   // ── Identity ─────────────────────────────────────────────
+  /** Unique within its World, kept across saves — assigned by World. */
+  /** @type {number} */  id = 0;
   /** The current icon name — changes on infection. */
   /** @type {string} */  entityKey;
+  /** The icon it was born as — what a cure from the inspector brings back. */
   /** @type {string} */  name;
   /** @type {string} */  type;
   /** @type {string} */  color;
@@ -48,100 +89,94 @@ export class Entity {
   // ── Visual state ──────────────────────────────────────────
   /** Accumulated hue-rotate offset (degrees). Increases on each hit. */
   /** @type {number} */ hueShift = 0;
-
-  // ── DOM ───────────────────────────────────────────────────
-  /** @type {HTMLElement|null} */ el     = null;
-  /** @type {HTMLElement|null} */ bodyEl = null;
+  /** Simulation time (ms) the death sequence started, null while healthy. */
+  /** @type {number|null} */ diedAt = null;
+  /** Why the entity died: 'natural' (old age) or 'violent' (killed). */
+  /** @type {'natural'|'violent'|null} */ deathCause = null;
+
+  // ── Ageing ───────────────────────────────────────────────
+  /** Simulation time (ms) of birth (or of turning into the current species). */
+  /** @type {number} */ bornAt   = 0;
+  /** Lifespan in ms — Infinity for species without a `lifespan` range. */
+  /** @type {number} */ lifespan = Infinity;
+
+  // ── Reproduction ─────────────────────────────────────────
+  /** Simulation time (ms) of birth or the last division — set by World. */
+  /** @type {number} */ lastDivisionAt    = 0;
+  /** Collisions taken since birth or the last division. */
+  /** @type {number} */ hitsSinceDivision = 0;
+
+  // ── History ──────────────────────────────────────────────
+  /** Collisions taken over its whole life. */
+  /** @type {number} */ hits = 0;
+  /** Species changes, oldest first — at most ENTITY_HISTORY_MAX, set by World. */
+  /** @type {SpeciesChange[]} */ infections = [];
+  /** id of the entity it divided off from, null when it was spawned. */
+  /** @type {number|null} */ parentId = null;
+  /** Divisions between it and its spawned ancestor (0 when spawned). */
+  /** @type {number} */ generation = 0;
+  /** Daughters it has divided off. */
+  /** @type {number} */ offspring = 0;
 
   // ── Private ───────────────────────────────────────────────
+  /** Changed species once already — only a forced change may follow. */
   /** @type {boolean} */ #infected = false;
-  /** @type {boolean} */ #dying    = false;
+  /** @type {import('../utils/random.js').Random} */ #random;
 
   /**
-   * @param {{ name: string, type: string, color: string,
+   * @param {{ id?: number, name: string, type: string, color: string,
    *           x: number, y: number, vx: number, vy: number,
-   *           rotation?: number }} config
+   *           rotation?: number, size?: number, mass?: number,
+   *           genome?: import('./genome.js').Genome, infected?: boolean,
+   *           random: import('../utils/random.js').Random }} config
    */
-  constructor({ name, type, color, x, y, vx, vy, rotation }) {
+  constructor({ id, name, type, color, x, y, vx, vy, rotation, size, mass, genome, infected, random }) {
+    if (id !== undefined) this.id = id;
     this.name      = name;
     this.entityKey = name;
     this.type      = type;
     this.color     = color;
     this.x  = x;   this.y  = y;
     this.vx = vx;  this.vy = vy;
-    this.rotation = rotation !== undefined ? rotation : Math.random() * 360;
+    if (size !== undefined) this.size = size;
+    if (mass !== undefined) this.mass = mass;
+    if (genome)             this.genome = genome;
+    this.#infected = infected === true;
+    this.#random  = random;
+    this.rotation = rotation !== undefined ? rotation : random.next() * 360;
   }
 
   // ── Public API ─────────────────────────────────────────────
 
   /**
-   * Build the DOM element, fetch the SVG, attach to container.
-   * Triggers the dot → icon appear animation after mount.
-   *
-   * @param {HTMLElement} container
-   */
-  async mount(container) {
-    // Outer div: physics position handle
-    this.el = document.createElement('div');
-    this.el.className = 'icon-entity';
-
-    // Inner div: CSS scale transition target
-    this.bodyEl = document.createElement('div');
-    this.bodyEl.className = 'icon-entity__body';
-    this.bodyEl.dataset.state = 'spawning';
-
-    // Inject SVG
-    try {
-      this.bodyEl.innerHTML = await loadIcon(this.name);
-    } catch (err) {
-      console.warn(`[Entity] Could not load icon "${this.name}":`, err);
-      this.alive = false;
-      return;
-    }
-
-    this.el.appendChild(this.bodyEl);
-    container.appendChild(this.el);
-
-    // Set initial colour and position
-    this.el.style.color = this.color;
-    this._applyTransform();
-
-    // Two rAF ticks ensure the browser has painted the spawning state
-    // before adding the 'alive' class, guaranteeing the CSS transition fires.
-    requestAnimationFrame(() => {
-      requestAnimationFrame(() => {
-        if (this.bodyEl) this.bodyEl.dataset.state = 'alive';
-      });
-    });
-  }
-
-  /**
-   * Advance physics by one frame.
-   * Call this inside your rAF loop.
+   * Advance physics by one fixed step.
+   * Called by World.step().
    *
    * @param {number} speedMultiplier  scales BASE_SPEED (e.g. slider / 5)
+   * @param {number} dt               step length in seconds
+   * @param {number} width            world width in px
+   * @param {number} height           world height in px
    */
-  update(speedMultiplier) {
-    if (!this.el || !this.alive || this.#dying) return;
+  update(speedMultiplier, dt, width, height) {
+    if (!this.alive || this.dying || this.held || this.pinned) return;
 
-    // Move
-    this.x += this.vx * speedMultiplier;
-    this.y += this.vy * speedMultiplier;
+    // Move — the speed gene scales how far the velocity carries it
+    const k = speedMultiplier * this.genome.speed * dt;
+    this.x += this.vx * k;
+    this.y += this.vy * k;
 
-    // Bounce off viewport edges
-    const { ICON_HALF: h } = DEFAULTS;
-    const vw = window.innerWidth;
-    const vh = window.innerHeight;
+    // Bounce off world edges
+    const h = this.size / 2;
 
-    if (this.x - h <= 0)   { this.x = h;      this.vx =  Math.abs(this.vx); }
-    if (this.x + h >= vw)  { this.x = vw - h; this.vx = -Math.abs(this.vx); }
-    if (this.y - h <= 0)   { this.y = h;      this.vy =  Math.abs(this.vy); }
-    if (this.y + h >= vh)  { this.y = vh - h; this.vy = -Math.abs(this.vy); }
+    if (this.x - h <= 0)      { this.x = h;          this.vx =  Math.abs(this.vx); }
+    if (this.x + h >= width)  { this.x = width - h;  this.vx = -Math.abs(this.vx); }
+    if (this.y - h <= 0)      { this.y = h;          this.vy =  Math.abs(this.vy); }
+    if (this.y + h >= height) { this.y = height - h; this.vy = -Math.abs(this.vy); }
 
-    // Chaotic drift: small random velocity kick, applied with low probability
-    if (Math.random() < DEFAULTS.DRIFT_CHANCE) {
-      this.vx += (Math.random() - 0.5) * DEFAULTS.DRIFT_MAGNITUDE;
-      this.vy += (Math.random() - 0.5) * DEFAULTS.DRIFT_MAGNITUDE;
+    // Chaotic drift: small random velocity kick, DRIFT_RATE times a second on average
+    if (this.#random.next() < DEFAULTS.DRIFT_RATE * dt) {
+      this.vx += (this.#random.next() - 0.5) * DEFAULTS.DRIFT_MAGNITUDE;
+      this.vy += (this.#random.next() - 0.5) * DEFAULTS.DRIFT_MAGNITUDE;
 
       // Clamp to max speed so drift can't accelerate indefinitely
       const spd = Math.hypot(this.vx, this.vy);
@@ -151,135 +186,85 @@ export class Entity {
         this.vy = (this.vy / spd) * max;
       }
     }
-
-    this._applyTransform();
   }
 
   /**
    * React to a physical collision with another entity.
-   * Shifts the hue-rotate filter by a random step and plays a brief
-   * scale-punch animation to signal the impact.
+   * Shifts the accumulated hue by a random step; the renderer shows it as a
+   * hue-rotate filter plus a brief scale-punch.
+   *
+   * @returns {boolean}  false when the entity can no longer be hit
    */
   onHit() {
-    if (!this.bodyEl || !this.alive || this.#dying) return;
-    const shift = DEFAULTS.HIT_HUE_MIN + Math.floor(Math.random() * DEFAULTS.HIT_HUE_RANGE);
+    if (!this.alive || this.dying) return false;
+    const shift = DEFAULTS.HIT_HUE_MIN + Math.floor(this.#random.next() * DEFAULTS.HIT_HUE_RANGE);
     this.hueShift = (this.hueShift + shift) % 360;
-    this.bodyEl.style.filter =
-      `hue-rotate(${this.hueShift}deg) drop-shadow(0 1px 6px rgba(0,0,0,0.35))`;
-    // Flash animation — class removed after its duration
-    this.bodyEl.classList.remove('icon-entity__body--hit'); // reset if mid-anim
-    void this.bodyEl.offsetWidth;                            // force reflow
-    this.bodyEl.classList.add('icon-entity__body--hit');
-    setTimeout(() => this.bodyEl?.classList.remove('icon-entity__body--hit'), 350);
+    this.hitsSinceDivision++;
+    this.hits++;
+    return true;
   }
 
+  /** Hue offset to draw with: hits taken plus the inherited hue gene. */
+  get hue() { return this.hueShift + this.genome.hue; }
+
   /** True while the entity is in its slow-death sequence. */
-  get dying() { return this.#dying; }
+  get dying() { return this.diedAt !== null; }
+
+  /** True once it has changed species (see infectWith()). */
+  get infected() { return this.#infected; }
 
   /**
-   * Begin a slow death sequence triggered by a virus contact.
+   * How far through its lifespan the entity is.
    *
-   * Phase 1 (immediate): entity stops moving, colour changes to light red.
-   * Phase 2 (+KILL_FADE_MS): grayscale-dark CSS class fades the icon out.
-   * Phase 3 (+KILL_DEATH_DURATION): entity is removed from the DOM.
+   * @param {number} time  current simulation time (ms)
+   * @returns {number}  0 (newborn or immortal) … 1 (end of life)
    */
-  die() {
-    if (this.#dying || !this.bodyEl || !this.alive) return;
-    this.#dying = true;
+  ageFraction(time) {
+    if (!Number.isFinite(this.lifespan) || this.lifespan <= 0) return 0;
+    return Math.min(1, Math.max(0, (time - this.bornAt) / this.lifespan));
+  }
+
+  /**
+   * Begin a slow death sequence — a virus kill or old age.
+   * The entity freezes in place; World removes it after KILL_DEATH_DURATION.
+   *
+   * @param {number} time  current simulation time (ms)
+   * @param {'natural'|'violent'} [cause='violent']
+   * @returns {boolean}  true when the death sequence actually started
+   */
+  die(time, cause = 'violent') {
+    if (this.dying || !this.alive) return false;
+    this.diedAt     = time;
+    this.deathCause = cause;
 
     // Freeze movement
     this.vx = 0;
     this.vy = 0;
-
-    // Phase 1: light-red flash — clear any hit filter so CSS class takes over
-    this.el.style.color = DEFAULTS.KILL_FADE_COLOR;
     this.hueShift = 0;
-    this.bodyEl.style.filter = '';
-    this.bodyEl.classList.remove('icon-entity__body--hit');
-
-    // Phase 2: grayscale dark fade
-    setTimeout(() => {
-      if (this.bodyEl) this.bodyEl.classList.add('icon-entity__body--dying');
-    }, DEFAULTS.KILL_FADE_MS);
-
-    // Phase 3: remove from DOM — EvolutionController cleans up entity array each tick
-    setTimeout(() => this.destroy(), DEFAULTS.KILL_DEATH_DURATION);
+    return true;
   }
 
   /**
    * Transform this entity into another icon (infection mechanic).
-   * Pre-fetches the new SVG, collapses the current icon, swaps content,
-   * then expands the new icon using the standard appear animation.
+   * The species switch is immediate; renderers animate the swap.
    *
-   * @param {string} iconName  Key of the SVG to transform into (e.g. 'virus-filled')
+   * @param {string} iconName  Key of the icon to transform into (e.g. 'virus-filled')
    * @param {string} color     CSS colour string for the new icon tint
+   * @param {{ force?: boolean }} [opts]  force:true bypasses the one-infection guard (used for bug cure)
+   * @returns {boolean}  true when the entity changed species
    */
-  /**
-   * @param {string} iconName
-   * @param {string} color
-   * @param {{ force?: boolean }} [opts]  force:true bypasses the #infected guard (used for bug cure)
-   */
-  async infectWith(iconName, color, { force = false } = {}) {
-    if (this.#dying || !this.bodyEl || !this.alive) return;
-    if (!force && this.#infected) return;
+  infectWith(iconName, color, { force = false } = {}) {
+    if (this.dying || !this.alive) return false;
+    if (!force && this.#infected) return false;
     this.#infected = true;
     this.entityKey = iconName;
-
-    try {
-      // Pre-fetch the new SVG (likely cached) before touching the DOM
-      const svg = await loadIcon(iconName);
-      if (!this.bodyEl || !this.alive) return;
-
-      // Collapse current icon — CSS transition: scale 0.6s spring
-      this.bodyEl.dataset.state = 'spawning';
-
-      // Wait ~300 ms — at this point the entity is visibly shrinking.
-      // Swap the SVG content while it's small and hard to see.
-      await new Promise(r => setTimeout(r, 300));
-      if (!this.bodyEl || !this.alive) return;
-
-      this.bodyEl.innerHTML = svg;
-      this.color = color;
-      this.el.style.color = color;
-      this.hueShift = 0;
-      this.bodyEl.style.filter = '';  // clear any hit hue-rotate
-
-      // Two rAF ticks guarantee the 'spawning' state was painted
-      // before switching to 'alive', so the expand transition fires.
-      requestAnimationFrame(() => {
-        requestAnimationFrame(() => {
-          if (this.bodyEl) this.bodyEl.dataset.state = 'alive';
-        });
-      });
-    } catch (err) {
-      console.warn('[Entity] infectWith failed:', err);
-      this.#infected = false;
-      this.entityKey = this.name; // revert
-      if (this.bodyEl) this.bodyEl.dataset.state = 'alive';
-    }
+    this.color     = color;
+    this.hueShift  = 0;
+    return true;
   }
 
-  /** Remove this entity from the DOM and mark it as dead. */
+  /** Mark this entity as dead; World drops it on the next step. */
   destroy() {
     this.alive = false;
-    this.el?.remove();
-    this.el     = null;
-    this.bodyEl = null;
-  }
-
-  // ── Private ────────────────────────────────────────────────
-
-  /**
-   * Write the current (x, y) position and fixed rotation to the DOM.
-   * Using transform keeps this on the compositor thread (no layout).
-   * Offset by ICON_HALF so (x, y) is the icon's centre point.
-   * rotate() is applied after translate so it spins the icon around
-   * its own centre, independent of its screen position.
-   */
-  _applyTransform() {
-    if (!this.el) return;
-    const { ICON_HALF: h } = DEFAULTS;
-    this.el.style.transform =
-      `translate(${this.x - h}px, ${this.y - h}px) rotate(${this.rotation}deg)`;
   }
 }
@@ -0,0 +1,87 @@
+/**
+ * eventLog.js
+ * Fixed-size log of notable simulation events, for the guide's timeline.
+ * Pure data logic — no DOM.
+ *
+ * Entries live in a ring buffer of EVENT_LOG_LIMIT slots: once it is full
+ * each new entry overwrites the oldest, so a page left open for days keeps
+ * a constant memory footprint.  `latest` lets a view tell cheaply whether
+ * anything changed since it last drew.
+ */
+
+import { DEFAULTS } from './constants.js';
+
+/** Every entry type, in the order the guide lists its filters. */
+export const EVENT_TYPES = ['infection', 'cure', 'mutation', 'kill', 'eject', 'reattach'];
+
+/**
+ * @typedef {object} LogEntry
+ * @property {number}   seq   1-based running number (since the last clear)
+ * @property {number}   time  simulation time (ms)
+ * @property {string}   type  one of EVENT_TYPES
+ * @property {number[]} ids   entity ids involved (actor first); empty for letters
+ * @property {number}   x     where it happened (world px)
+ * @property {number}   y
+ * @property {string}   text  one-line description
+ */
+
+export class EventLog {
+  /** @type {(LogEntry|undefined)[]} */ #buffer;
+  /** Index the next entry is written to. */
+  /** @type {number} */                  #head     = 0;
+  /** @type {number} */                  #recorded = 0;
+
+  /** @param {number} [limit=DEFAULTS.EVENT_LOG_LIMIT]  entries kept */
+  constructor(limit = DEFAULTS.EVENT_LOG_LIMIT) {
+    this.#buffer = new Array(Math.max(1, limit));
+  }
+
+  /** Entries added since the last clear, including overwritten ones. */
+  get recorded() { return this.#recorded; }
+
+  /** The newest entry, or null when the log is empty. */
+  get latest() {
+    if (!this.#recorded) return null;
+    return this.#buffer[(this.#head - 1 + this.#buffer.length) % this.#buffer.length];
+  }
+
+  /** Entries currently held (at most the limit). */
+  get size() { return Math.min(this.#recorded, this.#buffer.length); }
+
+  /**
+   * Add an entry, overwriting the oldest when the buffer is full.
+   *
+   * @param {Omit<LogEntry, 'seq'>} entry
+   * @returns {LogEntry}
+   */
+  record(entry) {
+    const stored = { seq: ++this.#recorded, ...entry };
+    this.#buffer[this.#head] = stored;
+    this.#head = (this.#head + 1) % this.#buffer.length;
+    return stored;
+  }
+
+  /**
+   * Held entries, oldest first, optionally limited to some types.
+   *
+   * @param {Set<string>|null} [types=null]  null = every type
+   * @returns {LogEntry[]}
+   */
+  entries(types = null) {
+    const size  = this.size;
+    const start = (this.#head - size + this.#buffer.length) % this.#buffer.length;
+    const out   = [];
+    for (let i = 0; i < size; i++) {
+      const entry = this.#buffer[(start + i) % this.#buffer.length];
+      if (!types || types.has(entry.type)) out.push(entry);
+    }
+    return out;
+  }
+
+  /** Drop every entry and restart the running number. */
+  clear() {
+    this.#buffer.fill(undefined);
+    this.#head     = 0;
+    this.#recorded = 0;
+  }
+}
@@ -1,82 +1,198 @@
 /**
  * evolution.js
- * Orchestrates the icon evolution system:
+ * Browser host for the icon evolution simulation.
  *
- *  1. Spawning — after a random interval (SPAWN_DELAY_MIN … SPAWN_DELAY_MAX),
- *     an icon appears at a random viewport position.  Most spawns produce the
- *     "initial" icon (cell); with rareChance probability the rare
- *     "bug" icon spawns instead.
+ * The simulation itself — spawning, movement, spatial-hash collisions,
+ * icons.json rules, the logo word — lives in the DOM-free World (world.js).
+ * This controller supplies what only a browser has:
  *
- *  2. Physics loop — a single rAF loop drives all live entities each frame.
- *     After every position update, entity pairs are checked for collisions.
+ *  1. Data — fetches icons.json and warms the SVG cache.
  *
- *  3. Collision response — overlapping entities receive an elastic velocity
- *     impulse (equal-mass reflection), are pushed apart, and both call onHit()
- *     to shift their hue colour.  If a "bug" entity collides with a non-immune
- *     entity, the target is infected and transforms into "virus-filled".
+ *  2. Loop — a single rAF loop hands real elapsed time to a
+ *     SimulationClock (see clock.js), which multiplies it by the time scale
+ *     (0.25×–8×), feeds a fixed-timestep accumulator and calls world.step()
+ *     for every PHYSICS_STEP_MS, so the simulation runs at the same pace on
+ *     60 Hz, 144 Hz or throttled displays.  After the steps,
+ *     the entity renderer (DomRenderer by default, CanvasRenderer when
+ *     selected in settings) and the LogoController, once wired in, draw the
+ *     frame.  pause() stops feeding time in — physics, spawning, deaths and
+ *     the uptime counter all freeze while frames keep drawing — and
+ *     stepOnce() then advances exactly one physics step.
  *
- *  4. Speed control — setMoveSpeed(1–10) scales entity velocity in real time.
+ *     The loop also pauses while the tab is hidden.  On return — and on a
+ *     reload, from the time the snapshot was taken — the missed time (at
+ *     most CATCH_UP_MAX_MS) is fast-forwarded in coarse CATCH_UP_STEP_MS
+ *     steps, a few ms of work per frame, so the world lived on while the
+ *     page was away.  The catch-up setting turns this off; the uptime
+ *     then only counts time the world actually ran.
  *
- * The icon to spawn first is declared in icons.json under spawn.initial.
- * All icon metadata (type, colour) is also read from icons.json.
+ *     The world follows the viewport: on a window resize, entities and the
+ *     logo move proportionally and stay on screen (see world.js).
+ *
+ *  3. Settings — the setters below write into the settings object shared
+ *     with the World, so slider changes apply on the next step.
+ *
+ *  4. Persistence — world.serialise() plus the wall-clock start time and
+ *     the population history is saved to localStorage every 2 s and
+ *     restored on load.  Snapshots are versioned and older ones migrated
+ *     (see persistence.js); one that still can't be read — or that ran on
+ *     another seed than a pinned one — is set aside under
+ *     devpage:evolution:unreadable and a notice tells the user the run
+ *     started fresh.  snapshot() / loadSnapshot() and the simulation
+ *     settings pair let save slots and exported files (see saveSlots.js)
+ *     keep and bring back whole worlds.
+ *
+ *  5. History — per-species population is sampled after the world steps
+ *     (see populationHistory.js) for the guide's chart.
+ *
+ *  6. Event log — infections, cures, mutations, kills and logo letter
+ *     ejections / reattachments are recorded from the world's events into
+ *     a bounded EventLog (see eventLog.js) for the guide's timeline.  The
+ *     log covers the current page session; it is not saved.
+ *
+ *  7. Record and replay — startRecording() logs the run's inputs (see
+ *     recorder.js) until stopRecording(), a restart or a load.  The last
+ *     recording can then be replayed in the same container: the live run
+ *     pauses and is set aside, and the ReplayPlayer drives the world with
+ *     its own settings, history and event log, so the guide shows the
+ *     replay.  stopReplay() brings the live run back as it was.  Saving
+ *     (autosave, slots, export) always saves the live run.
+ *
+ *  8. Pointer — grab() / drag() / release() and setField() pass the
+ *     pointer's grabs, flings and force field (see pointer.js) on to the
+ *     World and the recorder.  The pointer leaves a replay alone.
+ *
+ *  9. Inspector — entity() looks an entity up by id and killEntity(),
+ *     cureEntity() and pinEntity() act on it (see inspector.js), recorded
+ *     like the pointer and likewise ignored during a replay.
+ *
+ * Every random choice is drawn from one seeded Random (see utils/random.js),
+ * so the same seed plus the same settings and viewport reproduces the same
+ * run.  A ?seed= URL parameter pins the seed.
  */
 
-import { Entity }        from './entity.js';
+import { World, defaultWorldSettings } from './world.js';
+import { DomRenderer }   from './domRenderer.js';
+import { CanvasRenderer } from './canvasRenderer.js';
 import { preloadIcons }  from './iconLoader.js';
+import { PopulationHistory } from './populationHistory.js';
+import { EventLog }      from './eventLog.js';
+import { Recorder, ReplayPlayer } from './recorder.js';
+import { SimulationClock } from './clock.js';
+import { EVOLUTION_SCHEMA, migrate } from './persistence.js';
+import { showNotice }    from './notice.js';
 import { DEFAULTS }      from './constants.js';
+import { Random, randomSeed } from '../utils/random.js';
 
 const ICONS_DATA_URL        = 'src/data/icons.json';
 const EVOLUTION_STORAGE_KEY = 'devpage:evolution';
+/** Where a save that could not be restored is kept instead of being lost. */
+const UNREADABLE_STORAGE_KEY = 'devpage:evolution:unreadable';
+
+/**
+ * The character a logo letter icon shows ("letter-s-box" → "s").
+ *
+ * @param {string} iconName
+ * @returns {string}
+ */
+function letterOf(iconName) {
+  return /^letter-(\w)/.exec(iconName)?.[1] ?? iconName;
+}
 
 export class EvolutionController {
-  /** @type {Entity[]} */          #entities        = [];
-  /** Cumulative counts of every icon ever created (since last clear or load). */
-  /** @type {Record<string,number>} */ #totalCounts    = {};
-  /** @type {HTMLElement|null} */  #container       = null;
-  /** @type {number} */            #moveSpeed       = DEFAULTS.MOVE_SPEED;
-  /** @type {number} */            #spawnRate       = 5;
-  /** @type {number} */            #virusKillChance = DEFAULTS.VIRUS_KILL_CHANCE;
-  /** @type {number} */            #bugSpawnChance  = DEFAULTS.BUG_SPAWN_CHANCE;
-  /** @type {number} */            #bugMaxCount     = DEFAULTS.BUG_MAX_COUNT;
-  /** @type {number} */            #startTime       = 0;
-  /** @type {ReturnType<typeof setTimeout>|null} */ #spawnTimer = null;
+  /** @type {World|null} */        #world     = null;
+  /** @type {DomRenderer|CanvasRenderer|null} */ #renderer = null;
+  /** @type {PopulationHistory} */  #history  = new PopulationHistory();
+  /** @type {EventLog} */           #events   = new EventLog();
+  /** @type {'dom'|'canvas'} */    #rendererKind = DEFAULTS.RENDERER;
+  /** @type {HTMLElement|null} */  #container = null;
+  /** Tunables shared with the World — setters write straight into it. */
+  /** @type {ReturnType<typeof defaultWorldSettings>} */ #settings = defaultWorldSettings();
+  /** @type {number} */            #startTime = 0;
+  /** Wall-clock time pause() was called, null while running. */
+  /** @type {number|null} */       #pausedAt  = null;
+  /** Real frame time → fixed steps, at the time scale. */
+  /** @type {SimulationClock} */   #clock     = new SimulationClock();
+  /** True while paused only because the tab is hidden. */
+  /** @type {boolean} */           #hiddenPause = false;
+  /** Fast-forward missed time on return (settings toggle). */
+  /** @type {boolean} */           #catchUp   = DEFAULTS.CATCH_UP;
+  /** Shared PRNG — every random choice in the simulation goes through it. */
+  /** @type {Random} */            #random;
+  /** True when the seed was given explicitly (URL ?seed=) rather than rolled. */
+  /** @type {boolean} */           #seedPinned = false;
+  /** Input log of the recording in progress, null when not recording. */
+  /** @type {Recorder|null} */     #recorder = null;
+  /** @type {import('./recorder.js').Recording|null} */ #lastRecording = null;
+  /** The replay in progress and the live run it set aside, null when live. */
+  /** @type {{ player: ReplayPlayer, live: Record<string, any>, history: PopulationHistory,
+   *           events: EventLog, wasPaused: boolean }|null} */ #replay = null;
   /** @type {ReturnType<typeof setInterval>|null} */ #saveTimer = null;
   /** @type {number|null} */       #animFrame = null;
   /** @type {boolean} */           #running   = false;
-  /** @type {object|null} */       #iconsData = null;
   /** @type {import('./logoController.js').LogoController|null} */ #logo = null;
-  /** @type {object|null} */       #savedLogoState = null;
+
+  /**
+   * @param {{ seed?: number|null }} [opts]
+   *   seed — pin the PRNG seed (e.g. from a ?seed= URL parameter).  A saved
+   *   world with a different seed is then set aside like an unreadable one,
+   *   notice included, so the run starts fresh.
+   *   Without one a random seed is rolled (or restored from the snapshot).
+   */
+  constructor({ seed = null } = {}) {
+    this.#seedPinned = seed !== null;
+    this.#random     = new Random(seed ?? randomSeed());
+  }
 
   // ── Public API ─────────────────────────────────────────────
 
   /**
-   * Initialise: load icon data, warm SVG cache, kick off spawning & loop.
+   * Initialise: load icon data, warm SVG cache, build the world, kick off
+   * the loop.
    *
    * @param {HTMLElement} container  All entity DOM nodes are appended here.
    */
   async init(container) {
     this.#container = container;
+    const iconsData = await this.#loadIconsData();
+
+    this.#world = new World({
+      iconsData,
+      random:   this.#random,
+      settings: this.#settings,
+      width:    window.innerWidth,
+      height:   window.innerHeight,
+    });
 
-    this.#iconsData = await this.#loadIconsData();
+    this.#logWorldEvents();
 
-    // Warm the SVG cache for both the normal and rare icons so first spawns are instant
-    const { initial, rare } = this.#iconsData.spawn;
-    const toPreload = [initial];
+    // Warm the SVG cache for every spawnable icon and the rare one so first spawns are instant
+    const { rare } = iconsData.spawn;
+    const toPreload = [...this.#world.spawnTable.icons];
     if (rare) toPreload.push(rare);
-    // Also preload virus-filled and bacteria so transforms are instant
-    if (this.#iconsData.icons['virus-filled']) toPreload.push('virus-filled');
-    if (this.#iconsData.icons['bacteria'])     toPreload.push('bacteria');
+    // Also preload every icon a rule can produce so transforms are instant
+    for (const name of this.#world.rules.products) {
+      if (iconsData.icons[name]) toPreload.push(name);
+    }
     preloadIcons(toPreload);
 
     this.#startTime = Date.now();
 
-    // Restore any previously saved entity state before the spawner kicks off
-    await this.#restoreState();
+    // Restore any previously saved world before the loop starts
+    this.#restoreState();
 
-    this.#scheduleNextSpawn();
+    this.#renderer = this.#createRenderer();
     this.#startLoop();
 
-    // Persist entity state to localStorage every 2 s
+    // Freeze while the tab is hidden, catch up when it's back
+    document.addEventListener('visibilitychange', () => this.#onVisibilityChange());
+
+    // The world fills the viewport; a replay keeps its recorded size
+    window.addEventListener('resize', () => {
+      if (!this.#replay) this.#world.resize(window.innerWidth, window.innerHeight);
+    });
+
+    // Persist world state to localStorage every 2 s
     this.#saveTimer = setInterval(() => this.#saveState(), 2000);
   }
 
@@ -87,85 +203,371 @@ export class EvolutionController {
    * @param {number} speed  integer 1–10
    */
   setMoveSpeed(speed) {
-    this.#moveSpeed = speed;
+    this.#settings.moveSpeed = speed;
   }
 
   /** Current move speed setting (1–50). Used by SettingsController to sync UI on boot. */
-  get moveSpeed() { return this.#moveSpeed; }
+  get moveSpeed() { return this.#settings.moveSpeed; }
 
   /** Spawn frequency (1 = rare / slow, 10 = frequent / fast). */
-  setSpawnRate(rate) { this.#spawnRate = rate; }
-  get spawnRate()    { return this.#spawnRate; }
+  setSpawnRate(rate) { this.#settings.spawnRate = rate; }
+  get spawnRate()    { return this.#settings.spawnRate; }
 
   /** Probability (0–1) that a virus contact kills its target. */
-  setVirusKillChance(v) { this.#virusKillChance = v; }
-  get virusKillChance() { return this.#virusKillChance; }
+  setVirusKillChance(v) { this.#settings.virusKillChance = v; }
+  get virusKillChance() { return this.#settings.virusKillChance; }
 
   /** Probability (0–1) that a rare-bug icon spawns instead of the normal icon. */
-  setBugSpawnChance(v) { this.#bugSpawnChance = v; }
-  get bugSpawnChance() { return this.#bugSpawnChance; }
+  setBugSpawnChance(v) { this.#settings.bugSpawnChance = v; }
+  get bugSpawnChance() { return this.#settings.bugSpawnChance; }
 
   /** Max number of bug entities allowed alive at the same time (0 = no bugs). */
-  setBugMaxCount(n) { this.#bugMaxCount = n; }
-  get bugMaxCount()  { return this.#bugMaxCount; }
+  setBugMaxCount(n) { this.#settings.bugMaxCount = n; }
+  get bugMaxCount()  { return this.#settings.bugMaxCount; }
 
-  /** Milliseconds elapsed since init() was called. */
-  get lifetime() { return this.#startTime ? Date.now() - this.#startTime : 0; }
+  /** Living-entity count at which division stops and timed spawns pause. */
+  setCarryingCapacity(n) { this.#settings.carryingCapacity = n; }
+  get carryingCapacity()  { return this.#settings.carryingCapacity; }
 
-  /** Count of live entities grouped by entityKey. */
-  getCounts() {
-    /** @type {Record<string,number>} */
-    const counts = {};
-    for (const e of this.#entities) {
-      counts[e.entityKey] = (counts[e.entityKey] ?? 0) + 1;
+  /**
+   * Enable or disable automatic spawns from an icons.json group.
+   *
+   * @param {string}  id
+   * @param {boolean} enabled
+   */
+  setGroupEnabled(id, enabled) {
+    const others = this.#settings.disabledGroups.filter(g => g !== id);
+    this.#settings.disabledGroups = enabled ? others : [...others, id];
+  }
+  isGroupEnabled(id) { return !this.#settings.disabledGroups.includes(id); }
+
+  /** Ids of the icons.json groups that never spawn automatically. */
+  setDisabledGroups(ids) { this.#settings.disabledGroups = [...ids]; }
+  get disabledGroups()   { return [...this.#settings.disabledGroups]; }
+
+  /** Every simulation tunable (world settings and time scale), for save files. */
+  get simulationSettings() {
+    return { ...this.#settings, disabledGroups: this.disabledGroups, timeScale: this.#clock.timeScale };
+  }
+
+  /**
+   * Apply tunables from a save file; unknown keys and wrong types are ignored.
+   *
+   * @param {Record<string, unknown>} s
+   */
+  applySimulationSettings(s) {
+    for (const [key, value] of Object.entries(defaultWorldSettings())) {
+      if (Array.isArray(value)) {
+        if (Array.isArray(s[key])) this.#settings[key] = s[key].filter(v => typeof v === 'string');
+      } else if (typeof s[key] === 'number' && Number.isFinite(s[key])) {
+        this.#settings[key] = s[key];
+      }
     }
-    return counts;
+    if (typeof s.timeScale === 'number') this.setTimeScale(s.timeScale);
   }
 
+  /** The icons.json groups (empty until init() has loaded the data). */
+  get groups() { return this.#world?.iconsData.groups ?? []; }
+
+  /** Label of the current spawn phase (see SpawnTable). */
+  get spawnPhase() { return this.#world?.spawnPhase ?? null; }
+
   /**
-   * Manually spawn a specific icon by name at a random viewport position.
-   * Used by the guide panel when the user clicks an entity row.
+   * Switch the entity renderer.  Takes effect immediately when the world is
+   * running, otherwise at init().
    *
-   * @param {string} iconName  Key from icons.json (e.g. 'cell', 'bug')
+   * @param {'dom'|'canvas'} kind
+   */
+  setRenderer(kind) {
+    if (kind !== 'dom' && kind !== 'canvas') return;
+    if (kind === this.#rendererKind) return;
+    this.#rendererKind = kind;
+    if (!this.#renderer) return;
+    this.#renderer.destroy();
+    this.#renderer = this.#createRenderer();
+  }
+  get renderer() { return this.#rendererKind; }
+
+  /** Seed of the current run — show it so a run can be reproduced. */
+  get seed() { return this.#random.seed; }
+
+  /** The shared simulation PRNG. */
+  get random() { return this.#random; }
+
+  /** The simulated world (null until init() resolves). */
+  get world() { return this.#world; }
+
+  /** Milliseconds the simulation has been running since init(), pauses excluded. */
+  get lifetime() {
+    if (!this.#startTime) return 0;
+    return (this.#pausedAt ?? Date.now()) - this.#startTime;
+  }
+
+  // ── Time control ───────────────────────────────────────────
+
+  /** Freeze the simulation; rendering continues. */
+  pause() {
+    if (this.#pausedAt === null) this.#pausedAt = Date.now();
+  }
+
+  /** Continue after pause(); the paused span is left out of the uptime. */
+  resume() {
+    if (this.#pausedAt === null) return;
+    this.#startTime += Date.now() - this.#pausedAt;
+    this.#pausedAt   = null;
+  }
+
+  /** @returns {boolean}  true when the simulation is now paused */
+  togglePause() {
+    this.paused ? this.resume() : this.pause();
+    return this.paused;
+  }
+
+  get paused() { return this.#pausedAt !== null; }
+
+  /** Advance exactly one physics step while paused (for debugging interactions). */
+  stepOnce() {
+    if (!this.#world || !this.paused || this.#replay) return;
+    this.#advance();
+  }
+
+  /**
+   * Set the simulation speed relative to real time.
+   *
+   * @param {number} scale  clamped to the TIME_SCALES range
+   */
+  setTimeScale(scale) { this.#clock.setTimeScale(scale); }
+  get timeScale() { return this.#clock.timeScale; }
+
+  /**
+   * Whether time missed while the tab was hidden or closed is fast-forwarded.
+   *
+   * @param {boolean} on
+   */
+  setCatchUp(on) {
+    this.#catchUp = Boolean(on);
+    if (!this.#catchUp) this.#clock.cancelCatchUp();
+  }
+  get catchUp() { return this.#catchUp; }
+
+  /** True while missed time is still being fast-forwarded. */
+  get catchingUp() { return this.#clock.catchingUp; }
+
+  // ── Pointer ────────────────────────────────────────────────
+
+  /**
+   * What the pointer would pick up at a point (see World.pick()) — null
+   * when nothing, or during a replay.
+   *
+   * @param {number} x
+   * @param {number} y
+   */
+  pick(x, y) {
+    return this.#replay ? null : this.#world?.pick(x, y) ?? null;
+  }
+
+  /**
+   * Pick up the entity or ejected letter at a point.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}  true when something was picked up
+   */
+  grab(x, y) { return this.#pointer('grab', [x, y]) === true; }
+
+  /**
+   * Move what the pointer holds.
+   *
+   * @param {number} x
+   * @param {number} y
+   */
+  drag(x, y) { this.#pointer('drag', [x, y]); }
+
+  /**
+   * Let go, flinging at the pointer's velocity.
+   *
+   * @param {number} vx  px/s
+   * @param {number} vy
+   */
+  release(vx, vy) { this.#pointer('release', [vx, vy]); }
+
+  /**
+   * Move the force field, or switch it off with null.
+   *
+   * @param {import('./world.js').PointerField|null} field
+   */
+  setField(field) { this.#pointer('setField', [field]); }
+
+  /**
+   * Call a World pointer method, recording it first.
+   *
+   * @param {'grab'|'drag'|'release'|'setField'} action
+   * @param {unknown[]} args
+   * @returns {unknown}  the method's result, undefined when ignored
+   */
+  #pointer(action, args) {
+    if (!this.#world || this.#replay) return undefined;
+    this.#recorder?.pointer(this.#world, action, args);
+    return this.#world[action](...args);
+  }
+
+  // ── Inspector ──────────────────────────────────────────────
+
+  /**
+   * The live entity with an id, null when gone.
+   *
+   * @param {number} id
+   * @returns {import('./entity.js').Entity|null}
+   */
+  entity(id) {
+    return this.#world?.entity(id) ?? null;
+  }
+
+  /**
+   * Kill an entity.
+   *
+   * @param {number} id
+   * @returns {boolean}  true when it started dying
+   */
+  killEntity(id) { return this.#inspect('killEntity', [id]); }
+
+  /**
+   * Cure an infected entity back to the icon it was born as.
+   *
+   * @param {number} id
+   * @returns {boolean}  true when it changed back
+   */
+  cureEntity(id) { return this.#inspect('cureEntity', [id]); }
+
+  /**
+   * Pin an entity in place, or let it go.
+   *
+   * @param {number} id
+   * @param {boolean} pinned
+   * @returns {boolean}  false when the entity is gone
+   */
+  pinEntity(id, pinned) { return this.#inspect('pinEntity', [id, pinned]); }
+
+  /**
+   * Call a World inspector action, recording it first.
+   *
+   * @param {'killEntity'|'cureEntity'|'pinEntity'} action
+   * @param {unknown[]} args
+   * @returns {boolean}  the method's result, false when ignored
+   */
+  #inspect(action, args) {
+    if (!this.#world || this.#replay) return false;
+    this.#recorder?.entity(this.#world, action, args);
+    return this.#world[action](...args);
+  }
+
+  // ── Record and replay ──────────────────────────────────────
+
+  /**
+   * Start logging the run's inputs for a replay.  The world is restored
+   * from its own snapshot first (see recorder.js), which removes dying
+   * entities a little early.  No-op during a replay.
    */
-  async spawnNamed(iconName) {
-    if (!this.#container || !this.#iconsData) return;
-    const iconMeta = this.#iconsData.icons[iconName];
-    if (!iconMeta) return;
-    const typeMeta = this.#iconsData.types[iconMeta.type];
-    // track total count
-    this.#incrementTotal(iconName);
-
-    const margin = DEFAULTS.ICON_SIZE * 2;
-    const vw     = window.innerWidth;
-    const vh     = window.innerHeight;
-    const x      = margin + Math.random() * (vw - margin * 2);
-    const y      = margin + Math.random() * (vh - margin * 2);
-    const angle  = Math.random() * Math.PI * 2;
-
-    const entity = new Entity({
-      name: iconName, type: iconMeta.type, color: typeMeta.color,
-      x, y,
-      vx: Math.cos(angle) * DEFAULTS.BASE_SPEED,
-      vy: Math.sin(angle) * DEFAULTS.BASE_SPEED,
+  startRecording() {
+    if (!this.#world || this.#replay || this.#recorder) return;
+    this.#recorder = new Recorder(this.#world);
+  }
+
+  /** Finish the recording in progress; it becomes `lastRecording`. */
+  stopRecording() {
+    if (!this.#recorder) return;
+    this.#lastRecording = this.#recorder.finish();
+    this.#recorder      = null;
+  }
+
+  /** True while inputs are being recorded. */
+  get recording() { return this.#recorder !== null; }
+
+  /** Simulation ms recorded so far (0 when not recording). */
+  get recordedTime() { return this.#recorder?.duration ?? 0; }
+
+  /** The last finished recording, null before the first one. */
+  get lastRecording() { return this.#lastRecording; }
+
+  /**
+   * Replay the last recording in place of the live run, from its start.
+   * A recording in progress is finished first.
+   */
+  startReplay() {
+    if (!this.#world) return;
+    this.stopRecording();
+    if (!this.#lastRecording) return;
+    this.stopReplay();
+
+    // Set the live run aside as it is (snapshot before pausing, so a save
+    // made meanwhile keeps its paused state), then hand the world over
+    const live = { live: this.snapshot(), history: this.#history, events: this.#events, wasPaused: this.paused };
+    this.pause();
+    const player = new ReplayPlayer({
+      recording: this.#lastRecording,
+      world:     this.#world,
+      advance:   (stepMs) => this.#advance(stepMs),
+      // Every pass over the recording starts a fresh chart and timeline
+      onRewind:  () => {
+        this.#history = new PopulationHistory();
+        this.#events  = new EventLog();
+      },
     });
+    this.#replay = { player, ...live };
+  }
 
-    await entity.mount(this.#container);
-    if (entity.alive) this.#entities.push(entity);
+  /** End the replay and bring back the live run as it was. */
+  stopReplay() {
+    const replay = this.#replay;
+    if (!replay) return;
+    this.#replay  = null;
+    this.#history = replay.history;
+    this.#events  = replay.events;
+    this.#world.settings = this.#settings;
+    this.#world.resize(window.innerWidth, window.innerHeight);
+    this.#world.restore(replay.live);
+    if (!replay.wasPaused) this.resume();
+  }
+
+  /** The replay in progress (play / pause / seek / speed), null when live. */
+  get replay() { return this.#replay?.player ?? null; }
+
+  /** Count of live entities grouped by entityKey. */
+  getCounts() {
+    return this.#world?.getCounts() ?? {};
+  }
+
+  /**
+   * Manually spawn a specific icon by name — at a random viewport position
+   * when the user clicks a guide entity row, or where the spawn brush (see
+   * pointer.js) puts it.  Ignored during a replay.
+   *
+   * @param {string} iconName  Key from icons.json (e.g. 'cell', 'bug')
+   * @param {{ x: number, y: number, angle?: number }} [at]  placement, see World.spawn()
+   */
+  spawnNamed(iconName, at) {
+    if (!this.#world || this.#replay) return;
+    this.#recorder?.spawn(this.#world, iconName, at);
+    this.#world.spawn(iconName, at);
   }
 
   /** Remove all entities from the screen without stopping the physics loop. */
   clear() {
-    this.#entities.forEach(e => e.destroy());
-    this.#entities = [];
+    if (!this.#world) return;
+    this.stopReplay();
+    this.stopRecording();
     this.#startTime = Date.now(); // reset lifetime counter
-    // also clear total counts
-    this.#totalCounts = {};
+    if (this.#pausedAt !== null) this.#pausedAt = this.#startTime;
+    this.#clock.cancelCatchUp();
+
+    // New run: a pinned seed restarts its sequence (reproducible restart),
+    // otherwise roll a fresh seed
+    this.#random.reseed(this.#seedPinned ? this.#random.seed : randomSeed());
 
-    // also tell the logo word to forget its bump counts; the visual labels
-    // should go back to `0` immediately
-    this.#logo?.resetCounters();
-    this.#logo?.resetThresholds();
+    // Entities, totals and letter counters go; the world reschedules spawning
+    this.#world.clear();
+    this.#history.clear();
+    this.#events.clear();
 
     // Wipe saved state so a page reload starts fresh
     try { localStorage.removeItem(EVOLUTION_STORAGE_KEY); } catch { /* ignore */ }
@@ -177,132 +579,94 @@ export class EvolutionController {
   /** Stop all timers and the rAF loop; remove all entities from the DOM. */
   stop() {
     this.#running = false;
-    if (this.#spawnTimer !== null) clearTimeout(this.#spawnTimer);
     if (this.#animFrame  !== null) cancelAnimationFrame(this.#animFrame);
     if (this.#saveTimer  !== null) clearInterval(this.#saveTimer);
-    this.#entities.forEach(e => e.destroy());
-    this.#entities = [];
+    this.#renderer?.destroy();
   }
 
   /**
-   * Wire in a LogoController so the rAF loop drives it.
+   * Wire in a LogoController so the rAF loop renders the logo word.
    * Must be called after logo.init() completes.
    *
    * @param {import('./logoController.js').LogoController} logo
    */
   setLogoController(logo) { this.#logo = logo; }
 
-  /**
-   * Saved logo state read from localStorage — passed to LogoController.init().
-   * Available after init() resolves; null on first ever load.
-   */
-  get savedLogoState() { return this.#savedLogoState; }
-
   /** Read-only access to current entity count (useful for debugging). */
-  get entityCount() { return this.#entities.length; }
+  get entityCount() { return this.#world?.entities.length ?? 0; }
 
   /** Cumulative totals for each icon (spawned/mutated) since last clear or load. */
-  get totalCounts() { return { ...this.#totalCounts }; }
+  get totalCounts() { return this.#world?.totalCounts ?? {}; }
 
-  // ── Spawning ────────────────────────────────────────────────
+  /** Mean genome per living species (see World.getTraitAverages). */
+  getTraitAverages() { return this.#world?.getTraitAverages() ?? {}; }
 
-  /**
-   * Private helper: increment the all‑time count for an icon.
-   *
-   * @param {string} name
-   */
-  #incrementTotal(name) {
-    if (!name) return;
-    this.#totalCounts[name] = (this.#totalCounts[name] || 0) + 1;
-  }
+  /** Notable simulation events of this session (for the guide timeline). */
+  get events() { return this.#events; }
 
-  /**
-   * Schedule the next spawn after a random delay within the configured range.
-   * Self-resets after each spawn so the process continues indefinitely.
-   */
-  #scheduleNextSpawn() {
-    // Exponential scale: rate 5 → default delays; higher rate → shorter delays.
-    const factor = Math.pow(this.#spawnRate / 5, 1.5);
-    const min    = Math.max(300,  Math.round(DEFAULTS.SPAWN_DELAY_MIN / factor));
-    const max    = Math.max(1500, Math.round(DEFAULTS.SPAWN_DELAY_MAX / factor));
-    const delay  = min + Math.random() * (max - min);
-
-    this.#spawnTimer = setTimeout(async () => {
-      await this.#spawnEntity();
-      this.#scheduleNextSpawn();
-    }, delay);
-  }
-
-  /** Create and mount one icon entity at a random viewport position. */
-  async #spawnEntity() {
-    if (!this.#container || !this.#iconsData) return;
-
-    // Decide whether this spawn is a bug or the normal icon.
-    // A bug only spawns if the rarity roll passes AND the live bug cap isn't reached.
-    const { initial, rare } = this.#iconsData.spawn;
-    let name = initial;
-    if (rare && Math.random() < this.#bugSpawnChance) {
-      const liveBugs = this.#entities.filter(e => e.entityKey === 'bug').length;
-      if (liveBugs < this.#bugMaxCount) name = rare;
-    }
-
-    const iconMeta = this.#iconsData.icons[name];
-    const typeMeta = this.#iconsData.types[iconMeta.type];
+  /** Per-species population over simulation time (for the guide chart). */
+  get history() { return this.#history; }
 
-    // Random spawn position — keep a margin so the icon starts fully on-screen
-    const margin = DEFAULTS.ICON_SIZE * 2;
-    const vw     = window.innerWidth;
-    const vh     = window.innerHeight;
-    const x      = margin + Math.random() * (vw - margin * 2);
-    const y      = margin + Math.random() * (vh - margin * 2);
+  /** Deaths since last clear, by cause: old age (natural) vs. killed (violent). */
+  get deaths() { return this.#world?.deaths ?? { natural: 0, violent: 0 }; }
 
-    // Random initial direction, normalised to BASE_SPEED
-    const angle = Math.random() * Math.PI * 2;
-    const vx    = Math.cos(angle) * DEFAULTS.BASE_SPEED;
-    const vy    = Math.sin(angle) * DEFAULTS.BASE_SPEED;
-
-    const entity = new Entity({
-      name, type: iconMeta.type, color: typeMeta.color,
-      x, y, vx, vy,
-    });
+  /** Build the entity renderer selected in settings for the current world. */
+  #createRenderer() {
+    return this.#rendererKind === 'canvas'
+      ? new CanvasRenderer(this.#container, this.#world)
+      : new DomRenderer(this.#container, this.#world);
+  }
 
-    await entity.mount(this.#container);
+  // ── Commands ─────────────────────────────────────────────────
 
-    if (entity.alive) {
-      this.#entities.push(entity);
-      // record spawn for totals
-      this.#incrementTotal(name);
-    }
+  /**
+   * The simulation's actions for the command palette and its shortcuts
+   * (see commands.js): pause, step, restart and a spawn per icon.  The
+   * live-run ones are off during a replay.
+   *
+   * @returns {import('./commands.js').Command[]}
+   */
+  commands() {
+    const live  = Boolean(this.#world) && !this.#replay;
+    const icons = this.#world?.iconsData.icons ?? {};
+    return [
+      { id: 'evolution.pause',   title: this.paused ? 'resume' : 'pause', disabled: !live, run: () => this.togglePause() },
+      { id: 'evolution.step',    title: 'step once', disabled: !live || !this.paused,  run: () => this.stepOnce() },
+      ...Object.entries(icons).map(([name, icon]) => ({
+        id:       `evolution.spawn.${name}`,
+        title:    `spawn ${(icon.label ?? name).toLowerCase()}`,
+        disabled: !live,
+        run:      () => this.spawnNamed(name),
+      })),
+      { id: 'evolution.restart', title: 'restart evolution', disabled: !this.#world, run: () => this.clear() },
+    ];
   }
 
-  // ── Physics loop ────────────────────────────────────────────
+  // ── Loop ────────────────────────────────────────────────────
 
+  /**
+   * Start the rAF loop.  The clock turns each frame's real time into fixed
+   * PHYSICS_STEP_MS world steps (see clock.js).  While paused no time is
+   * handed to it.
+   */
   #startLoop() {
     this.#running = true;
 
-    const tick = () => {
-      if (!this.#running) return;
+    /** @type {number|null} */
+    let lastTime = null;
 
-      // speedMultiplier: normalised so that slider=5 → multiplier=1.0
-      const multiplier = this.#moveSpeed / DEFAULTS.MOVE_SPEED;
-
-      for (const entity of this.#entities) {
-        entity.update(multiplier);
-      }
-
-      // Advance logo word + ejected letter physics
-      this.#logo?.update(multiplier);
+    const tick = (/** @type {number} */ now) => {
+      if (!this.#running) return;
 
-      // Check and resolve entity-to-entity collisions after all positions updated
-      this.#checkCollisions();
+      const elapsed = lastTime === null ? 0 : now - lastTime;
+      lastTime     = now;
 
-      // Check entity-vs-logo-letter collisions
-      this.#logo?.checkCollisionsWithEntities(this.#entities);
+      // A replay drives the world itself, at its recorded size
+      if (this.#replay) this.#replay.player.tick(Math.min(elapsed, DEFAULTS.MAX_FRAME_MS));
+      else if (!this.paused) this.#clock.tick(elapsed, (stepMs) => this.#advance(stepMs));
 
-      // Prune entities that died this frame (virus killed by mutation, slow-death complete)
-      if (this.#entities.some(e => !e.alive)) {
-        this.#entities = this.#entities.filter(e => e.alive);
-      }
+      this.#renderer.render();
+      this.#logo?.render();
 
       this.#animFrame = requestAnimationFrame(tick);
     };
@@ -310,249 +674,201 @@ export class EvolutionController {
     this.#animFrame = requestAnimationFrame(tick);
   }
 
-  // ── Collision detection ─────────────────────────────────────
-
   /**
-   * O(n²) broad + narrow-phase collision check for all entity pairs.
+   * One physics step plus the bookkeeping that follows it.
    *
-   * On overlap:
-   *  1. Elastic velocity impulse along the collision normal (equal-mass reflection).
-   *  2. Positional correction — push both entities apart so they no longer overlap.
-   *  3. Both entities call onHit() to shift their hue colour.
-   *  4. If one entity is the rare "bug", the other is infected and transforms
-   *     into "virus-filled" (unless it's already a bug or virus).
+   * @param {number} [stepMs=DEFAULTS.PHYSICS_STEP_MS]
    */
-  #checkCollisions() {
-    const entities = this.#entities;
-    const diameter = DEFAULTS.COLLISION_DIAMETER;
-
-    for (let i = 0; i < entities.length; i++) {
-      for (let j = i + 1; j < entities.length; j++) {
-        const a = entities[i];
-        const b = entities[j];
-        if (!a.alive || !b.alive || a.dying || b.dying) continue;
-
-        const dx   = b.x - a.x;
-        const dy   = b.y - a.y;
-        const dist = Math.hypot(dx, dy);
-
-        if (dist >= diameter || dist === 0) continue; // no collision
-
-        // ── Collision normal (unit vector from a → b) ──────────
-        const nx = dx / dist;
-        const ny = dy / dist;
-
-        // ── Elastic impulse along normal ───────────────────────
-        // Bug collisions: only the bug's velocity reflects — the entity it hits
-        // keeps its direction (bug is the "ghost" infector, not a physics partner).
-        // Normal collisions: equal-mass exchange.
-        const aIsBug = a.entityKey === 'bug';
-        const bIsBug = b.entityKey === 'bug';
-        const dot = (a.vx - b.vx) * nx + (a.vy - b.vy) * ny;
-        if (dot > 0) {
-          if (aIsBug || bIsBug) {
-            if (aIsBug) { a.vx -= dot * nx; a.vy -= dot * ny; }
-            else        { b.vx += dot * nx; b.vy += dot * ny; }
-          } else {
-            a.vx -= dot * nx;   a.vy -= dot * ny;
-            b.vx += dot * nx;   b.vy += dot * ny;
-          }
-        }
-
-        // ── Positional correction — push apart equally ─────────
-        const half = (diameter - dist) / 2;
-        a.x -= half * nx;   a.y -= half * ny;
-        b.x += half * nx;   b.y += half * ny;
-
-        // ── Visual feedback — hue shift for non-bug collisions only ───
-        // Bug passes through entities silently (no hue flash on target).
-        if (!aIsBug && !bIsBug) {
-          a.onHit();
-          b.onHit();
-        } else if (aIsBug) {
-          a.onHit();
-        } else {
-          b.onHit();
-        }
-
-        // ── Bug infection ──────────────────────────────────────
-        // The rare "bug" transforms any non-immune entity into "virus-filled".
-        if (!this.#iconsData) continue;
-        const virusMeta  = this.#iconsData.icons['virus-filled'];
-        const virusColor = virusMeta
-          ? (this.#iconsData.types[virusMeta.type]?.color ?? '#ff4d6d')
-          : '#ff4d6d';
-
-        // bug + normal entity → infects with virus
-        // bug + virus-filled → backwards-transforms virus back to cell (cure)
-        const cellMeta  = this.#iconsData.icons['cell'];
-        const cellColor = cellMeta
-          ? (this.#iconsData.types[cellMeta.type]?.color ?? '#a8ffb8')
-          : '#a8ffb8';
-        const bugImmune = new Set(['bug', 'bacteria']);
-
-        if (a.entityKey === 'bug') {
-          if (b.entityKey === 'virus-filled') {
-            b.infectWith('cell', cellColor, { force: true });
-          } else if (!bugImmune.has(b.entityKey)) {
-            b.infectWith('virus-filled', virusColor);
-          }
-        } else if (b.entityKey === 'bug') {
-          if (a.entityKey === 'virus-filled') {
-            a.infectWith('cell', cellColor, { force: true });
-          } else if (!bugImmune.has(a.entityKey)) {
-            a.infectWith('virus-filled', virusColor);
-          }
-        }
-
-        // ── Virus kill / mutation ──────────────────────────────
-        // virus-filled hitting a non-immune entity: the target may die or mutate.
-        // On a failed kill roll the contact will convert the target into bacteria
-        // (10% shown in the guide) if that icon exists.  Bacteria are immune to
-        // subsequent virus or bug interactions.
-        const virusImmune = new Set(['bug', 'virus-filled', 'bacteria']);
-        const aIsVirus = a.entityKey === 'virus-filled';
-        const bIsVirus = b.entityKey === 'virus-filled';
-
-        if (aIsVirus && !virusImmune.has(b.entityKey)) {
-          this.#resolveVirusContact(a, b);
-        } else if (bIsVirus && !virusImmune.has(a.entityKey)) {
-          this.#resolveVirusContact(b, a);
-        }
-      }
-    }
+  #advance(stepMs = DEFAULTS.PHYSICS_STEP_MS) {
+    this.#recorder?.step(this.#world, stepMs / 1000);
+    this.#world.step(stepMs / 1000);
+    this.#history.sample(this.#world.time, () => this.#world.getCounts());
+    if (this.#recorder?.full) this.stopRecording();
   }
 
-  // ── Virus contact resolution ─────────────────────────────────
+  // ── Catch-up ────────────────────────────────────────────────
+
+  /** Pause while the tab is hidden; on return, resume and catch up. */
+  #onVisibilityChange() {
+    if (document.hidden) {
+      if (this.paused) return;
+      this.pause();
+      this.#hiddenPause = true;
+      this.#saveState();
+      return;
+    }
+    if (!this.#hiddenPause) return;
+    this.#hiddenPause = false;
+    const away = Date.now() - this.#pausedAt;
+    this.resume();
+    this.#scheduleCatchUp(away);
+  }
 
   /**
-   * Handle a collision between a virus-filled entity and a vulnerable target.
-   *
-   * 50%–100% of the time (controlled by virusKillChance) the target is killed.
-   * On the remaining rolls the virus fails to kill and the contact triggers a
-   * rare mutation: the target becomes a "bacteria" entity if that icon is
-   * defined.  Bacteria are immune to further virus attacks and bugs.
+   * Queue missed real time for fast-forwarding (when enabled; see
+   * clock.js).  The simulated stretch counts toward the uptime.
    *
-   * @param {import('./entity.js').Entity} _virus  the virus-filled entity (unused)
-   * @param {import('./entity.js').Entity} target  the entity being contacted
+   * @param {number} awayMs
    */
-  #resolveVirusContact(_virus, target) {
-    if (Math.random() < this.#virusKillChance) {
-      target.die();
-    } else {
-      // mutation path – only if bacteria is registered
-      if (this.#iconsData && this.#iconsData.icons['bacteria']) {
-        const bacMeta = this.#iconsData.icons['bacteria'];
-        const bacColor = this.#iconsData.types[bacMeta.type]?.color || '#80ffee';
-        target.infectWith('bacteria', bacColor, { force: true });
-      }
-    }
+  #scheduleCatchUp(awayMs) {
+    if (!this.#catchUp) return;
+    this.#startTime -= this.#clock.catchUp(awayMs);
   }
 
   // ── State persistence ────────────────────────────────────────
 
-  /** Serialise all live (non-dying) entities + startTime to localStorage. */
+  /**
+   * The whole run as a plain object: the world (live, non-dying entities),
+   * uptime and population history.  During a replay, the live run as it
+   * was set aside.
+   *
+   * @returns {Record<string, any>|null}  null before init()
+   */
+  snapshot() {
+    if (!this.#world) return null;
+    if (this.#replay) return this.#replay.live;
+    const frozenAt = this.#pausedAt ?? Date.now();
+    return {
+      version:      EVOLUTION_SCHEMA.version,
+      // A paused run saves the uptime it had when it was paused
+      startTime:    this.#startTime + (Date.now() - frozenAt),
+      // Wall-clock moment this world state belongs to (for catch-up)
+      savedAt:      frozenAt,
+      // Paused by the user (not just hidden) — reload paused, no catch-up
+      paused:       this.paused && !this.#hiddenPause,
+      ...this.#world.serialise(),
+      history:      this.#history.serialise(),
+    };
+  }
+
+  /**
+   * Replace the running world with a snapshot (a save slot or an imported
+   * file).  The event log starts over; the document gets an
+   * `evolutionLoaded` event so settings can sync.
+   *
+   * @param {Record<string, any>} data  a snapshot() result (any schema version)
+   * @throws {import('./persistence.js').SchemaError}  when it can't be read;
+   *   the running world is left untouched
+   */
+  loadSnapshot(data) {
+    if (!this.#world) return;
+    const saved = this.#applySnapshot(data, () => {
+      this.stopReplay();
+      this.stopRecording();
+    });
+    // The uptime picks up where the save left off
+    if (typeof saved.savedAt === 'number') this.#startTime += Math.max(0, Date.now() - saved.savedAt);
+    this.#events.clear();
+    this.#clock.cancelCatchUp();
+    if (this.#pausedAt !== null) this.#pausedAt = Date.now();
+    this.#saveState();
+    document.dispatchEvent(new Event('evolutionLoaded'));
+  }
+
+  /** Write snapshot() to localStorage. */
   #saveState() {
+    if (!this.#world) return;
     try {
-      const snapshot = {
-        startTime: this.#startTime,
-        entities:  this.#entities
-          .filter(e => e.alive && !e.dying)
-          .map(e => ({
-            name:     e.entityKey,
-            x:        e.x,
-            y:        e.y,
-            vx:       e.vx,
-            vy:       e.vy,
-            rotation: e.rotation,
-            hueShift: e.hueShift,
-          })),
-        logo: this.#logo?.serialise() ?? null,
-        totalCounts: this.#totalCounts,
-      };
-      localStorage.setItem(EVOLUTION_STORAGE_KEY, JSON.stringify(snapshot));
+      localStorage.setItem(EVOLUTION_STORAGE_KEY, JSON.stringify(this.snapshot()));
     } catch { /* quota exceeded — ignore */ }
   }
 
   /**
-   * Recreate entities from a previously saved localStorage snapshot.
-   * Called once during init(), before the spawner starts.
+   * Load a previously saved localStorage snapshot into the world.
+   * Called once during init(), before the loop starts.
    */
-  async #restoreState() {
+  #restoreState() {
+    let raw = null;
+    try { raw = localStorage.getItem(EVOLUTION_STORAGE_KEY); } catch { /* storage blocked */ }
+    if (!raw) return;
+
     try {
-      const raw = localStorage.getItem(EVOLUTION_STORAGE_KEY);
-      if (!raw) return;
-      const saved = JSON.parse(raw);
-      if (!saved || typeof saved !== 'object') return;
-
-      // Restore elapsed time so lifetime continues across reloads
-      if (typeof saved.startTime === 'number') {
-        this.#startTime = saved.startTime;
-      }
+      let saved = JSON.parse(raw);
 
-      // Stash logo state so main.js can pass it to LogoController.init()
-      if (saved.logo && typeof saved.logo === 'object') {
-        this.#savedLogoState = saved.logo;
+      // A pinned seed asks for its own run — don't continue another one
+      if (this.#seedPinned && saved?.seed !== this.#random.seed) {
+        throw new Error(`it ran on another seed than the pinned ${this.#random.seed}`);
       }
 
-      // determine whether we'll need to rebuild totals from the entity list
-      let buildTotalsFromEntities = false;
-      if (
-        saved.totalCounts &&
-        typeof saved.totalCounts === 'object' &&
-        Object.keys(saved.totalCounts).length > 0
-      ) {
-        // existing totals present
-        this.#totalCounts = { ...saved.totalCounts };
-      } else {
-        // no meaningful totals stored; rebuild from entity list below
-        buildTotalsFromEntities = true;
-      }
+      saved = this.#applySnapshot(saved);
 
-      const entities = saved.entities;
-      if (!Array.isArray(entities) || entities.length === 0) return;
-
-      await Promise.all(entities.map(async (s) => {
-        if (!this.#iconsData || !this.#container) return;
-        const iconMeta = this.#iconsData.icons[s.name];
-        if (!iconMeta) return;
-        const typeMeta = this.#iconsData.types[iconMeta.type];
-        if (!typeMeta) return;
-
-        const entity = new Entity({
-          name:     s.name,
-          type:     iconMeta.type,
-          color:    typeMeta.color,
-          x:        s.x,
-          y:        s.y,
-          vx:       s.vx,
-          vy:       s.vy,
-          rotation: s.rotation,
-        });
-
-        await entity.mount(this.#container);
-
-        if (entity.alive) {
-          // Restore accumulated hue-rotate from collisions
-          if (s.hueShift && entity.bodyEl) {
-            entity.hueShift = s.hueShift;
-            entity.bodyEl.style.filter =
-              `hue-rotate(${s.hueShift}deg) drop-shadow(0 1px 6px rgba(0,0,0,0.35))`;
-          }
-          this.#entities.push(entity);
-          // if the snapshot didn't already include totals, count this entity now
-          if (buildTotalsFromEntities) {
-            this.#incrementTotal(s.name);
-          }
-        }
-      }));
-
-      // make sure totals are at least as large as the current restored population
-      const restored = this.getCounts();
-      for (const [key, num] of Object.entries(restored)) {
-        this.#totalCounts[key] = Math.max(this.#totalCounts[key] || 0, num);
+      // Time the page was closed: left out of the uptime, then caught up
+      if (typeof saved.savedAt === 'number') {
+        const away = Math.max(0, Date.now() - saved.savedAt);
+        this.#startTime += away;
+        if (saved.paused === true) this.pause();
+        else this.#scheduleCatchUp(away);
       }
-    } catch { /* corrupt save — start fresh */ }
+    } catch (err) {
+      // Start fresh, but keep the save around and say so
+      try { localStorage.setItem(UNREADABLE_STORAGE_KEY, raw); } catch { /* quota exceeded */ }
+      const reason = err instanceof SyntaxError ? 'it is not valid JSON' : err.message;
+      console.warn('[EvolutionController] Could not restore the saved world:', err);
+      showNotice(`The saved world could not be restored (${reason}), so a new one started. `
+        + `A copy was kept in localStorage under "${UNREADABLE_STORAGE_KEY}".`);
+    }
+  }
+
+  /**
+   * Migrate a snapshot to the current schema, then load it into the world,
+   * uptime and history.
+   *
+   * @param {unknown} data
+   * @param {() => void} [prepare]  runs once the snapshot could be read,
+   *   before it replaces anything
+   * @returns {Record<string, any>}  the migrated snapshot
+   * @throws {import('./persistence.js').SchemaError}  before anything changed
+   */
+  #applySnapshot(data, prepare) {
+    const saved = migrate(data, EVOLUTION_SCHEMA);
+    prepare?.();
+
+    // Restore elapsed time so lifetime continues across reloads
+    if (typeof saved.startTime === 'number') {
+      this.#startTime = saved.startTime;
+    }
+
+    this.#world.restore(saved);
+    this.#history.restore(saved.history);
+    return saved;
+  }
+
+  // ── Event log ───────────────────────────────────────────────
+
+  /** Record the world's notable events into the event log. */
+  #logWorldEvents() {
+    const world = this.#world;
+    const icons = world.iconsData.icons;
+    /** @param {import('./entity.js').Entity} e  @param {string} [name] */
+    const who   = (e, name = e.entityKey) => `${icons[name]?.label ?? name} #${e.id}`;
+    const what  = (name) => icons[name]?.label ?? name;
+    const at    = ({ x, y }) => ({ time: world.time, x, y });
+
+    world.on('transform', ({ entity, from, by, outcome, fallback }) => {
+      const type = outcome === 'cure' ? 'cure' : fallback ? 'mutation' : 'infection';
+      const verb = { cure: 'cured', mutation: 'mutated', infection: 'infected' }[type];
+      this.#events.record({
+        ...at(entity), type,
+        ids:  by ? [by.id, entity.id] : [entity.id],
+        text: `${by ? `${who(by)} ${verb} ` : ''}${who(entity, from)} → ${what(entity.entityKey)}`,
+      });
+    });
+    world.on('die', ({ entity, cause, by }) => {
+      if (cause !== 'violent') return;
+      this.#events.record({
+        ...at(entity), type: 'kill',
+        ids:  by ? [by.id, entity.id] : [entity.id],
+        text: `${by ? `${who(by)} killed ` : ''}${who(entity)}`,
+      });
+    });
+    world.on('letterEject', ({ letter }) => {
+      this.#events.record({ ...at(letter), type: 'eject', ids: [],
+        text: `letter ${letterOf(letter.iconName)} knocked off the logo` });
+    });
+    world.on('letterReattach', ({ letter }) => {
+      this.#events.record({ ...at(letter), type: 'reattach', ids: [],
+        text: `letter ${letterOf(letter.iconName)} back in the logo` });
+    });
   }
 
   // ── Data loading ────────────────────────────────────────────
@@ -0,0 +1,92 @@
+/**
+ * genome.js
+ * Heritable traits carried by every Entity.  Pure data logic — no DOM.
+ *
+ * Genes:
+ *  - speed      — multiplier on the entity's movement speed.
+ *  - size       — multiplier on the species' icons.json `size`; mass scales
+ *                 with its square (area).
+ *  - resistance — chance (0–1) to shrug off a harmful rule outcome
+ *                 (kill / transform) from another entity.
+ *  - hue        — inherited colour offset in degrees, on top of hit shifts.
+ *
+ * Freshly spawned entities start from defaultGenome().  An entity created
+ * from another one — a daughter of a division, or the new form after a cure
+ * or mutation — inherits its parent's genome through mutateGenome(): each
+ * gene has MUTATION_CHANCE of drifting by up to ± its step, clamped to the
+ * gene's range.  All randomness comes from the World's shared Random.
+ */
+
+import { DEFAULTS } from './constants.js';
+
+/**
+ * Range and mutation step of each gene.
+ * @type {Record<string, { base: number, min: number, max: number, step: number, wrap?: boolean }>}
+ */
+export const GENES = {
+  speed:      { base: 1, min: DEFAULTS.GENE_SPEED_MIN, max: DEFAULTS.GENE_SPEED_MAX, step: DEFAULTS.GENE_SPEED_STEP },
+  size:       { base: 1, min: DEFAULTS.GENE_SIZE_MIN,  max: DEFAULTS.GENE_SIZE_MAX,  step: DEFAULTS.GENE_SIZE_STEP },
+  resistance: { base: 0, min: 0, max: DEFAULTS.GENE_RESISTANCE_MAX, step: DEFAULTS.GENE_RESISTANCE_STEP },
+  hue:        { base: 0, min: -180, max: 180, step: DEFAULTS.GENE_HUE_STEP, wrap: true },
+};
+
+/**
+ * @typedef {{ speed: number, size: number, resistance: number, hue: number }} Genome
+ */
+
+/**
+ * Clamp a gene value to its range (hue wraps around instead).
+ *
+ * @param {string} gene
+ * @param {number} value
+ * @returns {number}
+ */
+function fit(gene, value) {
+  const { min, max, wrap } = GENES[gene];
+  if (wrap) return ((value - min) % (max - min) + (max - min)) % (max - min) + min;
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * The genome of an entity with no ancestry.
+ *
+ * @returns {Genome}
+ */
+export function defaultGenome() {
+  return /** @type {Genome} */ (Object.fromEntries(
+    Object.entries(GENES).map(([gene, { base }]) => [gene, base])));
+}
+
+/**
+ * Copy a parent genome with random mutation.
+ *
+ * @param {Genome} parent
+ * @param {import('../utils/random.js').Random} random
+ * @returns {Genome}
+ */
+export function mutateGenome(parent, random) {
+  const child = { ...parent };
+  for (const [gene, { step }] of Object.entries(GENES)) {
+    if (random.next() < DEFAULTS.MUTATION_CHANCE) {
+      child[gene] = fit(gene, child[gene] + random.range(-step, step));
+    }
+  }
+  return child;
+}
+
+/**
+ * Rebuild a genome from saved data: unknown keys dropped, missing or
+ * invalid genes back at their base value, everything clamped.
+ *
+ * @param {unknown} saved
+ * @returns {Genome}
+ */
+export function normaliseGenome(saved) {
+  const genome = defaultGenome();
+  if (!saved || typeof saved !== 'object') return genome;
+  for (const gene of Object.keys(GENES)) {
+    const value = /** @type {Record<string, unknown>} */ (saved)[gene];
+    if (typeof value === 'number' && Number.isFinite(value)) genome[gene] = fit(gene, value);
+  }
+  return genome;
+}
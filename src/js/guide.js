@@ -2,21 +2,156 @@
  * guide.js
  * GuideController — manages the evolution guide panel.
  *
- * The panel lives in the DOM (HTML), always hidden.
- * On first open, guide.js fetches and injects SVG icons into
- * [data-guide-icon] slots so the panel shows actual game icons.
+ * The panel lives in the DOM (HTML), always hidden.  Its entity and
+ * interaction lists are built from icons.json once the world exists:
+ *  - entities — the icons the rules and spawn config mention, plus any
+ *    other icon once it has appeared; each row shows the icon, its label
+ *    and role, tinted with its type colour.
+ *  - interactions — one row per rule outcome (and per immunity), with
+ *    probabilities read from the live settings (e.g. virus lethality).
  *
  * While the panel is open, a 200 ms interval keeps entity population
- * counts and the system uptime display live.
+ * counts, the stacked population chart (1m / 5m / 15m / all windows), rule
+ * chances, the spawn phase, per-species trait averages,
+ * natural vs. violent deaths, the event timeline, the system uptime and the
+ * run's random seed display live.  The seed is a ?seed= link, so opening it
+ * reproduces the run.  The timeline lists the newest events first; a filter
+ * button per event type hides or shows that type.
  *
  * Behaviour:
  *  - Guide button (bottom-right): click to open/close.
+ *  - Pause / resume freezes the whole simulation; step advances it by one
+ *    physics step while paused.
  *  - Click outside the panel: closes it.
  *  - Escape key: closes it.
- *  - Clicking an entity row spawns that entity at a random position.
+ *  - Clicking an entity row spawns that entity at a random position
+ *    (not during a replay; see replay.js for the replay section).
+ *  - Spawn brush: with "brush" on, clicking a row arms it instead (click
+ *    again, or Escape, to disarm) and the density buttons pick how many
+ *    icons each stamp places.  The choice goes out as a
+ *    `spawnBrushChanged` event ({ name, density }); pointer.js paints.
  */
 
-import { loadIcon } from './iconLoader.js';
+import { loadIcon }    from './iconLoader.js';
+import { EVENT_TYPES } from './eventLog.js';
+import { DEFAULTS }    from './constants.js';
+
+/**
+ * Create an icon slot and inject the icon's SVG into it.
+ *
+ * @param {string} name
+ * @param {string} [color]  CSS colour for --c (default: the white rule style)
+ * @returns {HTMLSpanElement}
+ */
+function iconSlot(name, color) {
+  const slot = document.createElement('span');
+  slot.className = 'guide-entity__icon';
+  slot.dataset.guideIcon = name;
+  if (color) slot.style.setProperty('--c', color);
+  loadIcon(name)
+    .then(svg => { slot.innerHTML = svg; })
+    .catch(() => { /* Silent fail — slot stays empty */ });
+  return slot;
+}
+
+/**
+ * Create a span with a class and text.
+ *
+ * @param {string} className
+ * @param {string} text
+ * @returns {HTMLSpanElement}
+ */
+function textSpan(className, text) {
+  const span = document.createElement('span');
+  span.className   = className;
+  span.textContent = text;
+  return span;
+}
+
+/** Opacity of the stacked areas (the top edge of each band is drawn solid). */
+const CHART_FILL_ALPHA = 0.45;
+
+/**
+ * Draw a stacked area chart of population samples onto a canvas, one band
+ * per species, oldest sample on the left.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {import('./populationHistory.js').PopulationSample[]} samples
+ * @param {number} span   window length in ms (0 = fit all samples)
+ * @param {string[]} order  species keys, bottom band first
+ * @param {(key: string) => string} colorOf
+ */
+function drawHistory(canvas, samples, span, order, colorOf) {
+  const dpr    = window.devicePixelRatio || 1;
+  const width  = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  if (!width || !height) return;
+  if (canvas.width  !== Math.round(width  * dpr)) canvas.width  = Math.round(width  * dpr);
+  if (canvas.height !== Math.round(height * dpr)) canvas.height = Math.round(height * dpr);
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  if (samples.length < 2) return;
+
+  const end   = samples.at(-1).t;
+  const start = span ? end - span : samples[0].t;
+  const x     = (t) => (t - start) / Math.max(1, end - start) * width;
+
+  // Running stack height per sample, and the tallest total for the y scale
+  const base = samples.map(() => 0);
+  let   max  = 1;
+  for (const s of samples) {
+    let total = 0;
+    for (const key of order) total += s.counts[key] ?? 0;
+    max = Math.max(max, total);
+  }
+  const y = (v) => height - v / max * (height - 1);
+
+  for (const key of order) {
+    const top = samples.map((s, i) => base[i] + (s.counts[key] ?? 0));
+    if (top.every((v, i) => v === base[i])) continue;
+
+    ctx.beginPath();
+    samples.forEach((s, i) => ctx.lineTo(x(s.t), y(top[i])));
+    for (let i = samples.length - 1; i >= 0; i--) ctx.lineTo(x(samples[i].t), y(base[i]));
+    ctx.closePath();
+    ctx.globalAlpha = CHART_FILL_ALPHA;
+    ctx.fillStyle   = colorOf(key);
+    ctx.fill();
+
+    ctx.beginPath();
+    samples.forEach((s, i) => ctx.lineTo(x(s.t), y(top[i])));
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = colorOf(key);
+    ctx.lineWidth   = 1;
+    ctx.stroke();
+
+    top.forEach((v, i) => { base[i] = v; });
+  }
+}
+
+/** @param {number} p  0–1 */
+function formatChance(p) {
+  return `${Math.round(p * 100)}%`;
+}
+
+/**
+ * Table cells for one species' mean genome: ×speed, ×size, resistance %
+ * and signed hue offset.
+ *
+ * @param {import('./genome.js').Genome} avg
+ * @returns {string[]}
+ */
+function formatTraits(avg) {
+  const hue = Math.round(avg.hue);
+  return [
+    `×${avg.speed.toFixed(2)}`,
+    `×${avg.size.toFixed(2)}`,
+    `${Math.round(avg.resistance * 100)}%`,
+    `${hue > 0 ? '+' : ''}${hue}°`,
+  ];
+}
 
 /** Format ms → "m:ss" or "h:mm:ss". */
 function formatDuration(ms) {
@@ -33,9 +168,23 @@ export class GuideController {
   /** @type {HTMLElement|null} */ #panel = null;
   /** @type {HTMLElement|null} */ #btn   = null;
   /** @type {boolean} */          #open  = false;
-  /** @type {boolean} */          #iconsLoaded = false;
   /** @type {import('./evolution.js').EvolutionController|null} */ #evolution = null;
+  /** Icon names currently listed in the entities section, joined. */
+  /** @type {string|null} */      #entityKeys = null;
+  /** True once the interactions list has been built from icons.json. */
+  /** @type {boolean} */          #rulesBuilt = false;
+  /** Population chart window in ms (0 = the whole run). */
+  /** @type {number} */           #chartWindow = 0;
+  /** Event types shown in the timeline. */
+  /** @type {Set<string>} */      #logTypes = new Set(EVENT_TYPES);
+  /** Newest entry and filter the timeline was last drawn for. */
+  /** @type {{ latest: object|null, filter: string }|null} */ #logDrawn = null;
+  /** Live chance labels: which rule they belong to and whether they show the complement. */
+  /** @type {Array<{ el: HTMLElement, rule: object, otherwise: boolean }>} */ #chances = [];
   /** @type {ReturnType<typeof setInterval>|null} */ #statsTimer = null;
+  /** Spawn brush: on or off, the armed species and icons per stamp. */
+  /** @type {{ on: boolean, name: string|null, density: number }} */
+  #brush = { on: false, name: null, density: DEFAULTS.BRUSH_DENSITIES[0] };
 
   /**
    * Attach event listeners. Must be called after DOM is ready.
@@ -55,18 +204,45 @@ export class GuideController {
       this.#open ? this.close() : this.open();
     });
 
-    // Close on outside click
+    // Close on outside click — the event path still holds the panel when the
+    // clicked node was removed meanwhile (e.g. a re-rendered save slot row)
     document.addEventListener('click', (e) => {
-      if (this.#open && !this.#panel.contains(e.target)) this.close();
+      if (this.#open && !e.composedPath().includes(this.#panel)) this.close();
     });
 
-    // Close on Escape
+    // Escape disarms the brush first, then closes
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.#open) this.close();
+      if (e.key !== 'Escape') return;
+      if (this.#brush.name) this.#setBrush({ name: null });
+      else if (this.#open) this.close();
     });
 
-    // Entity row clicks → spawn that entity
-    if (this.#evolution) this.#bindEntityClicks();
+    // Chart window buttons → redraw with the chosen span
+    this.#panel.querySelectorAll('.guide-chart__window').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        this.#chartWindow = Number(btn.dataset.window) * 1000;
+        this.#panel.querySelectorAll('.guide-chart__window').forEach((b) => {
+          b.setAttribute('aria-pressed', String(b === btn));
+        });
+        this.#refreshChart();
+      });
+    });
+
+    this.#buildLogFilters();
+    this.#buildBrush();
+
+    // Pause / single-step buttons
+    const pauseBtn = document.getElementById('guidePauseBtn');
+    const stepBtn  = document.getElementById('guideStepBtn');
+    if (pauseBtn && this.#evolution) {
+      pauseBtn.addEventListener('click', () => {
+        this.#evolution.togglePause();
+        this.#syncTimeControls();
+      });
+    }
+    if (stepBtn && this.#evolution) {
+      stepBtn.addEventListener('click', () => this.#evolution.stepOnce());
+    }
 
     // Restart button → clear all entities + saved state
     const resetBtn = document.getElementById('guideResetBtn');
@@ -80,7 +256,6 @@ export class GuideController {
     this.#panel.classList.add('guide-panel--visible');
     this.#panel.setAttribute('aria-hidden', 'false');
     this.#btn.setAttribute('aria-expanded', 'true');
-    if (!this.#iconsLoaded) this.#populateIcons();
     if (this.#evolution) this.#startLiveUpdate();
   }
 
@@ -92,18 +267,27 @@ export class GuideController {
     this.#stopLiveUpdate();
   }
 
-  // ── Private ─────────────────────────────────────────────────
-
-  /** Wire each .guide-entity row to spawn that entity on click. */
-  #bindEntityClicks() {
-    this.#panel.querySelectorAll('.guide-entity').forEach(item => {
-      const slot = item.querySelector('[data-guide-icon]');
-      if (!slot) return;
-      const iconName = slot.dataset.guideIcon;
-      item.addEventListener('click', () => this.#evolution.spawnNamed(iconName));
-    });
+  /**
+   * The panel's actions for the command palette and its shortcuts (see
+   * commands.js).
+   *
+   * @returns {import('./commands.js').Command[]}
+   */
+  commands() {
+    if (!this.#panel) return [];
+    return [
+      { id: 'guide.toggle', title: this.#open ? 'close guide' : 'open guide', run: () => (this.#open ? this.close() : this.open()) },
+      { id: 'guide.brush',  title: this.#brush.on ? 'spawn brush off' : 'spawn brush on',
+        run: () => {
+          this.#setBrush({ on: !this.#brush.on, name: null });
+          // Picking the species happens in the panel
+          if (this.#brush.on) this.open();
+        } },
+    ];
   }
 
+  // ── Private ─────────────────────────────────────────────────
+
   /** Start a 200 ms interval that refreshes counts + uptime while the panel is open. */
   #startLiveUpdate() {
     this.#refreshStats();
@@ -124,6 +308,10 @@ export class GuideController {
     const counts   = this.#evolution.getCounts();
     const lifetime = this.#evolution.lifetime;
 
+    // Lists from icons.json — the entity list grows as new icons appear
+    this.#syncEntityRows();
+    if (!this.#rulesBuilt) this.#buildRuleRows();
+
     // Update per-entity count badges (current + all‑time total in parentheses)
     const totals = this.#evolution.totalCounts || {};
     this.#panel.querySelectorAll('[data-count-key]').forEach(item => {
@@ -136,21 +324,289 @@ export class GuideController {
       }
     });
 
+    // Redraw the population history chart
+    this.#refreshChart();
+
+    // Update rule chances from the live settings (e.g. virus lethality)
+    const settings = this.#evolution.world?.settings ?? {};
+    for (const { el, rule, otherwise } of this.#chances) {
+      const p = this.#evolution.world.rules.probabilityOf(rule, settings);
+      el.textContent = formatChance(otherwise ? 1 - p : p);
+    }
+
+    // Update per-species trait averages (only species currently alive)
+    this.#refreshTraits();
+
+    // Update death counts by cause (old age vs. killed)
+    const deaths = this.#evolution.deaths;
+    this.#panel.querySelectorAll('[data-death-cause]').forEach(el => {
+      el.textContent = String(deaths[el.dataset.deathCause] ?? 0);
+    });
+
+    // Append new events to the timeline
+    this.#refreshLog();
+
+    // Update the current spawn phase label
+    const phaseEl = this.#panel.querySelector('.guide-panel__phase');
+    if (phaseEl) phaseEl.textContent = this.#evolution.spawnPhase ?? '';
+
+    // Pause button label (pausing can also happen elsewhere)
+    this.#syncTimeControls();
+
     // Update uptime display
     const uptimeEl = this.#panel.querySelector('.guide-panel__uptime');
     if (uptimeEl) uptimeEl.textContent = formatDuration(lifetime);
+
+    // Update seed link (changes when the evolution is restarted)
+    const seedEl = /** @type {HTMLAnchorElement|null} */ (this.#panel.querySelector('.guide-seed'));
+    if (seedEl) {
+      const seed = String(this.#evolution.seed);
+      if (seedEl.textContent !== seed) {
+        seedEl.textContent = seed;
+        seedEl.href = `?seed=${seed}`;
+      }
+    }
+  }
+
+  /**
+   * Match the pause / step buttons to the controller's paused state.  They
+   * control the live run, so they are off during a replay.
+   */
+  #syncTimeControls() {
+    const paused   = this.#evolution?.paused ?? false;
+    const replay   = Boolean(this.#evolution?.replay);
+    const pauseBtn = /** @type {HTMLButtonElement|null} */ (document.getElementById('guidePauseBtn'));
+    const stepBtn  = /** @type {HTMLButtonElement|null} */ (document.getElementById('guideStepBtn'));
+    if (pauseBtn) {
+      pauseBtn.textContent = paused ? 'resume' : 'pause';
+      pauseBtn.setAttribute('aria-pressed', String(paused));
+      pauseBtn.disabled = replay;
+    }
+    if (stepBtn) stepBtn.disabled = !paused || replay;
+  }
+
+  /** Draw the population chart for the selected window. */
+  #refreshChart() {
+    const canvas = /** @type {HTMLCanvasElement|null} */ (this.#panel.querySelector('.guide-chart'));
+    const world  = this.#evolution?.world;
+    if (!canvas || !world) return;
+
+    const { icons, types } = world.iconsData;
+    const samples = this.#evolution.history.window(this.#chartWindow);
+    const present = new Set(samples.flatMap(s => Object.keys(s.counts)));
+    // Bands follow icons.json order so colours stay put between redraws
+    const order   = Object.keys(icons).filter(key => present.has(key));
+    drawHistory(canvas, samples, this.#chartWindow, order,
+      key => types[icons[key]?.type]?.color ?? '#ffffff');
+  }
+
+  /** One toggle button per event type above the timeline. */
+  #buildLogFilters() {
+    const bar = this.#panel.querySelector('.guide-log__filters');
+    if (!bar) return;
+    for (const type of EVENT_TYPES) {
+      const btn = document.createElement('button');
+      btn.className          = 'guide-log__filter';
+      btn.dataset.eventType  = type;
+      btn.textContent        = type;
+      btn.setAttribute('aria-pressed', 'true');
+      btn.addEventListener('click', () => {
+        const shown = !this.#logTypes.delete(type);
+        if (shown) this.#logTypes.add(type);
+        btn.setAttribute('aria-pressed', String(shown));
+        this.#refreshLog();
+      });
+      bar.appendChild(btn);
+    }
+  }
+
+  /** Wire the brush toggle and add a button per BRUSH_DENSITIES entry. */
+  #buildBrush() {
+    const group = document.getElementById('guideBrush');
+    if (!group) return;
+    document.getElementById('brushBtn')?.addEventListener('click', () => {
+      this.#setBrush({ on: !this.#brush.on, name: null });
+    });
+    for (const density of DEFAULTS.BRUSH_DENSITIES) {
+      const btn = document.createElement('button');
+      btn.className       = 'guide-brush__btn';
+      btn.dataset.density = String(density);
+      btn.textContent     = `${density}×`;
+      btn.title           = `${density} per stamp`;
+      btn.addEventListener('click', () => this.#setBrush({ density }));
+      group.appendChild(btn);
+    }
+    this.#setBrush({});
+  }
+
+  /**
+   * Change the spawn brush, show it and tell pointer.js.
+   *
+   * @param {Partial<{ on: boolean, name: string|null, density: number }>} change
+   */
+  #setBrush(change) {
+    const brush = Object.assign(this.#brush, change);
+    document.getElementById('brushBtn')?.setAttribute('aria-pressed', String(brush.on));
+    this.#panel.querySelectorAll('.guide-brush__btn[data-density]').forEach((btn) => {
+      btn.hidden = !brush.on;
+      btn.setAttribute('aria-pressed', String(Number(btn.dataset.density) === brush.density));
+    });
+    this.#panel.querySelectorAll('.guide-entity').forEach((row) => {
+      row.classList.toggle('guide-entity--armed', row.dataset.countKey === brush.name);
+    });
+    document.dispatchEvent(new CustomEvent('spawnBrushChanged', {
+      detail: { name: brush.on ? brush.name : null, density: brush.density },
+    }));
+  }
+
+  /** Redraw the timeline when new events arrived or the filter changed. */
+  #refreshLog() {
+    const list = this.#panel.querySelector('.guide-log');
+    const log  = this.#evolution?.events;
+    if (!list || !log) return;
+
+    const filter = [...this.#logTypes].join();
+    if (this.#logDrawn?.latest === log.latest && this.#logDrawn.filter === filter) return;
+    this.#logDrawn = { latest: log.latest, filter };
+
+    const rows = log.entries(this.#logTypes).reverse().map((entry) => {
+      const li = document.createElement('li');
+      li.className = 'guide-log__entry';
+      li.dataset.eventType = entry.type;
+      li.title = `at ${Math.round(entry.x)}, ${Math.round(entry.y)}`;
+      li.append(
+        textSpan('guide-log__time', formatDuration(entry.time)),
+        textSpan('guide-log__type', entry.type),
+        textSpan('guide-log__text', entry.text),
+      );
+      return li;
+    });
+    list.replaceChildren(...rows);
   }
 
-  /** Inject SVGs into every [data-guide-icon] slot in the panel. */
-  async #populateIcons() {
-    this.#iconsLoaded = true;
-    const slots = this.#panel.querySelectorAll('[data-guide-icon]');
-    await Promise.all(Array.from(slots).map(async (slot) => {
-      try {
-        slot.innerHTML = await loadIcon(slot.dataset.guideIcon);
-      } catch {
-        // Silent fail — slot stays empty
+  /** Rebuild the trait-average rows, one per living species. */
+  #refreshTraits() {
+    const body = this.#panel.querySelector('.guide-traits__body');
+    if (!body) return;
+
+    const icons = this.#evolution.world?.iconsData.icons ?? {};
+    const types = this.#evolution.world?.iconsData.types ?? {};
+    const rows  = Object.entries(this.#evolution.getTraitAverages()).map(([key, avg]) => {
+      const row  = document.createElement('tr');
+      const name = document.createElement('td');
+      name.textContent = (icons[key]?.label ?? key).toLowerCase();
+      name.style.setProperty('--c', types[icons[key]?.type]?.color ?? '');
+      row.appendChild(name);
+      for (const text of formatTraits(avg)) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
       }
+      return row;
+    });
+    body.replaceChildren(...rows);
+  }
+
+  /**
+   * (Re)build the entity rows when the set of listed icons changes: every
+   * icon the rules or spawn config mention, plus any icon that has appeared.
+   * Clicking a row spawns that icon.
+   */
+  #syncEntityRows() {
+    const world = this.#evolution.world;
+    const list  = this.#panel.querySelector('.guide-entities');
+    if (!world || !list) return;
+
+    const { icons, types, spawn } = world.iconsData;
+    const totals = this.#evolution.totalCounts;
+    const cast   = new Set([spawn?.initial, spawn?.rare, ...world.rules.products]);
+    for (const rule of world.rules.interactions) {
+      cast.add(rule.actor);
+      [rule.target].flat().forEach(name => cast.add(name));
+    }
+    const names = Object.keys(icons).filter(name => cast.has(name) || totals[name] > 0);
+
+    const keys = names.join(',');
+    if (keys === this.#entityKeys) return;
+    this.#entityKeys = keys;
+
+    list.replaceChildren(...names.map((name) => {
+      const icon  = icons[name];
+      const color = types[icon.type]?.color;
+      const row   = document.createElement('li');
+      row.className = 'guide-entity';
+      row.dataset.countKey = name;
+      if (color) row.style.setProperty('--c', color);
+      row.append(
+        iconSlot(name),
+        textSpan('guide-entity__name',  (icon.label ?? name).toLowerCase()),
+        textSpan('guide-entity__role',  icon.role ?? types[icon.type]?.label?.toLowerCase() ?? ''),
+        textSpan('guide-entity__count', '0'),
+      );
+      row.classList.toggle('guide-entity--armed', this.#brush.name === name);
+      row.addEventListener('click', () => {
+        if (this.#brush.on) this.#setBrush({ name: this.#brush.name === name ? null : name });
+        else this.#evolution.spawnNamed(name);
+      });
+      return row;
     }));
   }
+
+  /**
+   * Build the interactions list: a row per rule outcome (the `otherwise`
+   * branch gets its own row) and one per immunity.  A `*` target is shown
+   * as the initial spawn icon.
+   */
+  #buildRuleRows() {
+    const world = this.#evolution.world;
+    const list  = this.#panel.querySelector('.guide-rules');
+    if (!world || !list) return;
+    this.#rulesBuilt = true;
+    this.#chances    = [];
+
+    const { icons, spawn } = world.iconsData;
+    const shown = (target) => {
+      const name = Array.isArray(target) ? target[0] : target;
+      return name === '*' || name === undefined ? spawn?.initial : name;
+    };
+    const labelOf = (name) => (icons[name]?.label ?? name).toLowerCase();
+
+    /**
+     * @param {string[]} parts  icon names and operators, in order
+     * @param {string} desc
+     * @param {{ rule: object, otherwise: boolean }} [chance]
+     */
+    const row = (parts, desc, chance) => {
+      const li = document.createElement('li');
+      li.className = 'guide-rule';
+      for (const part of parts) {
+        li.appendChild(icons[part] ? iconSlot(part) : textSpan('guide-rule__op', part));
+      }
+      if (chance) {
+        const el = textSpan('guide-rule__pct', '');
+        this.#chances.push({ el, ...chance });
+        li.appendChild(el);
+      }
+      li.appendChild(textSpan('guide-rule__desc', desc));
+      return li;
+    };
+
+    const rows = [];
+    for (const rule of world.rules.interactions) {
+      const head   = [rule.actor, '+', shown(rule.target)];
+      const chance = rule.probability !== undefined;
+      rows.push(row(rule.into ? [...head, '→', rule.into] : [...head, '→'],
+        rule.label ?? rule.outcome, chance ? { rule, otherwise: false } : undefined));
+
+      const alt = rule.otherwise;
+      if (alt) {
+        rows.push(row(alt.into ? [...head, '→', alt.into] : [...head, '→'],
+          alt.label ?? alt.outcome, { rule, otherwise: true }));
+      }
+    }
+    for (const [actor, target] of world.rules.immunities) {
+      rows.push(row([target, '×', actor], `${labelOf(target)} immune`));
+    }
+    list.replaceChildren(...rows);
+  }
 }
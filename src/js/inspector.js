@@ -0,0 +1,260 @@
+/**
+ * inspector.js
+ * InspectorController — a popover about one entity, opened by clicking it
+ * (pointer.js announces the click with an `entityInspect` event).
+ *
+ * It shows the entity's species and id, age (against its lifespan, when it
+ * has one), velocity on screen, hue shift, lifetime collisions, species
+ * changes and lineage.  The popover follows the icon as it moves —
+ * repositioned every frame beside it, flipped to the other side near the
+ * viewport's edge — and its figures refresh every INSPECTOR_REFRESH_MS.
+ *
+ * Actions:
+ *  - kill — starts the slow death, like a virus kill.
+ *  - cure — turns an infected entity back into the icon it was born as.
+ *  - pin / unpin — holds it in place (see entity.js); unpinned, it carries
+ *    on the way it was going.
+ * They go through the EvolutionController, which records them for replays.
+ *
+ * Closes on the close button, Escape, a click elsewhere, once the entity is
+ * gone, and when the world is replaced (restart, load, replay).
+ */
+
+import { DEFAULTS } from './constants.js';
+
+/** The facts listed, in order: key and label. */
+const FACTS = [
+  ['species',    'species'],
+  ['age',        'age'],
+  ['velocity',   'velocity'],
+  ['hue',        'hue shift'],
+  ['collisions', 'collisions'],
+  ['infections', 'species changes'],
+  ['lineage',    'lineage'],
+];
+
+/** Format ms → "42 s" under a minute, "m:ss" above. */
+function formatAge(ms) {
+  const s = Math.floor(ms / 1000);
+  if (s < 60) return `${s} s`;
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+/** Format simulation ms as "m:ss" — when something happened. */
+function formatClock(ms) {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+export class InspectorController {
+  /** @type {import('./evolution.js').EvolutionController|null} */ #evolution = null;
+  /** @type {HTMLElement|null} */       #el       = null;
+  /** @type {HTMLElement|null} */       #title    = null;
+  /** @type {HTMLButtonElement|null} */ #killBtn  = null;
+  /** @type {HTMLButtonElement|null} */ #cureBtn  = null;
+  /** @type {HTMLButtonElement|null} */ #pinBtn   = null;
+  /** Value element per FACTS key. */
+  /** @type {Map<string, HTMLElement>} */ #values = new Map();
+  /** id of the inspected entity, null while closed. */
+  /** @type {number|null} */            #id       = null;
+  /** @type {number|null} */            #frame    = null;
+  /** Frame time of the last refresh of the figures. */
+  /** @type {number} */                 #refreshedAt = -Infinity;
+
+  /**
+   * Bind the popover and listen for clicks on entities.  Must be called
+   * after DOM is ready.
+   *
+   * @param {import('./evolution.js').EvolutionController} evolution
+   */
+  init(evolution) {
+    this.#evolution = evolution;
+    this.#el      = document.getElementById('inspector');
+    this.#title   = document.getElementById('inspectorTitle');
+    this.#killBtn = /** @type {HTMLButtonElement|null} */ (document.getElementById('inspectorKillBtn'));
+    this.#cureBtn = /** @type {HTMLButtonElement|null} */ (document.getElementById('inspectorCureBtn'));
+    this.#pinBtn  = /** @type {HTMLButtonElement|null} */ (document.getElementById('inspectorPinBtn'));
+    if (!this.#el) return;
+
+    this.#buildFacts();
+
+    document.addEventListener('entityInspect', (e) => {
+      this.open(/** @type {CustomEvent} */ (e).detail.id);
+    });
+
+    document.getElementById('inspectorClose')?.addEventListener('click', () => this.close());
+    this.#killBtn?.addEventListener('click', () => this.#act(() => evolution.killEntity(this.#id)));
+    this.#cureBtn?.addEventListener('click', () => this.#act(() => evolution.cureEntity(this.#id)));
+    this.#pinBtn?.addEventListener('click', () => {
+      this.#act(() => evolution.pinEntity(this.#id, !evolution.entity(this.#id)?.pinned));
+    });
+
+    // Clicks in the popover are not outside clicks for the guide panel;
+    // a click anywhere else closes it (clicks on entities never get here,
+    // see pointer.js)
+    this.#el.addEventListener('click', (e) => e.stopPropagation());
+    document.addEventListener('click', () => this.close());
+
+    // Escape closes the popover before anything under it — unless a modal
+    // dialog is open, which has the key
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || this.#id === null) return;
+      if (document.querySelector('[aria-modal="true"][aria-hidden="false"]')) return;
+      e.stopPropagation();
+      this.close();
+    }, { capture: true });
+
+    // The world was replaced: ids may now belong to other entities
+    document.addEventListener('evolutionCleared', () => this.close());
+    document.addEventListener('evolutionLoaded',  () => this.close());
+  }
+
+  /**
+   * Inspect an entity, or switch the popover to another one.
+   *
+   * @param {number} id
+   */
+  open(id) {
+    if (!this.#el || !this.#evolution?.entity(id)) return;
+    const opening = this.#id === null;
+    this.#id = id;
+    this.#el.classList.add('inspector--visible');
+    this.#el.setAttribute('aria-hidden', 'false');
+    this.#render();
+    this.#place();
+    if (opening) this.#frame = requestAnimationFrame((t) => this.#follow(t));
+  }
+
+  close() {
+    if (this.#id === null) return;
+    this.#id = null;
+    this.#el.classList.remove('inspector--visible');
+    this.#el.setAttribute('aria-hidden', 'true');
+    if (this.#frame !== null) cancelAnimationFrame(this.#frame);
+    this.#frame = null;
+  }
+
+  get isOpen() { return this.#id !== null; }
+
+  // ── Private ─────────────────────────────────────────────────
+
+  /** One `<dt>` / `<dd>` pair per FACTS entry. */
+  #buildFacts() {
+    const list = document.getElementById('inspectorFacts');
+    if (!list) return;
+    for (const [key, label] of FACTS) {
+      const term  = document.createElement('dt');
+      term.className   = 'inspector__term';
+      term.textContent = label;
+      const value = document.createElement('dd');
+      value.className  = 'inspector__value';
+      list.append(term, value);
+      this.#values.set(key, value);
+    }
+  }
+
+  /**
+   * Run an action on the inspected entity, then show its outcome.
+   *
+   * @param {() => void} action
+   */
+  #act(action) {
+    if (this.#id === null) return;
+    action();
+    this.#refreshedAt = -Infinity;
+    this.#render();
+  }
+
+  /**
+   * Per-frame: keep beside the entity, refreshing the figures now and then.
+   *
+   * @param {number} now  frame time (ms)
+   */
+  #follow(now) {
+    this.#frame = null;
+    if (this.#id === null) return;
+    // A replay runs another world; a gone entity has nothing left to show
+    if (this.#evolution.replay || !this.#evolution.entity(this.#id)) {
+      this.close();
+      return;
+    }
+    if (now - this.#refreshedAt >= DEFAULTS.INSPECTOR_REFRESH_MS) {
+      this.#refreshedAt = now;
+      this.#render();
+    }
+    this.#place();
+    this.#frame = requestAnimationFrame((t) => this.#follow(t));
+  }
+
+  /** Put the popover beside the entity, inside the viewport. */
+  #place() {
+    const entity = this.#evolution.entity(this.#id);
+    if (!entity) return;
+    const el     = this.#el;
+    const gap    = entity.size / 2 + DEFAULTS.INSPECTOR_OFFSET;
+    const width  = el.offsetWidth;
+    const height = el.offsetHeight;
+    const maxX   = window.innerWidth  - width;
+    const maxY   = window.innerHeight - height;
+
+    // Right of the icon, or left when that runs off the screen
+    let x = entity.x + gap;
+    if (x > maxX) x = entity.x - gap - width;
+    const y = entity.y - height / 2;
+    el.style.transform = `translate(${Math.round(Math.max(0, Math.min(x, maxX)))}px, ${Math.round(Math.max(0, Math.min(y, maxY)))}px)`;
+  }
+
+  /** Write the entity's current figures and action states. */
+  #render() {
+    const evolution = this.#evolution;
+    const entity    = evolution.entity(this.#id);
+    if (!entity) return;
+    const icons = evolution.world.iconsData.icons;
+    const label = (/** @type {string} */ name) => (icons[name]?.label ?? name).toLowerCase();
+    const set   = (/** @type {string} */ key, /** @type {string} */ text) => {
+      const el = this.#values.get(key);
+      if (el && el.textContent !== text) el.textContent = text;
+    };
+
+    if (this.#title) this.#title.textContent = `${label(entity.entityKey)} #${entity.id}`;
+    this.#el.style.setProperty('--c', entity.color);
+
+    const state = entity.dying ? 'dying' : entity.pinned ? 'pinned' : '';
+    set('species', [label(entity.entityKey), entity.name !== entity.entityKey && `born ${label(entity.name)}`, state]
+      .filter(Boolean).join(' · '));
+
+    const age = evolution.world.time - entity.bornAt;
+    set('age', Number.isFinite(entity.lifespan)
+      ? `${formatAge(age)} of ${formatAge(entity.lifespan)}`
+      : formatAge(age));
+
+    // On-screen speed: the move speed and the speed gene scale the velocity
+    const still   = entity.dying || entity.pinned || entity.held;
+    const speed   = still ? 0
+      : Math.hypot(entity.vx, entity.vy) * (evolution.moveSpeed / DEFAULTS.MOVE_SPEED) * entity.genome.speed;
+    const heading = Math.round((Math.atan2(entity.vy, entity.vx) * 180 / Math.PI + 360) % 360);
+    set('velocity', speed > 0 ? `${Math.round(speed)} px/s · ${heading}°` : 'still');
+
+    const gene = Math.round(entity.genome.hue);
+    set('hue', `${Math.round(entity.hueShift)}°${gene ? ` (${gene > 0 ? '+' : ''}${gene}° inherited)` : ''}`);
+    set('collisions', String(entity.hits));
+
+    set('infections', entity.infections.length
+      ? entity.infections.map((c) => `${formatClock(c.time)} ${label(c.from)} → ${label(c.into)}`
+          + (c.by ? ` (${label(c.by)})` : c.outcome === 'cure' ? ' (cured)' : '')).join('\n')
+      : 'none');
+
+    set('lineage', [
+      entity.parentId === null ? 'spawned' : `gen ${entity.generation} · parent #${entity.parentId}`,
+      entity.offspring && `${entity.offspring} ${entity.offspring === 1 ? 'daughter' : 'daughters'}`,
+    ].filter(Boolean).join(' · '));
+
+    if (this.#killBtn) this.#killBtn.disabled = entity.dying;
+    if (this.#cureBtn) this.#cureBtn.disabled = entity.dying || entity.entityKey === entity.name;
+    if (this.#pinBtn) {
+      this.#pinBtn.disabled    = entity.dying;
+      this.#pinBtn.textContent = entity.pinned ? 'unpin' : 'pin';
+      this.#pinBtn.setAttribute('aria-pressed', String(entity.pinned));
+    }
+  }
+}
@@ -1,236 +1,252 @@
 /**
  * logoController.js
- * Manages the floating "shadolldev" logo word.
+ * Renders the floating "shadolldev" logo word of a World.
  *
- * The word is made of 10 letter SVG icons flying together as a unit,
- * bouncing off viewport edges. Individual letters absorb bumps from
- * evolution entities; after enough hits (random 500–5000 threshold)
- * a letter ejects and flies freely with a spring pulling it home.
+ * The word's physics live in LogoWord (logoWord.js), which World steps and
+ * serialises.  This controller is the browser side: one DOM view per letter,
+ * written each frame from the simulated positions, plus the debug hit-count
+ * and bump-threshold labels that SettingsController toggles.
  *
- * EvolutionController drives the physics:
- *  - Calls update(multiplier) every rAF tick to advance word + letter positions.
- *  - Calls checkCollisionsWithEntities(entities[]) after entity positions settle.
- *
- * State is serialised via serialise() and restored in init() so the word
- * continues seamlessly across page reloads.
+ * World events drive the one-off effects:
+ *  - 'letterBump'     — flash, proximity colour, debug label, and a
+ *                       document-level `logoLetterBumped` event so settings
+ *                       can persist hit totals.
+ *  - 'letterEject'    — ejected styling.
+ *  - 'letterReattach' — back to normal styling and a fresh threshold label.
+ *  - 'clear'          — labels back to `0`, proximity colouring removed.
  */
 
-import { LogoLetter }   from './logoLetter.js';
-import { preloadIcons } from './iconLoader.js';
-import { DEFAULTS }     from './constants.js';
-
-/** Ordered icon filenames for s·h·a·d·o·l·l·d·e·v */
-const WORD_ICONS = [
-  'letter-s-box',   // 0  s
-  'letter-h-box',   // 1  h
-  'letter-a-box',   // 2  a
-  'letter-d-box',   // 3  d
-  'letter-o-box',   // 4  o
-  'letter-l-box',   // 5  l
-  'letter-l-box',   // 6  l
-  'letter-d',   // 7  d
-  'letter-e',       // 8  e
-  'letter-v',       // 9  v
-];
+import { preloadIcons, loadIcon } from './iconLoader.js';
+import { WORD_ICONS }             from './logoWord.js';
+import { DEFAULTS }               from './constants.js';
 
-export class LogoController {
-  // ── Word-origin physics ───────────────────────────────────
-  /** @type {number} */ #wordX  = 0;
-  /** @type {number} */ #wordY  = 0;
-  /** @type {number} */ #wordVx = 0;
-  /** @type {number} */ #wordVy = 0;
+/**
+ * DOM view of a single LogoLetter.
+ *
+ * DOM structure mirrors the entity views:
+ *  <div class="logo-letter">             ← position via JS transform
+ *    <div class="logo-letter__body">     ← scale animation via CSS transition
+ *      <svg>…</svg>
+ *    </div>
+ *  </div>
+ */
+class LetterView {
+  /** @type {import('./logoLetter.js').LogoLetter} */ letter;
 
-  /** @type {LogoLetter[]} */     #letters   = [];
-  /** @type {boolean} */            #thresholdVisible = false;
-  /** @type {HTMLElement|null} */ #container = null;
-  /** @type {boolean} */          #ready     = false;
+  /** @type {HTMLElement|null} */ el          = null;
+  /** @type {HTMLElement|null} */ bodyEl      = null;
+  /** @type {HTMLElement|null} */ debugEl     = null;
+  /** @type {HTMLElement|null} */ thresholdEl = null;
 
-  // ── Public API ─────────────────────────────────────────────
+  /** @param {import('./logoLetter.js').LogoLetter} letter */
+  constructor(letter) {
+    this.letter = letter;
+  }
 
   /**
-   * Randomise the bump threshold for every letter using the current min/max
-   * settings and update the on‑screen labels. Called when settings change or
-   * when evolution is restarted.
+   * Build the DOM element, fetch the SVG, attach to container.
+   * Triggers the scale-in appear animation.
+   *
+   * @param {HTMLElement} container
+   * @returns {Promise<boolean>}  false when the SVG could not be loaded
    */
-  resetThresholds() {
-    for (const letter of this.#letters) {
-      letter.bumpThreshold = DEFAULTS.LOGO_BUMP_THRESHOLD_MIN
-        + Math.floor(Math.random()
-            * (DEFAULTS.LOGO_BUMP_THRESHOLD_MAX - DEFAULTS.LOGO_BUMP_THRESHOLD_MIN));
-      if (letter.thresholdEl) {
-        letter.thresholdEl.textContent = String(letter.bumpThreshold);
-      }
+  async mount(container) {
+    this.el     = document.createElement('div');
+    this.el.className = 'logo-letter';
+
+    this.bodyEl = document.createElement('div');
+    this.bodyEl.className   = 'logo-letter__body';
+    this.bodyEl.dataset.state = 'spawning';
+
+    try {
+      this.bodyEl.innerHTML = await loadIcon(this.letter.iconName);
+    } catch (err) {
+      console.warn(`[LogoController] Could not load "${this.letter.iconName}":`, err);
+      return false;
     }
+
+    this.debugEl = document.createElement('span');
+    this.debugEl.className   = 'logo-letter__debug';
+    this.debugEl.textContent = String(this.letter.totalHits);
+
+    // threshold label sits above the letter
+    this.thresholdEl = document.createElement('span');
+    this.thresholdEl.className = 'logo-letter__threshold';
+    this.thresholdEl.textContent = String(this.letter.bumpThreshold);
+
+    this.el.appendChild(this.bodyEl);
+    this.el.appendChild(this.thresholdEl);
+    this.el.appendChild(this.debugEl);
+    this.el.classList.toggle('logo-letter--ejected', this.letter.ejected);
+    container.appendChild(this.el);
+
+    // reflect proximity colour based on a restored bump count
+    this.updateProximityColor();
+    this.sync();
+
+    // Double-rAF guarantees the 'spawning' state was painted before 'alive',
+    // ensuring the CSS scale transition actually fires.
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        if (this.bodyEl) this.bodyEl.dataset.state = 'alive';
+      });
+    });
+    return true;
   }
 
-  /**
-   * Mount all letter DOM nodes and initialise physics.
-   *
-   * @param {HTMLElement} container  Same container as EvolutionController.
-   * @param {object|null} savedState  Snapshot from serialise(), or null for a fresh start.
-   */
-  async init(container, savedState = null) {
-    this.#container = container;
+  /** Write the letter position (and its scale on narrow screens) to the DOM. */
+  sync() {
+    if (!this.el) return;
+    const s = this.letter.scale;
+    const h = DEFAULTS.LOGO_LETTER_HALF * s;
+    this.el.style.transform = `translate(${this.letter.x - h}px, ${this.letter.y - h}px) scale(${s})`;
+  }
 
-    // Warm SVG cache for all unique letter icons before mounting
-    await Promise.all([...new Set(WORD_ICONS)].map(n => preloadIcons([n])));
+  /** Refresh the hit-count and threshold labels from the letter. */
+  syncLabels() {
+    if (this.debugEl)     this.debugEl.textContent     = String(this.letter.totalHits);
+    if (this.thresholdEl) this.thresholdEl.textContent = String(this.letter.bumpThreshold);
+  }
 
-    if (savedState) {
-      this.#restoreFromSnapshot(savedState);
-    } else {
-      this.#initFresh();
-    }
+  /** Reaction to an entity bump: label, proximity colour, flash. */
+  bump() {
+    if (this.debugEl) this.debugEl.textContent = String(this.letter.totalHits);
 
-    await this.#mountLetters(savedState?.letters ?? null);
-    this.#ready = true;
+    // colour the letter based on how close it is to the threshold,
+    // interpolating from white→red as the count rises.
+    this.updateProximityColor();
+
+    this.#flashHit();
+  }
+
+  /** Ejected styling on / off, matching the letter state. */
+  syncEjected() {
+    this.el?.classList.toggle('logo-letter--ejected', this.letter.ejected);
+    this.syncLabels();
+    if (!this.letter.ejected) this.resetProximityColor();
   }
 
   /**
-   * Advance word + letter physics one frame.
-   * Called from EvolutionController's rAF tick BEFORE collision checks.
-   *
-   * @param {number} multiplier  settings speed multiplier (1 = normal)
+   * Show or hide the debug hit-count label.
+   * @param {boolean} visible
    */
-  update(multiplier) {
-    if (!this.#ready) return;
+  setDebugVisible(visible) {
+    this.el?.classList.toggle('logo-letter--show-debug', visible);
+    // when toggling on, ensure debug text reflects totalHits
+    if (visible && this.debugEl) this.debugEl.textContent = String(this.letter.totalHits);
+  }
 
-    // Move word origin
-    this.#wordX += this.#wordVx * multiplier;
-    this.#wordY += this.#wordVy * multiplier;
-
-    // Bounce word off viewport edges.
-    // Word spans: wordX ± (4.5 * GAP) and wordY ± LETTER_HALF
-    const halfW = 4.5 * DEFAULTS.LOGO_LETTER_GAP + DEFAULTS.LOGO_LETTER_HALF;
-    const halfH = DEFAULTS.LOGO_LETTER_HALF;
-    const vw    = window.innerWidth;
-    const vh    = window.innerHeight;
-
-    if (this.#wordX - halfW <= 0)      { this.#wordX = halfW;          this.#wordVx =  Math.abs(this.#wordVx); }
-    if (this.#wordX + halfW >= vw)     { this.#wordX = vw - halfW;     this.#wordVx = -Math.abs(this.#wordVx); }
-    if (this.#wordY - halfH <= 0)      { this.#wordY = halfH;          this.#wordVy =  Math.abs(this.#wordVy); }
-    if (this.#wordY + halfH >= vh)     { this.#wordY = vh - halfH;     this.#wordVy = -Math.abs(this.#wordVy); }
-
-    // Update each letter
-    for (const letter of this.#letters) {
-      if (letter.ejected) {
-        letter.updateEjected(this.#wordX, this.#wordY, multiplier);
-        // Re-attach when drifted back close enough
-        if (letter.isNearSlot(this.#wordX, this.#wordY)) {
-          letter.reattach();
-          letter.snapToSlot(this.#wordX, this.#wordY);
-        }
-      } else {
-        letter.snapToSlot(this.#wordX, this.#wordY);
-      }
-    }
+  /**
+   * Show or hide the threshold text.
+   * @param {boolean} visible
+   */
+  setThresholdVisible(visible) {
+    this.el?.classList.toggle('logo-letter--show-threshold', visible);
   }
 
   /**
-   * Check every entity against every letter.
-   * Called from EvolutionController's rAF tick AFTER entity positions are updated
-   * and AFTER entity-entity collisions are resolved.
-   *
-   * Collision response:
-   *  - Attached letter: entity reflects like a solid wall; letter unmoved.
-   *  - Ejected letter: equal-mass elastic exchange along collision normal.
-   *  - Letter bump count increments; if threshold reached, letter ejects.
-   *
-   * @param {import('./entity.js').Entity[]} entities
+   * Update the body colour to indicate proximity to the bump threshold:
+   * fades from white at 0 hits to solid red at the threshold.
+   * This function may be called any time bumpCount/threshold changes.
    */
-  checkCollisionsWithEntities(entities) {
-    if (!this.#ready) return;
+  updateProximityColor() {
+    const { bumpCount, bumpThreshold } = this.letter;
+    if (!this.bodyEl || bumpThreshold <= 0) return;
+    const ratio = Math.min(bumpCount / bumpThreshold, 1);
+    const gb = Math.round(255 * (1 - ratio));
+    this.bodyEl.style.color = `rgb(255,${gb},${gb})`;
+  }
 
-    const colDiam = DEFAULTS.LOGO_COLLISION_DIAMETER;
-
-    for (const entity of entities) {
-      if (!entity.alive || entity.dying) continue;
-
-      for (const letter of this.#letters) {
-        if (!letter.mounted) continue;
-
-        const dx   = entity.x - letter.x;
-        const dy   = entity.y - letter.y;
-        const dist = Math.hypot(dx, dy);
-
-        if (dist >= colDiam || dist === 0) continue;
-
-        // Collision normal pointing from letter centre → entity centre
-        const nx = dx / dist;
-        const ny = dy / dist;
-
-        // Velocity of entity relative to letter along the collision normal.
-        // nx points FROM letter TO entity, so dot < 0 means entity is approaching.
-        const dot = (entity.vx - letter.vx) * nx + (entity.vy - letter.vy) * ny;
-
-        if (dot < 0) {
-          // Entity moving toward letter — reflect fully, like a screen edge.
-          // Letters are rigid obstacles regardless of ejected state.
-          entity.vx -= 2 * dot * nx;
-          entity.vy -= 2 * dot * ny;
-        }
-
-        // Positional correction — push entity out only (letter is unmoved)
-        const overlap = colDiam - dist;
-        entity.x += overlap * nx;
-        entity.y += overlap * ny;
-
-        // Visual hit on entity
-        entity.onHit();
-
-        // Bump the letter; eject if threshold crossed
-        const shouldEject = letter.onBump();
-        if (shouldEject) {
-          // Eject in the direction the entity pushed from (away from entity)
-          const ejVx = -nx * DEFAULTS.LOGO_EJECT_IMPULSE;
-          const ejVy = -ny * DEFAULTS.LOGO_EJECT_IMPULSE;
-          letter.eject(ejVx, ejVy);
-          // after detaching, reset bump counter and pick a fresh threshold
-          letter.bumpCount = 0;
-          letter.bumpThreshold = DEFAULTS.LOGO_BUMP_THRESHOLD_MIN
-            + Math.floor(Math.random()
-                * (DEFAULTS.LOGO_BUMP_THRESHOLD_MAX - DEFAULTS.LOGO_BUMP_THRESHOLD_MIN));
-          if (letter.thresholdEl) {
-            letter.thresholdEl.textContent = String(letter.bumpThreshold);
-          }
-        }
-      }
-    }
+  /** Clear any proximity colouring so the CSS default can take over again. */
+  resetProximityColor() {
+    if (this.bodyEl) this.bodyEl.style.color = '';
+  }
+
+  /** Remove this letter from the DOM. */
+  destroy() {
+    this.el?.remove();
+    this.el          = null;
+    this.bodyEl      = null;
+    this.debugEl     = null;
+    this.thresholdEl = null;
+  }
+
+  #flashHit() {
+    if (!this.bodyEl) return;
+    this.bodyEl.classList.remove('logo-letter__body--hit');
+    void this.bodyEl.offsetWidth; // force reflow so animation restarts
+    this.bodyEl.classList.add('logo-letter__body--hit');
+    setTimeout(() => this.bodyEl?.classList.remove('logo-letter__body--hit'), 350);
   }
+}
+
+export class LogoController {
+  /** @type {import('./world.js').World|null} */ #world = null;
+  /** @type {Map<import('./logoLetter.js').LogoLetter, LetterView>} */ #views = new Map();
+  /** @type {HTMLElement|null} */ #container        = null;
+  /** @type {boolean} */          #debugVisible     = false;
+  /** @type {boolean} */          #thresholdVisible = false;
+  /** @type {boolean} */          #ready            = false;
+  /** Bumped by every (re)mount and destroy — a mount that finds it changed
+   *  when its SVGs arrive is stale and drops its letters. */
+  /** @type {number} */           #mounts           = 0;
+
+  // ── Public API ─────────────────────────────────────────────
 
   /**
-   * Serialise complete logo state for localStorage.
-   * Called by EvolutionController's #saveState().
+   * Mount all letter DOM nodes for the world's logo word.
    *
-   * @returns {object}
+   * @param {HTMLElement} container  Same container as EvolutionController.
+   * @param {import('./world.js').World} world  The simulated world (EvolutionController.world).
+   */
+  async init(container, world) {
+    this.#container = container;
+    this.#world     = world;
+
+    // Warm SVG cache for all unique letter icons before mounting
+    preloadIcons([...new Set(WORD_ICONS)]);
+
+    world.on('letterBump', ({ letter }) => {
+      this.#views.get(letter)?.bump();
+      // notify listeners that a bump occurred so the settings storage can update
+      document.dispatchEvent(new CustomEvent('logoLetterBumped'));
+    });
+    world.on('letterEject',    ({ letter }) => this.#views.get(letter)?.syncEjected());
+    world.on('letterReattach', ({ letter }) => this.#views.get(letter)?.syncEjected());
+    world.on('clear', () => this.#refreshAll());
+    // A restored world brings a fresh set of letters — remount them
+    world.on('restore', () => {
+      this.#views.forEach(v => v.destroy());
+      this.#views.clear();
+      this.#mountLetters();
+    });
+
+    await this.#mountLetters();
+    this.#ready = true;
+  }
+
+  /** Write every letter position to the DOM — call once per animation frame. */
+  render() {
+    if (!this.#ready) return;
+    for (const view of this.#views.values()) view.sync();
+  }
+
+  /**
+   * Randomise the bump threshold for every letter using the current min/max
+   * settings and update the on‑screen labels. Called when settings change or
+   * when evolution is restarted.
    */
-  serialise() {
-    // Note: we deliberately do **not** persist each letter's bumpThreshold.
-    // When the page reloads we want thresholds to be freshly chosen from the
-    // current min/max settings rather than sticking to whatever they were.
-    return {
-      wordX:  this.#wordX,
-      wordY:  this.#wordY,
-      wordVx: this.#wordVx,
-      wordVy: this.#wordVy,
-      letters: this.#letters.map(l => ({
-        slotIndex:     l.slotIndex,
-        iconName:      l.iconName,
-        bumpCount:     l.bumpCount,
-        // bumpThreshold intentionally omitted
-        ejected:       l.ejected,
-        x:             l.x,
-        y:             l.y,
-        vx:            l.vx,
-        vy:            l.vy,
-      })),
-    };
+  resetThresholds() {
+    this.#world?.logo.resetThresholds();
+    for (const view of this.#views.values()) view.syncLabels();
   }
 
   /** Remove all letter DOM nodes. */
   destroy() {
-    this.#letters.forEach(l => l.destroy());
-    this.#letters = [];
-    this.#ready   = false;
+    this.#mounts++;
+    this.#views.forEach(v => v.destroy());
+    this.#views.clear();
+    this.#ready = false;
   }
 
   get ready() { return this.#ready; }
@@ -240,9 +256,8 @@ export class LogoController {
    * @param {boolean} visible
    */
   setDebugVisible(visible) {
-    for (const letter of this.#letters) {
-      letter.setDebugVisible(visible);
-    }
+    this.#debugVisible = visible;
+    for (const view of this.#views.values()) view.setDebugVisible(visible);
   }
 
   /**
@@ -251,142 +266,68 @@ export class LogoController {
    */
   setThresholdVisible(visible) {
     this.#thresholdVisible = visible;
-    for (const letter of this.#letters) {
-      letter.setThresholdVisible(visible);
-    }
+    for (const view of this.#views.values()) view.setThresholdVisible(visible);
   }
 
   /**
-   * Return an array of the current bump counts for each letter (slot order).
+   * Return an array of the current hit totals for each letter (slot order).
    * Used by SettingsController so the zero values are included when persisting.
    * @returns {number[]}
    */
   getHitCounts() {
-    // return totalHits so previously stored values persist as totals
-    return this.#letters.map(l => l.totalHits);
+    return this.#world?.logo.getHitCounts() ?? [];
   }
 
   /**
-   * Apply previously saved bump counts back onto the letters. If the array is
+   * Apply previously saved hit totals back onto the letters. If the array is
    * shorter/longer than the current word, it is truncated or padded with zeros.
    * @param {number[]} counts
    */
   setHitCounts(counts) {
-    if (!Array.isArray(counts)) return;
-    for (let i = 0; i < this.#letters.length; i++) {
-      const val = counts[i] ?? 0;
-      this.#letters[i].totalHits = val;
-      // keep bumpCount at least the same so ejection logic doesn't fire
-      this.#letters[i].bumpCount = Math.min(this.#letters[i].bumpCount, val);
-      if (this.#letters[i].debugEl) {
-        this.#letters[i].debugEl.textContent = String(val);
-      }
-    }
+    this.#world?.logo.setHitCounts(counts);
+    for (const view of this.#views.values()) view.syncLabels();
   }
 
   /**
    * Reset all bump counters back to zero (used when evolution is cleared).
    */
   resetCounters() {
-    for (const letter of this.#letters) {
-      letter.bumpCount = 0;
-      letter.totalHits = 0;
-      if (letter.debugEl) letter.debugEl.textContent = '0';
-      // remove any red proximity colouring so letters appear white again
-      if (typeof letter._resetProximityColor === 'function') {
-        letter._resetProximityColor();
-      }
-    }
+    this.#world?.logo.resetCounters();
+    this.#refreshAll();
   }
 
   // ── Private ────────────────────────────────────────────────
 
-  /** Set up a brand-new word at the viewport centre with a random direction. */
-  #initFresh() {
-    const vw    = window.innerWidth;
-    const vh    = window.innerHeight;
-    const angle = Math.random() * Math.PI * 2;
-
-    this.#wordX  = vw / 2;
-    this.#wordY  = vh / 2;
-    this.#wordVx = Math.cos(angle) * DEFAULTS.LOGO_WORD_BASE_SPEED;
-    this.#wordVy = Math.sin(angle) * DEFAULTS.LOGO_WORD_BASE_SPEED;
-
-    this.#letters = WORD_ICONS.map((iconName, i) =>
-      new LogoLetter({ iconName, slotIndex: i })
-    );
-  }
-
-  /** Restore word origin and letter objects from a saved snapshot. */
-  #restoreFromSnapshot(state) {
-    this.#wordX  = state.wordX  ?? window.innerWidth  / 2;
-    this.#wordY  = state.wordY  ?? window.innerHeight / 2;
-    this.#wordVx = state.wordVx ?? 0;
-    this.#wordVy = state.wordVy ?? DEFAULTS.LOGO_WORD_BASE_SPEED;
-
-    // Ignore saved bumpThreshold; always regenerate using current settings
-    this.#letters = WORD_ICONS.map((iconName, i) => {
-      const saved = state.letters?.[i];
-      const letter = new LogoLetter({
-        iconName,
-        slotIndex:     i,
-        // no bumpThreshold argument -> constructor uses DEFAULTS range
-      });
-      // restore bumpCount/totalHits/ejected/position if present
-      if (saved) {
-        letter.bumpCount = saved.bumpCount ?? 0;
-        letter.totalHits = saved.totalHits ?? 0;
-        letter.ejected   = saved.ejected   ?? false;
-      }
-      return letter;
-    });
+  /** Labels back in sync and proximity colouring removed on every letter. */
+  #refreshAll() {
+    for (const view of this.#views.values()) {
+      view.syncLabels();
+      // remove any red proximity colouring so letters appear white again
+      view.resetProximityColor();
+    }
   }
 
   /**
-   * Mount all letters.
-   * If savedLetterStates is provided, applies runtime state after mounting.
-   *
-   * @param {Array|null} savedLetterStates
+   * Mount one view per letter of the world's logo word.  Only the latest
+   * mount keeps its letters: two restores in quick succession would
+   * otherwise both add a set.
    */
-  async #mountLetters(savedLetterStates) {
-    if (!this.#container) return;
-
-    await Promise.all(this.#letters.map(async (letter, i) => {
-      await letter.mount(this.#container);
-      if (!letter.mounted) return;
-
-      // apply current threshold visibility immediately
-      if (this.#thresholdVisible) {
-        letter.setThresholdVisible(true);
+  async #mountLetters() {
+    if (!this.#container || !this.#world) return;
+    const mount = ++this.#mounts;
+
+    await Promise.all(this.#world.logo.letters.map(async letter => {
+      const view = new LetterView(letter);
+      if (!await view.mount(this.#container)) return;
+      if (mount !== this.#mounts) {
+        view.destroy();
+        return;
       }
+      this.#views.set(letter, view);
 
-      const saved = savedLetterStates?.[i];
-      if (saved) {
-        letter.bumpCount = saved.bumpCount ?? 0;
-        letter.totalHits = saved.totalHits ?? 0;
-        letter.ejected   = saved.ejected   ?? false;
-
-        // display restored total on debug label if visible
-        if (letter.debugEl) letter.debugEl.textContent = String(letter.totalHits);
-
-        // reflect proximity colour based on the restored bump count
-        if (typeof letter._updateProximityColor === 'function') {
-          letter._updateProximityColor();
-        }
-
-        if (saved.ejected) {
-          letter.x  = saved.x  ?? letter.x;
-          letter.y  = saved.y  ?? letter.y;
-          letter.vx = saved.vx ?? 0;
-          letter.vy = saved.vy ?? 0;
-          letter.el?.classList.add('logo-letter--ejected');
-          letter._applyTransform();
-        } else {
-          letter.snapToSlot(this.#wordX, this.#wordY);
-        }
-      } else {
-        letter.snapToSlot(this.#wordX, this.#wordY);
-      }
+      // apply current label visibility immediately
+      if (this.#debugVisible)     view.setDebugVisible(true);
+      if (this.#thresholdVisible) view.setThresholdVisible(true);
     }));
   }
 }
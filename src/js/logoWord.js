@@ -0,0 +1,425 @@
+/**
+ * logoWord.js
+ * Simulation state of the floating "shadolldev" logo word — DOM-free.
+ *
+ * The word is made of 10 letters flying together as a unit, bouncing off
+ * the world edges.  Individual letters absorb bumps from entities; after
+ * enough hits (random LOGO_BUMP_THRESHOLD_MIN … MAX) a letter ejects and
+ * flies freely with a spring pulling it home.
+ *
+ * World drives it each fixed step:
+ *  - update(multiplier, dt, width, height) advances word + letter positions.
+ *  - collide(entities, grid, maxSize) resolves entity-vs-letter contacts.
+ * and on a resize or restore:
+ *  - rescale(sx, sy, width, height) moves the word and ejected letters
+ *    proportionally and keeps them inside the world.
+ *
+ * In a world narrower than the word, the letters shrink (`scale`, down to
+ * LOGO_MIN_SCALE) so the whole word stays on screen.
+ *
+ * LogoController renders the letters; it learns about bumps, ejections and
+ * re-attachments through the `emit` callback (World forwards them as
+ * 'letterBump' / 'letterEject' / 'letterReattach' events).
+ */
+
+import { LogoLetter } from './logoLetter.js';
+import { DEFAULTS }   from './constants.js';
+
+/**
+ * Keep v within [min, max] (min wins when the range is empty).
+ *
+ * @param {number} v
+ * @param {number} min
+ * @param {number} max
+ */
+const clamp = (v, min, max) => Math.max(min, Math.min(v, max));
+
+/** Ordered icon filenames for s·h·a·d·o·l·l·d·e·v */
+export const WORD_ICONS = [
+  'letter-s-box',   // 0  s
+  'letter-h-box',   // 1  h
+  'letter-a-box',   // 2  a
+  'letter-d-box',   // 3  d
+  'letter-o-box',   // 4  o
+  'letter-l-box',   // 5  l
+  'letter-l-box',   // 6  l
+  'letter-d',   // 7  d
+  'letter-e',       // 8  e
+  'letter-v',       // 9  v
+];
+
+export class LogoWord {
+  // ── Word-origin physics ───────────────────────────────────
+  /** @type {number} */ wordX  = 0;
+  /** @type {number} */ wordY  = 0;
+  /** @type {number} */ wordVx = 0;
+  /** @type {number} */ wordVy = 0;
+
+  /** @type {LogoLetter[]} */ letters = [];
+
+  /** Letter size and spacing factor — below 1 when the world is too narrow. */
+  /** @type {number} */ scale = 1;
+
+  /** @type {import('../utils/random.js').Random} */ #random;
+  /** @type {(type: string, letter: LogoLetter) => void} */ #emit;
+
+  /**
+   * @param {{ random: import('../utils/random.js').Random,
+   *           emit?: (type: string, letter: LogoLetter) => void }} opts
+   */
+  constructor({ random, emit = () => {} }) {
+    this.#random = random;
+    this.#emit   = emit;
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  /**
+   * Set up a brand-new word at the world centre with a random direction.
+   *
+   * @param {number} width
+   * @param {number} height
+   */
+  initFresh(width, height) {
+    const angle = this.#random.next() * Math.PI * 2;
+
+    this.wordX  = width  / 2;
+    this.wordY  = height / 2;
+    this.wordVx = Math.cos(angle) * DEFAULTS.LOGO_WORD_BASE_SPEED;
+    this.wordVy = Math.sin(angle) * DEFAULTS.LOGO_WORD_BASE_SPEED;
+
+    this.letters = WORD_ICONS.map((iconName, i) =>
+      new LogoLetter({ iconName, slotIndex: i, random: this.#random })
+    );
+    this.#fit(width);
+    for (const letter of this.letters) letter.snapToSlot(this.wordX, this.wordY);
+  }
+
+  /**
+   * Restore word origin and letters from a serialise() snapshot.  Positions
+   * are taken as saved — World.restore() rescales them to its size.
+   *
+   * @param {object} state
+   * @param {number} width   fallback centre when the snapshot lacks a position
+   * @param {number} height
+   */
+  restore(state, width, height) {
+    this.wordX  = state.wordX  ?? width  / 2;
+    this.wordY  = state.wordY  ?? height / 2;
+    this.wordVx = state.wordVx ?? 0;
+    this.wordVy = state.wordVy ?? DEFAULTS.LOGO_WORD_BASE_SPEED;
+
+    // Ignore saved bumpThreshold; always regenerate using current settings
+    this.letters = WORD_ICONS.map((iconName, i) => {
+      const saved  = state.letters?.[i];
+      const letter = new LogoLetter({
+        iconName,
+        slotIndex:     i,
+        random:        this.#random,
+        // no bumpThreshold argument -> constructor uses DEFAULTS range
+      });
+      letter.scale = this.scale;
+      // restore bumpCount/totalHits/ejected/position if present
+      if (saved) {
+        letter.bumpCount = saved.bumpCount ?? 0;
+        letter.totalHits = saved.totalHits ?? 0;
+        letter.ejected   = saved.ejected   ?? false;
+      }
+      if (saved?.ejected) {
+        letter.x  = saved.x  ?? letter.x;
+        letter.y  = saved.y  ?? letter.y;
+        letter.vx = saved.vx ?? 0;
+        letter.vy = saved.vy ?? 0;
+      } else {
+        letter.snapToSlot(this.wordX, this.wordY);
+      }
+      return letter;
+    });
+  }
+
+  /**
+   * Serialise complete logo state for persistence.
+   *
+   * @returns {object}
+   */
+  serialise() {
+    // Note: we deliberately do **not** persist each letter's bumpThreshold.
+    // When the page reloads we want thresholds to be freshly chosen from the
+    // current min/max settings rather than sticking to whatever they were.
+    return {
+      wordX:  this.wordX,
+      wordY:  this.wordY,
+      wordVx: this.wordVx,
+      wordVy: this.wordVy,
+      letters: this.letters.map(l => ({
+        slotIndex:     l.slotIndex,
+        iconName:      l.iconName,
+        bumpCount:     l.bumpCount,
+        // bumpThreshold intentionally omitted
+        ejected:       l.ejected,
+        x:             l.x,
+        y:             l.y,
+        vx:            l.vx,
+        vy:            l.vy,
+      })),
+    };
+  }
+
+  /**
+   * Follow a change of world size: the word origin and ejected letters
+   * move by the given factors, the letters shrink or grow to fit the new
+   * width, and everything is clamped inside the world.
+   *
+   * @param {number} sx      horizontal factor (new width / old width)
+   * @param {number} sy      vertical factor
+   * @param {number} width   new world width in px
+   * @param {number} height  new world height in px
+   */
+  rescale(sx, sy, width, height) {
+    this.#fit(width);
+    const { halfW, halfH } = this.#extent();
+    this.wordX = clamp(this.wordX * sx, halfW, width  - halfW);
+    this.wordY = clamp(this.wordY * sy, halfH, height - halfH);
+
+    const h = DEFAULTS.LOGO_LETTER_HALF * this.scale;
+    for (const letter of this.letters) {
+      if (letter.ejected) {
+        letter.x = clamp(letter.x * sx, h, width  - h);
+        letter.y = clamp(letter.y * sy, h, height - h);
+      } else {
+        letter.snapToSlot(this.wordX, this.wordY);
+      }
+    }
+  }
+
+  // ── Physics ────────────────────────────────────────────────
+
+  /**
+   * Advance word + letter physics by one fixed step.
+   * Called from World.step() BEFORE collision checks.
+   *
+   * @param {number} multiplier  settings speed multiplier (1 = normal)
+   * @param {number} dt          step length in seconds
+   * @param {number} width       world width in px
+   * @param {number} height      world height in px
+   */
+  update(multiplier, dt, width, height) {
+    // Move word origin
+    this.wordX += this.wordVx * multiplier * dt;
+    this.wordY += this.wordVy * multiplier * dt;
+
+    // Bounce word off world edges
+    const { halfW, halfH } = this.#extent();
+
+    if (this.wordX - halfW <= 0)      { this.wordX = halfW;          this.wordVx =  Math.abs(this.wordVx); }
+    if (this.wordX + halfW >= width)  { this.wordX = width - halfW;  this.wordVx = -Math.abs(this.wordVx); }
+    if (this.wordY - halfH <= 0)      { this.wordY = halfH;          this.wordVy =  Math.abs(this.wordVy); }
+    if (this.wordY + halfH >= height) { this.wordY = height - halfH; this.wordVy = -Math.abs(this.wordVy); }
+
+    // Update each letter (one held by the pointer stays where it is put)
+    for (const letter of this.letters) {
+      if (letter.held) continue;
+      if (letter.ejected) {
+        letter.updateEjected(this.wordX, this.wordY, multiplier, dt, width, height);
+        // Re-attach when drifted back close enough
+        if (letter.isNearSlot(this.wordX, this.wordY)) {
+          letter.reattach();
+          letter.snapToSlot(this.wordX, this.wordY);
+          this.#emit('letterReattach', letter);
+        }
+      } else {
+        letter.snapToSlot(this.wordX, this.wordY);
+      }
+    }
+  }
+
+  /**
+   * Check entities against letters.
+   * Called from World.step() AFTER entity positions are updated and AFTER
+   * entity-entity collisions are resolved.
+   *
+   * An entity touches a letter when their centres are closer than the
+   * entity's half size plus the letter's (scaled) half.
+   *
+   * When a grid is given, each letter only queries the entities in its
+   * neighbouring cells, out to the largest entity's reach.  Candidate pairs
+   * are then sorted entity-first so they resolve in the same order as the
+   * exhaustive entities × letters loop.  They are gathered once, before any
+   * push: a pushed entity moves to its new cell, but a letter it was pushed
+   * into from beyond that reach only meets it next step — the grid is an
+   * approximation of the exhaustive loop, not a copy of it.
+   *
+   * Collision response:
+   *  - Attached letter: entity reflects like a solid wall; letter unmoved.
+   *  - Ejected letter: entity reflects off it the same way.
+   *  - Letter bump count increments; if threshold reached, letter ejects.
+   *
+   * @param {import('./entity.js').Entity[]} entities
+   * @param {import('../utils/spatialHash.js').SpatialHash} [grid]
+   *   Broad-phase grid built from `entities` (indices into that array).
+   * @param {number} [maxSize=DEFAULTS.ICON_SIZE]  size of the largest entity
+   *   there can be — how far the grid is queried
+   * @returns {import('./entity.js').Entity[]}  entities that were hit
+   *   (so the caller can report the hue shift)
+   */
+  collide(entities, grid, maxSize = DEFAULTS.ICON_SIZE) {
+    const half    = DEFAULTS.LOGO_LETTER_HALF * this.scale;
+    const letters = this.letters;
+    const hit     = [];
+
+    for (const pair of this.#candidatePairs(entities, grid, maxSize / 2 + half)) {
+      const index  = Math.floor(pair / letters.length);
+      const entity = entities[index];
+      const letter = letters[pair % letters.length];
+      if (!entity.alive || entity.dying) continue;
+
+      const dx   = entity.x - letter.x;
+      const dy   = entity.y - letter.y;
+      const dist = Math.hypot(dx, dy);
+      const reach = entity.size / 2 + half;
+
+      if (dist >= reach || dist === 0) continue;
+
+      // Collision normal pointing from letter centre → entity centre
+      const nx = dx / dist;
+      const ny = dy / dist;
+
+      // Velocity of entity relative to letter along the collision normal.
+      // nx points FROM letter TO entity, so dot < 0 means entity is approaching.
+      const dot = (entity.vx - letter.vx) * nx + (entity.vy - letter.vy) * ny;
+
+      if (dot < 0) {
+        // Entity moving toward letter — reflect fully, like a screen edge.
+        // Letters are rigid obstacles regardless of ejected state.
+        entity.vx -= 2 * dot * nx;
+        entity.vy -= 2 * dot * ny;
+      }
+
+      // Positional correction — push entity out only (letter is unmoved)
+      const overlap = reach - dist;
+      const { x, y } = entity;
+      entity.x += overlap * nx;
+      entity.y += overlap * ny;
+      grid?.move(index, x, y, entity.x, entity.y);
+
+      // Visual hit on entity
+      if (entity.onHit()) hit.push(entity);
+
+      // Bump the letter; eject if threshold crossed
+      const shouldEject = letter.onBump();
+      this.#emit('letterBump', letter);
+      if (shouldEject) {
+        // Eject in the direction the entity pushed from (away from entity)
+        const ejVx = -nx * DEFAULTS.LOGO_EJECT_IMPULSE;
+        const ejVy = -ny * DEFAULTS.LOGO_EJECT_IMPULSE;
+        letter.eject(ejVx, ejVy);
+        // after detaching, reset bump counter and pick a fresh threshold
+        letter.bumpCount = 0;
+        letter.rollThreshold();
+        this.#emit('letterEject', letter);
+      }
+    }
+
+    return hit;
+  }
+
+  // ── Counters ───────────────────────────────────────────────
+
+  /**
+   * Randomise the bump threshold for every letter using the current min/max
+   * settings.  Called when settings change or when evolution is restarted.
+   */
+  resetThresholds() {
+    for (const letter of this.letters) letter.rollThreshold();
+  }
+
+  /** Reset all bump counters back to zero (used when evolution is cleared). */
+  resetCounters() {
+    for (const letter of this.letters) {
+      letter.bumpCount = 0;
+      letter.totalHits = 0;
+    }
+  }
+
+  /**
+   * Total hits per letter, in slot order.
+   * @returns {number[]}
+   */
+  getHitCounts() {
+    return this.letters.map(l => l.totalHits);
+  }
+
+  /**
+   * Apply previously saved hit totals back onto the letters.  If the array
+   * is shorter/longer than the word, it is truncated or padded with zeros.
+   *
+   * @param {number[]} counts
+   */
+  setHitCounts(counts) {
+    if (!Array.isArray(counts)) return;
+    for (let i = 0; i < this.letters.length; i++) {
+      const val = counts[i] ?? 0;
+      this.letters[i].totalHits = val;
+      // keep bumpCount at least the same so ejection logic doesn't fire
+      this.letters[i].bumpCount = Math.min(this.letters[i].bumpCount, val);
+    }
+  }
+
+  // ── Private ────────────────────────────────────────────────
+
+  /**
+   * Half the word's size: it spans wordX ± (4.5 × GAP + LETTER_HALF) and
+   * wordY ± LETTER_HALF, at the current scale.
+   *
+   * @returns {{ halfW: number, halfH: number }}
+   */
+  #extent() {
+    return {
+      halfW: (4.5 * DEFAULTS.LOGO_LETTER_GAP + DEFAULTS.LOGO_LETTER_HALF) * this.scale,
+      halfH: DEFAULTS.LOGO_LETTER_HALF * this.scale,
+    };
+  }
+
+  /**
+   * Pick the letter scale for a world width: 1 when the full word fits with
+   * LOGO_FIT_MARGIN to spare, smaller otherwise.
+   *
+   * @param {number} width
+   */
+  #fit(width) {
+    const span  = 9 * DEFAULTS.LOGO_LETTER_GAP + DEFAULTS.LOGO_LETTER_SIZE;
+    this.scale  = clamp((width - 2 * DEFAULTS.LOGO_FIT_MARGIN) / span, DEFAULTS.LOGO_MIN_SCALE, 1);
+    for (const letter of this.letters) letter.scale = this.scale;
+  }
+
+  /**
+   * Encode every (entity, letter) pair worth a narrow-phase test as
+   * `entityIndex * letterCount + letterIndex`, sorted ascending.
+   * Without a grid every pair is a candidate.
+   *
+   * @param {import('./entity.js').Entity[]} entities
+   * @param {import('../utils/spatialHash.js').SpatialHash} [grid]
+   * @param {number} reach  furthest contact distance from a letter's centre
+   * @returns {number[]}
+   */
+  #candidatePairs(entities, grid, reach) {
+    const count = this.letters.length;
+    const pairs = [];
+
+    if (!grid) {
+      for (let e = 0; e < entities.length; e++) {
+        for (let l = 0; l < count; l++) pairs.push(e * count + l);
+      }
+      return pairs;
+    }
+
+    const near = [];
+    for (let l = 0; l < count; l++) {
+      const letter = this.letters[l];
+      for (const e of grid.query(letter.x, letter.y, reach, near)) {
+        pairs.push(e * count + l);
+      }
+    }
+    return pairs.sort((a, b) => a - b);
+  }
+}
@@ -3,8 +3,11 @@
  * Application entry point.
  *
  * Responsibilities:
- *  - Instantiate all controllers
+ *  - Instantiate all controllers (with the ?seed= URL parameter, if any)
+ *  - Apply a shared configuration from the URL hash (see shareLink.js)
  *  - Wire the settings button to the modal
+ *  - Gather every controller's commands for the shortcuts and the command
+ *    palette (see commands.js)
  *  - Kick off the gradient and evolution system
  *
  * Keep this file thin — business logic lives in the controllers.
@@ -15,41 +18,90 @@ import { ModalController }     from './modal.js';
 import { SettingsController }  from './settings.js';
 import { EvolutionController } from './evolution.js';
 import { GuideController }     from './guide.js';
+import { SavesController }     from './saves.js';
+import { ReplayController }    from './replay.js';
+import { PointerController }   from './pointer.js';
+import { InspectorController } from './inspector.js';
 import { LogoController }      from './logoController.js';
+import { CommandPalette }      from './commands.js';
 import { DEFAULTS }            from './constants.js';
+import { decodeShareHash }     from './shareLink.js';
+import { parseSeed }           from '../utils/random.js';
 
 // ── Initialise controllers ─────────────────────────────────
+// A shared link (#c=…&seed=…) carries settings and optionally a seed;
+// ?seed=<number|word> pins the simulation PRNG so a run can be reproduced
+const shared    = decodeShareHash(window.location.hash);
+const seed      = shared?.seed ?? parseSeed(new URLSearchParams(window.location.search).get('seed'));
+
 const gradient  = new GradientController();
 const modal     = new ModalController();
-const evolution = new EvolutionController();
+const evolution = new EvolutionController({ seed });
 const guide     = new GuideController();
+const saves     = new SavesController();
+const replay    = new ReplayController();
+const pointer   = new PointerController();
+const inspector = new InspectorController();
+const palette   = new CommandPalette();
 
 // SettingsController bridges UI → gradient + evolution
 const settings  = new SettingsController(gradient, evolution);
 
 // ── Wire up settings button ────────────────────────────────
-document.getElementById('settingsBtn').addEventListener('click', (e) => {
+const settingsBtn = document.getElementById('settingsBtn');
+settingsBtn.addEventListener('click', (e) => {
   modal.open(/** @type {HTMLElement} */ (e.currentTarget));
 });
 
 // ── Wire up evolution guide ────────────────────────────────
 guide.init(evolution);
+saves.init(evolution);
+replay.init(evolution);
+pointer.init(evolution);
+inspector.init(evolution);
+
+// ── Wire up shortcuts + command palette ────────────────────
+palette.addSource(() => evolution.commands());
+palette.addSource(() => guide.commands());
+palette.addSource(() => [{
+  id:    'settings.toggle',
+  title: modal.isOpen ? 'close settings' : 'open settings',
+  run:   () => (modal.isOpen ? modal.close() : modal.open(settingsBtn)),
+}]);
+palette.addSource(() => settings.commands());
+palette.addSource(() => replay.commands());
+palette.init();
 
 // ── Boot gradient ──────────────────────────────────────────
 gradient.init(DEFAULTS.GRADIENT_COLOR);
 
-// Apply saved settings after gradient has set its defaults
+// Apply saved settings after gradient has set its defaults, then a shared
+// link's on top.  The hash is dropped once applied (the settings are saved
+// by then) so a reload doesn't undo later changes.
 settings.loadSaved();
+if (shared) {
+  settings.applyShared(shared.settings);
+  window.history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+// A shared link pasted into this tab only changes the hash — reload to apply it
+window.addEventListener('hashchange', () => {
+  if (decodeShareHash(window.location.hash)) window.location.reload();
+});
 
 // ── Boot logo + evolution ──────────────────────────────────
-// Sequence: evolution.init() → reads localStorage (populates savedLogoState)
-//           logo.init(savedLogoState) → mounts letters, restores state
-//           setLogoController(logo) → arms per-tick calls
+// Sequence: evolution.init() → builds the world, restores localStorage state
+//           setSpawnGroups() → one settings toggle per icons.json group
+//           logo.init(world) → mounts the world's letters
+//           setLogoController(logo) → arms per-frame rendering
 const logo      = new LogoController();
 const container = document.getElementById('evolutionContainer');
 
 evolution.init(container)
-  .then(() => logo.init(container, evolution.savedLogoState))
+  .then(() => {
+    settings.setSpawnGroups(evolution.groups);
+    return logo.init(container, evolution.world);
+  })
   .then(() => {
     evolution.setLogoController(logo);
     settings.setLogoController(logo);
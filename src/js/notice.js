@@ -0,0 +1,53 @@
+/**
+ * notice.js
+ * A dismissible message at the top of the page for problems the user should
+ * know about — e.g. a save that could not be restored — instead of the page
+ * quietly behaving differently.
+ *
+ * The element lives in index.html (#notice, hidden by default).  A notice
+ * hides itself after NOTICE_DURATION_MS or when its close button is clicked;
+ * messages arriving while it is up are added below (restoring the world
+ * and the settings can both fail on the same load).
+ */
+
+import { DEFAULTS } from './constants.js';
+
+/** @type {ReturnType<typeof setTimeout>|null} */
+let hideTimer = null;
+
+function hideNotice() {
+  const el = document.getElementById('notice');
+  if (el) {
+    el.hidden = true;
+    el.querySelector('.notice__text')?.replaceChildren();
+  }
+  if (hideTimer !== null) clearTimeout(hideTimer);
+  hideTimer = null;
+}
+
+/**
+ * Show a message in the page notice.
+ *
+ * @param {string} message
+ */
+export function showNotice(message) {
+  const el = document.getElementById('notice');
+  if (!el) return;
+
+  const text  = el.querySelector('.notice__text');
+  const close = /** @type {HTMLElement|null} */ (el.querySelector('.notice__close'));
+  if (text) {
+    const line = document.createElement('p');
+    line.className   = 'notice__line';
+    line.textContent = message;
+    text.appendChild(line);
+  }
+  if (close && !close.dataset.bound) {
+    close.dataset.bound = 'true';
+    close.addEventListener('click', hideNotice);
+  }
+
+  el.hidden = false;
+  if (hideTimer !== null) clearTimeout(hideTimer);
+  hideTimer = setTimeout(hideNotice, DEFAULTS.NOTICE_DURATION_MS);
+}
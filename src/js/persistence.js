@@ -0,0 +1,146 @@
+/**
+ * persistence.js
+ * Versioned schemas for what the page keeps in localStorage — the world
+ * snapshot (`devpage:evolution`) and the settings (`devpage:settings`).
+ * Pure data logic — no DOM, no storage access.
+ *
+ * Every saved object carries a `version`.  Loading runs it through the
+ * schema's migration chain — migrations[n] turns version n into n + 1 — up
+ * to the current version, then checks the structure.  Anything that can't
+ * be read throws a SchemaError whose message can be shown to the user.
+ *
+ * Evolution snapshot versions:
+ *  0 — velocities in px/frame (before the fixed-timestep loop; no version)
+ *  1 — velocities in px/s, marked `velocityUnit: "px/s"` (no version)
+ *  2 — `version` field; velocityUnit dropped
+ *  3 — world `width` / `height`, so positions can be fitted to another
+ *      screen (older snapshots are only clamped to it)
+ *
+ * Settings versions:
+ *  0 — no version field
+ *  1 — `version` field
+ *
+ * To change a format: bump its version, append a migration from the old
+ * version, and document the step above.
+ */
+
+/** Frame rate the old px/frame saves were tuned for (px/frame × 60 = px/s). */
+const LEGACY_FRAME_RATE = 60;
+
+export class SchemaError extends Error {
+  name = 'SchemaError';
+}
+
+/**
+ * @typedef {object} Schema
+ * @property {string} label       what is being loaded, for error messages
+ * @property {number} version     current version
+ * @property {(data: object) => number} detect  version of data without a `version` field
+ * @property {Array<(data: object) => object>} migrations  migrations[n]: n → n + 1
+ * @property {(data: object) => void} [validate]  throws SchemaError
+ */
+
+/** @param {unknown} v */
+const isObject = (v) => Boolean(v) && typeof v === 'object' && !Array.isArray(v);
+
+/** @param {unknown} v */
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * Scale a px/frame snapshot's velocities to px/s.
+ *
+ * @param {Record<string, any>} saved
+ * @returns {Record<string, any>}
+ */
+function scaleLegacyVelocities(saved) {
+  const k     = LEGACY_FRAME_RATE;
+  const scale = (o) => ({
+    ...o,
+    ...(isNumber(o.vx) && { vx: o.vx * k }),
+    ...(isNumber(o.vy) && { vy: o.vy * k }),
+  });
+  const out = { ...saved };
+  if (Array.isArray(saved.entities)) out.entities = saved.entities.map(e => (isObject(e) ? scale(e) : e));
+  if (isObject(saved.logo)) {
+    const logo = saved.logo;
+    out.logo = {
+      ...logo,
+      ...(isNumber(logo.wordVx) && { wordVx: logo.wordVx * k }),
+      ...(isNumber(logo.wordVy) && { wordVy: logo.wordVy * k }),
+      ...(Array.isArray(logo.letters) && { letters: logo.letters.map(l => (isObject(l) ? scale(l) : l)) }),
+    };
+  }
+  return out;
+}
+
+/** @type {Schema} */
+export const EVOLUTION_SCHEMA = {
+  label:   'saved world',
+  version: 3,
+  detect:  (data) => (data.velocityUnit === 'px/s' ? 1 : 0),
+  migrations: [
+    // 0 → 1: px/frame → px/s
+    (data) => ({ ...scaleLegacyVelocities(data), velocityUnit: 'px/s' }),
+    // 1 → 2: the version field replaces the unit marker
+    ({ velocityUnit, ...data }) => data,
+    // 2 → 3: the size is new and optional
+    (data) => data,
+  ],
+  validate(data) {
+    if (data.entities !== undefined && !Array.isArray(data.entities)) {
+      throw new SchemaError('entity list is not a list');
+    }
+    (data.entities ?? []).forEach((e, i) => {
+      if (!isObject(e) || typeof e.name !== 'string') throw new SchemaError(`entity ${i} has no icon name`);
+      for (const key of ['x', 'y', 'vx', 'vy']) {
+        if (!isNumber(e[key])) throw new SchemaError(`entity ${i} has an invalid ${key}`);
+      }
+    });
+    if (data.logo !== undefined && !isObject(data.logo)) throw new SchemaError('invalid logo');
+    if (data.totalCounts !== undefined && !isObject(data.totalCounts)) throw new SchemaError('invalid totals');
+    if (data.seed !== undefined && !isNumber(data.seed)) throw new SchemaError('invalid seed');
+    for (const key of ['width', 'height']) {
+      if (data[key] !== undefined && !isNumber(data[key])) throw new SchemaError(`invalid world ${key}`);
+    }
+  },
+};
+
+/** @type {Schema} */
+export const SETTINGS_SCHEMA = {
+  label:   'saved settings',
+  version: 1,
+  detect:  () => 0,
+  migrations: [
+    // 0 → 1: only the version field is new
+    (data) => data,
+  ],
+};
+
+/**
+ * Bring saved data up to the schema's current version and check it.
+ *
+ * @param {unknown} data  parsed JSON
+ * @param {Schema} schema
+ * @returns {Record<string, any>}  a migrated copy with `version` set
+ * @throws {SchemaError}
+ */
+export function migrate(data, schema) {
+  if (!isObject(data)) throw new SchemaError(`${schema.label} is not an object`);
+
+  let version = data.version === undefined ? schema.detect(data) : data.version;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new SchemaError(`${schema.label} has an invalid version`);
+  }
+  if (version > schema.version) {
+    throw new SchemaError(`${schema.label} is from a newer version (${version}) of this page`);
+  }
+
+  let out = { ...data };
+  while (version < schema.version) {
+    out = schema.migrations[version](out);
+    version++;
+  }
+  out.version = version;
+  schema.validate?.(out);
+  return out;
+}
@@ -0,0 +1,306 @@
+/**
+ * pointer.js
+ * PointerController — lets a mouse, pen or finger reach into the simulation.
+ *
+ *  - Press on an entity or an ejected logo letter and drag (further than
+ *    POINTER_DRAG_SLOP) to pick it up, move it around and let go to fling
+ *    it at the pointer's speed (averaged over the last
+ *    POINTER_FLING_WINDOW_MS).
+ *  - Click an entity without dragging to inspect it: the controller
+ *    announces it with an `entityInspect` event (see inspector.js).
+ *  - Hold Shift to push entities away from the cursor, Alt to pull them in
+ *    (a force field POINTER_FIELD_RADIUS wide that follows the cursor).
+ *  - Spawn brush: while the guide has a species armed (it announces the
+ *    choice with a `spawnBrushChanged` event), clicking the background
+ *    places that icon at the pointer and dragging paints a trail of them,
+ *    a stamp every BRUSH_SPACING px, each heading the way the drag goes.
+ *    A stamp holds the brush density's worth of icons, scattered within
+ *    BRUSH_SCATTER; painting stops at the carrying capacity.
+ *
+ * The evolution container ignores pointer events so the page stays usable;
+ * this controller listens on the document instead and hit-tests the world,
+ * leaving presses on the page's own controls alone.  Everything goes
+ * through the EvolutionController, which records it for replays and
+ * ignores it during one.
+ *
+ * The root element carries `pointer-can-grab` (hovering something that can
+ * be picked up), `pointer-grabbing`, `pointer-field` and `pointer-brush`
+ * for the cursor.
+ */
+
+import { DEFAULTS } from './constants.js';
+import { Entity }   from './entity.js';
+
+/** Presses on these go to the page, not the simulation. */
+const UI_SELECTOR = 'button, a, input, select, textarea, label, .guide-panel, .modal-overlay, .palette-overlay, .inspector, .notice';
+
+/**
+ * True when a press or hover on `target` belongs to the page's controls.
+ *
+ * @param {EventTarget|null} target
+ * @returns {boolean}
+ */
+function isPageControl(target) {
+  return target instanceof Element && target.closest(UI_SELECTOR) !== null;
+}
+
+/**
+ * True for elements that take typing — Shift there means capitals, not a
+ * force field.
+ *
+ * @param {EventTarget|null} target
+ * @returns {boolean}
+ */
+function isEditable(target) {
+  return target instanceof HTMLElement
+    && (target.isContentEditable || target.matches('input, textarea, select'));
+}
+
+export class PointerController {
+  /** @type {import('./evolution.js').EvolutionController|null} */ #evolution = null;
+  /** A press on something that can be picked up, until it turns into a drag or a click. */
+  /** @type {{ pointerId: number, x: number, y: number, t: number, target: object }|null} */ #press = null;
+  /** The pointer holding something, null when none. */
+  /** @type {number|null} */ #pointerId = null;
+  /** Recent positions of the holding pointer, for the fling velocity. */
+  /** @type {{ x: number, y: number, t: number }[]} */ #samples = [];
+  /** Last known cursor position — where the force field goes. */
+  /** @type {{ x: number, y: number }|null} */ #cursor = null;
+  /** @type {'repel'|'attract'|null} */ #fieldMode = null;
+  /** Species the brush places (null when not armed) and icons per stamp. */
+  /** @type {{ name: string|null, density: number }} */ #brush = { name: null, density: 1 };
+  /** The brush stroke in progress: its pointer and where it last stamped. */
+  /** @type {{ pointerId: number, x: number, y: number, moved: boolean }|null} */ #stroke = null;
+
+  /**
+   * Listen for pointer and modifier key input.  Must be called after DOM
+   * is ready.
+   *
+   * @param {import('./evolution.js').EvolutionController} evolution
+   */
+  init(evolution) {
+    this.#evolution = evolution;
+
+    document.addEventListener('pointerdown',   (e) => this.#onDown(e));
+    document.addEventListener('pointermove',   (e) => this.#onMove(e));
+    document.addEventListener('pointerup',     (e) => this.#onUp(e, true));
+    document.addEventListener('pointercancel', (e) => this.#onUp(e, false));
+
+    const onKey = (/** @type {KeyboardEvent} */ e) => {
+      // Alt alone would otherwise focus the browser's menu bar
+      if (e.key === 'Alt' && !isEditable(e.target)) e.preventDefault();
+      this.#setFieldMode(isEditable(e.target) ? null : this.#modeOf(e));
+    };
+    document.addEventListener('keydown', onKey);
+    document.addEventListener('keyup',   onKey);
+
+    // Keys released in another window never reach this one
+    window.addEventListener('blur', () => {
+      this.#press = null;
+      this.#letGo(0, 0);
+      this.#setFieldMode(null);
+    });
+
+    document.addEventListener('spawnBrushChanged', (e) => {
+      const { name = null, density = 1 } = /** @type {CustomEvent} */ (e).detail ?? {};
+      this.#brush = { name, density };
+      if (!name) this.#stroke = null;
+      this.#setRootClass('pointer-brush', name !== null);
+    });
+  }
+
+  // ── Private ─────────────────────────────────────────────────
+
+  /** @param {PointerEvent} e */
+  #onDown(e) {
+    if (this.#pointerId !== null || this.#stroke || this.#press) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (isPageControl(e.target)) return;
+
+    // An armed brush paints instead of grabbing.  Anything else is only
+    // picked up once the pointer moves: a click inspects it instead
+    const target = this.#evolution?.pick(e.clientX, e.clientY);
+    if (this.#brush.name) {
+      this.#stroke = { pointerId: e.pointerId, x: e.clientX, y: e.clientY, moved: false };
+    } else if (target) {
+      this.#press = { pointerId: e.pointerId, x: e.clientX, y: e.clientY, t: e.timeStamp, target };
+    } else {
+      return;
+    }
+
+    // No text selection or touch scrolling while holding or painting
+    e.preventDefault();
+    try {
+      /** @type {Element} */ (e.target).setPointerCapture(e.pointerId);
+    } catch { /* target gone — moves over the page still arrive */ }
+  }
+
+  /** @param {PointerEvent} e */
+  #onMove(e) {
+    const evolution = this.#evolution;
+    if (!evolution) return;
+    this.#cursor = { x: e.clientX, y: e.clientY };
+
+    const stroke = this.#stroke;
+    const press  = this.#press;
+    if (press && e.pointerId === press.pointerId) {
+      if (Math.hypot(e.clientX - press.x, e.clientY - press.y) >= DEFAULTS.POINTER_DRAG_SLOP) {
+        this.#startDrag(e);
+      }
+    } else if (stroke && e.pointerId === stroke.pointerId) {
+      const dx = e.clientX - stroke.x;
+      const dy = e.clientY - stroke.y;
+      if (Math.hypot(dx, dy) >= DEFAULTS.BRUSH_SPACING) {
+        this.#stamp(e.clientX, e.clientY, Math.atan2(dy, dx));
+        Object.assign(stroke, { x: e.clientX, y: e.clientY, moved: true });
+      }
+    } else if (e.pointerId === this.#pointerId) {
+      evolution.drag(e.clientX, e.clientY);
+      this.#sample(e);
+    } else if (this.#pointerId === null && !this.#brush.name && e.pointerType === 'mouse') {
+      const over = !isPageControl(e.target) && evolution.pick(e.clientX, e.clientY) !== null;
+      this.#setRootClass('pointer-can-grab', over);
+    }
+
+    // The modifiers ride along on every move, in case a key event was missed
+    this.#setFieldMode(this.#modeOf(e));
+    if (this.#fieldMode) evolution.setField({ ...this.#cursor, mode: this.#fieldMode });
+  }
+
+  /**
+   * @param {PointerEvent} e
+   * @param {boolean} fling  false when the browser took the pointer away
+   */
+  #onUp(e, fling) {
+    const stroke = this.#stroke;
+    const press  = this.#press;
+    if (press && e.pointerId === press.pointerId) {
+      // A click without a drag inspects an entity (letters have nothing to show)
+      this.#press = null;
+      if (fling && press.target instanceof Entity) {
+        document.dispatchEvent(new CustomEvent('entityInspect', { detail: { id: press.target.id } }));
+      }
+    } else if (stroke && e.pointerId === stroke.pointerId) {
+      // A click without a drag places one stamp, heading anywhere
+      if (fling && !stroke.moved) this.#stamp(e.clientX, e.clientY);
+      this.#stroke = null;
+    } else if (e.pointerId === this.#pointerId) {
+      this.#sample(e);
+      const first = this.#samples[0];
+      const last  = this.#samples.at(-1);
+      const secs  = (last.t - first.t) / 1000;
+      if (fling && secs > 0) this.#letGo((last.x - first.x) / secs, (last.y - first.y) / secs);
+      else this.#letGo(0, 0);
+    } else {
+      return;
+    }
+
+    // The press was for the simulation: keep its click from reaching the
+    // page (e.g. closing the guide panel as an outside click)
+    const swallow = (/** @type {MouseEvent} */ ev) => ev.stopPropagation();
+    document.addEventListener('click', swallow, { capture: true, once: true });
+    setTimeout(() => document.removeEventListener('click', swallow, { capture: true }), 0);
+  }
+
+  /**
+   * Turn the pending press into a grab of what was pressed — wherever it
+   * has moved since — and bring it to the pointer.  Nothing is grabbed
+   * when it has died, or something else now lies on top of it.
+   *
+   * @param {PointerEvent} e
+   */
+  #startDrag(e) {
+    const { target, x, y, t, pointerId } = this.#press;
+    this.#press = null;
+    // grab() takes the topmost thing at the point: make sure that's ours
+    if (this.#evolution?.pick(target.x, target.y) !== target) return;
+    if (!this.#evolution.grab(target.x, target.y)) return;
+    this.#pointerId = pointerId;
+    this.#samples   = [{ x, y, t }];
+    this.#evolution.drag(e.clientX, e.clientY);
+    this.#sample(e);
+    this.#setRootClass('pointer-grabbing', true);
+    this.#setRootClass('pointer-can-grab', false);
+  }
+
+  /**
+   * Place one brush stamp: the density's worth of the armed species
+   * around a point, up to the carrying capacity.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @param {number} [angle]  heading in radians — random when left out
+   */
+  #stamp(x, y, angle) {
+    const evolution = this.#evolution;
+    const world     = evolution?.world;
+    const { name, density } = this.#brush;
+    if (!world || !name) return;
+
+    for (let i = 0; i < density; i++) {
+      if (world.population >= world.settings.carryingCapacity) return;
+      // The first icon lands on the pointer, the rest scatter around it.
+      // The scatter is not the world's to draw: placements are inputs,
+      // recorded as they are
+      const r = i === 0 ? 0 : Math.sqrt(Math.random()) * DEFAULTS.BRUSH_SCATTER;
+      const a = Math.random() * Math.PI * 2;
+      evolution.spawnNamed(name, { x: x + Math.cos(a) * r, y: y + Math.sin(a) * r, angle });
+    }
+  }
+
+  /**
+   * Release whatever is held.
+   *
+   * @param {number} vx  px/s
+   * @param {number} vy
+   */
+  #letGo(vx, vy) {
+    if (this.#pointerId === null) return;
+    this.#pointerId = null;
+    this.#samples   = [];
+    this.#evolution?.release(vx, vy);
+    this.#setRootClass('pointer-grabbing', false);
+  }
+
+  /**
+   * Keep the holding pointer's positions from the last
+   * POINTER_FLING_WINDOW_MS.
+   *
+   * @param {PointerEvent} e
+   */
+  #sample(e) {
+    this.#samples.push({ x: e.clientX, y: e.clientY, t: e.timeStamp });
+    const since = e.timeStamp - DEFAULTS.POINTER_FLING_WINDOW_MS;
+    while (this.#samples.length > 2 && this.#samples[0].t < since) this.#samples.shift();
+  }
+
+  /**
+   * The field mode the held modifier keys ask for.
+   *
+   * @param {{ shiftKey: boolean, altKey: boolean }} e
+   * @returns {'repel'|'attract'|null}
+   */
+  #modeOf(e) {
+    return e.shiftKey ? 'repel' : e.altKey ? 'attract' : null;
+  }
+
+  /**
+   * Switch the force field on (at the cursor), between modes, or off.
+   *
+   * @param {'repel'|'attract'|null} mode
+   */
+  #setFieldMode(mode) {
+    if (mode === this.#fieldMode) return;
+    this.#fieldMode = mode;
+    this.#evolution?.setField(mode && this.#cursor ? { ...this.#cursor, mode } : null);
+    this.#setRootClass('pointer-field', mode !== null);
+  }
+
+  /**
+   * @param {string} name
+   * @param {boolean} on
+   */
+  #setRootClass(name, on) {
+    document.documentElement.classList.toggle(name, on);
+  }
+}
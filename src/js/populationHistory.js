@@ -0,0 +1,116 @@
+/**
+ * populationHistory.js
+ * Per-species population sampled over simulation time, for the guide's
+ * history chart.  Pure data logic — no DOM.
+ *
+ * EvolutionController offers a sample after every world step; one is kept
+ * every `interval` ms of simulation time.  When the buffer passes
+ * HISTORY_MAX_SAMPLES, neighbouring samples are averaged in pairs and the
+ * interval doubles, so a long run keeps its whole shape at a coarser
+ * resolution while memory and snapshot size stay bounded.
+ *
+ * Serialised form (part of the devpage:evolution snapshot):
+ *
+ *   { "interval": 2000, "species": ["cell", "virus-filled"],
+ *     "samples": [[t, cellCount, virusCount], …] }
+ */
+
+import { DEFAULTS } from './constants.js';
+
+/**
+ * @typedef {{ t: number, counts: Record<string, number> }} PopulationSample
+ */
+
+export class PopulationHistory {
+  /** @type {PopulationSample[]} */ #samples  = [];
+  /** Simulation ms between kept samples (doubles on each downsample). */
+  /** @type {number} */             #interval = DEFAULTS.HISTORY_SAMPLE_MS;
+
+  /** Samples in time order — treat as read-only. */
+  get samples() { return this.#samples; }
+
+  /** Current spacing of samples in simulation ms. */
+  get interval() { return this.#interval; }
+
+  /**
+   * Keep a sample if `interval` has passed since the last one.
+   *
+   * @param {number} time  simulation time (ms)
+   * @param {() => Record<string, number>} getCounts  called only when a sample is kept
+   */
+  sample(time, getCounts) {
+    const last = this.#samples.at(-1);
+    if (last && time - last.t < this.#interval) return;
+    this.#samples.push({ t: time, counts: getCounts() });
+    if (this.#samples.length > DEFAULTS.HISTORY_MAX_SAMPLES) this.#downsample();
+  }
+
+  /**
+   * Samples from the last `span` ms (everything when span is 0).
+   *
+   * @param {number} span
+   * @returns {PopulationSample[]}
+   */
+  window(span) {
+    if (!span || !this.#samples.length) return this.#samples;
+    const from = this.#samples.at(-1).t - span;
+    return this.#samples.filter(s => s.t >= from);
+  }
+
+  /** Forget everything (a new run). */
+  clear() {
+    this.#samples  = [];
+    this.#interval = DEFAULTS.HISTORY_SAMPLE_MS;
+  }
+
+  /** @returns {{ interval: number, species: string[], samples: number[][] }} */
+  serialise() {
+    const species = [...new Set(this.#samples.flatMap(s => Object.keys(s.counts)))];
+    return {
+      interval: this.#interval,
+      species,
+      samples:  this.#samples.map(s => [s.t, ...species.map(k => s.counts[k] ?? 0)]),
+    };
+  }
+
+  /**
+   * Load a serialised history; anything malformed leaves it empty.
+   *
+   * @param {unknown} saved
+   */
+  restore(saved) {
+    this.clear();
+    if (!saved || typeof saved !== 'object') return;
+    const { interval, species, samples } = /** @type {any} */ (saved);
+    if (!Array.isArray(species) || !Array.isArray(samples)) return;
+
+    if (typeof interval === 'number' && interval > 0) this.#interval = interval;
+    for (const row of samples) {
+      if (!Array.isArray(row) || typeof row[0] !== 'number') continue;
+      /** @type {Record<string, number>} */
+      const counts = {};
+      species.forEach((key, i) => { if (row[i + 1] > 0) counts[key] = row[i + 1]; });
+      this.#samples.push({ t: row[0], counts });
+    }
+  }
+
+  // ── Private ────────────────────────────────────────────────
+
+  /** Average neighbouring samples in pairs and double the interval. */
+  #downsample() {
+    const merged = [];
+    for (let i = 0; i < this.#samples.length; i += 2) {
+      const a = this.#samples[i];
+      const b = this.#samples[i + 1];
+      if (!b) { merged.push(a); continue; }
+      /** @type {Record<string, number>} */
+      const counts = {};
+      for (const key of new Set([...Object.keys(a.counts), ...Object.keys(b.counts)])) {
+        counts[key] = ((a.counts[key] ?? 0) + (b.counts[key] ?? 0)) / 2;
+      }
+      merged.push({ t: a.t, counts });
+    }
+    this.#samples   = merged;
+    this.#interval *= 2;
+  }
+}
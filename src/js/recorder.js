@@ -0,0 +1,366 @@
+/**
+ * recorder.js
+ * Records a run's inputs and replays them deterministically.
+ * Pure data logic — no DOM.
+ *
+ * A World is a function of its state, its settings, its size, the step
+ * lengths and the spawns the user asks for: everything random comes from
+ * its seeded PRNG, whose state is part of the snapshot.  So a recording is
+ * just a starting snapshot plus the changes to those inputs:
+ *
+ *   {
+ *     "version":  1,
+ *     "width":    1280, "height": 720,         ← world size at the start
+ *     "settings": { "moveSpeed": 5, … },        ← world settings at the start
+ *     "world":    { "seed": 42, "rngState": …, "entities": […], … },
+ *     "inputs":   [ { "step": 0,   "type": "set",     "values": { "dt": 0.0166… } },
+ *                   { "step": 912, "type": "spawn",   "name": "bug" },
+ *                   { "step": 930, "type": "spawn",   "name": "cell", "at": { "x": 80, "y": 64, "angle": 1.2 } },
+ *                   { "step": 913, "type": "set",     "values": { "spawnRate": 9 } },
+ *                   { "step": 950, "type": "pointer", "action": "grab", "args": [412, 230] },
+ *                   { "step": 990, "type": "entity",  "action": "pinEntity", "args": [17, true] } ],
+ *     "steps":    5400,                          ← world.step() calls
+ *     "duration": 90000                          ← simulation ms
+ *   }
+ *
+ * An input with `step: n` happened after n steps, before step n + 1.
+ * `set` holds only the values that changed — settings, `width` / `height`
+ * and the step length `dt` (s) — so an hour of a steady run stays small.
+ * `pointer` is a call of one of the World's pointer methods (grab, drag,
+ * release, setField); drags and field moves between two steps keep only
+ * the last one, since each replaces the one before.  `entity` is an
+ * inspector action on one entity, by id (killEntity, cureEntity, pinEntity).
+ *
+ * A snapshot drops dying entities, so a world restored from one does not
+ * continue exactly like the world it was taken from.  Recorder therefore
+ * restores the live world from its own starting snapshot: from then on the
+ * recorded run and every replay start from the same state.
+ */
+
+import { DEFAULTS } from './constants.js';
+
+export const RECORDING_VERSION = 1;
+
+/** World methods a `pointer` input may call. */
+const POINTER_ACTIONS = ['grab', 'drag', 'release', 'setField'];
+
+/** World methods an `entity` input may call. */
+const ENTITY_ACTIONS = ['killEntity', 'cureEntity', 'pinEntity'];
+
+/** Pointer actions where only the last call between two steps matters. */
+const COALESCED_ACTIONS = ['drag', 'setField'];
+
+/**
+ * @typedef {{ step: number, type: 'set', values: Record<string, unknown> }
+ *         | { step: number, type: 'spawn', name: string, at?: { x: number, y: number, angle?: number } }
+ *         | { step: number, type: 'pointer', action: string, args: unknown[] }
+ *         | { step: number, type: 'entity', action: string, args: unknown[] }} RecordedInput
+ */
+
+/**
+ * @typedef {object} Recording
+ * @property {number} version
+ * @property {number} width
+ * @property {number} height
+ * @property {Record<string, any>} settings
+ * @property {Record<string, any>} world   World.serialise() at the start
+ * @property {RecordedInput[]} inputs
+ * @property {number} steps
+ * @property {number} duration            simulation ms
+ */
+
+/**
+ * Deep copy of plain JSON data.
+ *
+ * @template T
+ * @param {T} value
+ * @returns {T}
+ */
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+export class Recorder {
+  /** @type {Omit<Recording, 'inputs'|'steps'|'duration'>} */ #start;
+  /** @type {RecordedInput[]} */            #inputs   = [];
+  /** @type {number} */                     #steps    = 0;
+  /** @type {number} */                     #duration = 0;
+  /** Input values as of the last change, to record only differences. */
+  /** @type {Record<string, unknown>} */    #last;
+
+  /**
+   * Start recording a world — restores it from its own snapshot (see the
+   * module comment).
+   *
+   * @param {import('./world.js').World} world
+   */
+  constructor(world) {
+    this.#start = {
+      version:  RECORDING_VERSION,
+      width:    world.width,
+      height:   world.height,
+      settings: copy(world.settings),
+      world:    copy(world.serialise()),
+    };
+    world.restore(copy(this.#start.world));
+    this.#last = { ...copy(world.settings), width: world.width, height: world.height };
+  }
+
+  /** Simulation ms recorded so far. */
+  get duration() { return this.#duration; }
+
+  /** True once RECORDING_MAX_MS of simulation time has been recorded. */
+  get full() { return this.#duration >= DEFAULTS.RECORDING_MAX_MS; }
+
+  /**
+   * Note a spawn the user asked for.  Call before world.spawn().
+   *
+   * @param {import('./world.js').World} world
+   * @param {string} name
+   * @param {{ x: number, y: number, angle?: number }} [at]  placement, see World.spawn()
+   */
+  spawn(world, name, at) {
+    this.#track(world);
+    this.#inputs.push(at
+      ? { step: this.#steps, type: 'spawn', name, at: copy(at) }
+      : { step: this.#steps, type: 'spawn', name });
+  }
+
+  /**
+   * Note a pointer call (see the module comment).  Call before the World
+   * method itself.
+   *
+   * @param {import('./world.js').World} world
+   * @param {'grab'|'drag'|'release'|'setField'} action
+   * @param {unknown[]} args
+   */
+  pointer(world, action, args) {
+    this.#track(world);
+    const last = this.#inputs.at(-1);
+    if (COALESCED_ACTIONS.includes(action) && last?.type === 'pointer'
+        && last.action === action && last.step === this.#steps) {
+      last.args = copy(args);
+      return;
+    }
+    this.#inputs.push({ step: this.#steps, type: 'pointer', action, args: copy(args) });
+  }
+
+  /**
+   * Note an inspector action (see the module comment).  Call before the
+   * World method itself.
+   *
+   * @param {import('./world.js').World} world
+   * @param {'killEntity'|'cureEntity'|'pinEntity'} action
+   * @param {unknown[]} args
+   */
+  entity(world, action, args) {
+    this.#track(world);
+    this.#inputs.push({ step: this.#steps, type: 'entity', action, args: copy(args) });
+  }
+
+  /**
+   * Note one world step.  Call before world.step().
+   *
+   * @param {import('./world.js').World} world
+   * @param {number} dt  step length in seconds
+   */
+  step(world, dt) {
+    this.#track(world, dt);
+    this.#steps++;
+    this.#duration += dt * 1000;
+  }
+
+  /** @returns {Recording} */
+  finish() {
+    return { ...copy(this.#start), inputs: copy(this.#inputs), steps: this.#steps, duration: this.#duration };
+  }
+
+  /**
+   * Record a `set` input for whatever changed since the last one.
+   *
+   * @param {import('./world.js').World} world
+   * @param {number} [dt]
+   */
+  #track(world, dt) {
+    const now    = { ...world.settings, width: world.width, height: world.height };
+    if (dt !== undefined) now.dt = dt;
+    const values = {};
+    for (const [key, value] of Object.entries(now)) {
+      if (JSON.stringify(value) !== JSON.stringify(this.#last[key])) values[key] = copy(value);
+    }
+    if (!Object.keys(values).length) return;
+    Object.assign(this.#last, values);
+    this.#inputs.push({ step: this.#steps, type: 'set', values });
+  }
+}
+
+export class ReplayPlayer {
+  /** @type {Recording} */                   #recording;
+  /** @type {import('./world.js').World} */  #world;
+  /** @type {(stepMs: number) => void} */    #advance;
+  /** @type {() => void} */                  #onRewind;
+  /** Settings the replay runs with — the world's own object is left alone. */
+  /** @type {Record<string, any>} */         #settings = {};
+  /** Steps replayed so far. */
+  /** @type {number} */                      #position = 0;
+  /** Index of the next input to apply. */
+  /** @type {number} */                      #nextInput = 0;
+  /** Simulation ms replayed so far. */
+  /** @type {number} */                      #time  = 0;
+  /** @type {number} */                      #dt    = DEFAULTS.PHYSICS_STEP_MS / 1000;
+  /** @type {boolean} */                     #playing = true;
+  /** @type {number} */                      #speed   = 1;
+  /** Simulation ms owed to playback (negative after a long step). */
+  /** @type {number} */                      #accumulator = 0;
+  /** Step a seek is heading for, null when not seeking. */
+  /** @type {number|null} */                 #target = null;
+
+  /**
+   * @param {{ recording: Recording, world: import('./world.js').World,
+   *           advance?: (stepMs: number) => void, onRewind?: () => void }} opts
+   *   advance — runs one world step (default world.step); the host can add
+   *   its own bookkeeping.  onRewind — called when the world is reset to the
+   *   start, before any step.
+   */
+  constructor({ recording, world, advance = (ms) => world.step(ms / 1000), onRewind = () => {} }) {
+    this.#recording = recording;
+    this.#world     = world;
+    this.#advance   = advance;
+    this.#onRewind  = onRewind;
+    this.#rewind();
+  }
+
+  /** Steps replayed so far. */
+  get position() { return this.#position; }
+
+  /** Steps in the recording. */
+  get length() { return this.#recording.steps; }
+
+  /** Simulation ms replayed so far. */
+  get time() { return this.#time; }
+
+  /** Simulation ms in the recording. */
+  get duration() { return this.#recording.duration; }
+
+  get playing() { return this.#playing; }
+  get speed()   { return this.#speed; }
+
+  /** True while a seek is still fast-forwarding. */
+  get seeking() { return this.#target !== null; }
+
+  /** True at the end of the recording. */
+  get done() { return this.#position >= this.#recording.steps; }
+
+  play() {
+    if (this.done) this.seek(0);
+    this.#playing = true;
+  }
+
+  pause() { this.#playing = false; }
+
+  /**
+   * Set the playback speed relative to the recorded pace.
+   *
+   * @param {number} speed  clamped to the REPLAY_SPEEDS range
+   */
+  setSpeed(speed) {
+    const speeds = DEFAULTS.REPLAY_SPEEDS;
+    if (!Number.isFinite(speed)) return;
+    this.#speed = Math.min(speeds.at(-1), Math.max(speeds[0], speed));
+  }
+
+  /**
+   * Jump to a step.  Going back replays from the start; either way the
+   * steps are run over the next frames (see tick()).
+   *
+   * @param {number} step
+   */
+  seek(step) {
+    const target = Math.round(Math.min(this.length, Math.max(0, step)));
+    if (target < this.#position) this.#rewind();
+    this.#target      = target;
+    this.#accumulator = 0;
+  }
+
+  /**
+   * Advance playback by a frame.  A seek in progress runs first, up to
+   * REPLAY_FRAME_MS of real time per frame; playback runs the steps due
+   * for `elapsedMs` × speed, within the same budget.
+   *
+   * @param {number} elapsedMs  real ms since the last frame
+   */
+  tick(elapsedMs) {
+    const until = performance.now() + DEFAULTS.REPLAY_FRAME_MS;
+
+    if (this.#target !== null) {
+      while (this.#position < this.#target && performance.now() < until) this.#step();
+      if (this.#position >= this.#target) this.#target = null;
+      return;
+    }
+    if (!this.#playing) return;
+
+    this.#accumulator += elapsedMs * this.#speed;
+    while (this.#accumulator > 0 && !this.done && performance.now() < until) {
+      this.#accumulator -= this.#step();
+    }
+    // Behind after a slow frame: drop the rest rather than spiral
+    if (performance.now() >= until) this.#accumulator = Math.min(this.#accumulator, 0);
+    if (this.done) {
+      this.#playing     = false;
+      this.#accumulator = 0;
+    }
+  }
+
+  // ── Private ────────────────────────────────────────────────
+
+  /** Put the world back to the recording's start. */
+  #rewind() {
+    const rec = this.#recording;
+    this.#settings  = copy(rec.settings);
+    this.#world.settings = this.#settings;
+    this.#world.resize(rec.width, rec.height);
+    this.#world.restore(copy(rec.world));
+    this.#position  = 0;
+    this.#nextInput = 0;
+    this.#time      = 0;
+    this.#dt        = DEFAULTS.PHYSICS_STEP_MS / 1000;
+    this.#onRewind();
+  }
+
+  /**
+   * Apply the inputs due before the next step, then run it.
+   *
+   * @returns {number}  the step's length in ms
+   */
+  #step() {
+    const inputs = this.#recording.inputs;
+    while (this.#nextInput < inputs.length && inputs[this.#nextInput].step <= this.#position) {
+      this.#apply(inputs[this.#nextInput++]);
+    }
+    const stepMs = this.#dt * 1000;
+    this.#advance(stepMs);
+    this.#position++;
+    this.#time += stepMs;
+    return stepMs;
+  }
+
+  /** @param {RecordedInput} input */
+  #apply(input) {
+    if (input.type === 'spawn') {
+      this.#world.spawn(input.name, input.at);
+      return;
+    }
+    if (input.type === 'pointer') {
+      if (POINTER_ACTIONS.includes(input.action)) this.#world[input.action](...input.args);
+      return;
+    }
+    if (input.type === 'entity') {
+      if (ENTITY_ACTIONS.includes(input.action)) this.#world[input.action](...input.args);
+      return;
+    }
+    const { width, height, dt, ...settings } = input.values;
+    if (typeof dt === 'number') this.#dt = dt;
+    if (width !== undefined || height !== undefined) {
+      this.#world.resize(Number(width ?? this.#world.width), Number(height ?? this.#world.height));
+    }
+    Object.assign(this.#settings, copy(settings));
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * replay.js
+ * ReplayController — the "replay" section of the guide panel.
+ *
+ *  - record   — starts / stops logging the run's inputs (see recorder.js).
+ *  - replay   — replays the last recording in the evolution container;
+ *               the live run waits, paused, until the replay is left.
+ *  - scrub    — drag to any moment of the recording.
+ *  - play / pause, speed (click to step through REPLAY_SPEEDS) and exit,
+ *    which brings the live run back.
+ *
+ * While recording or replaying, the section refreshes every 200 ms.
+ * commands() offers record and replay to the command palette.
+ */
+
+import { DEFAULTS } from './constants.js';
+
+/**
+ * Format simulation ms as "m:ss".
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatTime(ms) {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+export class ReplayController {
+  /** @type {import('./evolution.js').EvolutionController|null} */ #evolution = null;
+  /** @type {HTMLButtonElement|null} */ #recordBtn = null;
+  /** @type {HTMLButtonElement|null} */ #replayBtn = null;
+  /** @type {HTMLElement|null} */       #controls  = null;
+  /** @type {HTMLInputElement|null} */  #scrub     = null;
+  /** @type {HTMLButtonElement|null} */ #playBtn   = null;
+  /** @type {HTMLButtonElement|null} */ #speedBtn  = null;
+  /** @type {HTMLElement|null} */       #status    = null;
+  /** True while the scrub bar is being dragged — refreshes leave it alone. */
+  /** @type {boolean} */                #scrubbing = false;
+  /** @type {ReturnType<typeof setInterval>|null} */ #timer = null;
+
+  /**
+   * Bind the record / replay controls.  Must be called after DOM is ready.
+   *
+   * @param {import('./evolution.js').EvolutionController} evolution
+   */
+  init(evolution) {
+    this.#evolution = evolution;
+    this.#recordBtn = /** @type {HTMLButtonElement|null} */ (document.getElementById('recordBtn'));
+    this.#replayBtn = /** @type {HTMLButtonElement|null} */ (document.getElementById('replayBtn'));
+    this.#controls  = document.getElementById('replayControls');
+    this.#scrub     = /** @type {HTMLInputElement|null} */  (document.getElementById('replayScrub'));
+    this.#playBtn   = /** @type {HTMLButtonElement|null} */ (document.getElementById('replayPlayBtn'));
+    this.#speedBtn  = /** @type {HTMLButtonElement|null} */ (document.getElementById('replaySpeedBtn'));
+    this.#status    = document.getElementById('replayStatus');
+
+    this.#recordBtn?.addEventListener('click', () => {
+      evolution.recording ? evolution.stopRecording() : evolution.startRecording();
+      this.#sync();
+    });
+    this.#replayBtn?.addEventListener('click', () => {
+      evolution.startReplay();
+      this.#sync();
+    });
+    this.#playBtn?.addEventListener('click', () => {
+      const replay = evolution.replay;
+      if (replay) replay.playing ? replay.pause() : replay.play();
+      this.#sync();
+    });
+    this.#speedBtn?.addEventListener('click', () => {
+      const replay = evolution.replay;
+      if (!replay) return;
+      const speeds = DEFAULTS.REPLAY_SPEEDS;
+      replay.setSpeed(speeds[(speeds.indexOf(replay.speed) + 1) % speeds.length]);
+      this.#sync();
+    });
+    document.getElementById('replayExitBtn')?.addEventListener('click', () => {
+      evolution.stopReplay();
+      this.#sync();
+    });
+
+    if (this.#scrub) {
+      const scrub = this.#scrub;
+      scrub.addEventListener('pointerdown', () => { this.#scrubbing = true; });
+      scrub.addEventListener('input', () => evolution.replay?.seek(Number(scrub.value)));
+      scrub.addEventListener('change', () => {
+        this.#scrubbing = false;
+        this.#sync();
+      });
+    }
+
+    // A restart or a loaded save ends any recording or replay
+    document.addEventListener('evolutionCleared', () => this.#sync());
+    document.addEventListener('evolutionLoaded',  () => this.#sync());
+
+    this.#sync();
+  }
+
+  /**
+   * Record and replay for the command palette.
+   *
+   * @returns {import('./commands.js').Command[]}
+   */
+  commands() {
+    const evolution = this.#evolution;
+    if (!evolution) return [];
+    const replay = evolution.replay;
+    const run    = (/** @type {() => void} */ fn) => () => {
+      fn();
+      this.#sync();
+    };
+
+    return [
+      {
+        id:       'replay.record',
+        title:    evolution.recording ? 'stop recording' : 'record',
+        disabled: Boolean(replay),
+        run:      run(() => (evolution.recording ? evolution.stopRecording() : evolution.startRecording())),
+      },
+      replay
+        ? { id: 'replay.exit',  title: 'exit replay',
+            run: run(() => evolution.stopReplay()) }
+        : { id: 'replay.start', title: 'replay last recording',
+            disabled: !evolution.lastRecording && !evolution.recording,
+            run: run(() => evolution.startReplay()) },
+    ];
+  }
+
+  // ── Private ─────────────────────────────────────────────────
+
+  /** Match the controls to the controller, refreshing while busy. */
+  #sync() {
+    const evolution = this.#evolution;
+    if (!evolution) return;
+    const replay = evolution.replay;
+    const last   = evolution.lastRecording;
+
+    if (this.#recordBtn) {
+      this.#recordBtn.textContent = evolution.recording ? 'stop recording' : 'record';
+      this.#recordBtn.setAttribute('aria-pressed', String(evolution.recording));
+      this.#recordBtn.disabled = Boolean(replay);
+    }
+    if (this.#replayBtn) this.#replayBtn.disabled = Boolean(replay) || (!last && !evolution.recording);
+    if (this.#controls)  this.#controls.hidden = !replay;
+
+    if (replay) {
+      if (this.#scrub && !this.#scrubbing) {
+        this.#scrub.max   = String(replay.length);
+        this.#scrub.value = String(replay.position);
+      }
+      if (this.#playBtn) {
+        this.#playBtn.textContent = replay.playing ? 'pause' : 'play';
+        this.#playBtn.setAttribute('aria-pressed', String(!replay.playing));
+      }
+      if (this.#speedBtn) this.#speedBtn.textContent = `${replay.speed}×`;
+    }
+
+    this.#report(
+      replay                ? `replay ${formatTime(replay.time)} / ${formatTime(replay.duration)}`
+                              + (replay.seeking ? ' · seeking' : replay.done ? ' · end' : '')
+      : evolution.recording ? `recording ${formatTime(evolution.recordedTime)}`
+      : last                ? `last recording ${formatTime(last.duration)}`
+      : '',
+    );
+
+    const busy = Boolean(replay) || evolution.recording;
+    if (busy && this.#timer === null) {
+      this.#timer = setInterval(() => this.#sync(), 200);
+    } else if (!busy && this.#timer !== null) {
+      clearInterval(this.#timer);
+      this.#timer = null;
+    }
+  }
+
+  /** @param {string} message */
+  #report(message) {
+    if (this.#status) this.#status.textContent = message;
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * rules.js
+ * Generic interpreter for the species interactions declared in icons.json
+ * under `rules`.  Pure data logic — no DOM, no timers — so it can be reused
+ * anywhere the simulation runs.
+ *
+ * Schema:
+ *
+ *   "rules": {
+ *     "immunity": {
+ *       "<actor>": ["<target>", …]        ← targets the actor never affects
+ *     },
+ *     "interactions": [
+ *       {
+ *         "actor":       "<icon>",        ← entity that causes the effect
+ *         "target":      "<icon>" | ["<icon>", …] | "*",
+ *         "outcome":     "transform" | "cure" | "kill" | "bounce",
+ *         "into":        "<icon>",        ← transform / cure only
+ *         "force":       true,            ← transform only: also hit already-infected targets
+ *         "probability": 0.9 | "<param>", ← optional, number or a live setting name
+ *         "label":       "virus kills",   ← optional, shown in the guide panel
+ *         "otherwise":   { "outcome": …, "into": …, "force": …, "label": … }  ← optional, used when the roll fails
+ *       }
+ *     ]
+ *   }
+ *
+ * Outcomes:
+ *  - transform — target turns into `into` (once; already-infected targets are
+ *                skipped unless the rule sets `force`)
+ *  - cure      — target turns back into `into`, even if already infected
+ *  - kill      — target starts its slow-death sequence
+ *  - bounce    — physical contact only; stops any later rule from matching
+ *
+ * Interactions are matched top-to-bottom; the first rule whose actor and
+ * target match (and whose target is not in the actor's immunity list) wins.
+ */
+
+/** Outcomes the engine knows how to produce. */
+export const OUTCOMES = ['transform', 'cure', 'kill', 'bounce'];
+
+export class RuleEngine {
+  /** @type {Array<object>} */           #interactions = [];
+  /** @type {Map<string, Set<string>>} */ #immunity    = new Map();
+
+  /**
+   * @param {{ immunity?: Record<string, string[]>, interactions?: object[] }|undefined} rules
+   *   The `rules` section of icons.json (missing → no interactions).
+   */
+  constructor(rules) {
+    for (const [actor, targets] of Object.entries(rules?.immunity ?? {})) {
+      this.#immunity.set(actor, new Set(targets));
+    }
+
+    this.#interactions = (rules?.interactions ?? []).filter((rule) => {
+      if (!OUTCOMES.includes(rule.outcome)) {
+        console.warn(`[RuleEngine] Ignoring rule with unknown outcome "${rule.outcome}":`, rule);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * True when `target` is listed as immune to `actor`.
+   *
+   * @param {string} actor
+   * @param {string} target
+   */
+  isImmune(actor, target) {
+    return this.#immunity.get(actor)?.has(target) ?? false;
+  }
+
+  /**
+   * Find the first interaction that applies when `actor` touches `target`.
+   *
+   * @param {string} actor
+   * @param {string} target
+   * @returns {object|null}  the raw rule, or null when nothing applies
+   */
+  match(actor, target) {
+    if (this.isImmune(actor, target)) return null;
+    return this.#interactions.find(rule =>
+      rule.actor === actor && targetMatches(rule.target, target)
+    ) ?? null;
+  }
+
+  /**
+   * Resolve what happens to `target` after contact with `actor`, rolling
+   * the rule's probability (if any).
+   *
+   * @param {string} actor
+   * @param {string} target
+   * @param {Record<string, number>} [params]  live settings that string
+   *   probabilities refer to (e.g. { virusKillChance: 0.9 })
+   * @param {{ next(): number }} [random]  source of the roll (seeded PRNG)
+   * @returns {{ outcome: string, into?: string, force: boolean, fallback: boolean }|null}
+   *   null when no rule matches or the roll failed without an `otherwise`
+   */
+  evaluate(actor, target, params = {}, random = { next: Math.random }) {
+    const rule = this.match(actor, target);
+    if (!rule) return null;
+
+    const p = resolveProbability(rule.probability, params);
+    const picked = (p >= 1 || random.next() < p) ? rule : rule.otherwise;
+    if (!picked) return null;
+    return {
+      outcome: picked.outcome,
+      into:    picked.into,
+      force:   picked.outcome === 'cure' || picked.force === true,
+      // true when the probability roll failed and `otherwise` was applied
+      fallback: picked !== rule,
+    };
+  }
+
+  /**
+   * Every icon name a rule can turn an entity into.
+   * Used to warm the SVG cache so transforms are instant.
+   *
+   * @returns {string[]}
+   */
+  get products() {
+    const names = new Set();
+    for (const rule of this.#interactions) {
+      if (rule.into) names.add(rule.into);
+      if (rule.otherwise?.into) names.add(rule.otherwise.into);
+    }
+    return [...names];
+  }
+
+  /** All interactions in declaration order (read-only copies). */
+  get interactions() { return this.#interactions.map(rule => ({ ...rule })); }
+
+  /**
+   * Every declared immunity as [actor, target] pairs (self-immunity excluded).
+   *
+   * @returns {Array<[string, string]>}
+   */
+  get immunities() {
+    const pairs = [];
+    for (const [actor, targets] of this.#immunity) {
+      for (const target of targets) if (target !== actor) pairs.push([actor, target]);
+    }
+    return pairs;
+  }
+
+  /**
+   * Chance (0–1) that a rule's primary outcome fires, with live settings
+   * substituted for named probabilities.
+   *
+   * @param {object} rule  an entry of `interactions`
+   * @param {Record<string, number>} [params]
+   * @returns {number}
+   */
+  probabilityOf(rule, params = {}) {
+    return resolveProbability(rule.probability, params);
+  }
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/**
+ * @param {string|string[]|undefined} pattern
+ * @param {string} name
+ */
+function targetMatches(pattern, name) {
+  if (pattern === undefined || pattern === '*') return true;
+  if (Array.isArray(pattern)) return pattern.includes(name);
+  return pattern === name;
+}
+
+/**
+ * A missing probability means "always"; a string is looked up in params.
+ *
+ * @param {number|string|undefined} probability
+ * @param {Record<string, number>} params
+ * @returns {number}
+ */
+function resolveProbability(probability, params) {
+  if (probability === undefined) return 1;
+  if (typeof probability === 'string') return params[probability] ?? 1;
+  return probability;
+}
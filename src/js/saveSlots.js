@@ -0,0 +1,174 @@
+/**
+ * saveSlots.js
+ * Named save slots in localStorage and the JSON save-file format used for
+ * export / import.  No DOM — SavesController (saves.js) provides the UI.
+ *
+ * A save file (and every slot) holds:
+ *
+ *   {
+ *     "format":   "devpage-evolution",
+ *     "version":  1,
+ *     "name":     "virus outbreak",
+ *     "savedAt":  1760000000000,          ← wall-clock ms
+ *     "settings": { "moveSpeed": 5, … },  ← EvolutionController.simulationSettings
+ *     "world":    { "version": 3, "entities": […], "logo": {…}, … }
+ *   }                                       ← EvolutionController.snapshot()
+ *
+ * The world inside is a versioned snapshot, so files from older versions
+ * of the page are migrated like the autosave (see persistence.js).
+ *
+ * Storage: an index of slots under `devpage:slots` ([{ id, name, savedAt,
+ * population }]) and one key per slot, `devpage:slot:<id>`, so listing the
+ * slots never parses whole worlds.
+ */
+
+import { EVOLUTION_SCHEMA, migrate } from './persistence.js';
+
+const INDEX_KEY   = 'devpage:slots';
+const SLOT_PREFIX = 'devpage:slot:';
+
+export const SAVE_FORMAT  = 'devpage-evolution';
+export const SAVE_VERSION = 1;
+
+/**
+ * @typedef {{ id: string, name: string, savedAt: number, population: number }} SlotInfo
+ */
+
+/**
+ * @typedef {object} SaveFile
+ * @property {string} format
+ * @property {number} version
+ * @property {string} name
+ * @property {number} savedAt
+ * @property {Record<string, unknown>} settings
+ * @property {Record<string, any>} world
+ */
+
+/** @param {unknown} v */
+const isObject = (v) => Boolean(v) && typeof v === 'object' && !Array.isArray(v);
+
+/** @param {unknown} v */
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * Wrap a world snapshot and its settings in the save-file format.
+ *
+ * @param {string} name
+ * @param {Record<string, any>} world     EvolutionController.snapshot()
+ * @param {Record<string, unknown>} settings  EvolutionController.simulationSettings
+ * @returns {SaveFile}
+ */
+export function createSaveFile(name, world, settings) {
+  return { format: SAVE_FORMAT, version: SAVE_VERSION, name, savedAt: Date.now(), settings, world };
+}
+
+/**
+ * Check that parsed JSON is a usable save file and migrate its world to
+ * the current snapshot schema.  Unknown icons and missing optional fields
+ * are left to World.restore().
+ *
+ * @param {unknown} data
+ * @returns {SaveFile}
+ * @throws {Error}  with a message that can be shown to the user
+ */
+export function validateSaveFile(data) {
+  if (!isObject(data) || data.format !== SAVE_FORMAT) {
+    throw new Error('not an evolution save file');
+  }
+  if (!isNumber(data.version) || data.version > SAVE_VERSION) {
+    throw new Error(`unsupported save version ${data.version}`);
+  }
+
+  if (!isObject(data.world))               throw new Error('missing world');
+  if (!Array.isArray(data.world.entities)) throw new Error('missing entity list');
+  const world = migrate(data.world, EVOLUTION_SCHEMA);
+  if (data.settings !== undefined && !isObject(data.settings)) throw new Error('invalid settings');
+
+  return {
+    format:   SAVE_FORMAT,
+    version:  data.version,
+    name:     typeof data.name === 'string' ? data.name : '',
+    savedAt:  isNumber(data.savedAt) ? data.savedAt : Date.now(),
+    settings: data.settings ?? {},
+    world,
+  };
+}
+
+export class SaveSlots {
+  /** Every slot, newest first. */
+  list() {
+    try {
+      const index = JSON.parse(localStorage.getItem(INDEX_KEY) ?? '[]');
+      if (!Array.isArray(index)) return [];
+      return index
+        .filter(s => isObject(s) && typeof s.id === 'string')
+        .sort((a, b) => b.savedAt - a.savedAt);
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Store a save file in a new slot.
+   *
+   * @param {SaveFile} file
+   * @returns {SlotInfo}
+   * @throws {Error}  when storage is full
+   */
+  add(file) {
+    const info = {
+      id:         `${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`,
+      name:       file.name || 'untitled',
+      savedAt:    file.savedAt,
+      population: file.world.entities.length,
+    };
+    try {
+      localStorage.setItem(SLOT_PREFIX + info.id, JSON.stringify(file));
+      this.#writeIndex([...this.list(), info]);
+    } catch {
+      localStorage.removeItem(SLOT_PREFIX + info.id);
+      throw new Error('browser storage is full');
+    }
+    return info;
+  }
+
+  /**
+   * Read a slot's save file.
+   *
+   * @param {string} id
+   * @returns {SaveFile}
+   * @throws {Error}  when the slot is missing or corrupt
+   */
+  load(id) {
+    const raw = localStorage.getItem(SLOT_PREFIX + id);
+    if (!raw) throw new Error('save slot not found');
+    return validateSaveFile(JSON.parse(raw));
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} name
+   */
+  rename(id, name) {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    this.#writeIndex(this.list().map(s => (s.id === id ? { ...s, name: trimmed } : s)));
+    try {
+      const file = JSON.parse(localStorage.getItem(SLOT_PREFIX + id) ?? 'null');
+      if (isObject(file)) localStorage.setItem(SLOT_PREFIX + id, JSON.stringify({ ...file, name: trimmed }));
+    } catch { /* the index keeps the new name */ }
+  }
+
+  /** @param {string} id */
+  remove(id) {
+    localStorage.removeItem(SLOT_PREFIX + id);
+    this.#writeIndex(this.list().filter(s => s.id !== id));
+  }
+
+  // ── Private ────────────────────────────────────────────────
+
+  /** @param {SlotInfo[]} index */
+  #writeIndex(index) {
+    localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ * saves.js
+ * SavesController — the "saves" section of the guide panel.
+ *
+ *  - save     — stores the running world and its simulation settings in a
+ *               new named slot (see saveSlots.js).
+ *  - slots    — one row per slot with load, rename (inline) and delete.
+ *  - export   — downloads the same data as a .json file.
+ *  - import   — reads a .json file, validates it and loads it.
+ *
+ * Loading either way replaces the running world (EvolutionController
+ * .loadSnapshot) after applying the file's settings; the status line
+ * reports what happened or why a file was rejected.
+ */
+
+import { SaveSlots, createSaveFile, validateSaveFile } from './saveSlots.js';
+
+/**
+ * Short local date and time for a slot row.
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatSavedAt(ms) {
+  return new Date(ms).toLocaleString(undefined, {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+}
+
+/**
+ * File-system friendly version of a slot name.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function fileNameOf(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `evolution-${slug || 'world'}.json`;
+}
+
+export class SavesController {
+  /** @type {import('./evolution.js').EvolutionController|null} */ #evolution = null;
+  /** @type {SaveSlots} */           #slots = new SaveSlots();
+  /** @type {HTMLElement|null} */    #list   = null;
+  /** @type {HTMLElement|null} */    #status = null;
+
+  /**
+   * Bind the save / export / import controls.  Must be called after DOM is ready.
+   *
+   * @param {import('./evolution.js').EvolutionController} evolution
+   */
+  init(evolution) {
+    this.#evolution = evolution;
+    this.#list   = document.getElementById('saveSlotList');
+    this.#status = document.getElementById('saveSlotStatus');
+
+    const form   = /** @type {HTMLFormElement|null} */  (document.getElementById('saveSlotForm'));
+    const name   = /** @type {HTMLInputElement|null} */ (document.getElementById('saveSlotName'));
+    const input  = /** @type {HTMLInputElement|null} */ (document.getElementById('importWorldInput'));
+
+    form?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (this.#saveSlot(name?.value ?? '') && name) name.value = '';
+    });
+    document.getElementById('exportWorldBtn')?.addEventListener('click', () => this.#exportFile());
+    document.getElementById('importWorldBtn')?.addEventListener('click', () => input?.click());
+    input?.addEventListener('change', () => {
+      const file = input.files?.[0];
+      input.value = '';
+      if (file) this.#importFile(file);
+    });
+
+    this.#renderSlots();
+  }
+
+  // ── Private ─────────────────────────────────────────────────
+
+  /**
+   * The running world in save-file form.
+   *
+   * @param {string} name
+   * @returns {import('./saveSlots.js').SaveFile|null}  null before the world exists
+   */
+  #currentFile(name) {
+    const world = this.#evolution?.snapshot();
+    if (!world) return null;
+    return createSaveFile(name, world, this.#evolution.simulationSettings);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}  true when the slot was written
+   */
+  #saveSlot(name) {
+    const file = this.#currentFile(name.trim() || `world ${this.#slots.list().length + 1}`);
+    if (!file) return false;
+    try {
+      this.#slots.add(file);
+    } catch (err) {
+      this.#report(`could not save: ${err.message}`);
+      return false;
+    }
+    this.#report(`saved "${file.name}"`);
+    this.#renderSlots();
+    return true;
+  }
+
+  /**
+   * Replace the running world with a save file.
+   *
+   * @param {import('./saveSlots.js').SaveFile} file
+   */
+  #load(file) {
+    this.#evolution.applySimulationSettings(file.settings);
+    this.#evolution.loadSnapshot(file.world);
+    this.#report(`loaded "${file.name || 'untitled'}"`);
+  }
+
+  #exportFile() {
+    const file = this.#currentFile(`seed ${this.#evolution?.seed}`);
+    if (!file) return;
+    const url  = URL.createObjectURL(new Blob([JSON.stringify(file)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href     = url;
+    link.download = fileNameOf(file.name);
+    link.click();
+    // Revoke after the click has started the download
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /** @param {File} file */
+  async #importFile(file) {
+    try {
+      this.#load(validateSaveFile(JSON.parse(await file.text())));
+    } catch (err) {
+      const reason = err instanceof SyntaxError ? 'not valid JSON' : err.message;
+      this.#report(`could not import ${file.name}: ${reason}`);
+    }
+  }
+
+  /** Rebuild the slot rows from storage. */
+  #renderSlots() {
+    if (!this.#list) return;
+    this.#list.replaceChildren(...this.#slots.list().map((slot) => {
+      const li = document.createElement('li');
+      li.className = 'guide-save';
+
+      const name = document.createElement('span');
+      name.className   = 'guide-save__name';
+      name.textContent = slot.name;
+      name.title       = `${slot.population} entities · ${formatSavedAt(slot.savedAt)}`;
+
+      const actions = document.createElement('span');
+      actions.className = 'guide-save__actions';
+      for (const [label, action] of [
+        ['load',   () => this.#loadSlot(slot.id)],
+        ['rename', () => this.#startRename(slot.id, name)],
+        ['delete', () => this.#deleteSlot(slot.id, slot.name)],
+      ]) {
+        const btn = document.createElement('button');
+        btn.className   = 'guide-save__action';
+        btn.type        = 'button';
+        btn.textContent = label;
+        btn.setAttribute('aria-label', `${label} ${slot.name}`);
+        btn.addEventListener('click', action);
+        actions.appendChild(btn);
+      }
+
+      li.append(name, actions);
+      return li;
+    }));
+  }
+
+  /** @param {string} id */
+  #loadSlot(id) {
+    try {
+      this.#load(this.#slots.load(id));
+    } catch (err) {
+      this.#report(`could not load: ${err.message}`);
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} name
+   */
+  #deleteSlot(id, name) {
+    if (!window.confirm(`Delete the save "${name}"?`)) return;
+    this.#slots.remove(id);
+    this.#report(`deleted "${name}"`);
+    this.#renderSlots();
+  }
+
+  /**
+   * Swap a slot's name for a text field; Enter or leaving it commits,
+   * Escape cancels.
+   *
+   * @param {string} id
+   * @param {HTMLElement} nameEl
+   */
+  #startRename(id, nameEl) {
+    const field = document.createElement('input');
+    field.className = 'guide-saves__name';
+    field.type      = 'text';
+    field.maxLength = 40;
+    field.value     = nameEl.textContent ?? '';
+    field.setAttribute('aria-label', 'New save name');
+
+    let done = false;
+    const finish = (commit) => {
+      if (done) return;
+      done = true;
+      if (commit) this.#slots.rename(id, field.value);
+      this.#renderSlots();
+    };
+    field.addEventListener('keydown', (e) => {
+      // Keep Escape from also closing the guide panel
+      e.stopPropagation();
+      if (e.key === 'Enter')  finish(true);
+      if (e.key === 'Escape') finish(false);
+    });
+    field.addEventListener('blur', () => finish(true));
+
+    nameEl.replaceWith(field);
+    field.focus();
+    field.select();
+  }
+
+  /** @param {string} message */
+  #report(message) {
+    if (this.#status) this.#status.textContent = message;
+  }
+}
@@ -3,9 +3,22 @@
  * Connects the settings UI controls to GradientController and EvolutionController.
  *
  * Persistence:
- *  - Every setting change is immediately written to localStorage.
+ *  - Every setting change is immediately written to localStorage, with the
+ *    settings schema version (see persistence.js).
  *  - Call loadSaved() from main.js (after gradient.init()) to restore the
  *    saved state on the next page load so the system continues as configured.
+ *    Older saves are migrated first; one that can't be read is set aside
+ *    under devpage:settings:unreadable and a notice says defaults are used.
+ *
+ * Share link:
+ *  - copyLinkBtn copies a link with these settings in the URL hash (see
+ *    shareLink.js), optionally with the world seed.  main.js hands a shared
+ *    hash to applyShared() after loadSaved(), so the link wins over storage.
+ *
+ * Commands:
+ *  - commands() lists the toggles, the time scale steps, copy link and
+ *    reset for the command palette (see commands.js).  They work the
+ *    controls themselves, so the usual handlers save and apply them.
  *
  * Reset:
  *  - resetBtn clears the settings storage and restores DEFAULTS for the
@@ -15,9 +28,14 @@
  *    The guide panel is responsible for restarting/clearing the evolution.
  */
 
-import { DEFAULTS } from './constants.js';
+import { DEFAULTS }                 from './constants.js';
+import { SETTINGS_SCHEMA, migrate } from './persistence.js';
+import { showNotice }               from './notice.js';
+import { encodeShareHash }          from './shareLink.js';
 
-const STORAGE_KEY = 'devpage:settings';
+const STORAGE_KEY            = 'devpage:settings';
+/** Where settings that could not be restored are kept instead of being lost. */
+const UNREADABLE_STORAGE_KEY = 'devpage:settings:unreadable';
 
 // settings storage keys
 const STORAGE_HIT_COUNT_KEY = 'letterHitCountVisible';
@@ -29,6 +47,26 @@ const STORAGE_BUMP_MAX_KEY  = 'bumpThresholdMax';
 const ORIGINAL_BUMP_MIN = DEFAULTS.LOGO_BUMP_THRESHOLD_MIN;
 const ORIGINAL_BUMP_MAX = DEFAULTS.LOGO_BUMP_THRESHOLD_MAX;
 
+/** @param {number} scale  e.g. 0.25 → "0.25×" */
+function formatTimeScale(scale) {
+  return `${scale}×`;
+}
+
+/**
+ * Index of the list value closest to `value` (for slider positions).
+ *
+ * @param {number[]} list
+ * @param {number} value
+ * @returns {number}
+ */
+function nearestIndex(list, value) {
+  let best = 0;
+  list.forEach((v, i) => {
+    if (Math.abs(v - value) < Math.abs(list[best] - value)) best = i;
+  });
+  return best;
+}
+
 export class SettingsController {
   /** @type {import('./gradient.js').GradientController} */
   #gradient;
@@ -56,6 +94,12 @@ export class SettingsController {
     // values, not just whatever was saved by the last manual change.
     document.addEventListener('logoLetterBumped', () => this.#saveState());
 
+    // a save slot or imported file brings its own simulation settings
+    document.addEventListener('evolutionLoaded', () => {
+      this.#syncControls();
+      this.#saveState();
+    });
+
     // when the evolution system is restarted via the guide panel we want to
     // clear the stored letter hit counts (they belong to simulation state,
     // not permanent settings). remove the field so loadSaved() won't reapply it
@@ -96,6 +140,45 @@ export class SettingsController {
     }
   }
 
+  /**
+   * Build one on/off toggle per icons.json group in the "spawn groups"
+   * section.  Call once the evolution has loaded icons.json.
+   *
+   * @param {Array<{ id: string, label: string }>} groups
+   */
+  setSpawnGroups(groups) {
+    const container = document.getElementById('spawnGroupToggles');
+    if (!container) return;
+
+    container.replaceChildren(...groups.map(({ id, label }) => {
+      const inputId = `spawnGroup-${id}`;
+      const group   = document.createElement('div');
+      group.className = 'setting-group';
+      group.innerHTML = `
+        <span class="setting-label"></span>
+        <div class="toggle-wrapper">
+          <span class="toggle-label">off</span>
+          <label class="toggle" for="${inputId}">
+            <input type="checkbox" id="${inputId}" data-spawn-group="${id}" />
+            <span class="toggle-track">
+              <span class="toggle-thumb"></span>
+            </span>
+          </label>
+          <span class="toggle-label">on</span>
+        </div>`;
+      group.querySelector('.setting-label').textContent = label.toLowerCase();
+      group.querySelector('.toggle').setAttribute('aria-label', `Spawn ${label} icons`);
+
+      const input = /** @type {HTMLInputElement} */ (group.querySelector('input'));
+      input.checked = this.#evolution.isGroupEnabled(id);
+      input.addEventListener('change', () => {
+        this.#evolution.setGroupEnabled(id, input.checked);
+        this.#saveState();
+      });
+      return group;
+    }));
+  }
+
   /**
    * Update the mobile theme-color meta tag to match the gradient colour.
    * Called from both #syncControls and the colour picker handler.
@@ -111,69 +194,160 @@ export class SettingsController {
    * Must be called AFTER gradient.init() so saved values override DEFAULTS.
    */
   loadSaved() {
+    let raw = null;
+    try { raw = localStorage.getItem(STORAGE_KEY); } catch { /* storage blocked */ }
+    if (!raw) return;
+
     try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if (!raw) return;
-      const s = JSON.parse(raw);
-      if (typeof s.gradientColor    === 'string')  this.#gradient.setColor(s.gradientColor);
-      if (typeof s.gradientSpeed    === 'number')  this.#gradient.setSpeed(s.gradientSpeed);
-      if (typeof s.gradientRotation === 'boolean') this.#gradient.toggleRotation(s.gradientRotation);
-      if (typeof s.moveSpeed        === 'number')  this.#evolution.setMoveSpeed(s.moveSpeed);
-      if (typeof s.spawnRate        === 'number')  this.#evolution.setSpawnRate(s.spawnRate);
-      if (typeof s.virusKillChance  === 'number')  this.#evolution.setVirusKillChance(s.virusKillChance);
-      if (typeof s.bugSpawnChance   === 'number')  this.#evolution.setBugSpawnChance(s.bugSpawnChance);
-      if (typeof s.bugMaxCount      === 'number')  this.#evolution.setBugMaxCount(s.bugMaxCount);
-      if (typeof s[STORAGE_HIT_COUNT_KEY] === 'boolean') {
-        const toggle = /** @type {HTMLInputElement} */ (document.getElementById('letterHitCountToggle'));
-        if (toggle) toggle.checked = s[STORAGE_HIT_COUNT_KEY];
-        this.#logo?.setDebugVisible(s[STORAGE_HIT_COUNT_KEY]);
-      }
-      if (typeof s[STORAGE_THRESHOLD_KEY] === 'boolean') {
-        const toggle = /** @type {HTMLInputElement} */ (document.getElementById('letterThresholdToggle'));
-        if (toggle) toggle.checked = s[STORAGE_THRESHOLD_KEY];
-        this.#logo?.setThresholdVisible(s[STORAGE_THRESHOLD_KEY]);
-      }
-      if (typeof s[STORAGE_BUMP_MIN_KEY] === 'number') {
-        DEFAULTS.LOGO_BUMP_THRESHOLD_MIN = s[STORAGE_BUMP_MIN_KEY];
-      }
-      if (typeof s[STORAGE_BUMP_MAX_KEY] === 'number') {
-        DEFAULTS.LOGO_BUMP_THRESHOLD_MAX = s[STORAGE_BUMP_MAX_KEY];
-      }
-      // restore any saved hit‑count numbers (including zeros). if the
-      // LogoController isn't wired yet we keep the array so setLogoController()
-      // can apply it later.
-      if (Array.isArray(s.letterHitCounts)) {
-        if (this.#logo && typeof this.#logo.setHitCounts === 'function') {
-          this.#logo.setHitCounts(s.letterHitCounts);
-        } else {
-          this.#savedLetterHitCounts = s.letterHitCounts.slice();
-        }
-      }
-      // after restoring bump range, ensure letters use it
-      if (this.#logo && typeof this.#logo.resetThresholds === 'function') {
-        this.#logo.resetThresholds();
-      }
-    } catch { /* corrupt storage — ignore */ }
+      this.#apply(migrate(JSON.parse(raw), SETTINGS_SCHEMA));
+    } catch (err) {
+      try { localStorage.setItem(UNREADABLE_STORAGE_KEY, raw); } catch { /* quota exceeded */ }
+      const reason = err instanceof SyntaxError ? 'they are not valid JSON' : err.message;
+      console.warn('[SettingsController] Could not restore saved settings:', err);
+      showNotice(`Your saved settings could not be restored (${reason}), so the defaults are used. `
+        + `A copy was kept in localStorage under "${UNREADABLE_STORAGE_KEY}".`);
+    }
+    this.#syncControls();
+  }
+
+  /**
+   * Apply settings from a shared link (see shareLink.js) on top of the
+   * saved ones, and keep them as the new saved settings.
+   *
+   * @param {Record<string, unknown>} shared  decodeShareHash().settings
+   */
+  applyShared(shared) {
+    this.#apply(shared);
     this.#syncControls();
+    this.#saveState();
+  }
+
+  /**
+   * The settings' actions for the command palette and its shortcuts.
+   *
+   * @returns {import('./commands.js').Command[]}
+   */
+  commands() {
+    const input = (/** @type {string} */ id) =>
+      /** @type {HTMLInputElement|null} */ (document.getElementById(id));
+
+    /** A checkbox as a command: "show hit counts" / "hide hit counts". */
+    const toggle = (id, inputId, on, off) => {
+      const el = input(inputId);
+      return el && {
+        id,
+        title: el.checked ? off : on,
+        run:   () => {
+          el.checked = !el.checked;
+          el.dispatchEvent(new Event('change'));
+        },
+      };
+    };
+
+    /** A step along the time scale slider. */
+    const step = (id, title, delta) => {
+      const el   = input('timeScaleSlider');
+      const next = Number(el?.value) + delta;
+      return el && {
+        id,
+        title,
+        disabled: next < Number(el.min) || next > Number(el.max),
+        run:      () => {
+          el.value = String(next);
+          el.dispatchEvent(new Event('input'));
+        },
+      };
+    };
+
+    return [
+      toggle('settings.hitCounts',  'letterHitCountToggle',  'show letter hit counts',  'hide letter hit counts'),
+      toggle('settings.thresholds', 'letterThresholdToggle', 'show letter thresholds',  'hide letter thresholds'),
+      toggle('settings.rotation',   'rotationToggle',        'rotate gradient',         'stop gradient rotation'),
+      toggle('settings.renderer',   'canvasRendererToggle',  'use canvas renderer',     'use dom renderer'),
+      toggle('settings.catchUp',    'catchUpToggle',         'catch up while away',     'don\'t catch up while away'),
+      step('settings.slower', 'slower time', -1),
+      step('settings.faster', 'faster time', +1),
+      { id: 'settings.copyLink', title: 'copy share link',
+        run: () => document.getElementById('copyLinkBtn')?.click() },
+      { id: 'settings.reset',    title: 'reset settings to defaults',
+        run: () => document.getElementById('resetBtn')?.click() },
+    ].filter(Boolean);
   }
 
   // ── Private ────────────────────────────────────────────────
 
+  /**
+   * Push a settings object (as stored in devpage:settings) into the
+   * controllers.  Missing or mistyped fields are left as they are.
+   *
+   * @param {Record<string, any>} s
+   */
+  #apply(s) {
+    if (typeof s.gradientColor    === 'string')  this.#gradient.setColor(s.gradientColor);
+    if (typeof s.gradientSpeed    === 'number')  this.#gradient.setSpeed(s.gradientSpeed);
+    if (typeof s.gradientRotation === 'boolean') this.#gradient.toggleRotation(s.gradientRotation);
+    if (typeof s.moveSpeed        === 'number')  this.#evolution.setMoveSpeed(s.moveSpeed);
+    if (typeof s.timeScale        === 'number')  this.#evolution.setTimeScale(s.timeScale);
+    if (typeof s.catchUp          === 'boolean') this.#evolution.setCatchUp(s.catchUp);
+    if (typeof s.spawnRate        === 'number')  this.#evolution.setSpawnRate(s.spawnRate);
+    if (typeof s.virusKillChance  === 'number')  this.#evolution.setVirusKillChance(s.virusKillChance);
+    if (typeof s.bugSpawnChance   === 'number')  this.#evolution.setBugSpawnChance(s.bugSpawnChance);
+    if (typeof s.bugMaxCount      === 'number')  this.#evolution.setBugMaxCount(s.bugMaxCount);
+    if (typeof s.carryingCapacity === 'number')  this.#evolution.setCarryingCapacity(s.carryingCapacity);
+    if (typeof s.renderer         === 'string')  this.#evolution.setRenderer(s.renderer);
+    if (Array.isArray(s.disabledGroups))         this.#evolution.setDisabledGroups(s.disabledGroups);
+    if (typeof s[STORAGE_HIT_COUNT_KEY] === 'boolean') {
+      const toggle = /** @type {HTMLInputElement} */ (document.getElementById('letterHitCountToggle'));
+      if (toggle) toggle.checked = s[STORAGE_HIT_COUNT_KEY];
+      this.#logo?.setDebugVisible(s[STORAGE_HIT_COUNT_KEY]);
+    }
+    if (typeof s[STORAGE_THRESHOLD_KEY] === 'boolean') {
+      const toggle = /** @type {HTMLInputElement} */ (document.getElementById('letterThresholdToggle'));
+      if (toggle) toggle.checked = s[STORAGE_THRESHOLD_KEY];
+      this.#logo?.setThresholdVisible(s[STORAGE_THRESHOLD_KEY]);
+    }
+    if (typeof s[STORAGE_BUMP_MIN_KEY] === 'number') {
+      DEFAULTS.LOGO_BUMP_THRESHOLD_MIN = s[STORAGE_BUMP_MIN_KEY];
+    }
+    if (typeof s[STORAGE_BUMP_MAX_KEY] === 'number') {
+      DEFAULTS.LOGO_BUMP_THRESHOLD_MAX = s[STORAGE_BUMP_MAX_KEY];
+    }
+    // restore any saved hit‑count numbers (including zeros). if the
+    // LogoController isn't wired yet we keep the array so setLogoController()
+    // can apply it later.
+    if (Array.isArray(s.letterHitCounts)) {
+      if (this.#logo && typeof this.#logo.setHitCounts === 'function') {
+        this.#logo.setHitCounts(s.letterHitCounts);
+      } else {
+        this.#savedLetterHitCounts = s.letterHitCounts.slice();
+      }
+    }
+    // after restoring bump range, ensure letters use it
+    if (this.#logo && typeof this.#logo.resetThresholds === 'function') {
+      this.#logo.resetThresholds();
+    }
+  }
+
   #bindEvents() {
     const colorPicker     = /** @type {HTMLInputElement}  */ (document.getElementById('colorPicker'));
     const colorValue      = /** @type {HTMLElement}       */ (document.getElementById('colorValue'));
     const speedSlider     = /** @type {HTMLInputElement}  */ (document.getElementById('speedSlider'));
     const rotToggle       = /** @type {HTMLInputElement}  */ (document.getElementById('rotationToggle'));
     const moveSpeedSlider = /** @type {HTMLInputElement}  */ (document.getElementById('moveSpeedSlider'));
+    const timeScaleSlider = /** @type {HTMLInputElement}  */ (document.getElementById('timeScaleSlider'));
     const spawnRateSlider = /** @type {HTMLInputElement}  */ (document.getElementById('spawnRateSlider'));
     const virusKillSlider = /** @type {HTMLInputElement}  */ (document.getElementById('virusKillSlider'));
     const bugChanceSlider = /** @type {HTMLInputElement}  */ (document.getElementById('bugChanceSlider'));
     const bugCountSlider  = /** @type {HTMLInputElement}  */ (document.getElementById('bugCountSlider'));
+    const capacitySlider  = /** @type {HTMLInputElement}  */ (document.getElementById('capacitySlider'));
+    const catchUpToggle      = /** @type {HTMLInputElement}  */ (document.getElementById('catchUpToggle'));
     const resetBtn           = /** @type {HTMLButtonElement} */ (document.getElementById('resetBtn'));
+    const rendererToggle     = /** @type {HTMLInputElement}  */ (document.getElementById('canvasRendererToggle'));
     const letterHitCountToggle = /** @type {HTMLInputElement}  */ (document.getElementById('letterHitCountToggle'));
     const letterThresholdToggle = /** @type {HTMLInputElement}  */ (document.getElementById('letterThresholdToggle'));
     const thresholdMinInput = /** @type {HTMLInputElement}  */ (document.getElementById('thresholdMinInput'));
     const thresholdMaxInput = /** @type {HTMLInputElement}  */ (document.getElementById('thresholdMaxInput'));
+    const copyLinkBtn       = /** @type {HTMLButtonElement} */ (document.getElementById('copyLinkBtn'));
 
     // ── Rotation toggle ────────────────────────────────────
     rotToggle.addEventListener('change', (e) => {
@@ -206,6 +380,22 @@ export class SettingsController {
       this.#saveState();
     });
 
+    // ── Time scale ─────────────────────────────────────────
+    // The slider picks an index into DEFAULTS.TIME_SCALES (0.25× … 8×).
+    timeScaleSlider.addEventListener('input', (e) => {
+      const scale = DEFAULTS.TIME_SCALES[Number(/** @type {HTMLInputElement} */ (e.target).value)];
+      this.#evolution.setTimeScale(scale);
+      document.getElementById('timeScaleValue').textContent = formatTimeScale(scale);
+      this.#saveState();
+    });
+
+    // ── Catch up while away ────────────────────────────────
+    // On = time missed in a hidden or closed tab is fast-forwarded on return.
+    catchUpToggle.addEventListener('change', (e) => {
+      this.#evolution.setCatchUp(/** @type {HTMLInputElement} */ (e.target).checked);
+      this.#saveState();
+    });
+
     // ── Spawn rate ─────────────────────────────────────────
     spawnRateSlider.addEventListener('input', (e) => {
       const val = Number(/** @type {HTMLInputElement} */ (e.target).value);
@@ -266,6 +456,22 @@ export class SettingsController {
       this.#saveState();
     });
 
+    // ── Carrying capacity ──────────────────────────────────
+    capacitySlider.addEventListener('input', (e) => {
+      const num = Number(/** @type {HTMLInputElement} */ (e.target).value);
+      this.#evolution.setCarryingCapacity(num);
+      document.getElementById('capacityValue').textContent = String(num);
+      this.#saveState();
+    });
+
+    // ── Entity renderer ────────────────────────────────────
+    // Off = one DOM node per entity (default), on = single canvas.
+    rendererToggle.addEventListener('change', (e) => {
+      const on = /** @type {HTMLInputElement} */ (e.target).checked;
+      this.#evolution.setRenderer(on ? 'canvas' : 'dom');
+      this.#saveState();
+    });
+
     // ── Logo: letter hit count ────────────────────────────
     // The label on each logo letter shows how many bumps it has taken.
     // Persist the visibility state along with the other settings.
@@ -283,6 +489,9 @@ export class SettingsController {
       this.#saveState();
     });
 
+    // ── Share link ─────────────────────────────────────────
+    copyLinkBtn.addEventListener('click', () => this.#copyShareLink(copyLinkBtn));
+
     // ── Reset to defaults ──────────────────────────────────
     resetBtn.addEventListener('click', () => {
       localStorage.removeItem(STORAGE_KEY);
@@ -294,6 +503,8 @@ export class SettingsController {
       DEFAULTS.LOGO_BUMP_THRESHOLD_MAX = ORIGINAL_BUMP_MAX;
       thresholdMinInput.value = String(DEFAULTS.LOGO_BUMP_THRESHOLD_MIN);
       thresholdMaxInput.value = String(DEFAULTS.LOGO_BUMP_THRESHOLD_MAX);
+      // the renderer is a display preference, so it goes back to the default
+      this.#evolution.setRenderer(DEFAULTS.RENDERER);
 
       // NOTE: moveSpeed/spawnRate/etc. are evolution configuration options that
       // live in the same UI but are considered part of the simulation state.
@@ -308,6 +519,32 @@ export class SettingsController {
     });
   }
 
+  /**
+   * Current values of the settings that are persisted and shared, as stored
+   * in devpage:settings.
+   *
+   * @returns {Record<string, any>}
+   */
+  #currentSettings() {
+    return {
+      gradientColor:    this.#gradient.color,
+      gradientSpeed:    this.#gradient.speed,
+      gradientRotation: this.#gradient.rotating,
+      moveSpeed:        this.#evolution.moveSpeed,
+      timeScale:        this.#evolution.timeScale,
+      catchUp:          this.#evolution.catchUp,
+      spawnRate:        this.#evolution.spawnRate,
+      virusKillChance:  this.#evolution.virusKillChance,
+      bugSpawnChance:   this.#evolution.bugSpawnChance,
+      bugMaxCount:      this.#evolution.bugMaxCount,
+      carryingCapacity: this.#evolution.carryingCapacity,
+      renderer:         this.#evolution.renderer,
+      disabledGroups:   this.#evolution.disabledGroups,
+      [STORAGE_BUMP_MIN_KEY]: DEFAULTS.LOGO_BUMP_THRESHOLD_MIN,
+      [STORAGE_BUMP_MAX_KEY]: DEFAULTS.LOGO_BUMP_THRESHOLD_MAX,
+    };
+  }
+
   /** Persist current controller state to localStorage. */
   #saveState() {
     try {
@@ -321,14 +558,8 @@ export class SettingsController {
     }
 
     localStorage.setItem(STORAGE_KEY, JSON.stringify({
-        gradientColor:    this.#gradient.color,
-        gradientSpeed:    this.#gradient.speed,
-        gradientRotation: this.#gradient.rotating,
-        moveSpeed:        this.#evolution.moveSpeed,
-        spawnRate:        this.#evolution.spawnRate,
-        virusKillChance:  this.#evolution.virusKillChance,
-        bugSpawnChance:   this.#evolution.bugSpawnChance,
-        bugMaxCount:      this.#evolution.bugMaxCount,
+        version:          SETTINGS_SCHEMA.version,
+        ...this.#currentSettings(),
         [STORAGE_HIT_COUNT_KEY]:    (/** @type {HTMLInputElement} */ (document.getElementById('letterHitCountToggle')))?.checked ?? false,
         [STORAGE_THRESHOLD_KEY]:    (/** @type {HTMLInputElement} */ (document.getElementById('letterThresholdToggle')))?.checked ?? false,
         letterHitCounts:  counts,
@@ -336,6 +567,34 @@ export class SettingsController {
     } catch { /* quota exceeded or private browsing — ignore */ }
   }
 
+  /**
+   * Put a link to this page with the current settings (and, if the toggle
+   * is on, the world seed) in the hash on the clipboard.  Falls back to a
+   * prompt with the link selected where the clipboard API is unavailable
+   * (e.g. a page served over plain http).
+   *
+   * @param {HTMLButtonElement} button  shows "link copied" for a moment
+   */
+  async #copyShareLink(button) {
+    const withSeed = /** @type {HTMLInputElement|null} */ (document.getElementById('shareSeedToggle'))?.checked;
+    const url      = new URL(window.location.href);
+    url.hash = encodeShareHash(this.#currentSettings(), withSeed ? this.#evolution.seed : null);
+
+    try {
+      await navigator.clipboard.writeText(url.href);
+    } catch {
+      window.prompt('Copy this link', url.href);
+      return;
+    }
+    const label = button.textContent;
+    button.textContent = 'link copied';
+    button.disabled    = true;
+    setTimeout(() => {
+      button.textContent = label;
+      button.disabled    = false;
+    }, DEFAULTS.COPY_FEEDBACK_MS);
+  }
+
   /**
    * Push controller state → DOM controls so the UI always matches.
    * Called on construction, after loadSaved(), and after reset.
@@ -347,11 +606,15 @@ export class SettingsController {
     const speedSlider     = /** @type {HTMLInputElement} */ (document.getElementById('speedSlider'));
     const rotToggle       = /** @type {HTMLInputElement} */ (document.getElementById('rotationToggle'));
     const moveSpeedSlider = /** @type {HTMLInputElement} */ (document.getElementById('moveSpeedSlider'));
+    const timeScaleSlider = /** @type {HTMLInputElement} */ (document.getElementById('timeScaleSlider'));
     const spawnRateSlider = /** @type {HTMLInputElement} */ (document.getElementById('spawnRateSlider'));
     const virusKillSlider = /** @type {HTMLInputElement} */ (document.getElementById('virusKillSlider'));
     const bugChanceSlider = /** @type {HTMLInputElement} */ (document.getElementById('bugChanceSlider'));
     const bugCountSlider      = /** @type {HTMLInputElement} */ (document.getElementById('bugCountSlider'));
+    const capacitySlider      = /** @type {HTMLInputElement} */ (document.getElementById('capacitySlider'));
     const letterHitCountToggle = /** @type {HTMLInputElement} */ (document.getElementById('letterHitCountToggle'));
+    const rendererToggle      = /** @type {HTMLInputElement} */ (document.getElementById('canvasRendererToggle'));
+    const catchUpToggle       = /** @type {HTMLInputElement} */ (document.getElementById('catchUpToggle'));
 
     colorPicker.value      = this.#gradient.color;
     this.#setThemeColor(this.#gradient.color);
@@ -361,6 +624,8 @@ export class SettingsController {
     rotToggle.checked      = this.#gradient.rotating;
     moveSpeedSlider.value  = String(this.#evolution.moveSpeed);
     document.getElementById('moveSpeedValue').textContent = String(this.#evolution.moveSpeed);
+    timeScaleSlider.value  = String(nearestIndex(DEFAULTS.TIME_SCALES, this.#evolution.timeScale));
+    document.getElementById('timeScaleValue').textContent = formatTimeScale(this.#evolution.timeScale);
     spawnRateSlider.value  = String(this.#evolution.spawnRate);
     document.getElementById('spawnRateValue').textContent = String(this.#evolution.spawnRate);
     virusKillSlider.value  = String(Math.round(this.#evolution.virusKillChance * 100));
@@ -369,6 +634,14 @@ export class SettingsController {
     document.getElementById('bugChanceValue').textContent = bugChanceSlider.value + '%';
     bugCountSlider.value      = String(this.#evolution.bugMaxCount);
     document.getElementById('bugCountValue').textContent = bugCountSlider.value;
+    capacitySlider.value      = String(this.#evolution.carryingCapacity);
+    document.getElementById('capacityValue').textContent = capacitySlider.value;
+    rendererToggle.checked    = this.#evolution.renderer === 'canvas';
+    catchUpToggle.checked     = this.#evolution.catchUp;
+    document.querySelectorAll('[data-spawn-group]').forEach((toggle) => {
+      /** @type {HTMLInputElement} */ (toggle).checked =
+        this.#evolution.isGroupEnabled(/** @type {HTMLInputElement} */ (toggle).dataset.spawnGroup);
+    });
     thresholdMinInput.value = String(DEFAULTS.LOGO_BUMP_THRESHOLD_MIN);
     document.getElementById('thresholdMinValue').textContent = thresholdMinInput.value;
     thresholdMaxInput.value = String(DEFAULTS.LOGO_BUMP_THRESHOLD_MAX);
@@ -0,0 +1,136 @@
+/**
+ * shareLink.js
+ * Encodes the settings from the settings modal — and optionally the world
+ * seed — into a URL hash, so "this exact configuration" can be sent as a
+ * link.  Pure data logic — no DOM.
+ *
+ *   #c=4d22b3&gs=2&gr=1&ms=5&sr=5&vk=90&bc=8&bm=2&cc=80&tn=50&tx=100&seed=123
+ *
+ * Keys are short so links stay readable in chat.  Percentages are whole
+ * numbers like on the sliders.  Decoding is forgiving: unknown keys and
+ * unreadable values are skipped, numbers are clamped to the slider ranges,
+ * so a hand-edited or truncated link still applies whatever it can.
+ *
+ * main.js applies a shared hash on load with precedence over the settings
+ * in localStorage; the seed is pinned like a ?seed= parameter.
+ */
+
+import { parseSeed } from '../utils/random.js';
+
+/**
+ * @typedef {object} ShareField
+ * @property {string} key      hash parameter
+ * @property {string} setting  property in the settings object (as stored in devpage:settings)
+ * @property {'color'|'bool'|'int'|'percent'} kind
+ * @property {number} [min]    slider range, for int / percent
+ * @property {number} [max]
+ */
+
+/**
+ * In settings-modal order; ranges mirror the sliders in index.html.
+ * @type {ShareField[]}
+ */
+const FIELDS = [
+  { key: 'c',  setting: 'gradientColor',    kind: 'color' },
+  { key: 'gs', setting: 'gradientSpeed',    kind: 'int',     min: 1,  max: 10 },
+  { key: 'gr', setting: 'gradientRotation', kind: 'bool' },
+  { key: 'ms', setting: 'moveSpeed',        kind: 'int',     min: 1,  max: 50 },
+  { key: 'sr', setting: 'spawnRate',        kind: 'int',     min: 1,  max: 10 },
+  { key: 'vk', setting: 'virusKillChance',  kind: 'percent', min: 0,  max: 100 },
+  { key: 'bc', setting: 'bugSpawnChance',   kind: 'percent', min: 0,  max: 100 },
+  { key: 'bm', setting: 'bugMaxCount',      kind: 'int',     min: 0,  max: 10 },
+  { key: 'cc', setting: 'carryingCapacity', kind: 'int',     min: 10, max: 300 },
+  { key: 'tn', setting: 'bumpThresholdMin', kind: 'int',     min: 0,  max: 5000 },
+  { key: 'tx', setting: 'bumpThresholdMax', kind: 'int',     min: 0,  max: 5000 },
+];
+
+const SEED_KEY = 'seed';
+
+/**
+ * @typedef {object} SharedConfig
+ * @property {Record<string, string|number|boolean>} settings  only the fields found
+ * @property {number|null} seed
+ */
+
+/**
+ * @param {ShareField} field
+ * @param {unknown} value
+ * @returns {string|null}  null when the value can't be encoded
+ */
+function encodeValue(field, value) {
+  switch (field.kind) {
+    case 'color':
+      return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.slice(1).toLowerCase() : null;
+    case 'bool':
+      return typeof value === 'boolean' ? (value ? '1' : '0') : null;
+    case 'percent':
+      return Number.isFinite(value) ? String(Math.round(/** @type {number} */ (value) * 100)) : null;
+    default:
+      return Number.isFinite(value) ? String(Math.round(/** @type {number} */ (value))) : null;
+  }
+}
+
+/**
+ * @param {ShareField} field
+ * @param {string} text
+ * @returns {string|number|boolean|null}  null when the text can't be read
+ */
+function decodeValue(field, text) {
+  switch (field.kind) {
+    case 'color':
+      return /^[0-9a-f]{6}$/i.test(text) ? `#${text.toLowerCase()}` : null;
+    case 'bool':
+      return text === '1' ? true : text === '0' ? false : null;
+    default: {
+      if (!/^-?\d+$/.test(text)) return null;
+      const n = Math.min(field.max, Math.max(field.min, Number(text)));
+      return field.kind === 'percent' ? n / 100 : n;
+    }
+  }
+}
+
+/**
+ * Build a share hash from the current settings.
+ *
+ * @param {Record<string, unknown>} settings  same property names as devpage:settings
+ * @param {number|null} [seed=null]            world seed to pin, if any
+ * @returns {string}  e.g. "#c=4d22b3&gs=2…", including the leading "#"
+ */
+export function encodeShareHash(settings, seed = null) {
+  const params = new URLSearchParams();
+  for (const field of FIELDS) {
+    const text = encodeValue(field, settings[field.setting]);
+    if (text !== null) params.set(field.key, text);
+  }
+  if (seed !== null) params.set(SEED_KEY, String(seed));
+  return `#${params}`;
+}
+
+/**
+ * Read a share hash.  Returns null when the hash holds none of its keys
+ * (empty, or used for something else), so callers can leave it alone.
+ *
+ * @param {string} hash  location.hash, with or without the leading "#"
+ * @returns {SharedConfig|null}
+ */
+export function decodeShareHash(hash) {
+  const params   = new URLSearchParams(hash.replace(/^#/, ''));
+  const settings = {};
+  let found = false;
+
+  for (const field of FIELDS) {
+    const text = params.get(field.key);
+    if (text === null) continue;
+    found = true;
+    const value = decodeValue(field, text.trim());
+    if (value !== null) settings[field.setting] = value;
+  }
+  // The min ≤ max rule of the threshold sliders
+  if (settings.bumpThresholdMin > settings.bumpThresholdMax) {
+    settings.bumpThresholdMax = settings.bumpThresholdMin;
+  }
+
+  const seed = parseSeed(params.get(SEED_KEY));
+  if (!found && seed === null) return null;
+  return { settings, seed };
+}
@@ -0,0 +1,185 @@
+/**
+ * spawnTable.js
+ * Weighted choice of the icon for each automatic spawn, as declared in
+ * icons.json under `spawn`.  Pure data logic — no DOM, no timers.
+ *
+ * Schema:
+ *
+ *   "spawn": {
+ *     "initial":    "<icon>",              ← used when no phases/weights are given
+ *     "rare":       "<icon>",              ← rolled separately (World, rareChance)
+ *     "rareChance": 0.08,
+ *     "phases": [
+ *       {
+ *         "label":   "primordial soup",    ← shown in the guide
+ *         "from":    0,                    ← simulation seconds the phase starts at
+ *         "weights": {
+ *           "<icon>":       3,             ← weight of one icon
+ *           "group:<id>":   2              ← weight shared by a group's icons
+ *         }
+ *       }
+ *     ]
+ *   }
+ *
+ * A plain `"weights": { … }` next to `initial` is shorthand for a single
+ * phase starting at 0.  The active phase is the last one whose `from` has
+ * passed.  A group weight is split evenly over the group's enabled icons;
+ * an icon listed both alone and through its group gets both shares.
+ * Icons whose icons.json `group` is disabled never spawn from the table;
+ * when that leaves the active phase empty, the next phase with enabled
+ * icons is used instead (so a "tech only" page doesn't wait for its phase).
+ */
+
+/** Key prefix marking a group entry in a weight map. */
+const GROUP_PREFIX = 'group:';
+
+/**
+ * @typedef {{ label: string, from: number, weights: Record<string, number> }} SpawnPhase
+ */
+
+export class SpawnTable {
+  /** @type {SpawnPhase[]} */                #phases = [];
+  /** @type {Record<string, object>} */      #icons;
+  /** Group id → member icon names (from icons.json `groups`). */
+  /** @type {Map<string, string[]>} */      #groups = new Map();
+
+  /**
+   * @param {object} iconsData  Parsed icons.json.
+   */
+  constructor(iconsData) {
+    this.#icons = iconsData.icons ?? {};
+    for (const group of iconsData.groups ?? []) {
+      this.#groups.set(group.id, (group.icons ?? []).filter(name => this.#icons[name]));
+    }
+
+    const spawn  = iconsData.spawn ?? {};
+    const phases = Array.isArray(spawn.phases) ? spawn.phases
+      : [{ from: 0, weights: spawn.weights ?? (spawn.initial ? { [spawn.initial]: 1 } : {}) }];
+
+    this.#phases = phases
+      .map((phase, i) => ({
+        label:   typeof phase.label === 'string' ? phase.label : `phase ${i + 1}`,
+        from:    Number(phase.from) || 0,
+        weights: this.#validWeights(phase.weights ?? {}),
+      }))
+      .sort((a, b) => a.from - b.from);
+  }
+
+  /** Every phase, in start order. */
+  get phases() { return this.#phases; }
+
+  /** Every icon any phase can spawn (for preloading). */
+  get icons() {
+    const names = new Set();
+    for (const phase of this.#phases) {
+      for (const key of Object.keys(phase.weights)) {
+        if (key.startsWith(GROUP_PREFIX)) this.#groups.get(key.slice(GROUP_PREFIX.length))?.forEach(n => names.add(n));
+        else names.add(key);
+      }
+    }
+    return [...names];
+  }
+
+  /**
+   * The phase active at a simulation time.
+   *
+   * @param {number} seconds
+   * @returns {SpawnPhase|null}
+   */
+  phaseAt(seconds) {
+    let current = null;
+    for (const phase of this.#phases) {
+      if (phase.from <= seconds) current = phase;
+    }
+    return current;
+  }
+
+  /**
+   * Effective per-icon weights at a simulation time, with disabled groups
+   * removed (falling forward to the next phase if nothing is left).
+   *
+   * @param {number} seconds
+   * @param {string[]} [disabledGroups=[]]
+   * @returns {Map<string, number>}
+   */
+  weightsAt(seconds, disabledGroups = []) {
+    const off   = new Set(disabledGroups);
+    const start = Math.max(0, this.#phases.indexOf(this.phaseAt(seconds)));
+    for (const phase of this.#phases.slice(start)) {
+      const weights = this.#enabledWeights(phase, off);
+      if (weights.size) return weights;
+    }
+    return new Map();
+  }
+
+  /**
+   * Pick an icon for a spawn.
+   *
+   * @param {number} seconds  simulation time
+   * @param {string[]} disabledGroups
+   * @param {import('../utils/random.js').Random} random
+   * @returns {string|null}  null when nothing is enabled
+   */
+  pick(seconds, disabledGroups, random) {
+    const weights = this.weightsAt(seconds, disabledGroups);
+    let total = 0;
+    for (const w of weights.values()) total += w;
+    if (total <= 0) return null;
+
+    let roll = random.next() * total;
+    for (const [name, w] of weights) {
+      roll -= w;
+      if (roll < 0) return name;
+    }
+    // Floating-point leftovers land on the last entry
+    return [...weights.keys()].at(-1) ?? null;
+  }
+
+  // ── Private ────────────────────────────────────────────────
+
+  /**
+   * Per-icon weights of one phase, skipping icons of disabled groups.
+   *
+   * @param {SpawnPhase} phase
+   * @param {Set<string>} off  disabled group ids
+   * @returns {Map<string, number>}
+   */
+  #enabledWeights(phase, off) {
+    const enabled = (name) => !off.has(this.#icons[name]?.group);
+    /** @type {Map<string, number>} */
+    const weights = new Map();
+    const add     = (name, w) => weights.set(name, (weights.get(name) ?? 0) + w);
+
+    for (const [key, weight] of Object.entries(phase.weights)) {
+      if (key.startsWith(GROUP_PREFIX)) {
+        const members = (this.#groups.get(key.slice(GROUP_PREFIX.length)) ?? []).filter(enabled);
+        for (const name of members) add(name, weight / members.length);
+      } else if (enabled(key)) {
+        add(key, weight);
+      }
+    }
+    return weights;
+  }
+
+  /**
+   * Drop entries for unknown icons / groups and non-positive weights.
+   *
+   * @param {Record<string, unknown>} weights
+   * @returns {Record<string, number>}
+   */
+  #validWeights(weights) {
+    /** @type {Record<string, number>} */
+    const valid = {};
+    for (const [key, weight] of Object.entries(weights)) {
+      const known = key.startsWith(GROUP_PREFIX)
+        ? this.#groups.has(key.slice(GROUP_PREFIX.length))
+        : Boolean(this.#icons[key]);
+      if (!known) {
+        console.warn(`[SpawnTable] Ignoring weight for unknown icon or group "${key}"`);
+        continue;
+      }
+      if (typeof weight === 'number' && weight > 0) valid[key] = weight;
+    }
+    return valid;
+  }
+}
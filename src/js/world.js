@@ -0,0 +1,1164 @@
+/**
+ * world.js
+ * DOM-free simulation core: world size, entity list, logo word, fixed
+ * step function, rule evaluation and serialise / restore.
+ *
+ * Nothing in here touches `document`, `window`, `requestAnimationFrame` or
+ * `fetch` — the browser controllers (EvolutionController, LogoController,
+ * DomRenderer) own the loop and the pixels and merely render a World.  That
+ * makes it possible to run thousands of steps in Node:
+ *
+ *   import { World } from './src/js/world.js';
+ *   const iconsData = JSON.parse(fs.readFileSync('src/data/icons.json', 'utf8'));
+ *   const world = new World({ iconsData, seed: 42, width: 1280, height: 720 });
+ *   for (let i = 0; i < 10_000; i++) world.step(1 / 60);
+ *   console.log(world.getCounts());
+ *
+ * Each step:
+ *  1. Spawning — the spawn countdown runs on simulation time; when it hits
+ *     zero an icon drawn from the current spawn phase (see spawnTable.js) —
+ *     or, rarely, the rare one — appears at a random position and a new
+ *     delay is rolled.  Groups listed in settings.disabledGroups never spawn.
+ *  2. Movement — entities and the logo word advance by dt.
+ *  3. Collisions — a spatial-hash broad phase finds nearby pairs; overlaps
+ *     (per-icon `size`) get a mass-weighted elastic impulse, are pushed
+ *     apart and shift hue, then the icons.json rules (infection, cure,
+ *     kill, mutation …) are applied.
+ *  4. Logo — entity-vs-letter contacts bump, eject and re-attach letters.
+ *  5. Reproduction — icons with a `reproduce` block in icons.json divide
+ *     after enough age or collisions, throttled by the carrying capacity.
+ *     Daughters (and the new form after a cure or mutation) inherit a
+ *     mutated copy of the genome (see genome.js).
+ *  6. Ageing — entities past their lifespan die of natural causes.
+ *  7. Cleanup — entities whose slow death has run its course are removed.
+ *
+ * Every entity gets an `id` unique within the world; ids are saved with the
+ * snapshot and restart from 1 on clear().  Entities also keep a history for
+ * the inspector — lifetime collisions, species changes (up to
+ * ENTITY_HISTORY_MAX) and lineage — which is saved with them.
+ *
+ * Inspector actions: entity(id) looks an entity up; killEntity(),
+ * cureEntity() (back to the icon it was born as) and pinEntity() act on
+ * one.  A pinned entity is an immovable obstacle to the others (logo
+ * letters still push it out of their way) and the force field leaves it be.
+ *
+ * The snapshot also records the world size.  resize() and restore() move
+ * entities, the logo word and ejected letters proportionally to a new size
+ * and clamp them inside it, so a smaller window or a save from a larger
+ * screen never leaves anything off-screen.
+ *
+ * Pointer input: grab() picks up an entity or an ejected letter at a point,
+ * drag() moves it (it stays put between drags) and release() flings it with
+ * the pointer's velocity.  setField() places a force field that pushes
+ * entities away from — or pulls them toward — a point each step.  Both are
+ * transient: they are not saved and restore() drops them.
+ *
+ * Renderers follow along through on(type, fn):
+ *  - 'spawn'          { entity }
+ *  - 'divide'         { entity, child }       (child also gets 'spawn')
+ *  - 'hit'            { entity }
+ *  - 'transform'      { entity, from, by, outcome, fallback }
+ *                     (species already switched; `by` is the acting entity,
+ *                     outcome 'transform' | 'cure', fallback when a rule's
+ *                     `otherwise` applied)
+ *  - 'die'            { entity, cause, by }   ('natural' | 'violent'; `by` is
+ *                     the killer or null)
+ *  - 'remove'         { entity }
+ *  - 'letterBump'     { letter }
+ *  - 'letterEject'    { letter }
+ *  - 'letterReattach' { letter }
+ *  - 'clear'          {}
+ *  - 'restore'        {}                      (entities and letters replaced)
+ */
+
+import { Entity }        from './entity.js';
+import { LogoWord }      from './logoWord.js';
+import { RuleEngine }    from './rules.js';
+import { SpawnTable }    from './spawnTable.js';
+import { defaultGenome, mutateGenome, normaliseGenome, GENES } from './genome.js';
+import { DEFAULTS }      from './constants.js';
+import { SpatialHash }   from '../utils/spatialHash.js';
+import { Random }        from '../utils/random.js';
+
+/**
+ * Default tunables — EvolutionController mirrors these in the settings modal.
+ *
+ * @returns {{ moveSpeed: number, spawnRate: number, virusKillChance: number,
+ *             bugSpawnChance: number, bugMaxCount: number,
+ *             carryingCapacity: number, disabledGroups: string[] }}
+ */
+export function defaultWorldSettings() {
+  return {
+    moveSpeed:        DEFAULTS.MOVE_SPEED,
+    spawnRate:        5,
+    virusKillChance:  DEFAULTS.VIRUS_KILL_CHANCE,
+    bugSpawnChance:   DEFAULTS.BUG_SPAWN_CHANCE,
+    bugMaxCount:      DEFAULTS.BUG_MAX_COUNT,
+    carryingCapacity: DEFAULTS.CARRYING_CAPACITY,
+    disabledGroups:   [],
+  };
+}
+
+/**
+ * @typedef {object} PointerField
+ * @property {number} x
+ * @property {number} y
+ * @property {'repel'|'attract'} mode
+ */
+
+export class World {
+  /** World size in px (the viewport, in the browser). */
+  /** @type {number} */ width;
+  /** @type {number} */ height;
+
+  /**
+   * Live tunables read every step.  Callers may pass in their own object
+   * (EvolutionController shares its settings object this way).
+   */
+  /** @type {ReturnType<typeof defaultWorldSettings>} */ settings;
+
+  /** @type {LogoWord} */ logo;
+
+  /** @type {object} */                #iconsData;
+  /** @type {RuleEngine} */            #rules;
+  /** @type {SpawnTable} */            #spawnTable;
+  /** @type {Random} */                #random;
+  /** @type {Entity[]} */              #entities    = [];
+  /** Cumulative counts of every icon ever created (since last clear or restore). */
+  /** @type {Record<string,number>} */ #totalCounts = {};
+  /** Deaths since last clear, by cause. */
+  /** @type {{ natural: number, violent: number }} */ #deaths = { natural: 0, violent: 0 };
+  /** Simulation clock in ms — advances only inside step(). */
+  /** @type {number} */                #time        = 0;
+  /** Id handed to the next new entity. */
+  /** @type {number} */                #nextId      = 1;
+  /** Simulation ms left until the next automatic spawn. */
+  /** @type {number} */                #spawnCountdown = 0;
+  /** Broad-phase grid, rebuilt from #entities every step. */
+  /** @type {SpatialHash} */           #grid        = new SpatialHash(DEFAULTS.BROADPHASE_CELL_SIZE);
+  /** Scratch buffer reused for grid queries (avoids per-entity allocations). */
+  /** @type {number[]} */              #candidates  = [];
+  /** Largest possible entity size (icons.json `size` × size gene) — bounds the broad-phase query. */
+  /** @type {number} */                #maxSize     = DEFAULTS.ICON_SIZE;
+  /** @type {Map<string, Set<Function>>} */ #listeners = new Map();
+  /** What the pointer holds, null when nothing. */
+  /** @type {Entity|import('./logoLetter.js').LogoLetter|null} */ #held = null;
+  /** Force field around the pointer, null when off. */
+  /** @type {PointerField|null} */     #field       = null;
+
+  /**
+   * @param {{ iconsData: object, width: number, height: number,
+   *           random?: Random, seed?: number,
+   *           settings?: ReturnType<typeof defaultWorldSettings> }} opts
+   *   iconsData — parsed icons.json.
+   *   random / seed — share an existing PRNG, or seed a new one (default 0).
+   *   settings — live tunables (defaults to defaultWorldSettings()).
+   */
+  constructor({ iconsData, width, height, random, seed = 0, settings = defaultWorldSettings() }) {
+    this.#iconsData = iconsData;
+    this.#rules     = new RuleEngine(iconsData.rules);
+    this.#spawnTable = new SpawnTable(iconsData);
+    this.#random    = random ?? new Random(seed);
+    this.#maxSize   = GENES.size.max * Math.max(DEFAULTS.ICON_SIZE,
+      ...Object.keys(iconsData.icons).map(name => this.#bodyOf(name).size));
+    this.settings   = settings;
+    this.width      = width;
+    this.height     = height;
+
+    this.logo = new LogoWord({
+      random: this.#random,
+      emit:   (type, letter) => this.#emit(type, { letter }),
+    });
+    this.logo.initFresh(width, height);
+    this.scheduleNextSpawn();
+  }
+
+  // ── Accessors ──────────────────────────────────────────────
+
+  /** Live entities (including dying ones) — treat as read-only. */
+  get entities() { return this.#entities; }
+
+  /** Simulation time in ms since the world was created, cleared or restored. */
+  get time() { return this.#time; }
+
+  /** The shared PRNG driving every random choice. */
+  get random() { return this.#random; }
+
+  /** The parsed icons.json this world was built from. */
+  get iconsData() { return this.#iconsData; }
+
+  /** The rule engine built from icons.json `rules`. */
+  get rules() { return this.#rules; }
+
+  /** The weighted spawn phases built from icons.json `spawn`. */
+  get spawnTable() { return this.#spawnTable; }
+
+  /** Label of the spawn phase active right now (null when there are none). */
+  get spawnPhase() { return this.#spawnTable.phaseAt(this.#time / 1000)?.label ?? null; }
+
+  /** The entity or ejected letter held by the pointer, null when none. */
+  get held() { return this.#held; }
+
+  /** The pointer's force field, null when off. */
+  get field() { return this.#field; }
+
+  /** Cumulative totals for each icon (spawned/mutated) since last clear or restore. */
+  get totalCounts() { return { ...this.#totalCounts }; }
+
+  /** Deaths since last clear: old age vs. killed. */
+  get deaths() { return { ...this.#deaths }; }
+
+  /** Number of living (not dying) entities — what the carrying capacity limits. */
+  get population() {
+    let n = 0;
+    for (const e of this.#entities) if (e.alive && !e.dying) n++;
+    return n;
+  }
+
+  /** Count of live entities grouped by entityKey. */
+  getCounts() {
+    /** @type {Record<string,number>} */
+    const counts = {};
+    for (const e of this.#entities) {
+      counts[e.entityKey] = (counts[e.entityKey] ?? 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Mean genome of the living (not dying) entities of each species.  The hue
+   * gene is averaged on the colour circle, so −170° and +170° meet at 180°.
+   *
+   * @returns {Record<string, import('./genome.js').Genome & { count: number }>}
+   */
+  getTraitAverages() {
+    /** @type {Record<string, { count: number, speed: number, size: number, resistance: number, x: number, y: number }>} */
+    const sums = {};
+    for (const e of this.#entities) {
+      if (!e.alive || e.dying) continue;
+      const s = sums[e.entityKey] ??= { count: 0, speed: 0, size: 0, resistance: 0, x: 0, y: 0 };
+      const a = e.genome.hue * Math.PI / 180;
+      s.count++;
+      s.speed      += e.genome.speed;
+      s.size       += e.genome.size;
+      s.resistance += e.genome.resistance;
+      s.x += Math.cos(a);
+      s.y += Math.sin(a);
+    }
+
+    /** @type {Record<string, import('./genome.js').Genome & { count: number }>} */
+    const averages = {};
+    for (const [key, s] of Object.entries(sums)) {
+      averages[key] = {
+        count:      s.count,
+        speed:      s.speed      / s.count,
+        size:       s.size       / s.count,
+        resistance: s.resistance / s.count,
+        hue:        Math.atan2(s.y, s.x) * 180 / Math.PI,
+      };
+    }
+    return averages;
+  }
+
+  // ── Events ─────────────────────────────────────────────────
+
+  /**
+   * Subscribe to a world event (see the module comment for the list).
+   *
+   * @param {string} type
+   * @param {(payload: object) => void} fn
+   * @returns {() => void}  unsubscribe
+   */
+  on(type, fn) {
+    if (!this.#listeners.has(type)) this.#listeners.set(type, new Set());
+    this.#listeners.get(type).add(fn);
+    return () => this.#listeners.get(type)?.delete(fn);
+  }
+
+  // ── Mutation ───────────────────────────────────────────────
+
+  /**
+   * Resize the world bounds, moving everything proportionally (see the
+   * module comment).
+   *
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(width, height) {
+    if (width === this.width && height === this.height) return;
+    const from = { width: this.width, height: this.height };
+    this.width  = width;
+    this.height = height;
+    this.#rescale(from.width, from.height);
+  }
+
+  /**
+   * Spawn one icon at a random position with a random direction, or where
+   * `at` places it.
+   *
+   * @param {string} name  Key from icons.json
+   * @param {{ x: number, y: number, angle?: number }} [at]
+   *   position (kept inside the world) and direction in radians — random
+   *   when left out
+   * @returns {Entity|null}  null when the icon is not registered
+   */
+  spawn(name, at) {
+    if (!this.#iconsData.icons[name]) return null;
+
+    let x, y;
+    if (at) {
+      // Spawned entities have the base genome, so their size is the body's
+      const h = this.#bodyOf(name).size / 2;
+      x = Math.max(h, Math.min(Number(at.x) || 0, this.width  - h));
+      y = Math.max(h, Math.min(Number(at.y) || 0, this.height - h));
+    } else {
+      // Random spawn position — keep a margin so the icon starts fully in bounds
+      const margin = DEFAULTS.ICON_SIZE * 2;
+      x = margin + this.#random.next() * (this.width  - margin * 2);
+      y = margin + this.#random.next() * (this.height - margin * 2);
+    }
+
+    // Initial direction, normalised to BASE_SPEED
+    const angle = Number.isFinite(at?.angle) ? at.angle : this.#random.next() * Math.PI * 2;
+    const vx    = Math.cos(angle) * DEFAULTS.BASE_SPEED;
+    const vy    = Math.sin(angle) * DEFAULTS.BASE_SPEED;
+
+    return this.#addEntity(name, x, y, vx, vy);
+  }
+
+  /**
+   * Roll the delay until the next automatic spawn within the configured
+   * range (shorter delays at higher spawn rates).
+   */
+  scheduleNextSpawn() {
+    // Exponential scale: rate 5 → default delays; higher rate → shorter delays.
+    const factor = Math.pow(this.settings.spawnRate / 5, 1.5);
+    const min    = Math.max(300,  Math.round(DEFAULTS.SPAWN_DELAY_MIN / factor));
+    const max    = Math.max(1500, Math.round(DEFAULTS.SPAWN_DELAY_MAX / factor));
+    this.#spawnCountdown = this.#random.range(min, max);
+  }
+
+  // ── Pointer ────────────────────────────────────────────────
+
+  /**
+   * The topmost thing the pointer can hold at a point: an ejected letter
+   * (drawn above the entities) or a live entity, within POINTER_PICK_SLOP.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @returns {Entity|import('./logoLetter.js').LogoLetter|null}
+   */
+  pick(x, y) {
+    const slop = DEFAULTS.POINTER_PICK_SLOP;
+    const half = DEFAULTS.LOGO_LETTER_HALF * this.logo.scale;
+    for (const letter of this.logo.letters) {
+      if (letter.ejected && Math.hypot(letter.x - x, letter.y - y) <= half + slop) return letter;
+    }
+    // Later entities are drawn on top
+    for (let i = this.#entities.length - 1; i >= 0; i--) {
+      const e = this.#entities[i];
+      if (e.alive && !e.dying && Math.hypot(e.x - x, e.y - y) <= e.size / 2 + slop) return e;
+    }
+    return null;
+  }
+
+  /**
+   * Pick up whatever is at a point (see pick()), dropping anything held.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}  true when something was picked up
+   */
+  grab(x, y) {
+    this.release(0, 0);
+    const target = this.pick(x, y);
+    if (!target) return false;
+    target.held = true;
+    target.vx   = 0;
+    target.vy   = 0;
+    this.#held  = target;
+    return true;
+  }
+
+  /**
+   * Move the held entity or letter to a point, kept inside the world.
+   *
+   * @param {number} x
+   * @param {number} y
+   */
+  drag(x, y) {
+    const held = this.#held;
+    if (!held) return;
+    const h = held instanceof Entity ? held.size / 2 : DEFAULTS.LOGO_LETTER_HALF * this.logo.scale;
+    held.x  = Math.max(h, Math.min(x, this.width  - h));
+    held.y  = Math.max(h, Math.min(y, this.height - h));
+    held.vx = 0;
+    held.vy = 0;
+  }
+
+  /**
+   * Let go of the held entity or letter, flinging it at the pointer's
+   * velocity (capped at POINTER_FLING_MAX_SPEED).
+   *
+   * @param {number} vx  px/s on screen
+   * @param {number} vy
+   */
+  release(vx, vy) {
+    const held = this.#held;
+    if (!held) return;
+    this.#held  = null;
+    held.held   = false;
+    const speed = Math.hypot(vx, vy);
+    const cap   = speed > DEFAULTS.POINTER_FLING_MAX_SPEED ? DEFAULTS.POINTER_FLING_MAX_SPEED / speed : 1;
+    // Velocities are scaled by the move speed (and an entity's speed gene)
+    // when applied, so divide those out to keep the on-screen speed
+    let k = this.settings.moveSpeed / DEFAULTS.MOVE_SPEED;
+    if (held instanceof Entity) k *= held.genome.speed;
+    if (k <= 0) return;
+    held.vx = (vx * cap) / k;
+    held.vy = (vy * cap) / k;
+  }
+
+  /**
+   * Switch the force field on at a point, move it, or switch it off.
+   *
+   * @param {PointerField|null} field
+   */
+  setField(field) {
+    this.#field = field
+      ? { x: Number(field.x) || 0, y: Number(field.y) || 0, mode: field.mode === 'attract' ? 'attract' : 'repel' }
+      : null;
+  }
+
+  // ── Inspector ──────────────────────────────────────────────
+
+  /**
+   * @param {number} id
+   * @returns {Entity|null}  the live entity with that id, null when gone
+   */
+  entity(id) {
+    return this.#entities.find(e => e.id === id && e.alive) ?? null;
+  }
+
+  /**
+   * Start an entity's slow death, as a violent one with no killer.
+   *
+   * @param {number} id
+   * @returns {boolean}  false when there was nothing left to kill
+   */
+  killEntity(id) {
+    const entity = this.entity(id);
+    if (!entity || entity.dying) return false;
+    this.#kill(entity, 'violent');
+    return true;
+  }
+
+  /**
+   * Turn an infected entity back into the icon it was born as — a cure like
+   * a rule's, with nobody doing it.
+   *
+   * @param {number} id
+   * @returns {boolean}  false when the entity is gone, dying or was never changed
+   */
+  cureEntity(id) {
+    const entity = this.entity(id);
+    if (!entity || entity.entityKey === entity.name) return false;
+    return this.#transform(entity, entity.name, { by: null, outcome: 'cure', force: true });
+  }
+
+  /**
+   * Pin an entity in place, or let it go again (it carries on the way it
+   * was going).
+   *
+   * @param {number} id
+   * @param {boolean} pinned
+   * @returns {boolean}  false when the entity is gone
+   */
+  pinEntity(id, pinned) {
+    const entity = this.entity(id);
+    if (!entity) return false;
+    entity.pinned = Boolean(pinned);
+    return true;
+  }
+
+  /**
+   * Remove every entity and reset totals + the simulation clock.
+   * The logo word keeps flying; its counters are reset.
+   */
+  clear() {
+    this.release(0, 0);
+    this.#entities.forEach(e => e.destroy());
+    this.#entities    = [];
+    this.#totalCounts = {};
+    this.#deaths      = { natural: 0, violent: 0 };
+    this.#time        = 0;
+    this.#nextId      = 1;
+    this.logo.resetCounters();
+    this.logo.resetThresholds();
+    this.scheduleNextSpawn();
+    this.#emit('clear', {});
+  }
+
+  // ── Simulation ─────────────────────────────────────────────
+
+  /**
+   * Advance the whole world by one fixed step.
+   *
+   * @param {number} dt  step length in seconds
+   */
+  step(dt) {
+    this.#time += dt * 1000;
+
+    // Automatic spawning on the simulation clock (skipped while the
+    // population is at carrying capacity)
+    this.#spawnCountdown -= dt * 1000;
+    if (this.#spawnCountdown <= 0) {
+      if (this.population < this.settings.carryingCapacity) this.#spawnAutomatic();
+      this.scheduleNextSpawn();
+    }
+
+    // speedMultiplier: normalised so that slider=5 → multiplier=1.0
+    const multiplier = this.settings.moveSpeed / DEFAULTS.MOVE_SPEED;
+
+    if (this.#field) this.#applyField(dt);
+    for (const entity of this.#entities) {
+      entity.update(multiplier, dt, this.width, this.height);
+    }
+
+    // Advance logo word + ejected letter physics
+    this.logo.update(multiplier, dt, this.width, this.height);
+
+    // Check and resolve entity-to-entity collisions after all positions updated
+    this.#grid.build(this.#entities);
+    this.#checkCollisions();
+
+    // Check entity-vs-logo-letter collisions — the grid still holds every
+    // entity where the corrections above left it
+    for (const entity of this.logo.collide(this.#entities, this.#grid, this.#maxSize)) {
+      this.#emit('hit', { entity });
+    }
+
+    this.#reproduce();
+
+    // Old age: reuse the slow-death sequence
+    for (const entity of this.#entities) {
+      if (!entity.dying && this.#time - entity.bornAt >= entity.lifespan) {
+        this.#kill(entity, 'natural');
+      }
+    }
+
+    // Finish slow deaths that have run their course on the simulation clock
+    for (const entity of this.#entities) {
+      if (entity.dying && this.#time - entity.diedAt >= DEFAULTS.KILL_DEATH_DURATION) {
+        entity.destroy();
+      }
+    }
+
+    // A held entity that started dying slips out of the pointer's grip
+    if (this.#held instanceof Entity && (this.#held.dying || !this.#held.alive)) {
+      this.#held.held = false;
+      this.#held      = null;
+    }
+
+    // Prune entities that died this step
+    if (this.#entities.some(e => !e.alive)) {
+      const removed = this.#entities.filter(e => !e.alive);
+      this.#entities = this.#entities.filter(e => e.alive);
+      for (const entity of removed) this.#emit('remove', { entity });
+    }
+  }
+
+  // ── Persistence ────────────────────────────────────────────
+
+  /**
+   * Plain-JSON snapshot of the world (live, non-dying entities only).
+   *
+   * @returns {object}
+   */
+  serialise() {
+    return {
+      width:          this.width,
+      height:         this.height,
+      seed:           this.#random.seed,
+      rngState:       this.#random.state,
+      time:           this.#time,
+      spawnCountdown: this.#spawnCountdown,
+      entities: this.#entities
+        .filter(e => e.alive && !e.dying)
+        .map(e => ({
+          id:       e.id,
+          name:     e.entityKey,
+          x:        e.x,
+          y:        e.y,
+          vx:       e.vx,
+          vy:       e.vy,
+          rotation: e.rotation,
+          hueShift: e.hueShift,
+          divisionAt:   e.lastDivisionAt,
+          divisionHits: e.hitsSinceDivision,
+          bornAt:       e.bornAt,
+          genome:       { ...e.genome },
+          // JSON has no Infinity — immortal entities store null
+          lifespan:     Number.isFinite(e.lifespan) ? e.lifespan : null,
+          origin:       e.name,
+          infected:     e.infected,
+          pinned:       e.pinned,
+          hits:         e.hits,
+          infections:   e.infections.map(c => ({ ...c })),
+          parentId:     e.parentId,
+          generation:   e.generation,
+          offspring:    e.offspring,
+        })),
+      nextId:      this.#nextId,
+      logo:        this.logo.serialise(),
+      totalCounts: { ...this.#totalCounts },
+      deaths:      { ...this.#deaths },
+    };
+  }
+
+  /**
+   * Replace the world's state with a serialise() snapshot.  Unknown icons
+   * are skipped; missing fields keep their current values.
+   *
+   * @param {object} saved
+   */
+  restore(saved) {
+    // Entities and letters are replaced; the pointer lets go
+    this.#held  = null;
+    this.#field = null;
+
+    // Continue the saved random sequence where it left off
+    if (typeof saved.seed === 'number')     this.#random.reseed(saved.seed);
+    if (typeof saved.rngState === 'number') this.#random.state = saved.rngState;
+    if (typeof saved.time === 'number')     this.#time = saved.time;
+    if (typeof saved.spawnCountdown === 'number') this.#spawnCountdown = saved.spawnCountdown;
+
+    if (saved.logo && typeof saved.logo === 'object') {
+      this.logo.restore(saved.logo, this.width, this.height);
+    }
+
+    // determine whether we'll need to rebuild totals from the entity list
+    let buildTotalsFromEntities = false;
+    if (
+      saved.totalCounts &&
+      typeof saved.totalCounts === 'object' &&
+      Object.keys(saved.totalCounts).length > 0
+    ) {
+      // existing totals present
+      this.#totalCounts = { ...saved.totalCounts };
+    } else {
+      // no meaningful totals stored; rebuild from entity list below
+      this.#totalCounts = {};
+      buildTotalsFromEntities = true;
+    }
+
+    this.#deaths = {
+      natural: Number(saved.deaths?.natural) || 0,
+      violent: Number(saved.deaths?.violent) || 0,
+    };
+
+    this.#entities.forEach(e => e.destroy());
+    this.#entities = [];
+    // Saves from before entity ids number their entities from here on
+    this.#nextId = Math.max(1, Number(saved.nextId) || 1);
+
+    // Entities join in saved order so a seeded run stays reproducible
+    for (const s of Array.isArray(saved.entities) ? saved.entities : []) {
+      const iconMeta = this.#iconsData.icons[s.name];
+      if (!iconMeta) continue;
+      const typeMeta = this.#iconsData.types[iconMeta.type];
+      if (!typeMeta) continue;
+
+      const entity = new Entity({
+        id:       typeof s.id === 'number' ? s.id : this.#nextId++,
+        // Born as `origin`, now `name` — older saves only know the latter
+        name:     typeof s.origin === 'string' && this.#iconsData.icons[s.origin] ? s.origin : s.name,
+        type:     iconMeta.type,
+        color:    typeMeta.color,
+        x:        s.x,
+        y:        s.y,
+        vx:       s.vx,
+        vy:       s.vy,
+        rotation: s.rotation,
+        // Saves from before genetics get the base genome
+        genome:   normaliseGenome(s.genome),
+        // Older saves: changed species if it has a history or isn't what it was born as
+        infected: typeof s.infected === 'boolean' ? s.infected
+          : (Array.isArray(s.infections) && s.infections.length > 0)
+            || (typeof s.origin === 'string' && s.origin !== s.name),
+        random:   this.#random,
+      });
+      entity.entityKey = s.name;
+      this.#applyBody(entity);
+      // Restore accumulated hue-rotate from collisions
+      if (s.hueShift) entity.hueShift = s.hueShift;
+      // Reproduction progress — older saves start a fresh cycle
+      entity.lastDivisionAt    = typeof s.divisionAt   === 'number' ? s.divisionAt   : this.#time;
+      entity.hitsSinceDivision = typeof s.divisionHits === 'number' ? s.divisionHits : 0;
+      // Age — saves from before ageing count as born now with a fresh lifespan
+      entity.bornAt   = typeof s.bornAt === 'number' ? s.bornAt : this.#time;
+      entity.lifespan = typeof s.lifespan === 'number' ? s.lifespan
+        : s.lifespan === null ? Infinity
+        : this.#rollLifespan(iconMeta.type);
+      // Inspector history — older saves start with none
+      entity.pinned     = s.pinned === true;
+      entity.hits       = typeof s.hits === 'number' ? s.hits : 0;
+      entity.infections = Array.isArray(s.infections)
+        ? s.infections.filter(c => c && typeof c === 'object').slice(-DEFAULTS.ENTITY_HISTORY_MAX).map(c => ({ ...c }))
+        : [];
+      entity.parentId   = typeof s.parentId === 'number' ? s.parentId : null;
+      entity.generation = typeof s.generation === 'number' ? s.generation : 0;
+      entity.offspring  = typeof s.offspring === 'number' ? s.offspring : 0;
+
+      this.#nextId = Math.max(this.#nextId, entity.id + 1);
+      this.#entities.push(entity);
+      // if the snapshot didn't already include totals, count this entity now
+      if (buildTotalsFromEntities) this.#incrementTotal(s.name);
+    }
+
+    // make sure totals are at least as large as the current restored population
+    for (const [key, num] of Object.entries(this.getCounts())) {
+      this.#totalCounts[key] = Math.max(this.#totalCounts[key] || 0, num);
+    }
+
+    // Fit a save from another screen size; older saves without one are
+    // only clamped
+    this.#rescale(
+      typeof saved.width  === 'number' && saved.width  > 0 ? saved.width  : this.width,
+      typeof saved.height === 'number' && saved.height > 0 ? saved.height : this.height,
+    );
+
+    this.#emit('restore', {});
+  }
+
+  // ── Private ────────────────────────────────────────────────
+
+  /**
+   * Push entities away from (or pull them toward) the force field's centre,
+   * strongest there and fading to nothing at POINTER_FIELD_RADIUS.  Speeds
+   * stay within the usual cap.
+   *
+   * @param {number} dt
+   */
+  #applyField(dt) {
+    const { x, y, mode } = this.#field;
+    const radius = DEFAULTS.POINTER_FIELD_RADIUS;
+    const sign   = mode === 'attract' ? -1 : 1;
+    const max    = DEFAULTS.BASE_SPEED * DEFAULTS.MAX_SPEED_FACTOR;
+    for (const e of this.#entities) {
+      if (e.dying || e.held || e.pinned) continue;
+      const dx = e.x - x;
+      const dy = e.y - y;
+      const d  = Math.hypot(dx, dy);
+      if (d >= radius || d === 0) continue;
+      const a = sign * DEFAULTS.POINTER_FIELD_ACCEL * (1 - d / radius) * dt;
+      e.vx += (dx / d) * a;
+      e.vy += (dy / d) * a;
+      const spd = Math.hypot(e.vx, e.vy);
+      if (spd > max) {
+        e.vx = (e.vx / spd) * max;
+        e.vy = (e.vy / spd) * max;
+      }
+    }
+  }
+
+  /**
+   * Move entities, the logo word and ejected letters from a world of the
+   * given size to the current one, keeping them inside its edges.
+   *
+   * @param {number} fromWidth
+   * @param {number} fromHeight
+   */
+  #rescale(fromWidth, fromHeight) {
+    const sx = fromWidth  > 0 ? this.width  / fromWidth  : 1;
+    const sy = fromHeight > 0 ? this.height / fromHeight : 1;
+    for (const e of this.#entities) {
+      const h = e.size / 2;
+      e.x = Math.max(h, Math.min(e.x * sx, this.width  - h));
+      e.y = Math.max(h, Math.min(e.y * sy, this.height - h));
+    }
+    this.logo.rescale(sx, sy, this.width, this.height);
+  }
+
+  /**
+   * @param {string} type
+   * @param {object} payload
+   */
+  #emit(type, payload) {
+    const fns = this.#listeners.get(type);
+    if (!fns) return;
+    for (const fn of fns) fn(payload);
+  }
+
+  /**
+   * Create an entity of a registered icon, add it to the world and announce it.
+   *
+   * @param {string} name
+   * @param {number} x
+   * @param {number} y
+   * @param {number} vx
+   * @param {number} vy
+   * @param {import('./genome.js').Genome} [genome]  inherited genome (default: base)
+   * @returns {Entity}
+   */
+  #addEntity(name, x, y, vx, vy, genome = defaultGenome()) {
+    const iconMeta = this.#iconsData.icons[name];
+    const typeMeta = this.#iconsData.types[iconMeta.type];
+
+    const entity = new Entity({
+      id: this.#nextId++,
+      name, type: iconMeta.type, color: typeMeta.color,
+      x, y, vx, vy, genome,
+      random: this.#random,
+    });
+    this.#applyBody(entity);
+    entity.lastDivisionAt = this.#time;
+    entity.bornAt         = this.#time;
+    entity.lifespan       = this.#rollLifespan(iconMeta.type);
+
+    this.#entities.push(entity);
+    // A daughter joins the broad phase too, should anything query it before
+    // the next step rebuilds it
+    this.#grid.insert(this.#entities.length - 1, x, y);
+    // record spawn for totals
+    this.#incrementTotal(name);
+    this.#emit('spawn', { entity });
+    return entity;
+  }
+
+  /**
+   * Let every entity whose icon declares `reproduce` divide once it is due:
+   * after `afterAge` seconds or `afterHits` collisions since its last
+   * division (or birth).  A due entity divides with logistic probability
+   * 1 − population / carryingCapacity; either way its cycle restarts, so a
+   * crowded world keeps skipping divisions instead of queueing them.
+   */
+  #reproduce() {
+    const capacity = this.settings.carryingCapacity;
+    // Iterate over a copy — daughters join the list but don't divide this step
+    for (const entity of [...this.#entities]) {
+      if (!entity.alive || entity.dying) continue;
+      const rule = this.#iconsData.icons[entity.entityKey]?.reproduce;
+      if (!rule) continue;
+
+      const byAge  = rule.afterAge  > 0 && this.#time - entity.lastDivisionAt >= rule.afterAge * 1000;
+      const byHits = rule.afterHits > 0 && entity.hitsSinceDivision >= rule.afterHits;
+      if (!byAge && !byHits) continue;
+
+      entity.lastDivisionAt    = this.#time;
+      entity.hitsSinceDivision = 0;
+      if (capacity <= 0 || this.#random.next() >= 1 - this.population / capacity) continue;
+
+      this.#divide(entity);
+    }
+  }
+
+  /**
+   * Split an entity in two: the daughter appears one diameter away in a
+   * random direction, inherits a mutated copy of the genome, and both move
+   * apart at BASE_SPEED.
+   *
+   * @param {Entity} parent
+   */
+  #divide(parent) {
+    const angle = this.#random.next() * Math.PI * 2;
+    const nx    = Math.cos(angle);
+    const ny    = Math.sin(angle);
+    const gap   = parent.size / 2;
+    const speed = DEFAULTS.BASE_SPEED;
+
+    // A pinned parent stays put; the daughter still lands clear of it
+    if (!parent.pinned) {
+      parent.x -= nx * gap;
+      parent.y -= ny * gap;
+      parent.vx = -nx * speed;
+      parent.vy = -ny * speed;
+    }
+
+    const child = this.#addEntity(parent.entityKey,
+      parent.x + nx * gap * 2, parent.y + ny * gap * 2, nx * speed, ny * speed,
+      mutateGenome(parent.genome, this.#random));
+    child.parentId   = parent.id;
+    child.generation = parent.generation + 1;
+    parent.offspring++;
+    this.#emit('divide', { entity: parent, child });
+  }
+
+  /**
+   * Roll a lifespan (ms) from the type's icons.json `lifespan` [min, max]
+   * range in seconds.
+   *
+   * @param {string} type
+   * @returns {number}  Infinity when the type doesn't age
+   */
+  #rollLifespan(type) {
+    const range = this.#iconsData.types[type]?.lifespan;
+    if (!Array.isArray(range) || range.length !== 2) return Infinity;
+    return this.#random.range(range[0], range[1]) * 1000;
+  }
+
+  /**
+   * Start an entity's slow death and record the cause.
+   *
+   * @param {Entity} entity
+   * @param {'natural'|'violent'} cause
+   * @param {Entity|null} [by=null]  the killer, for violent deaths
+   */
+  #kill(entity, cause, by = null) {
+    if (!entity.die(this.#time, cause)) return;
+    this.#deaths[cause]++;
+    this.#emit('die', { entity, cause, by });
+  }
+
+  /**
+   * Increment the all-time count for an icon.
+   *
+   * @param {string} name
+   */
+  #incrementTotal(name) {
+    if (!name) return;
+    this.#totalCounts[name] = (this.#totalCounts[name] || 0) + 1;
+  }
+
+  /** Spawn one automatic icon — drawn from the spawn table or, rarely, the rare one. */
+  #spawnAutomatic() {
+    // Decide whether this spawn is a bug or a table icon.
+    // A bug only spawns if the rarity roll passes AND the live bug cap isn't
+    // reached AND its group is enabled.
+    const { rare } = this.#iconsData.spawn;
+    const disabled = this.settings.disabledGroups ?? [];
+    let name = null;
+    if (rare && this.#random.next() < this.settings.bugSpawnChance) {
+      const liveBugs = this.#entities.filter(e => e.entityKey === rare).length;
+      const enabled  = !disabled.includes(this.#iconsData.icons[rare]?.group);
+      if (enabled && liveBugs < this.settings.bugMaxCount) name = rare;
+    }
+    name ??= this.#spawnTable.pick(this.#time / 1000, disabled, this.#random);
+    if (name) this.spawn(name);
+  }
+
+  /**
+   * Broad phase (spatial-hash grid) + narrow phase (exact distance) check
+   * for all entity pairs.  Each entity looks up its neighbours once, and
+   * candidates are visited in ascending index order, so pairs resolve in the
+   * same order as a plain i < j nested loop.  Entities pushed apart move to
+   * their new cells at once, but `a`'s own candidates are not looked up
+   * again: a pair a push brings together from beyond that reach waits for
+   * the next step.  That makes the grid an approximation of the nested
+   * loop — the same in all but such chain reactions in dense crowds.
+   *
+   * Two entities overlap when their centres are closer than the sum of
+   * their radii (icons.json `size`).  On overlap:
+   *  1. Elastic velocity impulse along the collision normal, weighted by
+   *     icons.json `mass` — a heavy icon barely slows, a light one is shoved.
+   *  2. Positional correction — push both entities apart so they no longer
+   *     overlap, the lighter one moving further.
+   *  3. Both entities call onHit() to shift their hue colour.
+   *  4. The icons.json rules are evaluated in both directions (infection,
+   *     cure, kill, mutation …).
+   */
+  #checkCollisions() {
+    const entities   = this.#entities;
+    const candidates = this.#candidates;
+
+    for (let i = 0; i < entities.length; i++) {
+      const a = entities[i];
+      if (!a.alive || a.dying) continue;
+
+      // Nothing can touch `a` from further than its radius plus the largest radius
+      this.#grid.query(a.x, a.y, (a.size + this.#maxSize) / 2, candidates);
+
+      for (const j of candidates) {
+        if (j <= i) continue;
+        const b = entities[j];
+        if (!a.alive || !b.alive || a.dying || b.dying) continue;
+
+        const dx       = b.x - a.x;
+        const dy       = b.y - a.y;
+        const dist     = Math.hypot(dx, dy);
+        const diameter = (a.size + b.size) / 2;
+
+        if (dist >= diameter || dist === 0) continue; // no collision
+
+        // ── Collision normal (unit vector from a → b) ──────────
+        const nx = dx / dist;
+        const ny = dy / dist;
+
+        // ── Elastic impulse along normal ───────────────────────
+        // Ghost collisions (icons.json "ghost": true, e.g. the rare bug): only
+        // the ghost's velocity reflects — the entity it hits keeps its direction.
+        // Normal collisions: 1-D elastic collision along the normal — each
+        // side takes 2·m_other/(m_a+m_b) of the closing speed (equal masses
+        // simply swap their normal components).
+        const aIsGhost = this.#isGhost(a);
+        const bIsGhost = this.#isGhost(b);
+        const total    = a.mass + b.mass;
+        const dot = (a.vx - b.vx) * nx + (a.vy - b.vy) * ny;
+        if (a.pinned || b.pinned) {
+          // A pinned entity is a wall: the other one bounces off it
+          if (!a.pinned) this.#bounceOff(a,  nx,  ny);
+          if (!b.pinned) this.#bounceOff(b, -nx, -ny);
+        } else if (dot > 0) {
+          if (aIsGhost || bIsGhost) {
+            if (aIsGhost) { a.vx -= dot * nx; a.vy -= dot * ny; }
+            else        { b.vx += dot * nx; b.vy += dot * ny; }
+          } else {
+            const ka = 2 * b.mass / total * dot;
+            const kb = 2 * a.mass / total * dot;
+            a.vx -= ka * nx;   a.vy -= ka * ny;
+            b.vx += kb * nx;   b.vy += kb * ny;
+          }
+        }
+
+        // ── Positional correction — lighter side moves further ─
+        // (all of it on the other side of a pinned entity)
+        const overlap = diameter - dist;
+        const pushA   = a.pinned ? 0 : b.pinned ? overlap : overlap * b.mass / total;
+        const pushB   = b.pinned ? 0 : a.pinned ? overlap : overlap * a.mass / total;
+        const ax = a.x, ay = a.y, bx = b.x, by = b.y;
+        a.x -= pushA * nx;   a.y -= pushA * ny;
+        b.x += pushB * nx;   b.y += pushB * ny;
+        this.#grid.move(i, ax, ay, a.x, a.y);
+        this.#grid.move(j, bx, by, b.x, b.y);
+
+        // ── Visual feedback — hue shift for non-ghost collisions only ───
+        // A ghost passes through entities silently (no hue flash on target).
+        if (!bIsGhost || aIsGhost) this.#hit(a);
+        if (!aIsGhost)             this.#hit(b);
+
+        // ── Species interactions (icons.json rules) ────────────
+        // Each side gets a chance to act on the other; a is checked first.
+        this.#applyRule(a, b);
+        if (!a.dying && !b.dying) this.#applyRule(b, a);
+      }
+    }
+  }
+
+  /**
+   * Reflect an entity's velocity off a wall it is moving into.
+   *
+   * @param {Entity} entity
+   * @param {number} nx  unit normal pointing into the wall
+   * @param {number} ny
+   */
+  #bounceOff(entity, nx, ny) {
+    const into = entity.vx * nx + entity.vy * ny;
+    if (into <= 0) return;
+    entity.vx -= 2 * into * nx;
+    entity.vy -= 2 * into * ny;
+  }
+
+  /** @param {Entity} entity */
+  #hit(entity) {
+    if (entity.onHit()) this.#emit('hit', { entity });
+  }
+
+  /**
+   * Evaluate the icons.json rules for `actor` touching `target` and apply
+   * the resulting outcome to the target.
+   *
+   * @param {Entity} actor
+   * @param {Entity} target
+   */
+  #applyRule(actor, target) {
+    const result = this.#rules.evaluate(actor.entityKey, target.entityKey, {
+      virusKillChance: this.settings.virusKillChance,
+    }, this.#random);
+    if (!result) return;
+
+    // Resistance gene: a chance to shrug off harm (a cure is always welcome)
+    const resistance = target.genome.resistance;
+    if ((result.outcome === 'kill' || result.outcome === 'transform')
+        && resistance > 0 && this.#random.next() < resistance) return;
+
+    switch (result.outcome) {
+      case 'kill':
+        this.#kill(target, 'violent', actor);
+        break;
+      case 'transform':
+      case 'cure':
+        this.#transform(target, result.into, {
+          by: actor, outcome: result.outcome, fallback: result.fallback, force: result.force,
+        });
+        break;
+      // 'bounce' — contact is purely physical
+    }
+  }
+
+  /**
+   * Switch an entity to another icon, note it in its history and announce it.
+   *
+   * @param {Entity} target
+   * @param {string} into
+   * @param {{ by: Entity|null, outcome: 'transform'|'cure', fallback?: boolean, force?: boolean }} how
+   * @returns {boolean}  true when the entity changed species
+   */
+  #transform(target, into, { by, outcome, fallback = false, force = false }) {
+    const color = this.#colorOf(into);
+    const from  = target.entityKey;
+    if (!color || !target.infectWith(into, color, { force })) return false;
+
+    // The new form inherits a mutated genome, takes its species' body
+    // and starts its own life and reproduction cycle
+    target.genome            = mutateGenome(target.genome, this.#random);
+    this.#applyBody(target);
+    target.lastDivisionAt    = this.#time;
+    target.hitsSinceDivision = 0;
+    target.bornAt            = this.#time;
+    target.lifespan          = this.#rollLifespan(this.#iconsData.icons[into].type);
+
+    target.infections.push({ time: this.#time, from, into, outcome, fallback, by: by?.entityKey ?? null });
+    if (target.infections.length > DEFAULTS.ENTITY_HISTORY_MAX) target.infections.shift();
+
+    this.#emit('transform', { entity: target, from, by, outcome, fallback });
+    return true;
+  }
+
+  /**
+   * True when the entity's current icon is declared `"ghost": true`.
+   *
+   * @param {Entity} entity
+   */
+  #isGhost(entity) {
+    return this.#iconsData.icons[entity.entityKey]?.ghost === true;
+  }
+
+  /**
+   * Physical body of an icon: icons.json `size` and `mass`, or the defaults.
+   *
+   * @param {string} name
+   * @returns {{ size: number, mass: number }}
+   */
+  #bodyOf(name) {
+    const iconMeta = this.#iconsData.icons[name];
+    return {
+      size: iconMeta?.size > 0 ? iconMeta.size : DEFAULTS.ICON_SIZE,
+      mass: iconMeta?.mass > 0 ? iconMeta.mass : DEFAULTS.DEFAULT_MASS,
+    };
+  }
+
+  /**
+   * Set an entity's size and mass from its species body and size gene
+   * (mass grows with area).
+   *
+   * @param {Entity} entity
+   */
+  #applyBody(entity) {
+    const body  = this.#bodyOf(entity.entityKey);
+    const scale = entity.genome.size;
+    entity.size = body.size * scale;
+    entity.mass = body.mass * scale * scale;
+  }
+
+  /**
+   * Tint colour for an icon, taken from its type in icons.json.
+   *
+   * @param {string} name
+   * @returns {string|null}  null when the icon is not registered
+   */
+  #colorOf(name) {
+    const iconMeta = this.#iconsData.icons[name];
+    if (!iconMeta) return null;
+    return this.#iconsData.types[iconMeta.type]?.color ?? null;
+  }
+}
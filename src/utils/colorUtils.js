@@ -1,7 +1,7 @@
 /**
  * colorUtils.js
- * Pure colour-math utilities used by the gradient system.
- * No DOM dependencies — safe to import anywhere.
+ * Pure colour-math utilities used by the gradient system and the canvas
+ * renderer.  No DOM dependencies — safe to import anywhere.
  */
 
 /**
@@ -80,6 +80,88 @@ export function hslToHex(h, s, l) {
     .join('');
 }
 
+/**
+ * Parse a CSS hex colour into 0–255 channels.
+ *
+ * @param {string} hex  e.g. '#2d9e6b'
+ * @returns {[number, number, number]}
+ */
+function hexToRGB(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Format 0–255 channels (clamped, rounded) as a CSS hex colour.
+ *
+ * @param {number[]} rgb
+ * @returns {string}
+ */
+function rgbToHex(rgb) {
+  return '#' + rgb
+    .map(x => Math.round(Math.max(0, Math.min(255, x))).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Apply the CSS `hue-rotate()` filter to a single colour.
+ * Uses the same matrix as the Filter Effects spec, so a flat icon drawn in
+ * the result matches the DOM icon with `filter: hue-rotate(deg)`.
+ *
+ * @param {string} hex  e.g. '#80ffee'
+ * @param {number} deg  rotation in degrees
+ * @returns {string}
+ */
+export function hueRotateHex(hex, deg) {
+  const [r, g, b] = hexToRGB(hex);
+  const a   = deg * Math.PI / 180;
+  const cos = Math.cos(a);
+  const sin = Math.sin(a);
+
+  return rgbToHex([
+    r * (0.213 + cos * 0.787 - sin * 0.213)
+      + g * (0.715 - cos * 0.715 - sin * 0.715)
+      + b * (0.072 - cos * 0.072 + sin * 0.928),
+    r * (0.213 - cos * 0.213 + sin * 0.143)
+      + g * (0.715 + cos * 0.285 + sin * 0.140)
+      + b * (0.072 - cos * 0.072 - sin * 0.283),
+    r * (0.213 - cos * 0.213 - sin * 0.787)
+      + g * (0.715 - cos * 0.715 + sin * 0.715)
+      + b * (0.072 + cos * 0.928 + sin * 0.072),
+  ]);
+}
+
+/**
+ * Apply the CSS `saturate()` filter to a single colour (same matrix as the
+ * Filter Effects spec).
+ *
+ * @param {string} hex
+ * @param {number} amount  1 = unchanged, 0 = fully desaturated
+ * @returns {string}
+ */
+export function saturateHex(hex, amount) {
+  const [r, g, b] = hexToRGB(hex);
+  const s = amount;
+
+  return rgbToHex([
+    r * (0.213 + 0.787 * s) + g * (0.715 - 0.715 * s) + b * (0.072 - 0.072 * s),
+    r * (0.213 - 0.213 * s) + g * (0.715 + 0.285 * s) + b * (0.072 - 0.072 * s),
+    r * (0.213 - 0.213 * s) + g * (0.715 - 0.715 * s) + b * (0.072 + 0.928 * s),
+  ]);
+}
+
+/**
+ * Apply CSS `grayscale(1) brightness(k)` to a single colour.
+ *
+ * @param {string} hex
+ * @param {number} [brightness=1]
+ * @returns {string}
+ */
+export function grayscaleHex(hex, brightness = 1) {
+  const [r, g, b] = hexToRGB(hex);
+  const y = (0.2126 * r + 0.7152 * g + 0.0722 * b) * brightness;
+  return rgbToHex([y, y, y]);
+}
+
 /**
  * Derive a harmonious two-colour gradient pair from a single base colour.
  *
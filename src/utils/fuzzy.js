@@ -0,0 +1,106 @@
+/**
+ * fuzzy.js
+ * Fuzzy matching for short labels, as in a command palette.
+ * No DOM dependencies — safe to import anywhere.
+ *
+ * A query matches when its characters appear in the text in order, not
+ * necessarily next to each other ("spb" matches "spawn bug").  Case and
+ * spaces in the query are ignored.  Matches score higher when characters
+ * run together or start a word, and lower the later they start, so
+ * "bug" ranks "spawn bug" above "toggle debug"; of all the ways a query
+ * fits a text, the best-scoring one counts.
+ */
+
+/** Points per matched character. */
+const CHAR_SCORE  = 1;
+/** Bonus for a character right after the previous match. */
+const RUN_BONUS   = 3;
+/** Bonus for a character at the start of a word. */
+const WORD_BONUS  = 2;
+/** Penalty per character skipped before the first match. */
+const LEAD_PENALTY = 0.1;
+
+/** Characters that start a new word after them. */
+const WORD_BREAK = /[\s\-_/.:·×]/;
+
+/**
+ * @typedef {object} FuzzyMatch
+ * @property {number} score
+ * @property {number[]} indices  matched positions in the text, ascending
+ */
+
+/**
+ * Match a query against a text.
+ *
+ * @param {string} query
+ * @param {string} text
+ * @returns {FuzzyMatch|null}  null when the text doesn't contain the query's
+ *   characters in order; an empty query matches everything with score 0
+ */
+export function fuzzyMatch(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, '');
+  const t = text.toLowerCase();
+  if (!q.length) return { score: 0, indices: [] };
+
+  // Best alignment by dynamic programming: score[k][i] is the best score for
+  // the first k + 1 query characters with the last one at text position i,
+  // from[k][i] where the one before it sits.  Trying every position (not
+  // just the next word start) means no in-order match is ever missed.
+  const charScore = [...t].map((_, i) =>
+    CHAR_SCORE + (i === 0 || WORD_BREAK.test(t[i - 1]) ? WORD_BONUS : 0));
+  const score = [];
+  const from  = [];
+
+  for (let k = 0; k < q.length; k++) {
+    score.push(new Array(t.length).fill(-Infinity));
+    from.push(new Array(t.length).fill(-1));
+    for (let i = k; i < t.length; i++) {
+      if (t[i] !== q[k]) continue;
+      if (k === 0) {
+        score[k][i] = charScore[i] - i * LEAD_PENALTY;
+        continue;
+      }
+      for (let p = k - 1; p < i; p++) {
+        const prev = score[k - 1][p];
+        if (prev === -Infinity) continue;
+        const total = prev + charScore[i] + (p === i - 1 ? RUN_BONUS : 0);
+        if (total > score[k][i]) {
+          score[k][i] = total;
+          from[k][i]  = p;
+        }
+      }
+    }
+  }
+
+  // Best end (the earliest on a tie), then walk back for the positions
+  const last = q.length - 1;
+  let end = -1;
+  for (let i = 0; i < t.length; i++) {
+    if (score[last][i] > (end === -1 ? -Infinity : score[last][end])) end = i;
+  }
+  if (end === -1) return null;
+
+  const indices = [];
+  for (let k = last, i = end; k >= 0; i = from[k][i], k--) indices.unshift(i);
+  return { score: score[last][end], indices };
+}
+
+/**
+ * Filter and rank items by a query — best match first, ties in their
+ * original order.
+ *
+ * @template T
+ * @param {string} query
+ * @param {T[]} items
+ * @param {(item: T) => string} textOf
+ * @returns {Array<{ item: T } & FuzzyMatch>}
+ */
+export function fuzzyFilter(query, items, textOf) {
+  const results = [];
+  items.forEach((item, order) => {
+    const match = fuzzyMatch(query, textOf(item));
+    if (match) results.push({ item, order, ...match });
+  });
+  results.sort((a, b) => b.score - a.score || a.order - b.order);
+  return results.map(({ order, ...rest }) => rest);
+}
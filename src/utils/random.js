@@ -0,0 +1,96 @@
+/**
+ * random.js
+ * Small seedable pseudo-random number generator (mulberry32).
+ * No DOM dependencies — safe to import anywhere.
+ *
+ * Every random choice in the simulation goes through one shared Random
+ * instance, so the same seed (plus the same settings and viewport) replays
+ * the same run.  The generator's whole state is a single uint32, which makes
+ * it trivial to persist alongside a snapshot.
+ */
+
+/** Largest seed value — seeds are unsigned 32-bit integers. */
+const SEED_MAX = 0xffffffff;
+
+/**
+ * Pick a fresh, non-reproducible seed.
+ *
+ * @returns {number}  uint32
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * SEED_MAX) >>> 0;
+}
+
+/**
+ * Turn a user-supplied seed (URL parameter, input field) into a uint32.
+ * Plain integers are used as-is; any other text is hashed (FNV-1a) so
+ * memorable words work as seeds too.
+ *
+ * @param {string|number|null|undefined} value
+ * @returns {number|null}  null when nothing usable was given
+ */
+export function parseSeed(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+  if (/^\d+$/.test(text) && Number(text) <= SEED_MAX) return Number(text) >>> 0;
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export class Random {
+  /** @type {number} */ #seed;
+  /** @type {number} */ #state;
+
+  /** @param {number} seed  uint32 */
+  constructor(seed) {
+    this.#seed  = seed >>> 0;
+    this.#state = this.#seed;
+  }
+
+  /** The seed this generator was (re)started from. */
+  get seed() { return this.#seed; }
+
+  /** Internal generator state — persist this to continue a sequence later. */
+  get state()  { return this.#state; }
+  set state(v) { this.#state = v >>> 0; }
+
+  /**
+   * Restart the sequence from a new seed, in place — every holder of this
+   * instance switches over at once.
+   *
+   * @param {number} seed  uint32
+   */
+  reseed(seed) {
+    this.#seed  = seed >>> 0;
+    this.#state = this.#seed;
+  }
+
+  /**
+   * Next float in [0, 1) — drop-in for Math.random().
+   *
+   * @returns {number}
+   */
+  next() {
+    this.#state = (this.#state + 0x6d2b79f5) >>> 0;
+    let t = this.#state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Float in [min, max).
+   *
+   * @param {number} min
+   * @param {number} max
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * spatialHash.js
+ * Uniform-grid broad phase for circle collisions.
+ * No DOM dependencies — safe to import anywhere.
+ *
+ * Items are bucketed by the grid cell their centre falls in.  A radius query
+ * only visits the cells overlapping the query box, so collision checks cost
+ * O(n · k) (k = neighbours per cell) instead of O(n²).
+ *
+ * The grid stores integer indices into a caller-owned array rather than the
+ * items themselves, so callers can keep their own iteration order.
+ */
+
+/** Cell coordinates are offset so negative positions still pack into one key. */
+const KEY_OFFSET = 1 << 15;
+const KEY_STRIDE = 1 << 16;
+
+export class SpatialHash {
+  /** @type {number} */                  #cellSize;
+  /** @type {Map<number, number[]>} */   #cells = new Map();
+
+  /**
+   * @param {number} cellSize  Edge length of one grid cell in px.  Pick the
+   *   largest collision distance you will query with for best results.
+   */
+  constructor(cellSize) {
+    this.#cellSize = cellSize;
+  }
+
+  get cellSize() { return this.#cellSize; }
+
+  /** Drop every bucket (call once per frame before re-inserting). */
+  clear() {
+    this.#cells.clear();
+  }
+
+  /**
+   * Rebuild the grid from a list of positioned items.
+   * Indices in the grid are positions in `items`.
+   *
+   * @param {Array<{ x: number, y: number }>} items
+   */
+  build(items) {
+    this.clear();
+    for (let i = 0; i < items.length; i++) {
+      this.insert(i, items[i].x, items[i].y);
+    }
+  }
+
+  /**
+   * @param {number} index  caller-side index of the item
+   * @param {number} x
+   * @param {number} y
+   */
+  insert(index, x, y) {
+    const key = this.#key(this.#cell(x), this.#cell(y));
+    const bucket = this.#cells.get(key);
+    if (bucket) bucket.push(index);
+    else this.#cells.set(key, [index]);
+  }
+
+  /**
+   * Re-bucket an item that moved, so queries see where it is now.
+   *
+   * @param {number} index  caller-side index of the item
+   * @param {number} fromX  position it was inserted (or last moved) at
+   * @param {number} fromY
+   * @param {number} x      new position
+   * @param {number} y
+   */
+  move(index, fromX, fromY, x, y) {
+    const from = this.#key(this.#cell(fromX), this.#cell(fromY));
+    const to   = this.#key(this.#cell(x), this.#cell(y));
+    if (from === to) return;
+    const bucket = this.#cells.get(from);
+    const at     = bucket?.indexOf(index) ?? -1;
+    if (at !== -1) bucket.splice(at, 1);
+    this.insert(index, x, y);
+  }
+
+  /**
+   * Collect the indices of every item whose cell overlaps the square of
+   * half-width `radius` around (x, y).  Candidates still need an exact
+   * distance test.  Results are sorted ascending so callers iterating
+   * pairs keep the same order a plain nested loop would produce.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @param {number} radius
+   * @param {number[]} [out]  optional array to reuse (cleared first)
+   * @returns {number[]}
+   */
+  query(x, y, radius, out = []) {
+    out.length = 0;
+    const minCx = this.#cell(x - radius);
+    const maxCx = this.#cell(x + radius);
+    const minCy = this.#cell(y - radius);
+    const maxCy = this.#cell(y + radius);
+
+    for (let cx = minCx; cx <= maxCx; cx++) {
+      for (let cy = minCy; cy <= maxCy; cy++) {
+        const bucket = this.#cells.get(this.#key(cx, cy));
+        if (bucket) {
+          for (let i = 0; i < bucket.length; i++) out.push(bucket[i]);
+        }
+      }
+    }
+
+    return out.sort((a, b) => a - b);
+  }
+
+  // ── Private ────────────────────────────────────────────────
+
+  /** @param {number} v */
+  #cell(v) {
+    return Math.floor(v / this.#cellSize);
+  }
+
+  /**
+   * @param {number} cx
+   * @param {number} cy
+   */
+  #key(cx, cy) {
+    return (cx + KEY_OFFSET) * KEY_STRIDE + (cy + KEY_OFFSET);
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * ageing.test.js
+ * Lifespans per type, natural deaths, and what an entity's life story
+ * carries through a snapshot.
+ *
+ *   node --test test/
+ */
+
+import { test }         from 'node:test';
+import assert           from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { World }        from '../src/js/world.js';
+
+const iconsData = JSON.parse(readFileSync(new URL('../src/data/icons.json', import.meta.url), 'utf8'));
+
+const world = () => new World({ iconsData, seed: 3, width: 800, height: 600 });
+
+test('lifespans are rolled within the type range; types without one are immortal', () => {
+  const w = world();
+  const [min, max] = iconsData.types.good.lifespan;
+  for (let i = 0; i < 20; i++) {
+    const cell = w.spawn('cell');
+    assert.ok(cell.lifespan >= min * 1000 && cell.lifespan <= max * 1000, String(cell.lifespan));
+  }
+  assert.equal(w.spawn('git').lifespan, Infinity);
+});
+
+test('an entity past its lifespan dies of natural causes', () => {
+  const w      = world();
+  const cell   = w.spawn('cell');
+  const causes = [];
+  w.on('die', ({ entity, cause }) => { if (entity === cell) causes.push(cause); });
+  cell.lifespan = 500;
+  for (let i = 0; i < 60 && !cell.dying; i++) w.step(1 / 60);
+  assert.ok(cell.dying);
+  assert.ok(w.time >= 500);
+  assert.deepEqual(causes, ['natural']);
+  assert.equal(w.deaths.natural, 1);
+});
+
+test('age, lifespan and immortality survive a snapshot', () => {
+  const w = world();
+  const cell = w.spawn('cell');
+  const git  = w.spawn('git');
+  for (let i = 0; i < 30; i++) w.step(1 / 60);
+
+  const saved = JSON.parse(JSON.stringify(w.serialise()));
+  const back  = world();
+  back.restore(saved);
+  assert.equal(back.entity(cell.id).bornAt,   cell.bornAt);
+  assert.equal(back.entity(cell.id).lifespan, cell.lifespan);
+  assert.equal(back.entity(git.id).lifespan,  Infinity);
+});
+
+test('an entity that changed species stays protected after a restore', () => {
+  const w    = world();
+  const cell = w.spawn('cell');
+  cell.infectWith('virus-filled', '#ff4d6d');
+
+  const saved = JSON.parse(JSON.stringify(w.serialise()));
+  const back  = world();
+  back.restore(saved);
+  const restored = back.entity(cell.id);
+  assert.equal(restored.infected, true);
+  assert.equal(restored.infectWith('bacteria', '#80ffee'), false);
+  assert.equal(restored.infectWith('bacteria', '#80ffee', { force: true }), true);
+
+  // Saves from before the flag work it out from the species it was born as
+  delete saved.entities[0].infected;
+  back.restore(saved);
+  assert.equal(back.entity(cell.id).infected, true);
+  saved.entities[0].name = 'cell';
+  back.restore(saved);
+  assert.equal(back.entity(cell.id).infected, false);
+});
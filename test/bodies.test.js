@@ -0,0 +1,88 @@
+/**
+ * bodies.test.js
+ * Icon bodies: size and mass come from icons.json, collisions trade
+ * momentum by mass, and spawns and logo contacts go by each icon's size.
+ *
+ *   node --test test/
+ */
+
+import { test }         from 'node:test';
+import assert           from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { World }        from '../src/js/world.js';
+import { DEFAULTS }     from '../src/js/constants.js';
+
+const iconsData = JSON.parse(readFileSync(new URL('../src/data/icons.json', import.meta.url), 'utf8'));
+
+const world = () => new World({ iconsData, seed: 9, width: 800, height: 600 });
+
+/** A step too short to move or drift anything — collisions only. */
+const TICK = 1e-6;
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+/** The icon with the largest body. */
+const largest = () => Object.keys(iconsData.icons)
+  .reduce((a, b) => (iconsData.icons[b].size ?? 0) > (iconsData.icons[a].size ?? 0) ? b : a);
+
+test('size and mass come from icons.json, with defaults', () => {
+  const w = world();
+  for (const [name, meta] of Object.entries(iconsData.icons)) {
+    const e = w.spawn(name);
+    assert.equal(e.size, meta.size ?? DEFAULTS.ICON_SIZE, name);
+    assert.equal(e.mass, meta.mass ?? DEFAULTS.DEFAULT_MASS, name);
+  }
+});
+
+test('a collision keeps momentum and energy, and the light icon is shoved', () => {
+  const w     = world();
+  const heavy = w.spawn('database-bold-duotone', { x: 100, y: 100, angle: 0 });
+  const light = w.spawn('code-1',                { x: 120, y: 100, angle: 0 });
+  heavy.vx =  30;  heavy.vy = 0;
+  light.vx = -30;  light.vy = 0;
+  const momentum = heavy.mass * heavy.vx + light.mass * light.vx;
+  const energy   = heavy.mass * heavy.vx ** 2 + light.mass * light.vx ** 2;
+
+  w.step(TICK);
+
+  assert.ok(close(heavy.mass * heavy.vx + light.mass * light.vx, momentum));
+  assert.ok(close(heavy.mass * heavy.vx ** 2 + light.mass * light.vx ** 2, energy));
+  assert.ok(Math.abs(light.vx - -30) > Math.abs(heavy.vx - 30));
+  assert.ok(light.vx > 0);
+
+  // Pushed apart until they touch, the light one twice as far (give or
+  // take the few µm the tick itself moved them)
+  assert.ok(close(light.x - heavy.x, (heavy.size + light.size) / 2));
+  assert.ok(Math.abs((light.x - 120) / (100 - heavy.x) - heavy.mass / light.mass) < 1e-3);
+});
+
+test('a spawn is kept inside the world by its own size', () => {
+  const w     = world();
+  const big   = largest();
+  const large = w.spawn(big,      { x: -50, y: 10_000 });
+  const plain = w.spawn('code-1', { x: -50, y: 10_000 });
+  assert.deepEqual([large.x, large.y], [large.size / 2, 600 - large.size / 2]);
+  assert.deepEqual([plain.x, plain.y], [DEFAULTS.ICON_SIZE / 2, 600 - DEFAULTS.ICON_SIZE / 2]);
+});
+
+test('a larger icon reaches a logo letter from further away', () => {
+  const w      = world();
+  const letter = w.logo.letters[0];
+  const half   = DEFAULTS.LOGO_LETTER_HALF * w.logo.scale;
+  const big    = largest();
+
+  const place = (name) => {
+    const e = w.spawn(name);
+    // Just beyond a default-size icon's reach, straight above the letter
+    e.x  = letter.x;
+    e.y  = letter.y - (half + DEFAULTS.ICON_SIZE / 2 + 1);
+    e.vx = 0;  e.vy = 0;
+    return e;
+  };
+  const small = place('code-1');
+  assert.deepEqual(w.logo.collide([small]), []);
+
+  const large = place(big);
+  assert.deepEqual(w.logo.collide([large]), [large]);
+  assert.ok(close(letter.y - large.y, half + large.size / 2));
+});
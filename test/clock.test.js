@@ -0,0 +1,146 @@
+/**
+ * clock.test.js
+ * The fixed timestep: real frame time becomes PHYSICS_STEP_MS steps at the
+ * same pace on any display, and motion is in px/s.  Catch-up fast-forwards
+ * at most CATCH_UP_MAX_MS of missed time in coarse steps, a frame budget at
+ * a time.
+ *
+ *   node --test test/
+ */
+
+import { test }            from 'node:test';
+import assert              from 'node:assert/strict';
+import { SimulationClock } from '../src/js/clock.js';
+import { Entity }          from '../src/js/entity.js';
+import { DEFAULTS }        from '../src/js/constants.js';
+
+/**
+ * Run a clock for some real time at a display rate.
+ *
+ * @param {SimulationClock} clock
+ * @param {number} hz
+ * @param {number} ms
+ * @returns {number[]}  the step lengths handed out
+ */
+function run(clock, hz, ms) {
+  const steps = [];
+  const frames = Math.round(ms * hz / 1000);
+  for (let i = 0; i < frames; i++) clock.tick(1000 / hz, (stepMs) => steps.push(stepMs));
+  return steps;
+}
+
+test('a second of frames is a second of steps, whatever the refresh rate', () => {
+  for (const hz of [30, 60, 75, 144]) {
+    const steps = run(new SimulationClock(), hz, 1000);
+    assert.ok(Math.abs(steps.length - 60) <= 1, `${hz} Hz: ${steps.length} steps`);
+    assert.ok(steps.every(ms => ms === DEFAULTS.PHYSICS_STEP_MS));
+  }
+});
+
+test('the remainder of a frame carries over', () => {
+  const clock = new SimulationClock();
+  assert.equal(clock.tick(10, () => {}), 0);
+  assert.equal(clock.tick(10, () => {}), 1);
+});
+
+test('the time scale speeds the steps up and is kept in range', () => {
+  const clock = new SimulationClock();
+  clock.setTimeScale(2);
+  assert.ok(Math.abs(run(clock, 60, 1000).length - 120) <= 1);
+  clock.setTimeScale(100);
+  assert.equal(clock.timeScale, DEFAULTS.TIME_SCALES.at(-1));
+  clock.setTimeScale(NaN);
+  assert.equal(clock.timeScale, DEFAULTS.TIME_SCALES.at(-1));
+  clock.setTimeScale(0);
+  assert.equal(clock.timeScale, DEFAULTS.TIME_SCALES[0]);
+});
+
+test('every offered time scale runs that many times the steps', () => {
+  for (const scale of DEFAULTS.TIME_SCALES) {
+    const clock = new SimulationClock();
+    clock.setTimeScale(scale);
+    const steps = run(clock, 60, 4000).length;
+    assert.ok(Math.abs(steps - 240 * scale) <= 1, `${scale}×: ${steps} steps`);
+  }
+});
+
+test('slow motion hands out whole steps, never shorter ones', () => {
+  const clock = new SimulationClock();
+  clock.setTimeScale(0.25);
+  // Four frames at 60 Hz make up one step
+  const counts = Array.from({ length: 8 }, () => clock.tick(1000 / 60, (ms) => assert.equal(ms, DEFAULTS.PHYSICS_STEP_MS)));
+  assert.equal(counts.reduce((a, b) => a + b), 2);
+});
+
+test('a long frame gap is clamped, not replayed', () => {
+  const clock = new SimulationClock();
+  const steps = clock.tick(60_000, () => {});
+  assert.equal(steps, Math.round(DEFAULTS.MAX_FRAME_MS / DEFAULTS.PHYSICS_STEP_MS));
+});
+
+/** A clock whose real time advances 1 ms each time it is read. */
+function fakeClock() {
+  let t = 0;
+  return new SimulationClock({ now: () => t++ });
+}
+
+test('catch-up is capped at CATCH_UP_MAX_MS of missed time', () => {
+  const clock = fakeClock();
+  clock.setTimeScale(2);
+  assert.equal(clock.catchUp(24 * 3600_000), DEFAULTS.CATCH_UP_MAX_MS);
+  assert.ok(clock.catchingUp);
+
+  let stepped = 0;
+  while (clock.catchingUp) clock.tick(16, (ms) => { stepped += ms; });
+  assert.equal(stepped, DEFAULTS.CATCH_UP_MAX_MS * 2);
+});
+
+test('catch-up runs coarse steps within the frame budget, not normal ones', () => {
+  const clock = fakeClock();
+  clock.catchUp(250);
+  const seen = [];
+  // Each step here costs 1 ms of the budget
+  const steps = clock.tick(16, (ms) => seen.push(ms));
+  assert.deepEqual(seen, [DEFAULTS.CATCH_UP_STEP_MS, DEFAULTS.CATCH_UP_STEP_MS, 50]);
+  assert.equal(steps, 3);
+  assert.equal(clock.catchingUp, false);
+
+  clock.catchUp(60_000);
+  const budget = clock.tick(16, () => {});
+  assert.ok(budget > 0 && budget <= DEFAULTS.CATCH_UP_FRAME_MS);
+  assert.ok(clock.catchingUp);
+});
+
+test('cancelled or empty catch-up goes back to normal steps', () => {
+  const clock = fakeClock();
+  assert.equal(clock.catchUp(0), 0);
+  assert.equal(clock.catchUp(NaN), 0);
+  assert.equal(clock.catchingUp, false);
+
+  clock.catchUp(60_000);
+  clock.cancelCatchUp();
+  assert.equal(clock.catchingUp, false);
+  const seen = [];
+  clock.tick(DEFAULTS.PHYSICS_STEP_MS, (ms) => seen.push(ms));
+  assert.deepEqual(seen, [DEFAULTS.PHYSICS_STEP_MS]);
+});
+
+test('entities move in px/s, the same at any step length', () => {
+  // A roll that never drifts
+  const random = { next: () => 0.999 };
+  const travel = (dt) => {
+    const e = new Entity({ name: 'cell', type: 'good', color: '', x: 100, y: 100, vx: 48, vy: 0, rotation: 0, random });
+    for (let t = 0; t < 1 - 1e-9; t += dt) e.update(1, dt, 1000, 1000);
+    return e.x - 100;
+  };
+  assert.ok(Math.abs(travel(1 / 60)  - 48) < 1e-6);
+  assert.ok(Math.abs(travel(1 / 144) - 48) < 1e-6);
+});
+
+test('entities bounce off the world edges', () => {
+  const random = { next: () => 0.999 };
+  const e = new Entity({ name: 'cell', type: 'good', color: '', x: 990, y: 100, vx: 48, vy: 0, rotation: 0, random });
+  e.update(1, 0.5, 1000, 1000);
+  assert.equal(e.x, 1000 - e.size / 2);
+  assert.equal(e.vx, -48);
+});
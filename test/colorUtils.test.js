@@ -0,0 +1,35 @@
+/**
+ * colorUtils.test.js
+ * Colour math the canvas renderer uses to match the DOM's CSS filters on
+ * flat icon colours.
+ *
+ *   node --test test/
+ */
+
+import { test }                       from 'node:test';
+import assert                         from 'node:assert/strict';
+import { hueRotateHex, grayscaleHex } from '../src/utils/colorUtils.js';
+
+test('hue-rotate leaves a colour alone at 0° and a full turn', () => {
+  for (const hex of ['#80ffee', '#a8ffb8', '#ff4d6d', '#c4d8ff']) {
+    assert.equal(hueRotateHex(hex, 0), hex);
+    assert.equal(hueRotateHex(hex, 360), hex);
+  }
+});
+
+test('hue-rotate matches the CSS filter matrix', () => {
+  // Values computed from the Filter Effects hue-rotate matrix
+  assert.equal(hueRotateHex('#ff0000', 180), '#006d6d');
+  // Greys have no hue to turn
+  assert.equal(hueRotateHex('#808080', 97), '#808080');
+  // Channels are clamped to the valid range
+  assert.match(hueRotateHex('#00ff00', 120), /^#[0-9a-f]{6}$/);
+});
+
+test('grayscale uses luminance weights and scales by brightness', () => {
+  assert.equal(grayscaleHex('#ff0000'), '#363636');
+  assert.equal(grayscaleHex('#00ff00'), '#b6b6b6');
+  assert.equal(grayscaleHex('#ffffff', 0.5), '#7f7f7f');
+  assert.equal(grayscaleHex('#ffffff', 2), '#ffffff');
+  assert.equal(grayscaleHex('#123456', 0), '#000000');
+});
@@ -0,0 +1,73 @@
+/**
+ * eventLog.test.js
+ * The guide's event log: a ring buffer that keeps the newest entries in
+ * order, numbers them, and filters them by type.
+ *
+ *   node --test test/
+ */
+
+import { test }                  from 'node:test';
+import assert                    from 'node:assert/strict';
+import { EventLog, EVENT_TYPES } from '../src/js/eventLog.js';
+import { DEFAULTS }              from '../src/js/constants.js';
+
+/** An entry of some type at some time. */
+const entry = (type, time) => ({ time, type, ids: [1], x: 0, y: 0, text: `${type} at ${time}` });
+
+test('an empty log', () => {
+  const log = new EventLog();
+  assert.equal(log.size, 0);
+  assert.equal(log.recorded, 0);
+  assert.equal(log.latest, null);
+  assert.deepEqual(log.entries(), []);
+});
+
+test('entries are numbered and listed oldest first', () => {
+  const log    = new EventLog(5);
+  const stored = log.record(entry('cure', 10));
+  log.record(entry('kill', 20));
+  assert.equal(stored.seq, 1);
+  assert.equal(stored.text, 'cure at 10');
+  assert.deepEqual(log.entries().map(e => [e.seq, e.type]), [[1, 'cure'], [2, 'kill']]);
+  assert.equal(log.latest.seq, 2);
+});
+
+test('a full log overwrites its oldest entries', () => {
+  const log = new EventLog(4);
+  for (let i = 1; i <= 10; i++) log.record(entry(EVENT_TYPES[i % EVENT_TYPES.length], i));
+  assert.equal(log.size, 4);
+  assert.equal(log.recorded, 10);
+  assert.deepEqual(log.entries().map(e => e.seq), [7, 8, 9, 10]);
+  assert.equal(log.latest.time, 10);
+});
+
+test('entries can be filtered by type', () => {
+  const log = new EventLog(3);
+  for (const type of ['kill', 'cure', 'kill', 'eject']) log.record(entry(type, 0));
+  assert.deepEqual(log.entries(new Set(['kill'])).map(e => e.seq), [3]);
+  assert.equal(log.entries(new Set()).length, 0);
+  assert.equal(log.entries(null).length, 3);
+});
+
+test('clear restarts the numbering', () => {
+  const log = new EventLog(2);
+  log.record(entry('cure', 1));
+  log.record(entry('cure', 2));
+  log.record(entry('cure', 3));
+  log.clear();
+  assert.equal(log.size, 0);
+  assert.equal(log.latest, null);
+  assert.equal(log.record(entry('kill', 4)).seq, 1);
+  assert.deepEqual(log.entries().map(e => e.time), [4]);
+});
+
+test('the limit defaults to EVENT_LOG_LIMIT and is at least one', () => {
+  const log = new EventLog();
+  for (let i = 0; i < DEFAULTS.EVENT_LOG_LIMIT + 5; i++) log.record(entry('kill', i));
+  assert.equal(log.size, DEFAULTS.EVENT_LOG_LIMIT);
+
+  const tiny = new EventLog(0);
+  tiny.record(entry('kill', 1));
+  tiny.record(entry('cure', 2));
+  assert.deepEqual(tiny.entries().map(e => e.type), ['cure']);
+});
@@ -0,0 +1,45 @@
+/**
+ * fuzzy.test.js
+ * The palette's fuzzy matcher: any query whose characters appear in the
+ * text in order matches, and the better fits rank first.
+ *
+ *   node --test test/
+ */
+
+import { test }                    from 'node:test';
+import assert                      from 'node:assert/strict';
+import { fuzzyMatch, fuzzyFilter } from '../src/utils/fuzzy.js';
+
+test('matches characters that only fit past a word start', () => {
+  assert.deepEqual(fuzzyMatch('lay', 'replay last recording')?.indices, [3, 4, 5]);
+  assert.ok(fuzzyMatch('tse', 'reset settings to defaults'));
+  assert.ok(fuzzyMatch('tti', 'reset settings to defaults'));
+});
+
+test('every substring of a title matches it', () => {
+  const titles = ['replay last recording', 'reset settings to defaults', 'toggle debug overlay', 'spawn bug'];
+  for (const title of titles) {
+    for (let i = 0; i < title.length; i++) {
+      for (let j = i + 1; j <= Math.min(title.length, i + 4); j++) {
+        assert.ok(fuzzyMatch(title.slice(i, j), title), `"${title.slice(i, j)}" in "${title}"`);
+      }
+    }
+  }
+});
+
+test('returns null without an in-order match', () => {
+  assert.equal(fuzzyMatch('gub', 'spawn bug'), null);
+  assert.equal(fuzzyMatch('x', 'spawn bug'), null);
+});
+
+test('an empty query matches everything with score 0', () => {
+  assert.deepEqual(fuzzyMatch('', 'spawn bug'), { score: 0, indices: [] });
+  assert.deepEqual(fuzzyMatch('  ', 'spawn bug'), { score: 0, indices: [] });
+});
+
+test('prefers word starts and runs', () => {
+  assert.deepEqual(fuzzyMatch('spb', 'spawn bug')?.indices, [0, 1, 6]);
+  assert.deepEqual(fuzzyMatch('Sb', 'spawn bug')?.indices, [0, 6]);
+  const ranked = fuzzyFilter('bug', ['toggle debug', 'spawn bug'], (s) => s);
+  assert.deepEqual(ranked.map((r) => r.item), ['spawn bug', 'toggle debug']);
+});
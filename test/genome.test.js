@@ -0,0 +1,98 @@
+/**
+ * genome.test.js
+ * Heritable traits: a fresh genome sits at the base values, mutation drifts
+ * each gene by at most its step inside its range, saved genomes are
+ * cleaned up, and daughters inherit from their parent.
+ *
+ *   node --test test/
+ */
+
+import { test }         from 'node:test';
+import assert           from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GENES, defaultGenome, mutateGenome, normaliseGenome } from '../src/js/genome.js';
+import { Random }       from '../src/utils/random.js';
+import { World }        from '../src/js/world.js';
+
+const iconsData = JSON.parse(readFileSync(new URL('../src/data/icons.json', import.meta.url), 'utf8'));
+
+test('a fresh genome has every gene at its base value', () => {
+  const genome = defaultGenome();
+  assert.deepEqual(Object.keys(genome), Object.keys(GENES));
+  for (const [gene, { base }] of Object.entries(GENES)) assert.equal(genome[gene], base);
+  assert.notEqual(defaultGenome(), genome);
+});
+
+test('mutation drifts each gene by at most its step, within its range', () => {
+  const random = new Random(1);
+  let parent   = defaultGenome();
+  let changed  = 0;
+  for (let i = 0; i < 5000; i++) {
+    const child = mutateGenome(parent, random);
+    assert.notEqual(child, parent);
+    for (const [gene, { min, max, step, wrap }] of Object.entries(GENES)) {
+      assert.ok(child[gene] >= min && child[gene] <= max, `${gene} ${child[gene]}`);
+      let drift = Math.abs(child[gene] - parent[gene]);
+      if (wrap) drift = Math.min(drift, max - min - drift);
+      assert.ok(drift <= step + 1e-9, `${gene} drifted ${drift}`);
+      if (drift > 0) changed++;
+    }
+    parent = child;
+  }
+  assert.ok(changed > 0);
+});
+
+test('genes at a range limit are clamped there, not pushed past it', () => {
+  const random = new Random(2);
+  const edge   = { ...defaultGenome(), speed: GENES.speed.max, size: GENES.size.min };
+  const speeds = new Set();
+  const sizes  = new Set();
+  for (let i = 0; i < 500; i++) {
+    const child = mutateGenome(edge, random);
+    speeds.add(child.speed);
+    sizes.add(child.size);
+  }
+  assert.ok(Math.max(...speeds) === GENES.speed.max && Math.min(...speeds) < GENES.speed.max);
+  assert.ok(Math.min(...sizes)  === GENES.size.min  && Math.max(...sizes)  > GENES.size.min);
+});
+
+test('the same seed mutates the same way', () => {
+  const parent = defaultGenome();
+  const run    = (seed) => {
+    const random = new Random(seed);
+    return Array.from({ length: 50 }, () => mutateGenome(parent, random));
+  };
+  assert.deepEqual(run(4), run(4));
+});
+
+test('a saved genome is cleaned up', () => {
+  assert.deepEqual(normaliseGenome(null), defaultGenome());
+  assert.deepEqual(normaliseGenome('fast'), defaultGenome());
+
+  const genome = normaliseGenome({ speed: 99, size: 'big', resistance: -1, hue: 190, wings: 2 });
+  assert.deepEqual(Object.keys(genome), Object.keys(GENES));
+  assert.equal(genome.speed, GENES.speed.max);
+  assert.equal(genome.size, GENES.size.base);
+  assert.equal(genome.resistance, GENES.resistance.min);
+  assert.equal(genome.hue, -170);
+});
+
+test('a daughter inherits her parent genome, and her body follows it', () => {
+  const w      = new World({ iconsData, seed: 8, width: 3000, height: 3000 });
+  w.settings.carryingCapacity = 1e6;
+  const parent = w.spawn('cell', { x: 300, y: 300, angle: 0 });
+  parent.genome = normaliseGenome({ speed: 1.4, size: GENES.size.max, resistance: 0.5, hue: 90 });
+
+  let child = null;
+  w.on('divide', (e) => { if (e.entity === parent) child ??= e.child; });
+  parent.hitsSinceDivision = iconsData.icons.cell.reproduce.afterHits;
+  w.step(1 / 60);
+
+  assert.ok(child);
+  for (const [gene, { step }] of Object.entries(GENES)) {
+    assert.ok(Math.abs(child.genome[gene] - parent.genome[gene]) <= step + 1e-9, gene);
+  }
+  const body = iconsData.icons.cell;
+  assert.ok(Math.abs(child.size - body.size * child.genome.size) < 1e-9);
+  assert.ok(Math.abs(child.mass - body.mass * child.genome.size ** 2) < 1e-9);
+});
@@ -0,0 +1,61 @@
+/**
+ * iconsData.test.js
+ * icons.json is the guide's only source: every icon it lists has a label
+ * and a known type with a colour, every rule row has its words, and the
+ * icons the rules and spawns mention are all registered.
+ *
+ *   node --test test/
+ */
+
+import { test }         from 'node:test';
+import assert           from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+const iconsData = JSON.parse(readFileSync(new URL('../src/data/icons.json', import.meta.url), 'utf8'));
+const { icons, types, groups, rules, spawn } = iconsData;
+
+test('every icon has a label and a type with a colour and label', () => {
+  for (const [name, icon] of Object.entries(icons)) {
+    assert.equal(typeof icon.label, 'string', name);
+    assert.ok(types[icon.type], `${name}: unknown type ${icon.type}`);
+  }
+  for (const [key, type] of Object.entries(types)) {
+    assert.match(type.color, /^#[0-9a-f]{6}$/i, key);
+    assert.equal(typeof type.label, 'string', key);
+  }
+});
+
+test('groups and icons agree on membership', () => {
+  const ids = new Set(groups.map(g => g.id));
+  for (const group of groups) {
+    assert.equal(typeof group.label, 'string', group.id);
+    for (const name of group.icons) assert.equal(icons[name]?.group, group.id, name);
+  }
+  for (const [name, icon] of Object.entries(icons)) {
+    assert.ok(ids.has(icon.group), `${name}: unknown group ${icon.group}`);
+    assert.ok(groups.find(g => g.id === icon.group).icons.includes(name), `${name} missing from its group`);
+  }
+});
+
+test('every rule row has a label, and names registered icons', () => {
+  const known = (name) => name === '*' || name in icons;
+  for (const rule of rules.interactions) {
+    assert.equal(typeof rule.label, 'string', JSON.stringify(rule));
+    assert.ok(known(rule.actor), rule.actor);
+    for (const target of [rule.target].flat()) assert.ok(known(target), target);
+    if (rule.into) assert.ok(known(rule.into), rule.into);
+    if (rule.otherwise) {
+      assert.equal(typeof rule.otherwise.label, 'string', rule.label);
+      if (rule.otherwise.into) assert.ok(known(rule.otherwise.into), rule.otherwise.into);
+    }
+  }
+  for (const [actor, targets] of Object.entries(rules.immunity)) {
+    assert.ok(known(actor), actor);
+    targets.forEach(t => assert.ok(known(t), t));
+  }
+});
+
+test('the spawn config names registered icons', () => {
+  assert.ok(spawn.initial in icons);
+  assert.ok(spawn.rare in icons);
+});
@@ -0,0 +1,91 @@
+/**
+ * inspector.test.js
+ * The world side of the inspector's actions: kill, cure and pin one entity,
+ * and the species changes it lists.
+ *
+ *   node --test test/
+ */
+
+import { test }         from 'node:test';
+import assert           from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { World }        from '../src/js/world.js';
+import { DEFAULTS }     from '../src/js/constants.js';
+
+const iconsData = JSON.parse(readFileSync(new URL('../src/data/icons.json', import.meta.url), 'utf8'));
+
+const world = () => new World({ iconsData, seed: 6, width: 800, height: 600 });
+
+/** A cell a bug has just turned into a virus. */
+function infectedCell(w) {
+  const cell = w.spawn('cell', { x: 100, y: 100, angle: 0 });
+  w.spawn('bug', { x: 110, y: 100, angle: Math.PI });
+  w.step(1 / 60);
+  assert.equal(cell.entityKey, 'virus-filled');
+  return cell;
+}
+
+test('kill starts a violent death, once', () => {
+  const w    = world();
+  const cell = w.spawn('cell', { x: 100, y: 100 });
+  const died = [];
+  w.on('die', ({ entity, cause, by }) => died.push([entity.id, cause, by]));
+
+  assert.equal(w.killEntity(cell.id), true);
+  assert.equal(cell.dying, true);
+  assert.equal(w.killEntity(cell.id), false);
+  assert.deepEqual(died, [[cell.id, 'violent', null]]);
+  assert.equal(w.deaths.violent, 1);
+
+  // Gone once the death has played out
+  for (let t = 0; t <= DEFAULTS.KILL_DEATH_DURATION + 100; t += 1000 / 60) w.step(1 / 60);
+  assert.equal(w.entity(cell.id), null);
+  assert.equal(w.killEntity(cell.id), false);
+  assert.equal(w.killEntity(9999), false);
+});
+
+test('cure turns an infected entity back into what it was born as', () => {
+  const w    = world();
+  const cell = infectedCell(w);
+  const changes = [];
+  w.on('transform', ({ entity, from, by, outcome }) => changes.push([entity.id, from, by, outcome]));
+
+  assert.equal(w.cureEntity(cell.id), true);
+  assert.equal(cell.entityKey, 'cell');
+  assert.deepEqual(changes, [[cell.id, 'virus-filled', null, 'cure']]);
+
+  // Its history lists both changes, the cure by nobody
+  assert.deepEqual(cell.infections.map(i => [i.from, i.into, i.outcome, i.by]), [
+    ['cell', 'virus-filled', 'transform', 'bug'],
+    ['virus-filled', 'cell', 'cure', null],
+  ]);
+});
+
+test('an entity that never changed, or is gone, cannot be cured', () => {
+  const w    = world();
+  const cell = w.spawn('cell', { x: 100, y: 100 });
+  assert.equal(w.cureEntity(cell.id), false);
+  assert.equal(w.cureEntity(9999), false);
+  assert.deepEqual(cell.infections, []);
+});
+
+test('a pinned entity holds still and the others bounce off it', () => {
+  const w      = world();
+  const pinned = w.spawn('cell', { x: 100, y: 100, angle: 0 });
+  const other  = w.spawn('cell', { x: 120, y: 100, angle: Math.PI });
+  assert.equal(w.pinEntity(pinned.id, true), true);
+  assert.equal(pinned.pinned, true);
+
+  const { vx, vy } = pinned;
+  w.step(1 / 60);
+  assert.deepEqual([pinned.x, pinned.y], [100, 100]);
+  assert.ok(other.vx > 0);
+  assert.ok(other.x - pinned.x >= (other.size + pinned.size) / 2 - 1e-9);
+
+  // Unpinned, it carries on the way it was going
+  assert.equal(w.pinEntity(pinned.id, false), true);
+  assert.deepEqual([pinned.vx, pinned.vy], [vx, vy]);
+  w.step(1 / 60);
+  assert.ok(pinned.x > 100);
+  assert.equal(w.pinEntity(9999, true), false);
+});
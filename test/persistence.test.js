@@ -0,0 +1,88 @@
+/**
+ * persistence.test.js
+ * Saved-data schemas: old world snapshots and settings migrate to the
+ * current version, and anything unreadable fails with a SchemaError.
+ *
+ *   node --test test/
+ */
+
+import { test }         from 'node:test';
+import assert           from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { migrate, SchemaError, EVOLUTION_SCHEMA, SETTINGS_SCHEMA } from '../src/js/persistence.js';
+import { World }        from '../src/js/world.js';
+
+const iconsData = JSON.parse(readFileSync(new URL('../src/data/icons.json', import.meta.url), 'utf8'));
+
+/** A minimal snapshot in the shape of version 0 (px/frame, no version). */
+const legacy = () => ({
+  entities: [{ name: 'cell', x: 10, y: 20, vx: 0.5, vy: -1 }],
+  logo:     { wordX: 400, wordY: 300, wordVx: 0.1, wordVy: 0, letters: [{ x: 1, y: 2, vx: 2, vy: 0 }, null] },
+  seed:     7,
+});
+
+test('a version 0 snapshot has its velocities scaled from px/frame to px/s', () => {
+  const saved = legacy();
+  const out   = migrate(saved, EVOLUTION_SCHEMA);
+
+  assert.equal(out.version, EVOLUTION_SCHEMA.version);
+  assert.equal('velocityUnit' in out, false);
+  assert.deepEqual(out.entities[0], { name: 'cell', x: 10, y: 20, vx: 30, vy: -60 });
+  assert.deepEqual([out.logo.wordX, out.logo.wordVx, out.logo.wordVy], [400, 6, 0]);
+  assert.deepEqual(out.logo.letters, [{ x: 1, y: 2, vx: 120, vy: 0 }, null]);
+  // The input is left as it was
+  assert.deepEqual(saved, legacy());
+});
+
+test('a version 1 snapshot (px/s marker) keeps its velocities', () => {
+  const out = migrate({ ...legacy(), velocityUnit: 'px/s' }, EVOLUTION_SCHEMA);
+  assert.equal(out.version, 3);
+  assert.equal('velocityUnit' in out, false);
+  assert.equal(out.entities[0].vx, 0.5);
+  assert.equal(out.logo.wordVx, 0.1);
+});
+
+test('a current snapshot passes through, and migrating is idempotent', () => {
+  const world = new World({ iconsData, seed: 2, width: 640, height: 480 });
+  for (let i = 0; i < 600; i++) world.step(1 / 60);
+  // Versioned the way EvolutionController saves it
+  const saved = JSON.parse(JSON.stringify({ version: EVOLUTION_SCHEMA.version, ...world.serialise() }));
+
+  const once = migrate(saved, EVOLUTION_SCHEMA);
+  assert.deepEqual(once, saved);
+  assert.deepEqual(migrate(once, EVOLUTION_SCHEMA), once);
+});
+
+test('a migrated old snapshot restores into a world', () => {
+  const world = new World({ iconsData, seed: 2, width: 640, height: 480 });
+  world.restore(migrate(legacy(), EVOLUTION_SCHEMA));
+  assert.equal(world.entities.length, 1);
+  assert.deepEqual([world.entities[0].vx, world.entities[0].vy], [30, -60]);
+});
+
+test('unreadable snapshots throw a SchemaError', () => {
+  const bad = [
+    [null,                                            /not an object/],
+    [[],                                              /not an object/],
+    [{ version: 9 },                                  /newer version \(9\)/],
+    [{ version: -1 },                                 /invalid version/],
+    [{ version: 1.5 },                                /invalid version/],
+    [{ version: 3, entities: {} },                    /not a list/],
+    [{ version: 3, entities: [{ x: 0 }] },            /entity 0 has no icon name/],
+    [{ version: 3, entities: [{ name: 'cell', x: 0, y: 0, vx: 0, vy: NaN }] }, /entity 0 has an invalid vy/],
+    [{ version: 3, logo: [] },                        /invalid logo/],
+    [{ version: 3, totalCounts: 4 },                  /invalid totals/],
+    [{ version: 3, seed: 'abc' },                     /invalid seed/],
+    [{ version: 3, width: '800' },                    /invalid world width/],
+  ];
+  for (const [data, message] of bad) {
+    assert.throws(() => migrate(data, EVOLUTION_SCHEMA), (err) => err instanceof SchemaError && message.test(err.message));
+  }
+});
+
+test('settings gain a version and otherwise keep their values', () => {
+  const saved = { moveSpeed: 7, theme: 'dark' };
+  assert.deepEqual(migrate(saved, SETTINGS_SCHEMA), { moveSpeed: 7, theme: 'dark', version: 1 });
+  assert.deepEqual(migrate({ version: 1, moveSpeed: 7 }, SETTINGS_SCHEMA), { version: 1, moveSpeed: 7 });
+  assert.throws(() => migrate({ version: 2 }, SETTINGS_SCHEMA), /saved settings is from a newer version/);
+});
@@ -0,0 +1,109 @@
+/**
+ * pointer.test.js
+ * The world side of pointer input: picking, grabbing, dragging and
+ * flinging entities and ejected letters, and the force field.
+ *
+ *   node --test test/
+ */
+
+import { test }         from 'node:test';
+import assert           from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { World }        from '../src/js/world.js';
+import { DEFAULTS }     from '../src/js/constants.js';
+
+const iconsData = JSON.parse(readFileSync(new URL('../src/data/icons.json', import.meta.url), 'utf8'));
+
+const world = () => new World({ iconsData, seed: 4, width: 800, height: 600 });
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+test('pick finds the topmost entity within the slop, and ejected letters first', () => {
+  const w     = world();
+  const below = w.spawn('cell', { x: 100, y: 100 });
+  const above = w.spawn('cell', { x: 105, y: 100 });
+  assert.equal(w.pick(100, 100), above);
+  assert.equal(w.pick(100 - below.size / 2 - DEFAULTS.POINTER_PICK_SLOP + 1, 100), below);
+  assert.equal(w.pick(300, 500), null);
+
+  // Attached letters can't be picked up
+  const letter = w.logo.letters[0];
+  assert.equal(w.pick(letter.x, letter.y), null);
+  letter.eject(0, 0);
+  letter.x = 105;
+  letter.y = 100;
+  assert.equal(w.pick(105, 100), letter);
+});
+
+test('a grabbed entity stays where it is dragged, inside the world', () => {
+  const w    = world();
+  const cell = w.spawn('cell', { x: 100, y: 100, angle: 0 });
+  assert.equal(w.grab(100, 100), true);
+  assert.equal(cell.held, true);
+  assert.deepEqual([cell.vx, cell.vy], [0, 0]);
+
+  // Away from the logo, whose letters push even a held entity aside
+  w.drag(150, 500);
+  for (let i = 0; i < 60; i++) w.step(1 / 60);
+  assert.deepEqual([cell.x, cell.y], [150, 500]);
+
+  w.drag(-50, 9000);
+  assert.deepEqual([cell.x, cell.y], [cell.size / 2, 600 - cell.size / 2]);
+});
+
+test('release flings at the pointer speed, capped', () => {
+  const w    = world();
+  const cell = w.spawn('cell', { x: 100, y: 100 });
+  w.grab(100, 100);
+  w.release(30, -40);
+  assert.equal(cell.held, false);
+  assert.deepEqual([cell.vx, cell.vy], [30, -40]);
+
+  w.grab(cell.x, cell.y);
+  w.release(DEFAULTS.POINTER_FLING_MAX_SPEED * 3, 0);
+  assert.ok(close(cell.vx, DEFAULTS.POINTER_FLING_MAX_SPEED));
+
+  // The on-screen speed holds at another move speed
+  w.settings.moveSpeed = DEFAULTS.MOVE_SPEED * 2;
+  w.grab(cell.x, cell.y);
+  w.release(100, 0);
+  assert.ok(close(cell.vx, 50));
+});
+
+test('grabbing again, or nothing, lets go of what was held', () => {
+  const w = world();
+  const a = w.spawn('cell', { x: 100, y: 100 });
+  const b = w.spawn('cell', { x: 400, y: 300 });
+  w.grab(100, 100);
+  w.grab(400, 300);
+  assert.deepEqual([a.held, b.held], [false, true]);
+  assert.equal(w.grab(700, 50), false);
+  assert.equal(b.held, false);
+  w.drag(10, 10);
+  assert.deepEqual([b.x, b.y], [400, 300]);
+});
+
+test('the force field pushes or pulls entities in reach only', () => {
+  const w      = world();
+  const near   = w.spawn('cell', { x: 200, y: 100, angle: 0 });
+  const far    = w.spawn('cell', { x: 200 + DEFAULTS.POINTER_FIELD_RADIUS + 50, y: 100, angle: 0 });
+  const pinned = w.spawn('cell', { x: 200, y: 150, angle: 0 });
+  w.pinEntity(pinned.id, true);
+  for (const e of [near, far, pinned]) { e.vx = 0; e.vy = 0; }
+
+  w.setField({ x: 150, y: 100, mode: 'repel' });
+  w.step(1 / 60);
+  assert.ok(near.vx > 0);
+  assert.equal(far.vx, 0);
+  assert.deepEqual([pinned.vx, pinned.vy], [0, 0]);
+
+  near.vx = 0;
+  w.setField({ x: 150, y: 100, mode: 'attract' });
+  w.step(1 / 60);
+  assert.ok(near.vx < 0);
+
+  near.vx = 0;
+  w.setField(null);
+  w.step(1 / 60);
+  assert.equal(near.vx, 0);
+});
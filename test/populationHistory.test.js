@@ -0,0 +1,76 @@
+/**
+ * populationHistory.test.js
+ * The guide's population history: one sample per interval, downsampled to
+ * stay bounded over a long run, and saved and restored with a snapshot.
+ *
+ *   node --test test/
+ */
+
+import { test }              from 'node:test';
+import assert                from 'node:assert/strict';
+import { PopulationHistory } from '../src/js/populationHistory.js';
+import { DEFAULTS }          from '../src/js/constants.js';
+
+const INTERVAL = DEFAULTS.HISTORY_SAMPLE_MS;
+const MAX      = DEFAULTS.HISTORY_MAX_SAMPLES;
+
+test('one sample is kept per interval, and counts are only read then', () => {
+  const history = new PopulationHistory();
+  let reads = 0;
+  for (let t = 0; t <= 5 * INTERVAL; t += INTERVAL / 4) {
+    history.sample(t, () => { reads++; return { cell: t }; });
+  }
+  assert.equal(history.samples.length, 6);
+  assert.equal(reads, 6);
+  assert.deepEqual(history.samples.map(s => s.t), [0, 1, 2, 3, 4, 5].map(n => n * INTERVAL));
+});
+
+test('a long run is averaged in pairs and the interval doubles', () => {
+  const history = new PopulationHistory();
+  for (let i = 0; i <= MAX; i++) history.sample(i * INTERVAL, () => ({ cell: i % 2 ? 10 : 0, bug: 4 }));
+
+  assert.equal(history.interval, INTERVAL * 2);
+  assert.ok(history.samples.length <= MAX);
+  assert.deepEqual(history.samples[0], { t: 0, counts: { cell: 5, bug: 4 } });
+
+  // Stays bounded however long it runs
+  for (let i = MAX + 1; i < MAX * 20; i++) history.sample(i * INTERVAL, () => ({ cell: 1 }));
+  assert.ok(history.samples.length <= MAX);
+  assert.ok(history.interval > INTERVAL * 2);
+});
+
+test('window returns the most recent span, or everything', () => {
+  const history = new PopulationHistory();
+  for (let i = 0; i < 10; i++) history.sample(i * INTERVAL, () => ({ cell: i }));
+  assert.equal(history.window(0).length, 10);
+  assert.deepEqual(history.window(3 * INTERVAL).map(s => s.counts.cell), [6, 7, 8, 9]);
+  assert.deepEqual(new PopulationHistory().window(INTERVAL), []);
+});
+
+test('a history round-trips through its compact saved form', () => {
+  const history = new PopulationHistory();
+  for (let i = 0; i <= MAX; i++) history.sample(i * INTERVAL, () => (i < 3 ? { cell: 2 } : { cell: 2, bug: 1 }));
+  const saved = JSON.parse(JSON.stringify(history.serialise()));
+  assert.deepEqual(saved.species, ['cell', 'bug']);
+  assert.deepEqual(saved.samples[0], [0, 2, 0]);
+
+  const loaded = new PopulationHistory();
+  loaded.restore(saved);
+  assert.equal(loaded.interval, history.interval);
+  // Zero counts are left out, as a live sample would
+  const nonZero = (counts) => Object.fromEntries(Object.entries(counts).filter(([, n]) => n > 0));
+  assert.deepEqual(loaded.samples, history.samples.map(s => ({ t: s.t, counts: nonZero(s.counts) })));
+});
+
+test('malformed saves leave an empty history', () => {
+  const history = new PopulationHistory();
+  for (const saved of [null, 'x', { species: 'cell', samples: [] }, { species: [], samples: null }]) {
+    history.sample(0, () => ({ cell: 1 }));
+    history.restore(saved);
+    assert.deepEqual(history.samples, []);
+    assert.equal(history.interval, INTERVAL);
+  }
+  history.restore({ interval: -5, species: ['cell'], samples: [[0, 1], 'junk', ['t', 2], [1000, 3]] });
+  assert.equal(history.interval, INTERVAL);
+  assert.deepEqual(history.samples, [{ t: 0, counts: { cell: 1 } }, { t: 1000, counts: { cell: 3 } }]);
+});
@@ -0,0 +1,75 @@
+/**
+ * random.test.js
+ * The seeded generator: one seed gives one sequence, its state can be saved
+ * and resumed, user text turns into seeds, and a seeded world runs the same
+ * way twice.
+ *
+ *   node --test test/
+ */
+
+import { test }                from 'node:test';
+import assert                  from 'node:assert/strict';
+import { readFileSync }        from 'node:fs';
+import { Random, parseSeed }   from '../src/utils/random.js';
+import { World }               from '../src/js/world.js';
+
+const iconsData = JSON.parse(readFileSync(new URL('../src/data/icons.json', import.meta.url), 'utf8'));
+
+const draw = (random, n) => Array.from({ length: n }, () => random.next());
+
+test('the same seed gives the same sequence, in [0, 1)', () => {
+  const a = draw(new Random(42), 1000);
+  assert.deepEqual(draw(new Random(42), 1000), a);
+  assert.notDeepEqual(draw(new Random(43), 1000), a);
+  assert.ok(a.every(x => x >= 0 && x < 1));
+});
+
+test('the state resumes a sequence and reseed restarts it', () => {
+  const random = new Random(7);
+  draw(random, 10);
+  const state = random.state;
+  const rest  = draw(random, 10);
+
+  const resumed = new Random(0);
+  resumed.state = state;
+  assert.deepEqual(draw(resumed, 10), rest);
+
+  resumed.reseed(7);
+  assert.equal(resumed.seed, 7);
+  assert.deepEqual(draw(resumed, 10), draw(new Random(7), 10));
+});
+
+test('range stays within its bounds', () => {
+  const random = new Random(3);
+  for (let i = 0; i < 1000; i++) {
+    const x = random.range(-5, 5);
+    assert.ok(x >= -5 && x < 5);
+  }
+});
+
+test('parseSeed takes integers as-is and hashes other text', () => {
+  assert.equal(parseSeed('12345'), 12345);
+  assert.equal(parseSeed(' 99 '), 99);
+  assert.equal(parseSeed(0xffffffff), 0xffffffff);
+  assert.equal(parseSeed(null), null);
+  assert.equal(parseSeed(undefined), null);
+  assert.equal(parseSeed('   '), null);
+
+  const word = parseSeed('petri');
+  assert.equal(parseSeed('petri'), word);
+  assert.notEqual(parseSeed('dish'), word);
+  assert.ok(Number.isInteger(word) && word >= 0 && word <= 0xffffffff);
+  // Too large for a uint32 — hashed, not wrapped
+  assert.notEqual(parseSeed('4294967296'), 0);
+});
+
+test('the same seed and size run the same world', () => {
+  const run = (seed) => {
+    const world = new World({ iconsData, seed, width: 800, height: 600 });
+    for (let i = 0; i < 60 * 60; i++) world.step(1 / 60);
+    return world.serialise();
+  };
+  const a = run(5);
+  assert.deepEqual(run(5), a);
+  assert.notDeepEqual(run(6).entities, a.entities);
+});
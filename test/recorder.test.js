@@ -0,0 +1,92 @@
+/**
+ * recorder.test.js
+ * A recording replays into exactly the run it was recorded from — on any
+ * world, as often as it is rewound.
+ *
+ *   node --test test/
+ */
+
+import { test }                     from 'node:test';
+import assert                       from 'node:assert/strict';
+import { readFileSync }             from 'node:fs';
+import { World }                    from '../src/js/world.js';
+import { Recorder, ReplayPlayer }   from '../src/js/recorder.js';
+
+const iconsData = JSON.parse(readFileSync(new URL('../src/data/icons.json', import.meta.url), 'utf8'));
+
+const DT = 1 / 60;
+
+/**
+ * Record a short run with every kind of input, as EvolutionController does:
+ * the recorder hears of each input before the world acts on it.
+ *
+ * @returns {{ recording: import('../src/js/recorder.js').Recording, end: object }}
+ */
+function record() {
+  const world = new World({ iconsData, seed: 9, width: 800, height: 600 });
+  for (let i = 0; i < 10; i++) world.spawn('cell');
+  for (let i = 0; i < 120; i++) world.step(DT);
+
+  const recorder = new Recorder(world);
+  const step     = (dt = DT) => { recorder.step(world, dt); world.step(dt); };
+  const spawn    = (name, at) => { recorder.spawn(world, name, at); world.spawn(name, at); };
+  const pointer  = (action, ...args) => { recorder.pointer(world, action, args); world[action](...args); };
+  const entity   = (action, ...args) => { recorder.entity(world, action, args); world[action](...args); };
+
+  for (let i = 0; i < 60; i++) step();
+  spawn('bug');
+  spawn('cell', { x: 200, y: 150, angle: 1 });
+  world.settings.spawnRate = 9;
+  for (let i = 0; i < 60; i++) step();
+  const target = world.entities.find(e => !e.dying);
+  pointer('grab', target.x, target.y);
+  for (let i = 0; i < 10; i++) { pointer('drag', 300 + i * 5, 300); step(); }
+  pointer('release', 400, -200);
+  pointer('setField', { x: 400, y: 300, mode: 'attract' });
+  for (let i = 0; i < 30; i++) step(DT / 2);
+  pointer('setField', null);
+  entity('pinEntity', target.id, true);
+  world.resize(700, 500);
+  for (let i = 0; i < 60; i++) step();
+
+  return { recording: recorder.finish(), end: world.serialise() };
+}
+
+/**
+ * Replay a recording to its end on a world of its own.
+ *
+ * @param {ReplayPlayer} player
+ * @param {World} world
+ * @returns {object}
+ */
+function playThrough(player, world) {
+  player.seek(player.length);
+  while (player.seeking) player.tick(0);
+  return world.serialise();
+}
+
+test('a replay ends where the recorded run did', () => {
+  const { recording, end } = record();
+  assert.deepEqual(new Set(recording.inputs.map(i => i.type)), new Set(['set', 'spawn', 'pointer', 'entity']));
+  // A placed spawn keeps its placement
+  assert.deepEqual(recording.inputs.find(i => i.at)?.at, { x: 200, y: 150, angle: 1 });
+
+  // Another seed and size: the recording brings its own
+  const world  = new World({ iconsData, seed: 1, width: 300, height: 300 });
+  const player = new ReplayPlayer({ recording: JSON.parse(JSON.stringify(recording)), world });
+  assert.deepEqual(playThrough(player, world), end);
+  assert.ok(player.done);
+});
+
+test('rewinding and replaying again gives the same run', () => {
+  const { recording, end } = record();
+  const world   = new World({ iconsData, seed: 1, width: 800, height: 600 });
+  let   rewinds = 0;
+  const player  = new ReplayPlayer({ recording, world, onRewind: () => rewinds++ });
+  playThrough(player, world);
+  player.seek(100);
+  while (player.seeking) player.tick(0);
+  assert.equal(player.position, 100);
+  assert.deepEqual(playThrough(player, world), end);
+  assert.equal(rewinds, 2);
+});
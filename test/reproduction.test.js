@@ -0,0 +1,94 @@
+/**
+ * reproduction.test.js
+ * Cell division: icons with a `reproduce` block divide after enough age or
+ * collisions, daughters carry their lineage, and the carrying capacity
+ * holds the population back.
+ *
+ *   node --test test/
+ */
+
+import { test }         from 'node:test';
+import assert           from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { World }        from '../src/js/world.js';
+
+const iconsData = JSON.parse(readFileSync(new URL('../src/data/icons.json', import.meta.url), 'utf8'));
+
+const STEP = 1 / 60;
+
+/** A large world with room to spare under the given capacity. */
+function world(carryingCapacity) {
+  const w = new World({ iconsData, seed: 21, width: 3000, height: 3000 });
+  w.settings.carryingCapacity = carryingCapacity;
+  return w;
+}
+
+test('a cell divides once it is old enough', () => {
+  const w      = world(1e6);
+  const cell   = w.spawn('cell', { x: 300, y: 300, angle: 0 });
+  const rule   = iconsData.icons.cell.reproduce;
+  const splits = [];
+  w.on('divide', ({ entity, child }) => { if (entity === cell) splits.push({ at: w.time, child }); });
+
+  while (w.time < rule.afterAge * 1000 + 100) w.step(STEP);
+
+  assert.equal(splits.length, 1);
+  assert.ok(splits[0].at >= rule.afterAge * 1000);
+  const { child } = splits[0];
+  assert.equal(child.entityKey, 'cell');
+  assert.equal(child.parentId, cell.id);
+  assert.equal(child.generation, cell.generation + 1);
+  assert.equal(cell.offspring, 1);
+  assert.equal(cell.lastDivisionAt, splits[0].at);
+  assert.equal(w.entity(child.id), child);
+});
+
+test('enough collisions make a cell due early', () => {
+  const w    = world(1e6);
+  const cell = w.spawn('cell', { x: 300, y: 300, angle: 0 });
+  let divided = false;
+  w.on('divide', ({ entity }) => { divided ||= entity === cell; });
+
+  w.step(STEP);
+  assert.equal(divided, false);
+  cell.hitsSinceDivision = iconsData.icons.cell.reproduce.afterHits;
+  w.step(STEP);
+  assert.equal(divided, true);
+  assert.equal(cell.hitsSinceDivision, 0);
+});
+
+test('icons without a reproduce block never divide', () => {
+  const w     = world(1e6);
+  const name  = Object.keys(iconsData.icons).find(n => !iconsData.icons[n].reproduce && iconsData.icons[n].type === 'neutral');
+  const e     = w.spawn(name, { x: 300, y: 300, angle: 0 });
+  e.hitsSinceDivision = 1000;
+  let divided = false;
+  w.on('divide', ({ entity }) => { divided ||= entity === e; });
+  for (let i = 0; i < 60 * 90; i++) w.step(STEP);
+  assert.equal(divided, false);
+});
+
+test('a world at carrying capacity stops dividing and spawning', () => {
+  const w = world(6);
+  for (let i = 0; i < 6; i++) w.spawn('cell', { x: 300 + i * 200, y: 300, angle: 0 });
+  let divisions = 0;
+  w.on('divide', () => divisions++);
+
+  for (let i = 0; i < 60 * 90; i++) {
+    w.step(STEP);
+    assert.ok(w.population <= 6);
+  }
+  assert.equal(divisions, 0);
+  // Due cells still restart their cycle rather than queue a division
+  assert.ok(w.entities.every(e => w.time - e.lastDivisionAt < iconsData.icons.cell.reproduce.afterAge * 1000));
+});
+
+test('a capacity of zero turns division off', () => {
+  const w    = world(0);
+  const cell = w.spawn('cell', { x: 300, y: 300, angle: 0 });
+  cell.hitsSinceDivision = 1000;
+  let divided = false;
+  w.on('divide', () => { divided = true; });
+  w.step(STEP);
+  assert.equal(divided, false);
+});
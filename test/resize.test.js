@@ -0,0 +1,96 @@
+/**
+ * resize.test.js
+ * A resized world moves everything proportionally and keeps it inside the
+ * new edges; a snapshot from another screen size is fitted the same way.
+ *
+ *   node --test test/
+ */
+
+import { test }         from 'node:test';
+import assert           from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { World }        from '../src/js/world.js';
+import { DEFAULTS }     from '../src/js/constants.js';
+
+const iconsData = JSON.parse(readFileSync(new URL('../src/data/icons.json', import.meta.url), 'utf8'));
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+/** Every entity, the word and each ejected letter lie inside the world. */
+function assertInside(world) {
+  for (const e of world.entities) {
+    const h = e.size / 2;
+    assert.ok(e.x >= h && e.x <= world.width - h && e.y >= h && e.y <= world.height - h, `${e.id} at ${e.x},${e.y}`);
+  }
+  const h = DEFAULTS.LOGO_LETTER_HALF * world.logo.scale;
+  for (const l of world.logo.letters) {
+    assert.ok(l.x >= h - 1e-9 && l.x <= world.width - h + 1e-9 && l.y >= h - 1e-9 && l.y <= world.height - h + 1e-9);
+  }
+}
+
+test('entities and the logo move proportionally', () => {
+  const w = new World({ iconsData, seed: 1, width: 1000, height: 800 });
+  const a = w.spawn('cell', { x: 250, y: 200 });
+  const b = w.spawn('cell', { x: 750, y: 600 });
+  const { wordX, wordY } = w.logo;
+
+  w.resize(500, 400);
+  assert.deepEqual([a.x, a.y, b.x, b.y], [125, 100, 375, 300]);
+  assert.ok(close(w.logo.wordX, wordX / 2) && close(w.logo.wordY, wordY / 2));
+  assertInside(w);
+
+  w.resize(1000, 800);
+  assert.deepEqual([a.x, a.y, b.x, b.y], [250, 200, 750, 600]);
+});
+
+test('near the edge, a smaller world clamps instead of scaling off-screen', () => {
+  const w    = new World({ iconsData, seed: 1, width: 1000, height: 800 });
+  const cell = w.spawn('cell', { x: 1000, y: 0 });
+  w.resize(300, 200);
+  assert.deepEqual([cell.x, cell.y], [300 - cell.size / 2, cell.size / 2]);
+  assertInside(w);
+});
+
+test('a narrow world shrinks the logo letters to fit', () => {
+  const w = new World({ iconsData, seed: 1, width: 1000, height: 800 });
+  assert.equal(w.logo.scale, 1);
+  w.resize(200, 800);
+  assert.ok(w.logo.scale < 1 && w.logo.scale >= DEFAULTS.LOGO_MIN_SCALE);
+  assertInside(w);
+  w.resize(1000, 800);
+  assert.equal(w.logo.scale, 1);
+});
+
+test('ejected letters are moved and kept inside too', () => {
+  const w      = new World({ iconsData, seed: 1, width: 1000, height: 800 });
+  const letter = w.logo.letters[0];
+  letter.eject(0, 0);
+  letter.x = 900;
+  letter.y = 780;
+  w.resize(500, 400);
+  const h = DEFAULTS.LOGO_LETTER_HALF * w.logo.scale;
+  assert.deepEqual([letter.x, letter.y], [450, 400 - h]);
+});
+
+test('a snapshot from a larger screen is fitted to this one', () => {
+  const big = new World({ iconsData, seed: 1, width: 2000, height: 1200 });
+  for (let i = 0; i < 60 * 30; i++) big.step(1 / 60);
+  big.spawn('cell', { x: 1990, y: 1190 });
+  const saved = JSON.parse(JSON.stringify(big.serialise()));
+
+  const small = new World({ iconsData, seed: 1, width: 800, height: 600 });
+  small.restore(saved);
+  assert.equal(small.entities.length, big.entities.length);
+  assertInside(small);
+  const [first] = small.entities;
+  const [orig]  = big.entities;
+  assert.ok(close(first.x, Math.max(first.size / 2, Math.min(orig.x * 0.4, 800 - first.size / 2))));
+});
+
+test('an unversioned snapshot without a size is only clamped', () => {
+  const w = new World({ iconsData, seed: 1, width: 400, height: 300 });
+  w.restore({ entities: [{ name: 'cell', x: 100, y: 50, vx: 0, vy: 0 }, { name: 'cell', x: 5000, y: 5000, vx: 0, vy: 0 }] });
+  const [a, b] = w.entities;
+  assert.deepEqual([a.x, a.y], [100, 50]);
+  assert.deepEqual([b.x, b.y], [400 - b.size / 2, 300 - b.size / 2]);
+});
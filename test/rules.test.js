@@ -0,0 +1,84 @@
+/**
+ * rules.test.js
+ * The icons.json interaction rules: matching, immunities, probabilities
+ * and fallbacks — in the engine and in a running world.
+ *
+ *   node --test test/
+ */
+
+import { test }         from 'node:test';
+import assert           from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { RuleEngine }   from '../src/js/rules.js';
+import { World }        from '../src/js/world.js';
+
+const iconsData = JSON.parse(readFileSync(new URL('../src/data/icons.json', import.meta.url), 'utf8'));
+
+/** A roll that always comes out as `value`. */
+const rolls = (value) => ({ next: () => value });
+
+const RULES = {
+  immunity: { virus: ['virus', 'mutant'] },
+  interactions: [
+    { actor: 'bug',   target: 'virus',          outcome: 'cure',      into: 'cell' },
+    { actor: 'bug',   target: ['cell', 'git'],  outcome: 'transform', into: 'virus' },
+    { actor: 'virus', target: '*',              outcome: 'kill',      probability: 'killChance',
+      otherwise: { outcome: 'transform', into: 'mutant', force: true } },
+    { actor: 'rock',  target: '*',              outcome: 'bounce' },
+    { actor: 'rock',  target: 'cell',           outcome: 'kill' },
+  ],
+};
+
+test('the first matching rule wins', () => {
+  const rules = new RuleEngine(RULES);
+  assert.equal(rules.match('bug', 'virus').outcome, 'cure');
+  assert.equal(rules.match('bug', 'git').outcome,   'transform');
+  assert.equal(rules.match('bug', 'docker'),        null);
+  // bounce comes first and stops the kill below it
+  assert.equal(rules.evaluate('rock', 'cell').outcome, 'bounce');
+});
+
+test('immune targets are left alone', () => {
+  const rules = new RuleEngine(RULES);
+  assert.ok(rules.isImmune('virus', 'mutant'));
+  assert.equal(rules.evaluate('virus', 'mutant', { killChance: 1 }), null);
+  assert.equal(rules.evaluate('virus', 'cell', { killChance: 1 }).outcome, 'kill');
+  assert.deepEqual(rules.immunities, [['virus', 'mutant']]);
+});
+
+test('outcomes carry their target species and force', () => {
+  const rules = new RuleEngine(RULES);
+  assert.deepEqual(rules.evaluate('bug', 'virus'), { outcome: 'cure', into: 'cell', force: true, fallback: false });
+  assert.deepEqual(rules.evaluate('bug', 'cell'),  { outcome: 'transform', into: 'virus', force: false, fallback: false });
+});
+
+test('named probabilities are rolled, falling back to `otherwise`', () => {
+  const rules  = new RuleEngine(RULES);
+  const params = { killChance: 0.25 };
+  assert.equal(rules.evaluate('virus', 'cell', params, rolls(0.2)).outcome, 'kill');
+  assert.deepEqual(rules.evaluate('virus', 'cell', params, rolls(0.3)),
+    { outcome: 'transform', into: 'mutant', force: true, fallback: true });
+  assert.equal(rules.probabilityOf(rules.interactions[2], params), 0.25);
+  // A setting that isn't there counts as certain
+  assert.equal(rules.probabilityOf(rules.interactions[2]), 1);
+});
+
+test('unknown outcomes are dropped; products list every species a rule makes', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const rules = new RuleEngine({ interactions: [...RULES.interactions, { actor: 'x', outcome: 'explode' }] });
+  assert.equal(rules.interactions.length, RULES.interactions.length);
+  assert.deepEqual(rules.products.sort(), ['cell', 'mutant', 'virus']);
+  assert.equal(new RuleEngine(undefined).match('bug', 'cell'), null);
+});
+
+test('a bug that touches a cell infects it in the world', () => {
+  const world    = new World({ iconsData, seed: 5, width: 400, height: 400 });
+  const cell     = world.spawn('cell', { x: 200, y: 200, angle: 0 });
+  const bug      = world.spawn('bug',  { x: 210, y: 200, angle: Math.PI });
+  const outcomes = [];
+  world.on('transform', ({ entity, by, outcome }) => outcomes.push([entity.id, by.id, outcome]));
+  world.step(1 / 60);
+  assert.equal(cell.entityKey, 'virus-filled');
+  assert.equal(bug.entityKey, 'bug');
+  assert.deepEqual(outcomes, [[cell.id, bug.id, 'transform']]);
+});
@@ -0,0 +1,114 @@
+/**
+ * saveSlots.test.js
+ * Save files and named slots: a world and its settings go into the file
+ * format and come back migrated; slots are listed newest first, renamed
+ * and removed.  Storage is an in-memory stand-in for localStorage.
+ *
+ *   node --test test/
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert               from 'node:assert/strict';
+import { readFileSync }     from 'node:fs';
+import { createSaveFile, validateSaveFile, SaveSlots, SAVE_FORMAT, SAVE_VERSION } from '../src/js/saveSlots.js';
+import { EVOLUTION_SCHEMA } from '../src/js/persistence.js';
+import { World }            from '../src/js/world.js';
+
+const iconsData = JSON.parse(readFileSync(new URL('../src/data/icons.json', import.meta.url), 'utf8'));
+
+/** The part of the Storage interface SaveSlots uses. */
+class MemoryStorage {
+  #items = new Map();
+  getItem(key)        { return this.#items.has(key) ? this.#items.get(key) : null; }
+  setItem(key, value) { this.#items.set(key, String(value)); }
+  removeItem(key)     { this.#items.delete(key); }
+  get length()        { return this.#items.size; }
+}
+
+beforeEach(() => { globalThis.localStorage = new MemoryStorage(); });
+
+/** A snapshot the way EvolutionController takes one. */
+function snapshot() {
+  const world = new World({ iconsData, seed: 12, width: 640, height: 480 });
+  for (let i = 0; i < 300; i++) world.step(1 / 60);
+  return JSON.parse(JSON.stringify({ version: EVOLUTION_SCHEMA.version, ...world.serialise() }));
+}
+
+test('a save file round-trips through JSON', () => {
+  const world = snapshot();
+  const file  = createSaveFile('outbreak', world, { moveSpeed: 7 });
+  assert.equal(file.format, SAVE_FORMAT);
+  assert.equal(file.version, SAVE_VERSION);
+  assert.ok(Number.isFinite(file.savedAt));
+
+  assert.deepEqual(validateSaveFile(JSON.parse(JSON.stringify(file))), file);
+});
+
+test('an old world inside a save file is migrated', () => {
+  const file = {
+    format: SAVE_FORMAT, version: 1, name: 'old', savedAt: 5,
+    world:  { entities: [{ name: 'cell', x: 1, y: 2, vx: 1, vy: 0 }] },
+  };
+  const read = validateSaveFile(file);
+  assert.equal(read.world.version, EVOLUTION_SCHEMA.version);
+  assert.equal(read.world.entities[0].vx, 60);
+  assert.deepEqual(read.settings, {});
+});
+
+test('files that are not save files are refused', () => {
+  const world = snapshot();
+  const bad = [
+    [null,                                                            /not an evolution save file/],
+    [{ format: 'something-else', version: 1, world },                 /not an evolution save file/],
+    [{ format: SAVE_FORMAT, version: SAVE_VERSION + 1, world },       /unsupported save version/],
+    [{ format: SAVE_FORMAT, version: 1 },                             /missing world/],
+    [{ format: SAVE_FORMAT, version: 1, world: { entities: 3 } },     /missing entity list/],
+    [{ format: SAVE_FORMAT, version: 1, world, settings: 'fast' },    /invalid settings/],
+    [{ format: SAVE_FORMAT, version: 1, world: { ...world, version: 99 } }, /newer version/],
+  ];
+  for (const [data, message] of bad) assert.throws(() => validateSaveFile(data), message);
+});
+
+test('slots are listed newest first and load their file', () => {
+  const slots = new SaveSlots();
+  const world = snapshot();
+  assert.deepEqual(slots.list(), []);
+
+  const older = slots.add({ ...createSaveFile('first', world, {}), savedAt: 1000 });
+  const newer = slots.add({ ...createSaveFile('', world, {}), savedAt: 2000 });
+  assert.deepEqual(slots.list().map(s => s.id), [newer.id, older.id]);
+  assert.equal(newer.name, 'untitled');
+  assert.equal(older.population, world.entities.length);
+  assert.deepEqual(slots.load(older.id).world, world);
+  assert.throws(() => slots.load('nope'), /save slot not found/);
+});
+
+test('slots are renamed and removed', () => {
+  const slots = new SaveSlots();
+  const { id } = slots.add(createSaveFile('first', snapshot(), {}));
+
+  slots.rename(id, '  virus outbreak ');
+  assert.equal(slots.list()[0].name, 'virus outbreak');
+  assert.equal(slots.load(id).name, 'virus outbreak');
+  slots.rename(id, '   ');
+  assert.equal(slots.list()[0].name, 'virus outbreak');
+
+  slots.remove(id);
+  assert.deepEqual(slots.list(), []);
+  assert.throws(() => slots.load(id), /save slot not found/);
+});
+
+test('a full storage refuses the slot and leaves nothing behind', () => {
+  const slots = new SaveSlots();
+  const full  = globalThis.localStorage;
+  full.setItem = () => { throw new Error('QuotaExceededError'); };
+  assert.throws(() => slots.add(createSaveFile('big', snapshot(), {})), /browser storage is full/);
+  assert.equal(full.length, 0);
+});
+
+test('a corrupt index lists no slots', () => {
+  localStorage.setItem('devpage:slots', '{oops');
+  assert.deepEqual(new SaveSlots().list(), []);
+  localStorage.setItem('devpage:slots', JSON.stringify([{ id: 'a', savedAt: 1 }, 7, { name: 'no id' }]));
+  assert.deepEqual(new SaveSlots().list().map(s => s.id), ['a']);
+});
@@ -0,0 +1,65 @@
+/**
+ * shareLink.test.js
+ * Share links: settings and a seed survive the trip through a URL hash, and
+ * a hand-edited hash applies whatever it can.
+ *
+ *   node --test test/
+ */
+
+import { test }                             from 'node:test';
+import assert                               from 'node:assert/strict';
+import { encodeShareHash, decodeShareHash } from '../src/js/shareLink.js';
+import { parseSeed }                        from '../src/utils/random.js';
+
+const settings = {
+  gradientColor:    '#4D22B3',
+  gradientSpeed:    2,
+  gradientRotation: true,
+  moveSpeed:        5,
+  spawnRate:        5,
+  virusKillChance:  0.9,
+  bugSpawnChance:   0.08,
+  bugMaxCount:      2,
+  carryingCapacity: 80,
+  bumpThresholdMin: 50,
+  bumpThresholdMax: 100,
+};
+
+test('settings and a seed round-trip through the hash', () => {
+  const hash = encodeShareHash(settings, 123);
+  assert.equal(hash, '#c=4d22b3&gs=2&gr=1&ms=5&sr=5&vk=90&bc=8&bm=2&cc=80&tn=50&tx=100&seed=123');
+  assert.deepEqual(decodeShareHash(hash), {
+    settings: { ...settings, gradientColor: '#4d22b3' },
+    seed:     123,
+  });
+});
+
+test('without a seed, and with settings it cannot encode', () => {
+  const hash = encodeShareHash({ gradientColor: 'purple', gradientRotation: 'yes', moveSpeed: 7, spawnRate: NaN });
+  assert.equal(hash, '#ms=7');
+  assert.deepEqual(decodeShareHash(hash), { settings: { moveSpeed: 7 }, seed: null });
+});
+
+test('a hash without share keys is left alone', () => {
+  assert.equal(decodeShareHash(''), null);
+  assert.equal(decodeShareHash('#'), null);
+  assert.equal(decodeShareHash('#section-2'), null);
+  assert.equal(decodeShareHash('#foo=1&bar=2'), null);
+});
+
+test('unreadable values are skipped and numbers clamped to the sliders', () => {
+  const shared = decodeShareHash('c=zzz&gr=maybe&ms=500&sr=-3&vk=150&bm=2.5&cc= 90 &x=1');
+  assert.deepEqual(shared, {
+    settings: { moveSpeed: 50, spawnRate: 1, virusKillChance: 1, carryingCapacity: 90 },
+    seed:     null,
+  });
+});
+
+test('the bump thresholds keep min ≤ max', () => {
+  assert.deepEqual(decodeShareHash('#tn=300&tx=100').settings, { bumpThresholdMin: 300, bumpThresholdMax: 300 });
+});
+
+test('a seed alone is a share link, and words work as seeds', () => {
+  assert.deepEqual(decodeShareHash('#seed=42'), { settings: {}, seed: 42 });
+  assert.deepEqual(decodeShareHash('#seed=petri'), { settings: {}, seed: parseSeed('petri') });
+});
@@ -0,0 +1,20 @@
+/**
+ * shortcuts.test.js
+ * The keyboard shortcut table in DEFAULTS.SHORTCUTS.
+ *
+ *   node --test test/
+ */
+
+import { test }     from 'node:test';
+import assert       from 'node:assert/strict';
+import { DEFAULTS } from '../src/js/constants.js';
+
+const keys = Object.values(DEFAULTS.SHORTCUTS);
+
+test('no two commands share a key', () => {
+  assert.equal(new Set(keys).size, keys.length);
+});
+
+test('no shortcut needs Shift, which holds the force field on', () => {
+  assert.deepEqual(keys.filter(k => k.startsWith('Shift+')), []);
+});
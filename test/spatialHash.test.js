@@ -0,0 +1,82 @@
+/**
+ * spatialHash.test.js
+ * The uniform-grid broad phase, and that a world using it behaves like
+ * one that tests every pair.
+ *
+ *   node --test test/
+ */
+
+import { test }         from 'node:test';
+import assert           from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { SpatialHash }  from '../src/utils/spatialHash.js';
+import { World }        from '../src/js/world.js';
+import { DEFAULTS }     from '../src/js/constants.js';
+
+const iconsData = JSON.parse(readFileSync(new URL('../src/data/icons.json', import.meta.url), 'utf8'));
+
+test('build buckets items by cell and query returns the overlapping cells, sorted', () => {
+  const grid = new SpatialHash(10);
+  grid.build([{ x: 55, y: 5 }, { x: 5, y: 5 }, { x: 15, y: 5 }, { x: 95, y: 95 }]);
+  assert.deepEqual(grid.query(5, 5, 4), [1]);
+  assert.deepEqual(grid.query(9, 5, 4), [1, 2]);
+  assert.deepEqual(grid.query(50, 50, 100), [0, 1, 2, 3]);
+  assert.deepEqual(grid.query(500, 500, 10), []);
+});
+
+test('build starts over; insert adds to a built grid', () => {
+  const grid = new SpatialHash(10);
+  grid.build([{ x: 5, y: 5 }]);
+  grid.build([{ x: 25, y: 5 }]);
+  assert.deepEqual(grid.query(5, 5, 1), []);
+  grid.insert(1, 5, 5);
+  assert.deepEqual(grid.query(15, 5, 10), [0, 1]);
+});
+
+test('query reuses the array it is given', () => {
+  const grid = new SpatialHash(10);
+  grid.build([{ x: 5, y: 5 }]);
+  const out = [7, 8, 9];
+  assert.equal(grid.query(5, 5, 1, out), out);
+  assert.deepEqual(out, [0]);
+});
+
+test('negative positions have cells of their own', () => {
+  const grid = new SpatialHash(10);
+  grid.build([{ x: -5, y: -5 }, { x: 5, y: 5 }]);
+  assert.deepEqual(grid.query(-5, -5, 1), [0]);
+});
+
+test('move re-buckets an item across cells and ignores moves within one', () => {
+  const grid = new SpatialHash(10);
+  grid.build([{ x: 5, y: 5 }, { x: 6, y: 6 }]);
+  grid.move(0, 5, 5, 8, 8);
+  assert.deepEqual(grid.query(5, 5, 1), [0, 1]);
+  grid.move(0, 8, 8, 45, 45);
+  assert.deepEqual(grid.query(5, 5, 1), [1]);
+  assert.deepEqual(grid.query(45, 45, 1), [0]);
+});
+
+/**
+ * Run a seeded world for a few seconds and return its snapshot.
+ *
+ * @param {number} cellSize  broad-phase cell size; one cell bigger than
+ *   the world makes every entity a candidate for every other
+ * @returns {object}
+ */
+function run(cellSize) {
+  const { BROADPHASE_CELL_SIZE } = DEFAULTS;
+  DEFAULTS.BROADPHASE_CELL_SIZE = cellSize;
+  try {
+    const world = new World({ iconsData, seed: 7, width: 600, height: 400 });
+    for (let i = 0; i < 60; i++) world.spawn('cell');
+    for (let i = 0; i < 300; i++) world.step(1 / 60);
+    return world.serialise();
+  } finally {
+    DEFAULTS.BROADPHASE_CELL_SIZE = BROADPHASE_CELL_SIZE;
+  }
+}
+
+test('a world on the grid ends like one that tests every pair', () => {
+  assert.deepEqual(run(DEFAULTS.BROADPHASE_CELL_SIZE), run(1e6));
+});
@@ -0,0 +1,84 @@
+/**
+ * spawnTable.test.js
+ * Weighted spawn phases from icons.json, and that everything they can
+ * spawn has an icon to draw.
+ *
+ *   node --test test/
+ */
+
+import { test }                     from 'node:test';
+import assert                       from 'node:assert/strict';
+import { readFileSync, existsSync } from 'node:fs';
+import { SpawnTable }               from '../src/js/spawnTable.js';
+import { Random }                   from '../src/utils/random.js';
+
+const iconsData = JSON.parse(readFileSync(new URL('../src/data/icons.json', import.meta.url), 'utf8'));
+
+/** A small registry: two groups and three phases. */
+const DATA = {
+  groups: [
+    { id: 'life', icons: ['cell', 'germ'] },
+    { id: 'tech', icons: ['git', 'node'] },
+  ],
+  icons: {
+    cell: { group: 'life' }, germ: { group: 'life' },
+    git:  { group: 'tech' }, node: { group: 'tech' },
+  },
+  spawn: {
+    phases: [
+      { label: 'late',  from: 100, weights: { 'group:tech': 2 } },
+      { label: 'start', from: 0,   weights: { cell: 1 } },
+      { label: 'mixed', from: 50,  weights: { cell: 1, 'group:life': 2 } },
+    ],
+  },
+};
+
+test('every icon the spawn table, initial or rare spawn can reach has a file', () => {
+  const table = new SpawnTable(iconsData);
+  const names = new Set([...table.icons, iconsData.spawn.initial, iconsData.spawn.rare]);
+  for (const name of names) {
+    assert.ok(existsSync(new URL(`../src/icons/${name}.svg`, import.meta.url)), `src/icons/${name}.svg`);
+  }
+});
+
+test('phases are sorted and the last one started is active', () => {
+  const table = new SpawnTable(DATA);
+  assert.deepEqual(table.phases.map(p => p.label), ['start', 'mixed', 'late']);
+  assert.equal(table.phaseAt(0).label,    'start');
+  assert.equal(table.phaseAt(99.9).label, 'mixed');
+  assert.equal(table.phaseAt(500).label,  'late');
+});
+
+test('a group weight is shared by its icons, on top of their own', () => {
+  const table = new SpawnTable(DATA);
+  assert.deepEqual([...table.weightsAt(60)], [['cell', 2], ['germ', 1]]);
+  assert.deepEqual([...table.weightsAt(200)], [['git', 1], ['node', 1]]);
+});
+
+test('disabled groups drop out, falling forward to the next phase', () => {
+  const table = new SpawnTable(DATA);
+  assert.deepEqual([...table.weightsAt(0, ['life'])], [['git', 1], ['node', 1]]);
+  assert.equal(table.weightsAt(0, ['life', 'tech']).size, 0);
+  assert.equal(table.pick(0, ['life', 'tech'], new Random(1)), null);
+});
+
+test('unknown icons and groups and non-positive weights are ignored', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const table = new SpawnTable({
+    ...DATA,
+    spawn: { phases: [{ from: 0, weights: { cell: 1, ghost: 3, 'group:none': 1, germ: 0 } }] },
+  });
+  assert.deepEqual(table.phases[0].weights, { cell: 1 });
+  assert.equal(console.warn.mock.callCount(), 2);
+});
+
+test('picks follow the weights and the seed', () => {
+  const table  = new SpawnTable(DATA);
+  const random = new Random(42);
+  const counts = { cell: 0, germ: 0 };
+  for (let i = 0; i < 3000; i++) counts[table.pick(60, [], random)]++;
+  assert.ok(Math.abs(counts.cell / 3000 - 2 / 3) < 0.03, JSON.stringify(counts));
+
+  const again = (seed) => Array.from({ length: 20 }, ((r) => () => table.pick(200, [], r))(new Random(seed)));
+  assert.deepEqual(again(7), again(7));
+});
@@ -0,0 +1,86 @@
+/**
+ * world.test.js
+ * The DOM-free simulation core runs in plain Node: it steps, reports what
+ * happens through on(), places spawns, and saves and restores itself.
+ *
+ *   node --test test/
+ */
+
+import { test }         from 'node:test';
+import assert           from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { World }        from '../src/js/world.js';
+import { DEFAULTS }     from '../src/js/constants.js';
+
+const iconsData = JSON.parse(readFileSync(new URL('../src/data/icons.json', import.meta.url), 'utf8'));
+
+const world = () => new World({ iconsData, seed: 11, width: 800, height: 600 });
+
+test('runs without a DOM', () => {
+  assert.equal(typeof document, 'undefined');
+  const w      = world();
+  const spawns = [];
+  w.on('spawn', ({ entity }) => spawns.push(entity.id));
+  for (let i = 0; i < 60 * 120; i++) w.step(1 / 60);
+
+  assert.ok(w.time > 119_000);
+  assert.ok(spawns.length > 0);
+  assert.ok(w.entities.every(e => e.x >= 0 && e.x <= 800 && e.y >= 0 && e.y <= 600));
+});
+
+test('spawn, entity lookup and unknown icons', () => {
+  const w    = world();
+  const cell = w.spawn('cell', { x: 100, y: 120, angle: 0 });
+  assert.equal(w.entity(cell.id), cell);
+  assert.deepEqual([cell.x, cell.y], [100, 120]);
+  assert.ok(cell.vx > 0 && Math.abs(cell.vy) < 1e-9);
+  assert.equal(w.spawn('no-such-icon'), null);
+  assert.equal(w.getCounts().cell, 1);
+});
+
+test('a placed spawn lands on its point and heads its way', () => {
+  const w     = world();
+  const speed = DEFAULTS.BASE_SPEED;
+
+  const aimed = w.spawn('bug', { x: 320, y: 240, angle: Math.PI / 2 });
+  assert.deepEqual([aimed.x, aimed.y], [320, 240]);
+  assert.ok(Math.abs(aimed.vx) < 1e-9 && Math.abs(aimed.vy - speed) < 1e-9);
+
+  // No angle: a random heading, at the usual speed
+  const loose = w.spawn('cell', { x: 500, y: 100 });
+  assert.deepEqual([loose.x, loose.y], [500, 100]);
+  assert.ok(Math.abs(Math.hypot(loose.vx, loose.vy) - speed) < 1e-9);
+
+  // Unreadable coordinates end up at the edge, not NaN
+  const odd = w.spawn('cell', { x: NaN, y: 'top' });
+  assert.deepEqual([odd.x, odd.y], [odd.size / 2, odd.size / 2]);
+});
+
+test('a snapshot is plain JSON and restores the same entities', () => {
+  const w = world();
+  for (let i = 0; i < 8; i++) w.spawn('cell');
+  for (let i = 0; i < 600; i++) w.step(1 / 60);
+  const saved = w.serialise();
+  assert.deepEqual(JSON.parse(JSON.stringify(saved)), saved);
+
+  const back     = world();
+  let   restored = 0;
+  back.on('restore', () => restored++);
+  back.restore(JSON.parse(JSON.stringify(saved)));
+  const again = back.serialise();
+  assert.equal(restored, 1);
+  assert.equal(back.time, w.time);
+  assert.deepEqual(again.entities, saved.entities);
+  assert.deepEqual(again.totalCounts, saved.totalCounts);
+  assert.equal(again.nextId, saved.nextId);
+});
+
+test('clear empties the world and restarts the clock and ids', () => {
+  const w = world();
+  w.spawn('cell');
+  w.step(1 / 60);
+  w.clear();
+  assert.equal(w.entities.length, 0);
+  assert.equal(w.time, 0);
+  assert.equal(w.spawn('cell').id, 1);
+});